@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Command-line grader for Content Consistency Grader
+ *
+ * Grades a campaign directory without starting the server:
+ *
+ *   ccg analyze content/spring-launch/ --min-score 70
+ *
+ * Exits with 0 when the campaign passes, 1 when it falls short of a minimum
+ * and 2 when the command or its input is invalid.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { analyzeConsistency } = require('../server/textAnalysis/analyzer');
+const { buildAnalysisOptions } = require('../server/analysisOptions');
+const { loadContentDirectory } = require('../server/cli/contentDirectory');
+const { DIMENSIONS, dimensionScores, checkMinimums, formatReport } = require('../server/cli/report');
+
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: ccg analyze <directory> [options]
+
+Maps each Markdown, HTML, DOCX, text or .eml file in <directory> to a
+platform (its "platform" front-matter value, or else its file name) and
+grades how consistently the campaign reads across them.
+
+Options:
+  --json                    Print the full results as JSON
+  --min-score <n>           Fail if the overall score is below n (0-100)
+  --min-sentiment <n>       Fail if the sentiment score is below n (0-100)
+  --min-keywords <n>        Fail if the keyword score is below n (0-100)
+  --min-tone <n>            Fail if the tone score is below n (0-100)
+  --min-similarity <n>      Fail if the similarity score is below n (0-100)
+  --min-readability <n>     Fail if the readability score is below n (0-100)
+  --max-fact-conflicts <n>  Fail if more than n facts conflict
+  --brand-profile <name>    Check content against a saved brand profile
+  --preset <name>           Use a saved scoring preset
+  --scoring-config <file>   JSON file with scoring overrides
+  --tone-taxonomy <file>    JSON file with a custom tone taxonomy
+  --glossary <file>         JSON file with equivalent terms and preferred forms
+  --rule-packs <file>       JSON file with platform rule packs to add or override
+  --metric <name>           Similarity metric
+  --reference <platform>    Grade the other platforms against this one
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  'min-score': { type: 'string' },
+  'max-fact-conflicts': { type: 'string' },
+  'brand-profile': { type: 'string' },
+  preset: { type: 'string' },
+  'scoring-config': { type: 'string' },
+  'tone-taxonomy': { type: 'string' },
+  glossary: { type: 'string' },
+  'rule-packs': { type: 'string' },
+  metric: { type: 'string' },
+  reference: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+for (const dimension in DIMENSIONS) {
+  OPTIONS[`min-${dimension}`] = { type: 'string' };
+}
+
+/**
+ * Parses a minimum given on the command line
+ *
+ * @param {String} name - Option name, for error messages
+ * @param {String} value - Option value
+ * @param {Number} max - Largest allowed value
+ * @returns {Number|undefined} The number, or undefined if the option was not given
+ */
+function parseMinimum(name, value, max = 100) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0 || number > max) {
+    throw new Error(`--${name} must be a number between 0 and ${max}`);
+  }
+
+  return number;
+}
+
+/**
+ * Reads a JSON settings file named on the command line
+ *
+ * @param {String} name - Option name, for error messages
+ * @param {String} file - File path
+ * @returns {Object|undefined} Parsed contents, or undefined if the option was not given
+ */
+function readJsonOption(name, file) {
+  if (file === undefined) return undefined;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`--${name}: could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Runs the analyze command
+ *
+ * @param {String} dir - Campaign directory
+ * @param {Object} values - Parsed options
+ * @returns {Number} Exit code
+ */
+async function analyze(dir, values) {
+  const minimums = {
+    score: parseMinimum('min-score', values['min-score']),
+    maxFactConflicts: parseMinimum('max-fact-conflicts', values['max-fact-conflicts'], Infinity),
+    dimensions: {}
+  };
+
+  for (const dimension in DIMENSIONS) {
+    const minimum = parseMinimum(`min-${dimension}`, values[`min-${dimension}`]);
+    if (minimum !== undefined) minimums.dimensions[dimension] = minimum;
+  }
+
+  const { campaign, platformContent, files, languages } = await loadContentDirectory(dir);
+
+  if (Object.keys(platformContent).length === 0) {
+    throw new Error(`No content files found in ${dir}`);
+  }
+
+  const { options, error, details } = buildAnalysisOptions({
+    platformContent,
+    brandProfile: values['brand-profile'],
+    referencePlatform: values.reference,
+    similarityMetric: values.metric,
+    scoringPreset: values.preset,
+    scoringConfig: readJsonOption('scoring-config', values['scoring-config']),
+    toneTaxonomy: readJsonOption('tone-taxonomy', values['tone-taxonomy']),
+    glossary: readJsonOption('glossary', values.glossary),
+    rulePacks: readJsonOption('rule-packs', values['rule-packs']),
+    languages
+  });
+
+  if (error) {
+    throw new Error([error, ...(details || [])].join('\n  '));
+  }
+
+  const results = await analyzeConsistency(platformContent, options);
+  const failures = checkMinimums(results, minimums);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      campaign,
+      files,
+      passed: failures.length === 0,
+      failures,
+      dimensionScores: dimensionScores(results),
+      results
+    }, null, 2));
+  } else {
+    console.log(formatReport(results, { campaign, files, failures }));
+  }
+
+  return failures.length === 0 ? EXIT_PASS : EXIT_FAIL;
+}
+
+/**
+ * Parses the command line and runs the requested command
+ *
+ * @param {Array} argv - Command-line arguments without the node and script paths
+ * @returns {Number} Exit code
+ */
+async function main(argv) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, dir] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_PASS;
+  }
+
+  if (command !== 'analyze' || !dir || positionals.length > 2) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  try {
+    return await analyze(dir, values);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -11,27 +11,138 @@ document.addEventListener('DOMContentLoaded', () => {
   const analyzeBtn = document.getElementById('analyze-btn');
   const backBtn = document.getElementById('back-to-input');
   const inputSection = document.getElementById('input-section');
+  const historySection = document.getElementById('history-section');
   const resultsSection = document.getElementById('results-section');
   const loadingSection = document.getElementById('loading-section');
   const consistencyScoreEl = document.getElementById('consistency-score');
+  const platformScoresList = document.getElementById('platform-scores');
+  const languageNoticesList = document.getElementById('language-notices');
   const recommendationsList = document.getElementById('recommendation-list');
+  const rewriteSuggestionsEl = document.getElementById('rewrite-suggestions');
+  const suggestionList = document.getElementById('suggestion-list');
+  const rerunAnalysisBtn = document.getElementById('rerun-analysis');
+  const brandProfileSelect = document.getElementById('brand-profile');
+  const brandComplianceEl = document.getElementById('brand-compliance');
+  const brandComplianceScoreEl = document.getElementById('brand-compliance-score');
+  const brandComplianceList = document.getElementById('brand-compliance-list');
+  const annotatedContentEl = document.getElementById('annotated-content');
+  const annotationTabs = document.getElementById('annotation-tabs');
+  const annotationToneLegend = document.getElementById('annotation-tone-legend');
+  const annotationText = document.getElementById('annotation-text');
+  const socialSignalsEl = document.getElementById('social-signals');
+  const socialSummaryEl = document.getElementById('social-summary');
+  const socialList = document.getElementById('social-list');
+  const platformRulesEl = document.getElementById('platform-rules');
+  const platformRulesList = document.getElementById('platform-rules-list');
+  const referencePlatformSelect = document.getElementById('reference-platform');
+  const similarityMetricSelect = document.getElementById('similarity-metric');
+  const scoringPresetSelect = document.getElementById('scoring-preset');
+  const campaignNameInput = document.getElementById('campaign-name');
+  const historyCampaignInput = document.getElementById('history-campaign');
+  const historyFromInput = document.getElementById('history-from');
+  const historyToInput = document.getElementById('history-to');
+  const historyRefreshBtn = document.getElementById('history-refresh');
+  const historyList = document.getElementById('history-list');
+  const fileDrop = document.getElementById('file-drop');
+  const fileInput = document.getElementById('file-input');
+  const importMessages = document.getElementById('import-messages');
+  const socialInput = document.getElementById('social-input');
+  const progressFill = document.getElementById('progress-fill');
+  const progressStage = document.getElementById('progress-stage');
+  const cancelAnalysisBtn = document.getElementById('cancel-analysis');
+  const historyCompareBtn = document.getElementById('history-compare');
+  const comparisonSection = document.getElementById('comparison-section');
+  const comparisonBackBtn = document.getElementById('comparison-back');
+  const alignmentLeftSelect = document.getElementById('alignment-left');
+  const alignmentRightSelect = document.getElementById('alignment-right');
+  const alignmentLeftHeading = document.getElementById('alignment-left-heading');
+  const alignmentRightHeading = document.getElementById('alignment-right-heading');
+  const alignmentRows = document.getElementById('alignment-rows');
+  
+  // Sentence alignment of the results currently shown
+  let currentAlignment = null;
+  
+  // Report export of the saved analysis currently shown
+  const reportExportEl = document.getElementById('report-export');
+  const reportFormatSelect = document.getElementById('report-format');
+  const downloadReportBtn = document.getElementById('download-report');
+  const printReportBtn = document.getElementById('print-report');
+  let currentAnalysisId = null;
+  
+  // Suggested edits accepted since the results were shown, per platform
+  let acceptedEdits = {};
+  const referenceAnalysisEl = document.getElementById('reference-analysis');
+  const referencePlatformNameEl = document.getElementById('reference-platform-name');
+  const referenceList = document.getElementById('reference-list');
   
   // Chart elements
   const sentimentChart = document.getElementById('sentiment-chart');
   const keywordChart = document.getElementById('keyword-chart');
   const toneChart = document.getElementById('tone-chart');
+  const readabilityChart = document.getElementById('readability-chart');
   const similarityChart = document.getElementById('similarity-chart');
   
   // Text analysis elements
   const sentimentAnalysisEl = document.getElementById('sentiment-analysis');
   const keywordAnalysisEl = document.getElementById('keyword-analysis');
   const toneAnalysisEl = document.getElementById('tone-analysis');
+  const readabilityAnalysisEl = document.getElementById('readability-analysis');
   const similarityAnalysisEl = document.getElementById('similarity-analysis');
   
+  // Evidence panels
+  const scoreEvidenceEl = document.getElementById('score-evidence');
+  const sentimentEvidenceEl = document.getElementById('sentiment-evidence');
+  const keywordEvidenceEl = document.getElementById('keyword-evidence');
+  const toneEvidenceEl = document.getElementById('tone-evidence');
+  const readabilityEvidenceEl = document.getElementById('readability-evidence');
+  const similarityEvidenceEl = document.getElementById('similarity-evidence');
+  
   // Event listeners
   addPlatformBtn.addEventListener('click', addPlatformInput);
   contentForm.addEventListener('submit', handleFormSubmit);
   backBtn.addEventListener('click', showInputSection);
+  rerunAnalysisBtn.addEventListener('click', () => {
+    resultsSection.classList.add('hidden');
+    contentForm.requestSubmit();
+  });
+  alignmentLeftSelect.addEventListener('change', renderAlignment);
+  alignmentRightSelect.addEventListener('change', renderAlignment);
+  historyRefreshBtn.addEventListener('click', loadHistory);
+  historyCompareBtn.addEventListener('click', compareSelectedAnalyses);
+  comparisonBackBtn.addEventListener('click', showInputSection);
+  downloadReportBtn.addEventListener('click', () => {
+    window.location.href = reportUrl(reportFormatSelect.value);
+  });
+  printReportBtn.addEventListener('click', () => {
+    window.open(reportUrl('html', false), '_blank');
+  });
+  fileInput.addEventListener('change', () => {
+    importFiles(fileInput.files);
+    fileInput.value = '';
+  });
+  
+  cancelAnalysisBtn.addEventListener('click', cancelAnalysis);
+  socialInput.addEventListener('change', () => {
+    importSocialExports(socialInput.files);
+    socialInput.value = '';
+  });
+  
+  // Drag and drop files onto the import area
+  ['dragenter', 'dragover'].forEach(type => {
+    fileDrop.addEventListener(type, e => {
+      e.preventDefault();
+      fileDrop.classList.add('drag-over');
+    });
+  });
+  
+  ['dragleave', 'drop'].forEach(type => {
+    fileDrop.addEventListener(type, () => fileDrop.classList.remove('drag-over'));
+  });
+  
+  fileDrop.addEventListener('drop', e => {
+    e.preventDefault();
+    importFiles(e.dataTransfer.files);
+  });
   
   // Platform options for dropdown
   const platformOptions = [
@@ -42,6 +153,145 @@ document.addEventListener('DOMContentLoaded', () => {
   // Keep track of used platforms
   let usedPlatforms = ['Website', 'Twitter'];
   
+  // Analysis job currently running on the server, and its progress stream
+  let currentJobId = null;
+  let jobEvents = null;
+  
+  // Labels for the analysis stages reported while a job runs
+  const stageLabels = {
+    documents: 'Content tokenized',
+    sentiment: 'Sentiment analyzed',
+    keywords: 'Keywords extracted',
+    tone: 'Tone analyzed',
+    readability: 'Readability measured',
+    social: 'Hashtags and calls to action compared',
+    rules: 'Platform rules checked',
+    similarity: 'Similarity calculated',
+    facts: 'Facts compared',
+    alignment: 'Sentences aligned',
+    scoring: 'Scores calculated',
+    recommendations: 'Recommendations generated',
+    rewrites: 'Edits suggested',
+    brandCompliance: 'Brand profile checked',
+    reference: 'Compared with the source of truth'
+  };
+  
+  // Labels for the scoring dimensions in run comparisons and score breakdowns
+  const dimensionLabels = {
+    sentiment: 'Sentiment consistency',
+    keywords: 'Keyword consistency',
+    tone: 'Tone consistency',
+    similarity: 'Content similarity',
+    readability: 'Readability consistency',
+    factConflicts: 'Fact conflicts'
+  };
+  
+  // Colors of the tone categories, in taxonomy order, in the tone chart and the annotated content
+  const toneColors = [
+    'rgba(74, 111, 165, 0.7)',
+    'rgba(61, 153, 112, 0.7)',
+    'rgba(252, 196, 25, 0.7)',
+    'rgba(214, 69, 65, 0.7)',
+    'rgba(142, 68, 173, 0.7)',
+    'rgba(22, 160, 133, 0.7)',
+    'rgba(230, 126, 34, 0.7)',
+    'rgba(127, 140, 141, 0.7)'
+  ];
+  
+  loadBrandProfiles();
+  loadScoringPresets();
+  loadRulePacks();
+  loadHistory();
+  updateReferenceOptions();
+  
+  /**
+   * Populates the brand profile dropdown with the profiles stored on the server
+   */
+  async function loadBrandProfiles() {
+    try {
+      const response = await fetch('/api/brand-profiles');
+      if (!response.ok) return;
+      
+      const { profiles } = await response.json();
+      addOptions(brandProfileSelect, profiles);
+    } catch (error) {
+      console.error('Error loading brand profiles:', error);
+    }
+  }
+  
+  /**
+   * Populates the scoring preset dropdown with the presets saved on the server
+   */
+  async function loadScoringPresets() {
+    try {
+      const response = await fetch('/api/scoring-presets');
+      if (!response.ok) return;
+      
+      const { presets } = await response.json();
+      addOptions(scoringPresetSelect, presets);
+    } catch (error) {
+      console.error('Error loading scoring presets:', error);
+    }
+  }
+  
+  /**
+   * Offers the platforms of the rule packs teams added on the server
+   * (such as an internal newsletter) alongside the built-in platforms
+   */
+  async function loadRulePacks() {
+    try {
+      const response = await fetch('/api/rule-packs');
+      if (!response.ok) return;
+      
+      const { packs } = await response.json();
+      const known = platformOptions.map(platformKey);
+      
+      for (const name in packs) {
+        if (known.includes(name)) continue;
+        
+        // Keep "Other" last
+        platformOptions.splice(platformOptions.length - 1, 0, packs[name].label || name);
+      }
+    } catch (error) {
+      console.error('Error loading rule packs:', error);
+    }
+  }
+  
+  /**
+   * Appends one option per name to a dropdown
+   * @param {HTMLSelectElement} select - The dropdown
+   * @param {Array} names - Option values (also used as labels)
+   */
+  function addOptions(select, names) {
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+  
+  /**
+   * Lists every platform input as a possible source of truth
+   */
+  function updateReferenceOptions() {
+    const selected = referencePlatformSelect.value;
+    
+    // Keep the "None" option and rebuild the rest
+    while (referencePlatformSelect.options.length > 1) {
+      referencePlatformSelect.remove(1);
+    }
+    
+    platformInputs.querySelectorAll('.platform-input').forEach(input => {
+      const option = document.createElement('option');
+      option.value = input.querySelector('textarea').name;
+      option.textContent = input.querySelector('label').textContent;
+      referencePlatformSelect.appendChild(option);
+    });
+    
+    referencePlatformSelect.value = selected;
+  }
+  
   /**
    * Adds a new platform input field
    */
@@ -55,21 +305,177 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Get the next available platform
-    const nextPlatform = availablePlatforms[0];
-    usedPlatforms.push(nextPlatform);
+    createPlatformInput(availablePlatforms[0]);
+  }
+  
+  /**
+   * Creates the input field for a platform
+   * @param {String} platform - Platform name from platformOptions
+   * @returns {HTMLTextAreaElement} The new textarea
+   */
+  function createPlatformInput(platform) {
+    usedPlatforms.push(platform);
     
     // Create the new platform input
     const platformInput = document.createElement('div');
     platformInput.className = 'platform-input';
     
-    const platformId = nextPlatform.toLowerCase().replace(/\s+/g, '-');
+    const platformId = platformKey(platform);
     
     platformInput.innerHTML = `
-      <label for="${platformId}-content">${nextPlatform}</label>
-      <textarea id="${platformId}-content" name="${platformId}" placeholder="Paste content from your ${nextPlatform} here..."></textarea>
+      <label for="${platformId}-content">${platform}</label>
+      <textarea id="${platformId}-content" name="${platformId}" placeholder="Paste content from your ${platform} here..."></textarea>
     `;
     
     platformInputs.appendChild(platformInput);
+    updateReferenceOptions();
+    
+    return platformInput.querySelector('textarea');
+  }
+  
+  /**
+   * Converts a platform name to the key used for its input and in requests
+   * @param {String} platform - Platform name
+   * @returns {String} Platform key
+   */
+  function platformKey(platform) {
+    return platform.toLowerCase().replace(/\s+/g, '-');
+  }
+  
+  /**
+   * Uploads files, extracts their text on the server and fills the platform inputs
+   * @param {FileList} fileList - Files chosen or dropped by the user
+   */
+  async function importFiles(fileList) {
+    if (fileList.length === 0) return;
+    
+    const formData = new FormData();
+    [...fileList].forEach(file => formData.append('files', file));
+    
+    importMessages.innerHTML = '';
+    
+    try {
+      const response = await fetch('/api/import', {
+        method: 'POST',
+        body: formData
+      });
+      
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || 'Server response was not ok');
+      }
+      
+      // Files imported together for the same platform are joined
+      const filled = new Set();
+      
+      result.files.forEach(file => {
+        const textarea = platformTextarea(file.platform);
+        
+        if (!textarea) {
+          addImportMessage(`${file.fileName}: no free platform input left`, true);
+          return;
+        }
+        
+        textarea.value = filled.has(textarea) ? `${textarea.value}\n\n${file.text}` : file.text;
+        filled.add(textarea);
+        
+        const label = textarea.parentElement.querySelector('label').textContent;
+        addImportMessage(`${file.fileName} → ${label}`);
+      });
+      
+      result.errors.forEach(error => addImportMessage(`${error.fileName}: ${error.error}`, true));
+    } catch (error) {
+      console.error('Error importing files:', error);
+      addImportMessage(`Import failed: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * Uploads social platform exports, filters their posts on the server and
+   * fills one platform input per platform (or per post)
+   * @param {FileList} fileList - Export files chosen by the user
+   */
+  async function importSocialExports(fileList) {
+    if (fileList.length === 0) return;
+    
+    const formData = new FormData();
+    [...fileList].forEach(file => formData.append('files', file));
+    formData.append('from', document.getElementById('social-from').value);
+    formData.append('to', document.getElementById('social-to').value);
+    formData.append('hashtags', document.getElementById('social-hashtags').value);
+    formData.append('mode', document.getElementById('social-mode').value);
+    
+    importMessages.innerHTML = '';
+    
+    try {
+      const response = await fetch('/api/import/social', {
+        method: 'POST',
+        body: formData
+      });
+      
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || 'Server response was not ok');
+      }
+      
+      result.exports.forEach(exported => {
+        addImportMessage(`${exported.fileName}: ${exported.posts.length} of ${exported.totalPosts} ${exported.platform} posts match`);
+      });
+      
+      for (const platform in result.platformContent) {
+        const textarea = platformTextarea(platform, true);
+        
+        if (!textarea) {
+          addImportMessage(`${platform}: no free platform input left`, true);
+          continue;
+        }
+        
+        textarea.value = result.platformContent[platform];
+      }
+      
+      result.errors.forEach(error => addImportMessage(`${error.fileName}: ${error.error}`, true));
+    } catch (error) {
+      console.error('Error importing social exports:', error);
+      addImportMessage(`Import failed: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * Finds or creates the input for an imported file's platform
+   * @param {String|null} platform - Platform key guessed by the server
+   * @param {Boolean} [exact] - Create an input for a platform key that is not in the list (e.g. "twitter-2")
+   * @returns {HTMLTextAreaElement|null} The textarea to fill, or null if none is available
+   */
+  function platformTextarea(platform, exact = false) {
+    if (platform) {
+      const existing = platformInputs.querySelector(`textarea[name="${platform}"]`);
+      if (existing) return existing;
+      
+      const option = platformOptions.find(p => platformKey(p) === platform);
+      if (option && !usedPlatforms.includes(option)) return createPlatformInput(option);
+      if (!option && exact) return createPlatformInput(platform);
+    }
+    
+    // Without a known platform, use the first empty input or the next free platform
+    const empty = [...platformInputs.querySelectorAll('textarea')].find(t => !t.value.trim());
+    if (empty) return empty;
+    
+    const available = platformOptions.find(p => !usedPlatforms.includes(p));
+    return available ? createPlatformInput(available) : null;
+  }
+  
+  /**
+   * Shows one line of import feedback under the drop area
+   * @param {String} message - Message text
+   * @param {Boolean} [isError] - Whether the message reports a problem
+   */
+  function addImportMessage(message, isError = false) {
+    const li = document.createElement('li');
+    li.textContent = message;
+    if (isError) li.className = 'import-error';
+    importMessages.appendChild(li);
   }
   
   /**
@@ -98,48 +504,436 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    const referencePlatform = referencePlatformSelect.value;
+    
+    if (referencePlatform && !platformContent[referencePlatform]) {
+      alert('Please provide content for the platform chosen as the source of truth.');
+      return;
+    }
+    
     // Show loading section
     inputSection.classList.add('hidden');
+    historySection.classList.add('hidden');
     loadingSection.classList.remove('hidden');
+    showProgress(0, 'Waiting to start...');
     
     try {
-      // Send data to server
-      const response = await fetch('/api/analyze', {
+      // Start the analysis as a background job on the server
+      const response = await fetch('/api/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ platformContent })
+        body: JSON.stringify({
+          platformContent,
+          brandProfile: brandProfileSelect.value || undefined,
+          referencePlatform: referencePlatform || undefined,
+          similarityMetric: similarityMetricSelect.value,
+          scoringPreset: scoringPresetSelect.value || undefined,
+          campaign: campaignNameInput.value.trim() || undefined
+        })
       });
       
       if (!response.ok) {
         throw new Error('Server response was not ok');
       }
       
-      const result = await response.json();
+      const job = await response.json();
+      followJob(job.id, platformContent);
+    } catch (error) {
+      analysisFailed(error);
+    }
+  }
+  
+  /**
+   * Follows the progress of an analysis job until it finishes
+   * @param {String} jobId - Job id
+   * @param {Object} platformContent - The content being analyzed, by platform
+   */
+  function followJob(jobId, platformContent) {
+    currentJobId = jobId;
+    jobEvents = new EventSource(`/api/jobs/${jobId}/events`);
+    
+    jobEvents.addEventListener('progress', e => {
+      const { progress } = JSON.parse(e.data);
+      showProgress(progress.percent, progress.stage ? `${stageLabels[progress.stage] || progress.stage}...` : 'Starting...');
+    });
+    
+    jobEvents.addEventListener('completed', e => {
+      stopFollowingJob();
       
       // Process and display results
-      displayResults(result);
+      const result = JSON.parse(e.data).result;
+      displayResults(result, result.analysisId, platformContent);
       
       // Hide loading, show results
       loadingSection.classList.add('hidden');
       resultsSection.classList.remove('hidden');
+    });
+    
+    jobEvents.addEventListener('failed', e => {
+      stopFollowingJob();
+      analysisFailed(new Error(JSON.parse(e.data).error));
+    });
+    
+    jobEvents.addEventListener('cancelled', () => {
+      stopFollowingJob();
+      showInputAfterLoading();
+    });
+    
+    // The browser retries dropped connections itself; only give up once it stops trying
+    jobEvents.onerror = () => {
+      if (jobEvents && jobEvents.readyState === EventSource.CLOSED) {
+        stopFollowingJob();
+        analysisFailed(new Error('Lost connection to the server'));
+      }
+    };
+  }
+  
+  /**
+   * Closes the progress stream of the current job
+   */
+  function stopFollowingJob() {
+    if (jobEvents) jobEvents.close();
+    jobEvents = null;
+    currentJobId = null;
+  }
+  
+  /**
+   * Cancels the running analysis job
+   */
+  async function cancelAnalysis() {
+    const jobId = currentJobId;
+    stopFollowingJob();
+    showInputAfterLoading();
+    
+    if (!jobId) return;
+    
+    try {
+      await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error cancelling analysis:', error);
+    }
+  }
+  
+  /**
+   * Updates the progress bar of the loading section
+   * @param {Number} percent - Percentage complete
+   * @param {String} stage - Description of the current stage
+   */
+  function showProgress(percent, stage) {
+    progressFill.style.width = `${percent}%`;
+    progressStage.textContent = stage;
+  }
+  
+  /**
+   * Reports a failed analysis and returns to the input screen
+   * @param {Error} error - What went wrong
+   */
+  function analysisFailed(error) {
+    console.error('Error analyzing content:', error);
+    alert('An error occurred while analyzing your content. Please try again.');
+    showInputAfterLoading();
+  }
+  
+  /**
+   * Goes back from the loading section to the input screen
+   */
+  function showInputAfterLoading() {
+    loadingSection.classList.add('hidden');
+    inputSection.classList.remove('hidden');
+    historySection.classList.remove('hidden');
+  }
+  
+  /**
+   * Loads the saved analyses matching the history filters
+   */
+  async function loadHistory() {
+    const params = new URLSearchParams();
+    if (historyCampaignInput.value.trim()) params.set('campaign', historyCampaignInput.value.trim());
+    if (historyFromInput.value) params.set('from', historyFromInput.value);
+    if (historyToInput.value) params.set('to', historyToInput.value);
+    
+    try {
+      const response = await fetch(`/api/analyses?${params}`);
+      if (!response.ok) {
+        throw new Error('Server response was not ok');
+      }
       
+      const { analyses } = await response.json();
+      displayHistory(analyses);
     } catch (error) {
-      console.error('Error analyzing content:', error);
-      alert('An error occurred while analyzing your content. Please try again.');
+      console.error('Error loading analysis history:', error);
+    }
+  }
+  
+  /**
+   * Lists saved analyses with buttons to reopen or delete each one
+   * @param {Array} analyses - Saved analysis summaries, newest first
+   */
+  function displayHistory(analyses) {
+    historyList.innerHTML = '';
+    
+    if (analyses.length === 0) {
+      historyList.innerHTML = '<li>No saved analyses yet.</li>';
+      return;
+    }
+    
+    analyses.forEach(analysis => {
+      const li = document.createElement('li');
       
-      // Go back to input screen
-      loadingSection.classList.add('hidden');
-      inputSection.classList.remove('hidden');
+      const badge = document.createElement('span');
+      badge.className = 'platform-score-badge';
+      badge.textContent = analysis.overallConsistencyScore;
+      badge.style.backgroundColor = getScoreColor(analysis.overallConsistencyScore);
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = analysis.id;
+      checkbox.className = 'history-select';
+      checkbox.setAttribute('aria-label', 'Select for comparison');
+      
+      const details = document.createElement('div');
+      details.className = 'history-details';
+      
+      const title = document.createElement('strong');
+      title.textContent = analysis.campaign || 'Untitled campaign';
+      
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = `${new Date(analysis.createdAt).toLocaleString()} · ${analysis.platforms.join(', ')}`;
+      
+      details.appendChild(title);
+      details.appendChild(meta);
+      
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'secondary-btn';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => openSavedAnalysis(analysis.id));
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'secondary-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteSavedAnalysis(analysis.id));
+      
+      li.appendChild(checkbox);
+      li.appendChild(badge);
+      li.appendChild(details);
+      li.appendChild(openBtn);
+      li.appendChild(deleteBtn);
+      
+      historyList.appendChild(li);
+    });
+  }
+  
+  /**
+   * Reopens a saved analysis in the results section
+   * @param {String} id - Saved analysis id
+   */
+  async function openSavedAnalysis(id) {
+    try {
+      const response = await fetch(`/api/analyses/${id}`);
+      if (!response.ok) {
+        throw new Error('Server response was not ok');
+      }
+      
+      const entry = await response.json();
+      
+      inputSection.classList.add('hidden');
+      historySection.classList.add('hidden');
+      resultsSection.classList.remove('hidden');
+      
+      displayResults(entry.results, entry.id, entry.inputs.platformContent);
+    } catch (error) {
+      console.error('Error opening analysis:', error);
+      alert('This analysis could not be opened.');
+    }
+  }
+  
+  /**
+   * Compares the two analyses ticked in the history list, older one first
+   */
+  async function compareSelectedAnalyses() {
+    const selected = [...historyList.querySelectorAll('.history-select:checked')]
+      .map(checkbox => checkbox.value);
+    
+    if (selected.length !== 2) {
+      alert('Please select exactly two analyses to compare.');
+      return;
+    }
+    
+    // The history list is newest first, so the second selection is the earlier run
+    const [after, before] = selected;
+    
+    try {
+      const response = await fetch('/api/analyses/compare', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ before, after })
+      });
+      
+      if (!response.ok) {
+        throw new Error('Server response was not ok');
+      }
+      
+      const result = await response.json();
+      
+      displayComparison(result);
+      
+      inputSection.classList.add('hidden');
+      historySection.classList.add('hidden');
+      comparisonSection.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error comparing analyses:', error);
+      alert('These analyses could not be compared.');
+    }
+  }
+  
+  /**
+   * Displays the before/after view of two analysis runs
+   * @param {Object} result - Comparison from the server
+   */
+  function displayComparison(result) {
+    const comparison = result.comparison;
+    
+    document.getElementById('comparison-runs').textContent =
+      `${result.before.campaign || 'Untitled campaign'} (${new Date(result.before.createdAt).toLocaleString()}) → ` +
+      `${result.after.campaign || 'Untitled campaign'} (${new Date(result.after.createdAt).toLocaleString()})`;
+    
+    fillList('comparison-warnings', result.warnings);
+    
+    // Overall score
+    const beforeScoreEl = document.getElementById('comparison-before-score');
+    const afterScoreEl = document.getElementById('comparison-after-score');
+    beforeScoreEl.textContent = comparison.overallScore.before;
+    afterScoreEl.textContent = comparison.overallScore.after;
+    beforeScoreEl.parentElement.style.backgroundColor = getScoreColor(comparison.overallScore.before);
+    afterScoreEl.parentElement.style.backgroundColor = getScoreColor(comparison.overallScore.after);
+    
+    const scoreChangeEl = document.getElementById('comparison-score-change');
+    scoreChangeEl.textContent = formatChange(comparison.overallScore.change);
+    scoreChangeEl.className = `comparison-change ${changeClass(comparison.overallScore.change)}`;
+    
+    // Dimensions
+    const dimensionRows = document.getElementById('comparison-dimensions');
+    dimensionRows.innerHTML = '';
+    
+    for (const dimension in comparison.dimensions) {
+      const { before, after, change } = comparison.dimensions[dimension];
+      const isCount = dimension === 'factConflicts';
+      const format = value => isCount ? String(value) : `${(value * 100).toFixed(0)}%`;
+      
+      const row = document.createElement('tr');
+      [dimensionLabels[dimension] || dimension, format(before), format(after)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      
+      // Fewer fact conflicts is an improvement
+      const changeCell = document.createElement('td');
+      changeCell.textContent = isCount ? formatChange(change) : formatChange(change * 100, '%');
+      changeCell.className = changeClass(isCount ? -change : change);
+      row.appendChild(changeCell);
+      
+      dimensionRows.appendChild(row);
+    }
+    
+    fillList('comparison-keywords', [
+      ...comparison.keywords.nowShared.map(k => `Now shared by every platform: "${k}"`),
+      ...comparison.keywords.noLongerShared.map(k => `No longer shared: "${k}"`)
+    ], 'No change in shared keywords');
+    
+    fillList('comparison-tones', comparison.toneShifts.map(
+      shift => `${shift.platform}: ${shift.before} → ${shift.after}`
+    ), 'No tone shifts');
+    
+    fillList('comparison-similarity', comparison.similarityChanges.map(
+      pair => `${pair.platforms.join(' / ')}: ${(pair.before * 100).toFixed(0)}% → ${(pair.after * 100).toFixed(0)}%`
+    ), 'No notable similarity changes');
+    
+    fillList('comparison-recommendations', [
+      ...comparison.recommendations.resolved.map(rec => `Resolved: ${rec.title}`),
+      ...comparison.recommendations.new.map(rec => `New: ${rec.title}`)
+    ], 'No change in recommendations');
+  }
+  
+  /**
+   * Replaces the items of a list with one item per text
+   * @param {String} id - List element id
+   * @param {Array} items - Item texts
+   * @param {String} [emptyText] - Text shown when there are no items
+   */
+  function fillList(id, items, emptyText) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    
+    const texts = items.length === 0 && emptyText ? [emptyText] : items;
+    
+    texts.forEach(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+  
+  /**
+   * Formats a change with an explicit sign
+   * @param {Number} change - The change
+   * @param {String} [unit] - Unit appended to the number
+   * @returns {String} Formatted change
+   */
+  function formatChange(change, unit = '') {
+    const rounded = Math.round(change);
+    return `${rounded > 0 ? '+' : ''}${rounded}${unit}`;
+  }
+  
+  /**
+   * Returns the CSS class for an improvement or a regression
+   * @param {Number} change - The change (positive is better)
+   * @returns {String} CSS class name
+   */
+  function changeClass(change) {
+    if (change > 0) return 'change-up';
+    if (change < 0) return 'change-down';
+    return '';
+  }
+  
+  /**
+   * Deletes a saved analysis after confirmation
+   * @param {String} id - Saved analysis id
+   */
+  async function deleteSavedAnalysis(id) {
+    if (!confirm('Delete this saved analysis?')) return;
+    
+    try {
+      const response = await fetch(`/api/analyses/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error('Server response was not ok');
+      }
+      
+      loadHistory();
+    } catch (error) {
+      console.error('Error deleting analysis:', error);
+      alert('This analysis could not be deleted.');
     }
   }
   
   /**
    * Displays analysis results
    * @param {Object} results - The analysis results from the server
+   * @param {String} [analysisId] - Id of the saved analysis, which reports are exported from
+   * @param {Object} [platformContent] - The analyzed content by platform, shown with its highlights
    */
-  function displayResults(results) {
+  function displayResults(results, analysisId = results.analysisId, platformContent = {}) {
+    // Only saved analyses can be exported
+    currentAnalysisId = analysisId || null;
+    reportExportEl.classList.toggle('hidden', !currentAnalysisId);
+    
     // 1. Set overall consistency score
     consistencyScoreEl.textContent = results.overallConsistencyScore;
     
@@ -147,17 +941,115 @@ document.addEventListener('DOMContentLoaded', () => {
     const scoreColor = getScoreColor(results.overallConsistencyScore);
     document.querySelector('.score-circle').style.backgroundColor = scoreColor;
     
+    // Show how much each platform agrees with the rest, and which languages were compared
+    displayPlatformScores(results.platformScores, results.languageAnalysis);
+    displayLanguageNotices(results.languageAnalysis);
+    
     // 2. Create charts
     createSentimentChart(results.sentimentAnalysis);
     createKeywordChart(results.keywordAnalysis);
     createToneChart(results.toneAnalysis);
+    createReadabilityChart(results.readabilityAnalysis);
     createSimilarityChart(results.similarityMatrix);
     
-    // 3. Set text analysis summaries
+    // 3. Set text analysis summaries and the evidence behind each result
     setAnalysisSummaries(results);
+    displayEvidence(results);
+    
+    // 4. Highlight the words behind the results in each platform's content
+    displayAnnotations(results, platformContent);
+    
+    // 5. Display hashtags, mentions, emoji, links and calls to action
+    displaySocialSignals(results.socialSignals, results.languageAnalysis);
+    
+    // 6. Display each platform's rule pack violations
+    displayPlatformRules(results.platformRules);
+    
+    // 7. Display the sentence alignment between platforms
+    displaySentenceAlignment(results.sentenceAlignment);
     
-    // 4. Display recommendations
+    // 8. Display brand compliance, if a brand profile was used
+    displayBrandCompliance(results.brandCompliance);
+    
+    // 9. Display the comparison with the source of truth, if one was chosen
+    displayReferenceAnalysis(results.referenceAnalysis);
+    
+    // 10. Display recommendations
     displayRecommendations(results.recommendations);
+    
+    // 11. Display suggested edits that can be accepted one by one
+    displayRewriteSuggestions(results.rewriteSuggestions);
+  }
+  
+  /**
+   * Builds the export URL of the analysis currently shown
+   * @param {String} format - Report format (html, markdown, csv or json)
+   * @param {Boolean} [download] - Whether the server should send the report as a file
+   * @returns {String} Report URL
+   */
+  function reportUrl(format, download = true) {
+    return `/api/analyses/${currentAnalysisId}/report?format=${format}${download ? '' : '&download=false'}`;
+  }
+  
+  /**
+   * Displays each platform's score next to the overall score, flagging the outlier
+   * @param {Object} platformScoreData - Per-platform scores and outlier
+   * @param {Object} [languageData] - Language of each platform (missing in analyses saved before it was added)
+   */
+  function displayPlatformScores(platformScoreData, languageData) {
+    platformScoresList.innerHTML = '';
+    
+    for (const platform in platformScoreData.platforms) {
+      const { score, outlier } = platformScoreData.platforms[platform];
+      
+      const li = document.createElement('li');
+      
+      const badge = document.createElement('span');
+      badge.className = 'platform-score-badge';
+      badge.textContent = score;
+      badge.style.backgroundColor = getScoreColor(score);
+      
+      const name = document.createElement('span');
+      name.textContent = platform;
+      
+      li.appendChild(badge);
+      li.appendChild(name);
+      
+      // Only worth showing when the platforms are not all in one language
+      if (languageData && languageData.mixed) {
+        const language = document.createElement('span');
+        language.className = 'platform-language';
+        language.textContent = languageData.platformLanguages[platform].name;
+        li.appendChild(language);
+      }
+      
+      if (outlier) {
+        const flag = document.createElement('span');
+        flag.className = 'outlier-flag';
+        flag.textContent = 'Outlier';
+        li.appendChild(flag);
+      }
+      
+      platformScoresList.appendChild(li);
+    }
+  }
+  
+  /**
+   * Lists the notices about platform languages: comparisons skipped because
+   * platforms are written in different languages, or a language that could not be detected
+   * @param {Object} [languageData] - Language analysis data (missing in analyses saved before it was added)
+   */
+  function displayLanguageNotices(languageData) {
+    languageNoticesList.innerHTML = '';
+    
+    const notices = languageData ? languageData.notices : [];
+    languageNoticesList.classList.toggle('hidden', notices.length === 0);
+    
+    notices.forEach(notice => {
+      const li = document.createElement('li');
+      li.textContent = notice;
+      languageNoticesList.appendChild(li);
+    });
   }
   
   /**
@@ -251,22 +1143,15 @@ document.addEventListener('DOMContentLoaded', () => {
    */
   function createToneChart(toneData) {
     const platforms = Object.keys(toneData.platformTones);
-    const toneCategories = ['formal', 'casual', 'professional', 'promotional'];
+    const toneCategories = toneData.categories;
     
     // Prepare datasets
     const datasets = toneCategories.map((tone, index) => {
-      const colors = [
-        'rgba(74, 111, 165, 0.7)',
-        'rgba(61, 153, 112, 0.7)',
-        'rgba(252, 196, 25, 0.7)',
-        'rgba(214, 69, 65, 0.7)'
-      ];
-      
       return {
         label: tone.charAt(0).toUpperCase() + tone.slice(1),
         data: platforms.map(p => toneData.platformTones[p].scores[tone]),
-        backgroundColor: colors[index % colors.length],
-        borderColor: colors[index % colors.length].replace('0.7', '1'),
+        backgroundColor: toneColors[index % toneColors.length],
+        borderColor: toneColors[index % toneColors.length].replace('0.7', '1'),
         borderWidth: 1
       };
     });
@@ -284,11 +1169,67 @@ document.addEventListener('DOMContentLoaded', () => {
         responsive: true,
         maintainAspectRatio: false,
         scales: {
-          r: {
-            angleLines: {
-              display: true
-            },
-            min: 0
+          r: {
+            angleLines: {
+              display: true
+            },
+            min: 0
+          }
+        }
+      }
+    });
+  }
+  
+  /**
+   * Creates a chart of each platform's reading grade level
+   * @param {Object} [readabilityData] - Readability analysis data (missing in analyses saved before it was added)
+   */
+  function createReadabilityChart(readabilityData) {
+    // Destroy previous chart if it exists
+    Chart.getChart(readabilityChart)?.destroy();
+    
+    if (!readabilityData) return;
+    
+    const readability = readabilityData.platformReadability;
+    const platforms = Object.keys(readability);
+    
+    new Chart(readabilityChart, {
+      type: 'bar',
+      data: {
+        labels: platforms,
+        datasets: [{
+          label: 'Grade Level',
+          data: platforms.map(p => readability[p].gradeLevel),
+          backgroundColor: 'rgba(142, 68, 173, 0.7)',
+          borderColor: 'rgba(142, 68, 173, 1)',
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Grade Level (Flesch-Kincaid)'
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              afterLabel: context => {
+                const metrics = readability[context.label];
+                return [
+                  `Reading ease: ${metrics.fleschReadingEase.toFixed(0)}`,
+                  `Words per sentence: ${metrics.averageSentenceLength.toFixed(1)}`,
+                  `Passive sentences: ${(metrics.passiveVoiceRatio * 100).toFixed(0)}%`,
+                  `Long words: ${(metrics.longWordShare * 100).toFixed(0)}%`
+                ];
+              }
+            }
           }
         }
       }
@@ -302,10 +1243,12 @@ document.addEventListener('DOMContentLoaded', () => {
   function createSimilarityChart(similarityData) {
     const platforms = Object.keys(similarityData.matrix);
     
-    // Convert matrix to array of objects for heatmap
+    // Convert matrix to array of objects for heatmap; platforms in different languages have no cell
     const data = [];
     for (let i = 0; i < platforms.length; i++) {
       for (let j = 0; j < platforms.length; j++) {
+        if (similarityData.matrix[platforms[i]][platforms[j]] === null) continue;
+        
         data.push({
           x: platforms[i],
           y: platforms[j],
@@ -371,29 +1314,633 @@ document.addEventListener('DOMContentLoaded', () => {
    * @param {Object} results - The analysis results
    */
   function setAnalysisSummaries(results) {
+    // Thresholds come from the scoring configuration the server applied
+    const thresholds = results.scoringConfig.thresholds;
+    
     // Sentiment analysis summary
     const sentimentVariance = results.sentimentAnalysis.variance;
-    sentimentAnalysisEl.textContent = sentimentVariance < 0.2 
+    sentimentAnalysisEl.textContent = sentimentVariance < thresholds.sentimentVariance
       ? `Your content maintains a consistent emotional tone across platforms (variance: ${sentimentVariance.toFixed(2)}).` 
       : `Your content shows significant emotional tone variation across platforms (variance: ${sentimentVariance.toFixed(2)}).`;
     
-    // Keyword analysis summary
+    // Keyword analysis summary; there is no score when no two platforms share a language
     const keywordScore = results.keywordAnalysis.consistencyScore;
-    keywordAnalysisEl.textContent = keywordScore > 0.7
+    keywordAnalysisEl.textContent = keywordScore === null
+      ? notComparedSummary('Key messaging terms')
+      : keywordScore > thresholds.keywordConsistency
       ? `Your key messaging terms are consistently used across platforms (${(keywordScore * 100).toFixed(0)}% consistency).`
       : `Your key messaging terms vary significantly across platforms (${(keywordScore * 100).toFixed(0)}% consistency).`;
     
     // Tone analysis summary
     const toneScore = results.toneAnalysis.consistencyScore;
-    toneAnalysisEl.textContent = toneScore > 0.7
+    toneAnalysisEl.textContent = toneScore > thresholds.toneConsistency
       ? `Your communication style is consistent across platforms (${(toneScore * 100).toFixed(0)}% consistency).`
       : `Your communication style varies across platforms (${(toneScore * 100).toFixed(0)}% consistency).`;
     
+    // Readability summary
+    if (results.readabilityAnalysis && results.readabilityAnalysis.consistencyScore === null) {
+      readabilityAnalysisEl.textContent = notComparedSummary('Readability');
+    } else if (results.readabilityAnalysis) {
+      const readabilityScore = results.readabilityAnalysis.consistencyScore;
+      const grades = results.readabilityAnalysis.variation.gradeLevel;
+      const gradeRange = `grade ${grades.min.toFixed(0)} to ${grades.max.toFixed(0)}`;
+      readabilityAnalysisEl.textContent = readabilityScore > thresholds.readabilityConsistency
+        ? `Your content is about equally easy to read on every platform (${gradeRange}, ${(readabilityScore * 100).toFixed(0)}% consistency).`
+        : `Your content is much harder to read on some platforms than on others (${gradeRange}, ${(readabilityScore * 100).toFixed(0)}% consistency).`;
+    } else {
+      readabilityAnalysisEl.textContent = 'Readability was not measured for this analysis.';
+    }
+    
     // Similarity analysis summary
     const avgSimilarity = results.similarityMatrix.averageSimilarity;
-    similarityAnalysisEl.textContent = avgSimilarity > 0.6
-      ? `Your content is structurally similar across platforms (${(avgSimilarity * 100).toFixed(0)}% average similarity).`
-      : `Your content structure varies significantly across platforms (${(avgSimilarity * 100).toFixed(0)}% average similarity).`;
+    const similarityMetric = results.similarityMatrix.metric;
+    similarityAnalysisEl.textContent = avgSimilarity === null
+      ? notComparedSummary('Content structure')
+      : avgSimilarity > thresholds.similarityConsistency
+      ? `Your content is structurally similar across platforms (${(avgSimilarity * 100).toFixed(0)}% average ${similarityMetric} similarity).`
+      : `Your content structure varies significantly across platforms (${(avgSimilarity * 100).toFixed(0)}% average ${similarityMetric} similarity).`;
+  }
+  
+  /**
+   * Explains a result that has no score because every platform is written in a different language
+   * @param {String} subject - What was not compared
+   * @returns {String} Summary text
+   */
+  function notComparedSummary(subject) {
+    return `${subject} could not be compared: no two platforms are written in the same language.`;
+  }
+  
+  /**
+   * Fills the expandable evidence panels: what each result card's number is based on
+   * @param {Object} results - The analysis results
+   */
+  function displayEvidence(results) {
+    // Overall score: each component's weighted contribution and the fact penalty
+    const breakdown = results.scoreBreakdown;
+    fillEvidence(scoreEvidenceEl, breakdown ? [{
+      items: Object.entries(breakdown.components)
+        .map(([component, { score, weight, contribution }]) =>
+          `${dimensionLabels[component] || component}: ${(score * 100).toFixed(0)}% × weight ${weight} = ${contribution.toFixed(1)} points`)
+        .concat(breakdown.factPenalty.points > 0
+          ? [`${dimensionLabels.factConflicts} (${breakdown.factPenalty.conflicts}): -${breakdown.factPenalty.points} points`]
+          : [])
+        .concat([`Overall score: ${breakdown.score}`])
+    }] : null);
+    
+    // Sentiment: the words that scored, negation already applied
+    const sentiments = results.sentimentAnalysis.platformSentiments;
+    fillEvidence(sentimentEvidenceEl, Object.keys(sentiments).map(platform => {
+      const { drivers, positive, negative } = sentiments[platform];
+      return {
+        heading: platform,
+        items: drivers
+          ? drivers.map(({ word, score, count }) => `${word}${count > 1 ? ` ×${count}` : ''}: ${score > 0 ? '+' : ''}${score}`)
+          : [`Positive: ${positive.join(', ') || 'none'}`, `Negative: ${negative.join(', ') || 'none'}`]
+      };
+    }));
+    
+    // Keywords: shared by every platform, and missing per platform
+    const keywordData = results.keywordAnalysis;
+    fillEvidence(keywordEvidenceEl, [{
+      heading: results.languageAnalysis && results.languageAnalysis.mixed ? 'On every platform in the same language' : 'On every platform',
+      items: keywordData.consistentKeywords
+    }].concat(Object.keys(keywordData.platformKeywords)
+      .filter(platform => keywordData.platformKeywords[platform].missingKeywords)
+      .map(platform => ({
+        heading: `Missing from ${platform}`,
+        items: keywordData.platformKeywords[platform].missingKeywords
+      }))));
+    
+    // Tone: the taxonomy markers that matched
+    const tones = results.toneAnalysis.platformTones;
+    fillEvidence(toneEvidenceEl, Object.keys(tones).map(platform => ({
+      heading: `${platform} (${tones[platform].dominantTone})`,
+      items: Object.entries(tones[platform].matchedMarkers || {})
+        .filter(([, markers]) => Object.keys(markers).length > 0)
+        .map(([tone, markers]) => `${tone}: ${Object.entries(markers)
+          .map(([marker, count]) => (count > 1 ? `${marker} ×${count}` : marker))
+          .join(', ')}`)
+    })));
+    
+    // Readability: the metrics behind each platform's grade level
+    const readability = results.readabilityAnalysis;
+    fillEvidence(readabilityEvidenceEl, readability ? Object.keys(readability.platformReadability).map(platform => {
+      const metrics = readability.platformReadability[platform];
+      return {
+        heading: platform,
+        items: [
+          `Grade level ${metrics.gradeLevel.toFixed(1)}, reading ease ${metrics.fleschReadingEase.toFixed(0)}`,
+          `${metrics.averageSentenceLength.toFixed(1)} words per sentence`,
+          `${(metrics.passiveVoiceRatio * 100).toFixed(0)}% passive sentences, ${(metrics.longWordShare * 100).toFixed(0)}% long words`
+        ]
+      };
+    }) : null);
+    
+    // Similarity: the terms each pair of platforms shares under the chosen metric
+    const overlap = results.similarityMatrix.overlap;
+    const pairs = [];
+    if (overlap) {
+      const platforms = Object.keys(overlap);
+      platforms.forEach((platform1, i) => {
+        platforms.slice(i + 1).forEach(platform2 => {
+          // Platforms in different languages are not compared
+          if (!overlap[platform1][platform2]) return;
+          
+          const { count, terms } = overlap[platform1][platform2];
+          pairs.push({
+            heading: `${platform1} and ${platform2}: ${count} shared`,
+            items: [terms.join(', ') + (count > terms.length ? ', …' : '')].filter(Boolean)
+          });
+        });
+      });
+    }
+    fillEvidence(similarityEvidenceEl, overlap ? pairs : null);
+  }
+  
+  /**
+   * Renders evidence as headed lists
+   * @param {HTMLElement} container - Evidence panel body
+   * @param {Array|null} groups - { heading, items } groups, or null when the analysis has no evidence (saved before it was added)
+   */
+  function fillEvidence(container, groups) {
+    container.innerHTML = '';
+    
+    if (!groups) {
+      const empty = document.createElement('p');
+      empty.className = 'evidence-empty';
+      empty.textContent = 'No evidence was saved with this analysis.';
+      container.appendChild(empty);
+      return;
+    }
+    
+    groups.forEach(({ heading, items }) => {
+      if (heading) {
+        const h4 = document.createElement('h4');
+        h4.textContent = heading;
+        container.appendChild(h4);
+      }
+      
+      const list = document.createElement('ul');
+      (items.length > 0 ? items : ['none']).forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    });
+  }
+  
+  /**
+   * Fills the platform pickers for the side-by-side sentence alignment view
+   * @param {Object} alignmentData - Sentence alignment data
+   */
+  function displaySentenceAlignment(alignmentData) {
+    currentAlignment = alignmentData;
+    const platforms = Object.keys(alignmentData.platformSentences);
+    
+    [alignmentLeftSelect, alignmentRightSelect].forEach((select, index) => {
+      select.innerHTML = '';
+      
+      platforms.forEach(platform => {
+        const option = document.createElement('option');
+        option.value = platform;
+        option.textContent = platform;
+        select.appendChild(option);
+      });
+      
+      select.value = platforms[Math.min(index, platforms.length - 1)];
+    });
+    
+    renderAlignment();
+  }
+  
+  /**
+   * Renders the selected pair of platforms side by side, one row per sentence
+   */
+  function renderAlignment() {
+    alignmentRows.innerHTML = '';
+    
+    const left = alignmentLeftSelect.value;
+    const right = alignmentRightSelect.value;
+    
+    alignmentLeftHeading.textContent = left;
+    alignmentRightHeading.textContent = right;
+    
+    if (!currentAlignment || left === right) return;
+    
+    // Sentences are only aligned between platforms in the same language
+    const { comparedWith } = currentAlignment;
+    if (comparedWith && !comparedWith[left].includes(right)) {
+      addAlignmentRow(`${left} and ${right} are written in different languages, so their sentences were not aligned.`, '', '');
+      return;
+    }
+    
+    const leftSentences = currentAlignment.platformSentences[left];
+    const rightSentences = currentAlignment.platformSentences[right];
+    
+    // Each left sentence next to its best match on the right
+    leftSentences.forEach(sentence => {
+      const match = sentence.matches[right];
+      addAlignmentRow(sentence.text, match.status, match.text || '');
+    });
+    
+    // Right sentences with no counterpart on the left
+    rightSentences
+      .filter(sentence => sentence.matches[left].status === 'unique')
+      .forEach(sentence => addAlignmentRow('', 'unique', sentence.text));
+  }
+  
+  /**
+   * Adds one row to the sentence alignment table
+   * @param {String} leftText - Sentence on the left platform
+   * @param {String} status - Alignment status (shared, paraphrased, changed or unique)
+   * @param {String} rightText - Sentence on the right platform
+   */
+  function addAlignmentRow(leftText, status, rightText) {
+    const row = document.createElement('tr');
+    row.className = `status-${status}`;
+    
+    [leftText, status, rightText].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    
+    alignmentRows.appendChild(row);
+  }
+  
+  /**
+   * Describes how consistently a group of platforms uses its main call to action
+   * @param {Object} cta - { mostCommon, consistent, platformsWithout } of the campaign or of one language
+   * @param {String} label - What the call to action is called in the summary
+   * @returns {String} Summary text
+   */
+  function callToActionSummary(cta, label) {
+    if (!cta.mostCommon) return 'No call to action';
+    
+    return `${label}: "${cta.mostCommon}"${cta.consistent
+      ? ' (used everywhere)'
+      : cta.platformsWithout.length > 0 ? ` (missing from ${cta.platformsWithout.join(', ')})` : ' (differs between platforms)'}`;
+  }
+  
+  /**
+   * Displays per-platform compliance with the selected brand profile
+   * @param {Object} complianceData - Brand compliance data (absent when no profile was used)
+   */
+  function displayBrandCompliance(complianceData) {
+    brandComplianceList.innerHTML = '';
+    
+    if (!complianceData) {
+      brandComplianceEl.classList.add('hidden');
+      return;
+    }
+    
+    brandComplianceEl.classList.remove('hidden');
+    brandComplianceScoreEl.textContent = `(${complianceData.profile}: ${complianceData.score}%)`;
+    
+    for (const platform in complianceData.platformCompliance) {
+      const compliance = complianceData.platformCompliance[platform];
+      
+      const item = document.createElement('div');
+      item.className = 'compliance-item';
+      
+      const title = document.createElement('strong');
+      title.textContent = `${platform}: ${Math.round(compliance.score * 100)}%`;
+      item.appendChild(title);
+      
+      const violations = document.createElement('ul');
+      
+      if (compliance.violations.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No violations';
+        violations.appendChild(li);
+      }
+      
+      compliance.violations.forEach(violation => {
+        const li = document.createElement('li');
+        li.className = `severity-${violation.severity}`;
+        li.textContent = violation.message;
+        violations.appendChild(li);
+      });
+      
+      item.appendChild(violations);
+      brandComplianceList.appendChild(item);
+    }
+  }
+  
+  /**
+   * Shows a tab per platform with its content and the keywords, tone markers
+   * and sentiment words the analysis matched highlighted
+   * @param {Object} results - The analysis results
+   * @param {Object} platformContent - The analyzed content by platform
+   */
+  function displayAnnotations(results, platformContent) {
+    annotationTabs.innerHTML = '';
+    annotationToneLegend.innerHTML = '';
+    annotationText.innerHTML = '';
+    
+    // Analyses saved before match offsets were returned cannot be annotated
+    const platforms = Object.keys(platformContent).filter(platform => {
+      const tone = results.toneAnalysis.platformTones[platform];
+      return tone && tone.markerMatches;
+    });
+    
+    if (platforms.length === 0) {
+      annotatedContentEl.classList.add('hidden');
+      return;
+    }
+    
+    annotatedContentEl.classList.remove('hidden');
+    
+    results.toneAnalysis.categories.forEach(tone => {
+      const item = document.createElement('span');
+      item.style.backgroundColor = toneColor(results.toneAnalysis.categories, tone);
+      item.textContent = tone;
+      annotationToneLegend.appendChild(item);
+    });
+    
+    platforms.forEach((platform, index) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'annotation-tab';
+      tab.setAttribute('role', 'tab');
+      tab.textContent = platform;
+      
+      tab.addEventListener('click', () => {
+        annotationTabs.querySelectorAll('.annotation-tab').forEach(other => {
+          other.classList.toggle('active', other === tab);
+          other.setAttribute('aria-selected', other === tab);
+        });
+        renderAnnotatedText(platformContent[platform], collectAnnotations(results, platform));
+      });
+      
+      annotationTabs.appendChild(tab);
+      if (index === 0) tab.click();
+    });
+  }
+  
+  /**
+   * Lists what the analysis matched in one platform's content, with an explanation of each match
+   * @param {Object} results - The analysis results
+   * @param {String} platform - Platform name
+   * @returns {Array} { start, end, className, color, note } character ranges
+   */
+  function collectAnnotations(results, platform) {
+    const annotations = [];
+    const { keywordPresence } = results.keywordAnalysis;
+    const { categories } = results.toneAnalysis;
+    
+    results.keywordAnalysis.platformKeywords[platform].keywordMatches.forEach(({ keyword, start, end }) => {
+      const others = keywordPresence[keyword].platforms.filter(p => p !== platform);
+      
+      annotations.push({
+        start,
+        end,
+        className: others.length > 0 ? 'keyword-shared' : 'keyword-unique',
+        note: others.length > 0
+          ? `Shared keyword "${keyword}", also a top keyword on ${others.join(', ')}`
+          : `Keyword "${keyword}" is a top keyword only on ${platform}`
+      });
+    });
+    
+    results.toneAnalysis.platformTones[platform].markerMatches.forEach(({ tone, term, start, end }) => {
+      annotations.push({
+        start,
+        end,
+        className: 'tone-marker',
+        color: toneColor(categories, tone),
+        note: `${tone.charAt(0).toUpperCase() + tone.slice(1)} tone marker "${term}"`
+      });
+    });
+    
+    results.sentimentAnalysis.platformSentiments[platform].scoredWords.forEach(({ word, score, start, end }) => {
+      annotations.push({
+        start,
+        end,
+        className: score > 0 ? 'sentiment-positive' : 'sentiment-negative',
+        note: `${score > 0 ? 'Positive' : 'Negative'} word "${word}" (${score > 0 ? '+' : ''}${score} sentiment)`
+      });
+    });
+    
+    return annotations;
+  }
+  
+  /**
+   * Renders content with a highlight for every annotated range; where
+   * annotations overlap, the highlight combines them and explains them all
+   * @param {String} content - Platform content
+   * @param {Array} annotations - Annotated ranges from collectAnnotations
+   */
+  function renderAnnotatedText(content, annotations) {
+    annotationText.innerHTML = '';
+    
+    // Split the content wherever an annotation starts or ends
+    const points = [...new Set([0, content.length, ...annotations.flatMap(a => [a.start, a.end])])]
+      .sort((a, b) => a - b);
+    const sorted = annotations.slice().sort((a, b) => a.start - b.start);
+    let next = 0;
+    let active = [];
+    
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const text = content.slice(from, points[i + 1]);
+      
+      while (next < sorted.length && sorted[next].start <= from) active.push(sorted[next++]);
+      active = active.filter(annotation => annotation.end > from);
+      
+      if (active.length === 0) {
+        annotationText.appendChild(document.createTextNode(text));
+        continue;
+      }
+      
+      const mark = document.createElement('mark');
+      mark.className = [...new Set(active.map(annotation => annotation.className))].join(' ');
+      mark.title = active.map(annotation => annotation.note).join('\n');
+      mark.textContent = text;
+      
+      const toneMarker = active.find(annotation => annotation.color);
+      if (toneMarker) mark.style.backgroundColor = toneMarker.color;
+      
+      annotationText.appendChild(mark);
+    }
+  }
+  
+  /**
+   * Picks a tone's highlight color, matching its color in the tone chart
+   * @param {Array} categories - Tone categories in taxonomy order
+   * @param {String} tone - Tone name
+   * @returns {String} CSS color
+   */
+  function toneColor(categories, tone) {
+    return toneColors[categories.indexOf(tone) % toneColors.length].replace('0.7', '0.35');
+  }
+  
+  /**
+   * Displays the social signals of each platform and whether the campaign
+   * hashtag and call to action match across platforms
+   * @param {Object} [socialData] - Social signal data (missing in analyses saved before it was added)
+   * @param {Object} [languageData] - Language of each platform (missing in analyses saved before it was added)
+   */
+  function displaySocialSignals(socialData, languageData) {
+    socialList.innerHTML = '';
+    
+    if (!socialData) {
+      socialSignalsEl.classList.add('hidden');
+      return;
+    }
+    
+    socialSignalsEl.classList.remove('hidden');
+    
+    const hashtag = socialData.campaignHashtag;
+    const cta = socialData.callToAction;
+    
+    // Calls to action are compared within each language, so each language gets its own
+    const ctaGroups = Object.entries(cta.groups || {});
+    const ctaSummaries = ctaGroups.length > 1 && languageData
+      ? ctaGroups.map(([, group]) =>
+        callToActionSummary(group, `${languageData.platformLanguages[group.platforms[0]].name} call to action`))
+      : [callToActionSummary(cta, 'Main call to action')];
+    
+    socialSummaryEl.textContent = [
+      hashtag
+        ? `Campaign hashtag: ${hashtag.tag}${hashtag.missingFrom.length > 0 ? ` (missing from ${hashtag.missingFrom.join(', ')})` : ' (used everywhere)'}`
+        : 'No campaign hashtag'
+    ].concat(ctaSummaries).join(' · ');
+    
+    for (const platform in socialData.platformSignals) {
+      const signals = socialData.platformSignals[platform];
+      const list = (items, format) => items.length > 0 ? items.map(format).join(', ') : 'none';
+      
+      const item = document.createElement('div');
+      item.className = 'social-item';
+      
+      const title = document.createElement('strong');
+      title.textContent = platform;
+      item.appendChild(title);
+      
+      const details = document.createElement('ul');
+      [
+        `Hashtags: ${list(signals.hashtags, h => h.count > 1 ? `${h.tag} ×${h.count}` : h.tag)}`,
+        `Mentions: ${list(signals.mentions, m => m.handle)}`,
+        `Emoji: ${signals.emojiCount > 0
+          ? `${signals.emoji.map(e => e.emoji).join(' ')} (sentiment ${signals.emojiSentiment.comparative.toFixed(1)})`
+          : 'none'}`,
+        `Links: ${list(signals.links, link => link)}`,
+        `Call to action: ${signals.mainCta ? `"${signals.mainCta}"` : 'none'}`
+      ].forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        details.appendChild(li);
+      });
+      
+      item.appendChild(details);
+      socialList.appendChild(item);
+    }
+  }
+  
+  /**
+   * Displays whether each platform follows the rules of its channel
+   * @param {Object} [rulesData] - Platform rule results (missing in analyses saved before they were added)
+   */
+  function displayPlatformRules(rulesData) {
+    platformRulesList.innerHTML = '';
+    
+    if (!rulesData) {
+      platformRulesEl.classList.add('hidden');
+      return;
+    }
+    
+    platformRulesEl.classList.remove('hidden');
+    
+    for (const platform in rulesData.platformRules) {
+      const rules = rulesData.platformRules[platform];
+      
+      const item = document.createElement('div');
+      item.className = 'rules-item';
+      
+      const title = document.createElement('strong');
+      title.textContent = rules.pack && rules.pack !== platform ? `${platform} (${rules.label} rules)` : platform;
+      item.appendChild(title);
+      
+      const violations = document.createElement('ul');
+      
+      if (rules.violations.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = rules.pack ? `Follows the ${rules.label} rules` : 'No rule pack for this platform';
+        violations.appendChild(li);
+      }
+      
+      rules.violations.forEach(violation => {
+        const li = document.createElement('li');
+        li.className = 'severity-medium';
+        li.textContent = violation.message;
+        violations.appendChild(li);
+      });
+      
+      item.appendChild(violations);
+      platformRulesList.appendChild(item);
+    }
+  }
+  
+  /**
+   * Displays how each platform compares with the source of truth
+   * @param {Object} referenceData - Reference analysis data (absent when no source was chosen)
+   */
+  function displayReferenceAnalysis(referenceData) {
+    referenceList.innerHTML = '';
+    
+    if (!referenceData) {
+      referenceAnalysisEl.classList.add('hidden');
+      return;
+    }
+    
+    referenceAnalysisEl.classList.remove('hidden');
+    referencePlatformNameEl.textContent = `${referenceData.referencePlatform} (average: ${referenceData.averageScore}%)`;
+    
+    for (const platform in referenceData.platformScores) {
+      const comparison = referenceData.platformScores[platform];
+      
+      const item = document.createElement('div');
+      item.className = 'reference-item';
+      
+      const title = document.createElement('strong');
+      title.textContent = `${platform}: ${comparison.score}%`;
+      item.appendChild(title);
+      
+      const details = document.createElement('ul');
+      [
+        `Key term coverage: ${(comparison.coverage * 100).toFixed(0)}%`,
+        `Terms taken from the source: ${(comparison.fidelity * 100).toFixed(0)}%`,
+        `Sentiment deviation: ${comparison.sentimentDeviation.toFixed(2)}`,
+        `Tone: ${comparison.dominantTone} (${(comparison.toneSimilarity * 100).toFixed(0)}% similar)`,
+        comparison.missingTerms.length > 0
+          ? `Missing key terms: ${comparison.missingTerms.join(', ')}`
+          : 'Covers every key term'
+      ].forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        details.appendChild(li);
+      });
+      
+      item.appendChild(details);
+      referenceList.appendChild(item);
+    }
+    
+    // Platforms in another language than the source of truth are left out
+    (referenceData.skippedPlatforms || []).forEach(platform => {
+      const item = document.createElement('div');
+      item.className = 'reference-item';
+      
+      const title = document.createElement('strong');
+      title.textContent = `${platform}: not compared`;
+      item.appendChild(title);
+      
+      const note = document.createElement('p');
+      note.textContent = `Written in a different language than ${referenceData.referencePlatform}.`;
+      item.appendChild(note);
+      
+      referenceList.appendChild(item);
+    });
   }
   
   /**
@@ -413,6 +1960,10 @@ document.addEventListener('DOMContentLoaded', () => {
     recommendations.forEach(rec => {
       const li = document.createElement('li');
       
+      if (rec.priority === 'high') {
+        li.className = 'high-priority';
+      }
+      
       const title = document.createElement('strong');
       title.textContent = rec.title;
       
@@ -426,6 +1977,96 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  /**
+   * Displays the suggested edits, each with its change marked up and an Accept button
+   * @param {Object} [rewriteData] - Rewrite suggestions (missing in analyses saved before they were added)
+   */
+  function displayRewriteSuggestions(rewriteData) {
+    suggestionList.innerHTML = '';
+    acceptedEdits = {};
+    rerunAnalysisBtn.disabled = true;
+    
+    if (!rewriteData || rewriteData.suggestions.length === 0) {
+      rewriteSuggestionsEl.classList.add('hidden');
+      return;
+    }
+    
+    rewriteSuggestionsEl.classList.remove('hidden');
+    
+    rewriteData.suggestions.forEach(suggestion => {
+      const li = document.createElement('li');
+      
+      const title = document.createElement('strong');
+      title.textContent = suggestion.title;
+      li.appendChild(title);
+      
+      const description = document.createElement('p');
+      description.textContent = suggestion.description;
+      li.appendChild(description);
+      
+      // The sentence with the removed text struck through and the new text underlined
+      const change = document.createElement('p');
+      change.className = 'suggestion-change';
+      suggestion.changes.forEach(part => {
+        const tag = { delete: 'del', insert: 'ins' }[part.type];
+        const el = tag ? document.createElement(tag) : document.createTextNode(part.text);
+        if (tag) el.textContent = part.text;
+        change.appendChild(el);
+      });
+      li.appendChild(change);
+      
+      const diff = document.createElement('details');
+      diff.innerHTML = '<summary>Show diff</summary><pre></pre>';
+      diff.querySelector('pre').textContent = suggestion.diff;
+      li.appendChild(diff);
+      
+      const acceptBtn = document.createElement('button');
+      acceptBtn.type = 'button';
+      acceptBtn.className = 'secondary-btn';
+      acceptBtn.textContent = 'Accept';
+      acceptBtn.addEventListener('click', () => {
+        if (acceptEdit(suggestion)) {
+          li.classList.add('accepted');
+          acceptBtn.disabled = true;
+          acceptBtn.textContent = 'Accepted';
+          rerunAnalysisBtn.disabled = false;
+        }
+      });
+      li.appendChild(acceptBtn);
+      
+      suggestionList.appendChild(li);
+    });
+  }
+  
+  /**
+   * Applies a suggested edit to the content in the form
+   * 
+   * Offsets refer to the analyzed content, so they are shifted by the length
+   * changes of the edits accepted before this one on the same platform.
+   * @param {Object} suggestion - Suggested edit
+   * @returns {Boolean} True if the edit was applied
+   */
+  function acceptEdit(suggestion) {
+    const { platform, edit } = suggestion;
+    const textarea = platformInputs.querySelector(`textarea[name="${platform}"]`);
+    const accepted = acceptedEdits[platform] || [];
+    
+    const shift = accepted
+      .filter(previous => previous.start < edit.start)
+      .reduce((sum, previous) => sum + previous.replacement.length - previous.original.length, 0);
+    const start = edit.start + shift;
+    
+    if (!textarea || textarea.value.slice(start, start + edit.original.length) !== edit.original) {
+      alert(`The ${platform} content in the form no longer matches this analysis. Re-run the analysis to get fresh suggestions.`);
+      return false;
+    }
+    
+    textarea.value = textarea.value.slice(0, start) + edit.replacement + textarea.value.slice(start + edit.original.length);
+    acceptedEdits[platform] = accepted.concat(edit);
+    
+    return true;
+  }
+  
   /**
    * Returns a color based on the score value
    * @param {Number} score - The consistency score (0-100)
@@ -443,6 +2084,9 @@ document.addEventListener('DOMContentLoaded', () => {
    */
   function showInputSection() {
     resultsSection.classList.add('hidden');
+    comparisonSection.classList.add('hidden');
     inputSection.classList.remove('hidden');
+    historySection.classList.remove('hidden');
+    loadHistory();
   }
 });
\ No newline at end of file
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * Analysis Benchmark for Content Consistency Grader
+ *
+ * Times analyzeConsistency on generated campaign content, stage by stage:
+ *
+ *   npm run benchmark
+ *   node scripts/benchmark.js --platforms 10 --words 2000 --target 1000
+ *
+ * The default is 20 platforms of 5,000 words each. With --target (in
+ * milliseconds) the script fails when the median run is slower, so CI can
+ * hold a machine it knows to a budget. The content is generated from a fixed
+ * seed, so runs are comparable over time.
+ */
+
+const { parseArgs } = require('util');
+const nlp = require('compromise');
+const { analyzeConsistency } = require('../server/textAnalysis/analyzer');
+
+const DEFAULTS = {
+  platforms: 20,
+  words: 5000,
+  runs: 3
+};
+
+// Sentences the platforms share, so alignment and facts have work to do
+const CAMPAIGN_SENTENCES = [
+  'The new Aurora Pro headphones are available from March 14, 2025 for $199.',
+  'Save 20% on every order this week with the code SPRING20.',
+  'Our engineers spent three years building noise cancellation that adapts to any room.',
+  'Discover the full collection at https://www.example.com/aurora and join the waitlist.',
+  'We are thrilled to launch the most comfortable headphones we have ever made.',
+  'Battery life reaches 40 hours, and a ten minute charge gives you five more.',
+  'Customers in 30 countries can order today with free shipping and free returns.',
+  'Contact press@example.com for review units and interviews with the design team.'
+];
+
+// Share of sentences taken from CAMPAIGN_SENTENCES; the rest are written word by word
+const CAMPAIGN_SHARE = 0.1;
+
+const FUNCTION_WORDS = ['the', 'a', 'with', 'for', 'and', 'your', 'every', 'our', 'in', 'on', 'to', 'is', 'of'];
+
+// Share of words in a sentence that are function words
+const FUNCTION_WORD_SHARE = 0.4;
+
+// Names of products, people and places, as real copy mentions them. A
+// capitalized word inside a sentence sends the sentence to part-of-speech
+// tagging for product names, the slowest path of the analysis.
+const NAMES = [
+  'Aurora', 'Aurora Pro', 'SoundLab', 'Maria Lopez', 'James', 'Berlin', 'London', 'Tokyo', 'Acme',
+  'Nova Studio', 'Spotify', 'Apple Music', 'Chicago', 'Emma', 'Pacific', 'Bluetooth', 'Android', 'Daniel Kim'
+];
+
+// Share of written sentences that mention a name
+const NAME_SHARE = 0.3;
+
+// Content words come from compromise's English lexicon, in a shuffled order
+// that ranks them by frequency. They are drawn with a Zipf-like distribution
+// that starts as if the most frequent words (function words) were taken
+// already, so a few words are common and most are rare, as in real copy.
+const LEXICON_WORDS = Object.keys(nlp.model().one.lexicon).filter(word => /^[a-z]{3,12}$/.test(word));
+const RANK_OFFSET = 50;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {Number} seed - Seed
+ * @returns {Function} Returns numbers between 0 and 1
+ */
+function createRandom(seed) {
+  let state = seed;
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates one platform's content: campaign sentences mixed with filler
+ *
+ * @param {Function} random - Random number generator
+ * @param {Array} vocabulary - Content words, most frequent first
+ * @param {Number} wordCount - Approximate number of words
+ * @returns {String} Content
+ */
+function generateContent(random, vocabulary, wordCount) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const pickWord = () => {
+    const rank = Math.floor(RANK_OFFSET * Math.pow((vocabulary.length + RANK_OFFSET) / RANK_OFFSET, random()));
+    return vocabulary[rank - RANK_OFFSET];
+  };
+  const sentences = [];
+  let words = 0;
+
+  while (words < wordCount) {
+    let sentence;
+
+    if (random() < CAMPAIGN_SHARE) {
+      sentence = pick(CAMPAIGN_SENTENCES);
+    } else {
+      const length = 8 + Math.floor(random() * 14);
+      const sentenceWords = [];
+
+      for (let i = 0; i < length - 1; i++) {
+        sentenceWords.push(random() < FUNCTION_WORD_SHARE ? pick(FUNCTION_WORDS) : pickWord());
+      }
+
+      // Sentences end on a content word, as in real copy
+      sentenceWords.push(pickWord());
+
+      if (random() < NAME_SHARE) {
+        sentenceWords[1 + Math.floor(random() * (length - 1))] = pick(NAMES);
+      }
+
+      sentence = sentenceWords.join(' ');
+      sentence = `${sentence[0].toUpperCase()}${sentence.slice(1)}.`;
+    }
+
+    sentences.push(sentence);
+    words += sentence.split(' ').length;
+  }
+
+  // Paragraphs of five sentences, like long-form copy
+  const paragraphs = [];
+  for (let i = 0; i < sentences.length; i += 5) {
+    paragraphs.push(sentences.slice(i, i + 5).join(' '));
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Generates content for every platform
+ *
+ * @param {Number} platformCount - Number of platforms
+ * @param {Number} wordCount - Approximate number of words per platform
+ * @returns {Object} Platform content
+ */
+function generateCampaign(platformCount, wordCount) {
+  const random = createRandom(42);
+  const vocabulary = [...LEXICON_WORDS];
+
+  for (let i = vocabulary.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [vocabulary[i], vocabulary[j]] = [vocabulary[j], vocabulary[i]];
+  }
+
+  const platformContent = {};
+
+  for (let i = 1; i <= platformCount; i++) {
+    platformContent[`platform-${i}`] = generateContent(random, vocabulary, wordCount);
+  }
+
+  return platformContent;
+}
+
+/**
+ * Runs the benchmark and exits with 1 if the median run misses the target, if one is set
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      platforms: { type: 'string' },
+      words: { type: 'string' },
+      target: { type: 'string' },
+      runs: { type: 'string' }
+    }
+  });
+
+  const settings = {};
+  for (const name of ['platforms', 'words', 'target', 'runs']) {
+    settings[name] = values[name] !== undefined ? Number(values[name]) : DEFAULTS[name];
+
+    if (settings[name] === undefined) continue;
+
+    if (!Number.isInteger(settings[name]) || settings[name] < 1) {
+      console.error(`--${name} must be a positive whole number`);
+      process.exit(2);
+    }
+  }
+
+  if (settings.platforms < 2) {
+    console.error('--platforms must be at least 2');
+    process.exit(2);
+  }
+
+  const platformContent = generateCampaign(settings.platforms, settings.words);
+  const totalWords = Object.values(platformContent)
+    .reduce((sum, content) => sum + content.split(/\s+/).length, 0);
+
+  console.log(`${settings.platforms} platforms, ${totalWords} words in total${settings.target ? `, target ${settings.target} ms` : ''}`);
+
+  // A warm-up run loads the NLP lexicons and lets the JIT compile the hot
+  // paths, so the timed runs measure the analysis rather than start-up
+  await analyzeConsistency(generateCampaign(4, 2000), { referencePlatform: 'platform-1' });
+
+  const durations = [];
+
+  for (let run = 1; run <= settings.runs; run++) {
+    const stageTimes = {};
+    let last = process.hrtime.bigint();
+    const start = last;
+
+    await analyzeConsistency(platformContent, {
+      referencePlatform: 'platform-1',
+      onProgress: ({ stage }) => {
+        const now = process.hrtime.bigint();
+        stageTimes[stage] = Number(now - last) / 1e6;
+        last = now;
+      }
+    });
+
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+    durations.push(duration);
+
+    const stages = Object.entries(stageTimes)
+      .map(([stage, time]) => `${stage} ${Math.round(time)}`)
+      .join(', ');
+    console.log(`Run ${run}: ${Math.round(duration)} ms (${stages})`);
+  }
+
+  const median = [...durations].sort((a, b) => a - b)[Math.floor(durations.length / 2)];
+  const wordsPerSecond = Math.round(totalWords / (median / 1000));
+
+  if (!settings.target) {
+    console.log(`Median: ${Math.round(median)} ms (${wordsPerSecond} words per second)`);
+    return;
+  }
+
+  const passed = median <= settings.target;
+
+  console.log(`Median: ${Math.round(median)} ms (${wordsPerSecond} words per second), ${passed ? 'PASS' : 'FAIL'}`);
+  process.exit(passed ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(2);
+});
@@ -0,0 +1,140 @@
+/**
+ * Analysis Options for Content Consistency Grader
+ *
+ * Turns the settings sent with an analysis (brand profile, reference platform,
+ * similarity metric, scoring preset and overrides, tone taxonomy, glossary,
+ * rule packs, languages) into the options analyzeConsistency takes. Shared by the API server and the CLI.
+ */
+
+const { SIMILARITY_METRICS } = require('./textAnalysis/analyzer');
+const brandProfiles = require('./brandProfiles');
+const scoringPresets = require('./scoringPresets');
+const rulePackStore = require('./rulePacks');
+const { resolveScoringConfig } = require('./textAnalysis/scoringConfig');
+const { validateToneTaxonomy } = require('./textAnalysis/toneTaxonomy');
+const { validateGlossary } = require('./textAnalysis/glossary');
+const { validateRulePack, mergeRulePacks } = require('./textAnalysis/platformRules');
+const { validateLanguages } = require('./textAnalysis/languages');
+
+/**
+ * Builds analyzer options from the settings sent with an analysis request
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} { options } on success, or { error, details } if a setting is invalid
+ */
+function buildAnalysisOptions(body) {
+  const {
+    platformContent,
+    brandProfile,
+    referencePlatform,
+    similarityMetric,
+    scoringPreset,
+    scoringConfig,
+    toneTaxonomy,
+    glossary,
+    rulePacks,
+    languages
+  } = body;
+
+  if (similarityMetric && !SIMILARITY_METRICS.includes(similarityMetric)) {
+    return {
+      error: `Unknown similarity metric: ${similarityMetric}. Use one of: ${SIMILARITY_METRICS.join(', ')}`
+    };
+  }
+
+  // The source of truth must be one of the submitted platforms
+  if (referencePlatform && (
+    typeof referencePlatform !== 'string' ||
+    !Object.prototype.hasOwnProperty.call(platformContent, referencePlatform) ||
+    !platformContent[referencePlatform]
+  )) {
+    return { error: `Reference platform has no content: ${referencePlatform}` };
+  }
+
+  // An inline profile is checked before it is used; stored profiles are trusted
+  if (brandProfile && typeof brandProfile !== 'string') {
+    const { valid, errors } = brandProfiles.validateBrandProfile(brandProfile);
+
+    if (!valid) {
+      return { error: 'Invalid brand profile', details: errors };
+    }
+  }
+
+  // Look up the brand profile to check content against, if one was named
+  const profile = brandProfile ? brandProfiles.resolveProfile(brandProfile) : null;
+
+  if (brandProfile && !profile) {
+    return { error: `Unknown brand profile: ${brandProfile}` };
+  }
+
+  // Request settings override the named preset, which overrides the defaults
+  const preset = scoringPreset ? scoringPresets.getPreset(scoringPreset) : null;
+
+  if (scoringPreset && !preset) {
+    return { error: `Unknown scoring preset: ${scoringPreset}` };
+  }
+
+  const { config, errors } = resolveScoringConfig(preset && preset.config, scoringConfig);
+
+  if (errors.length > 0) {
+    return { error: 'Invalid scoring configuration', details: errors };
+  }
+
+  const toneErrors = toneTaxonomy ? validateToneTaxonomy(toneTaxonomy) : [];
+
+  if (toneErrors.length > 0) {
+    return { error: 'Invalid tone taxonomy', details: toneErrors };
+  }
+
+  // The brand profile's glossary applies too, after the request's own entries
+  const glossaryEntries = [].concat(glossary || [], profile ? profile.glossary : []);
+  const glossaryErrors = glossary !== undefined && !Array.isArray(glossary)
+    ? validateGlossary(glossary)
+    : validateGlossary(glossaryEntries);
+
+  if (glossaryErrors.length > 0) {
+    return { error: 'Invalid glossary', details: glossaryErrors };
+  }
+
+  // Packs sent with the request are merged over the stored and built-in packs
+  if (rulePacks !== undefined && (!rulePacks || typeof rulePacks !== 'object' || Array.isArray(rulePacks))) {
+    return { error: 'Rule packs must be an object mapping platform names to rules' };
+  }
+
+  const packs = mergeRulePacks(rulePackStore.listRulePacks(), rulePacks);
+  const rulePackErrors = Object.keys(rulePacks || {}).flatMap(name => {
+    const errors = validateRulePack(rulePacks[name]);
+
+    // A valid override can still clash with the pack it is merged over (minWords above maxWords)
+    return (errors.length > 0 ? errors : validateRulePack(packs[name]))
+      .map(message => `${name}: ${message}`);
+  });
+
+  if (rulePackErrors.length > 0) {
+    return { error: 'Invalid rule packs', details: rulePackErrors };
+  }
+
+  // Platforms without a language of their own have it detected
+  const languageErrors = languages !== undefined ? validateLanguages(languages, platformContent) : [];
+
+  if (languageErrors.length > 0) {
+    return { error: 'Invalid languages', details: languageErrors };
+  }
+
+  return {
+    options: {
+      brandProfile: profile,
+      referencePlatform,
+      similarityMetric,
+      scoringConfig: config,
+      toneTaxonomy,
+      glossary: glossaryEntries,
+      rulePacks: packs,
+      languages
+    }
+  };
+}
+
+module.exports = {
+  buildAnalysisOptions
+};
@@ -0,0 +1,192 @@
+/**
+ * Brand Profile Store for Content Consistency Grader
+ *
+ * Brand profiles are stored style guides (messaging pillars, terminology,
+ * banned words, target tone, sentiment range and glossary) kept as JSON files in this
+ * directory, or in the directory named by BRAND_PROFILES_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = process.env.BRAND_PROFILES_DIR || __dirname;
+
+const PROFILE_FIELDS = [
+  'name', 'description', 'pillars', 'terminology', 'bannedWords', 'targetTone', 'sentimentRange', 'glossary'
+];
+
+/**
+ * Lists the names of all stored brand profiles
+ *
+ * @returns {Array} Profile names
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+/**
+ * Loads a stored brand profile by name
+ *
+ * @param {String} name - Profile name (file name without the .json extension)
+ * @returns {Object|null} The normalized profile, or null if it does not exist
+ */
+function getProfile(name) {
+  // Only allow plain names so a request cannot read files outside the store
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) return null;
+
+  const filePath = path.join(PROFILES_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) return null;
+
+  const profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return normalizeProfile({ name, ...profile });
+}
+
+/**
+ * Resolves the brand profile named in (or sent inline with) an analysis request
+ *
+ * @param {String|Object} profile - A stored profile name or an inline profile object
+ * @returns {Object|null} The normalized profile, or null if it cannot be resolved
+ */
+function resolveProfile(profile) {
+  if (typeof profile === 'string') return getProfile(profile);
+  if (profile && typeof profile === 'object' && !Array.isArray(profile)) {
+    return normalizeProfile({ name: 'inline', ...profile });
+  }
+  return null;
+}
+
+/**
+ * Validates a brand profile sent inline with a request
+ *
+ * Every field is optional. The glossary's entries are checked with the
+ * request's own glossary (see textAnalysis/glossary.js).
+ *
+ * @param {Object} profile - Raw profile data
+ * @returns {Object} { valid, errors } - Whether the profile is valid and why not
+ */
+function validateBrandProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { valid: false, errors: ['A brand profile must be a stored profile name or an object like { "bannedWords": ["cheap"] }'] };
+  }
+
+  const errors = [];
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const isTextList = value => Array.isArray(value) && value.every(isText);
+
+  Object.keys(profile)
+    .filter(field => !PROFILE_FIELDS.includes(field))
+    .forEach(field => errors.push(`Unknown brand profile field: ${field}`));
+
+  ['name', 'description'].forEach(field => {
+    if (profile[field] !== undefined && typeof profile[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  if (profile.pillars !== undefined) {
+    if (!Array.isArray(profile.pillars)) {
+      errors.push('pillars must be a list of pillar names or { "name", "terms" } objects');
+    } else {
+      profile.pillars.forEach((pillar, index) => {
+        if (isText(pillar)) return;
+
+        if (!pillar || typeof pillar !== 'object' || !isText(pillar.name)) {
+          errors.push(`pillars[${index}] needs a name`);
+        } else if (pillar.terms !== undefined && !isTextList(pillar.terms)) {
+          errors.push(`pillars[${index}].terms must be a list of words or phrases`);
+        }
+      });
+    }
+  }
+
+  if (profile.terminology !== undefined) {
+    if (!Array.isArray(profile.terminology)) {
+      errors.push('terminology must be a list of { "preferred", "avoid" } entries');
+    } else {
+      profile.terminology.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || !isText(entry.preferred)) {
+          errors.push(`terminology[${index}] needs a preferred term`);
+        } else if (entry.avoid !== undefined && !isTextList(entry.avoid)) {
+          errors.push(`terminology[${index}].avoid must be a list of words or phrases`);
+        }
+      });
+    }
+  }
+
+  if (profile.bannedWords !== undefined && !isTextList(profile.bannedWords)) {
+    errors.push('bannedWords must be a list of words or phrases');
+  }
+
+  if (profile.targetTone !== undefined && !isText(profile.targetTone) && !isTextList(profile.targetTone)) {
+    errors.push('targetTone must be a tone or a list of tones');
+  }
+
+  if (profile.sentimentRange !== undefined && profile.sentimentRange !== null) {
+    const range = profile.sentimentRange;
+
+    if (typeof range !== 'object' || Array.isArray(range)) {
+      errors.push('sentimentRange must be a range like { "min": 0, "max": 0.5 }');
+    } else {
+      ['min', 'max'].forEach(bound => {
+        if (range[bound] !== undefined && typeof range[bound] !== 'number') {
+          errors.push(`sentimentRange.${bound} must be a number`);
+        }
+      });
+
+      if (typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+        errors.push('sentimentRange.min must not be greater than sentimentRange.max');
+      }
+    }
+  }
+
+  if (profile.glossary !== undefined && !Array.isArray(profile.glossary)) {
+    errors.push('glossary must be a list of glossary entries');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fills in defaults so the compliance checks can rely on every field existing
+ *
+ * @param {Object} profile - Raw profile data
+ * @returns {Object} Normalized profile
+ */
+function normalizeProfile(profile) {
+  const pillars = (profile.pillars || []).map(pillar => (
+    typeof pillar === 'string'
+      ? { name: pillar, terms: [pillar] }
+      : { name: pillar.name, terms: pillar.terms && pillar.terms.length ? pillar.terms : [pillar.name] }
+  ));
+
+  const terminology = (profile.terminology || []).map(entry => ({
+    preferred: entry.preferred,
+    avoid: entry.avoid || []
+  }));
+
+  const targetTone = profile.targetTone
+    ? [].concat(profile.targetTone)
+    : [];
+
+  return {
+    name: profile.name,
+    description: profile.description || '',
+    pillars,
+    terminology,
+    bannedWords: profile.bannedWords || [],
+    targetTone,
+    sentimentRange: profile.sentimentRange || null,
+    glossary: profile.glossary || []
+  };
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  validateBrandProfile
+};
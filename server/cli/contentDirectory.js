@@ -0,0 +1,72 @@
+/**
+ * Content Directory Loader for Content Consistency Grader
+ *
+ * Reads a campaign kept as one file per channel (content/spring-launch/
+ * website.md, twitter.md, ...) into the platform content analyzeConsistency
+ * takes. Any format the content importer reads is accepted. A file's platform
+ * is its "platform" front-matter value, or else its file name without the
+ * extension. A "language" front-matter value ("es") sets the language of a
+ * file instead of detecting it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { detectFormat, importFile } = require('../contentImport');
+const { parseFrontMatter } = require('../contentImport/markdown');
+
+// Files that document a campaign directory rather than hold channel copy
+const IGNORED_FILES = ['readme.md', 'readme.txt'];
+
+/**
+ * Loads every content file in a directory
+ *
+ * @param {String} dir - Campaign directory
+ * @returns {Object} { campaign, platformContent, files, languages } - Campaign name, content per platform, which file each
+ *   platform came from and the languages set in front matter
+ */
+async function loadContentDirectory(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = entries
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name)
+    .filter(name => detectFormat(name))
+    .filter(name => !IGNORED_FILES.includes(name.toLowerCase()))
+    .sort();
+
+  const platformContent = {};
+  const sources = {};
+  const languages = {};
+  let campaign = '';
+
+  for (const file of files) {
+    const buffer = await fs.readFile(path.join(dir, file));
+    const { data } = detectFormat(file) === 'markdown' ? parseFrontMatter(buffer.toString('utf8')) : { data: {} };
+    const platform = (data.platform || path.basename(file, path.extname(file))).toLowerCase();
+
+    if (data.skip === 'true') continue;
+
+    if (sources[platform]) {
+      throw new Error(`${sources[platform]} and ${file} both map to platform "${platform}"`);
+    }
+
+    const content = (await importFile(file, buffer)).text;
+
+    if (!content) continue;
+
+    platformContent[platform] = content;
+    sources[platform] = file;
+    if (data.language) languages[platform] = String(data.language).toLowerCase();
+    campaign = campaign || data.campaign || '';
+  }
+
+  return {
+    campaign: campaign || path.basename(path.resolve(dir)),
+    platformContent,
+    files: sources,
+    languages
+  };
+}
+
+module.exports = {
+  loadContentDirectory
+};
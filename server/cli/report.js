@@ -0,0 +1,224 @@
+/**
+ * CLI Report for Content Consistency Grader
+ *
+ * Checks analysis results against the minimum scores a CI job sets and
+ * formats them as a plain-text report for the terminal.
+ */
+
+// Consistency dimensions that can be given a minimum score, as 0-1 scores. Keywords,
+// similarity and readability have none when no two platforms share a language,
+// and keywords have none when the content has no keywords at all.
+const DIMENSIONS = {
+  sentiment: {
+    label: 'Sentiment',
+    score: results => Math.max(0, 1 - results.sentimentAnalysis.variance)
+  },
+  keywords: {
+    label: 'Keywords',
+    score: results => results.keywordAnalysis.consistencyScore
+  },
+  tone: {
+    label: 'Tone',
+    score: results => results.toneAnalysis.consistencyScore
+  },
+  similarity: {
+    label: 'Similarity',
+    score: results => results.similarityMatrix.averageSimilarity
+  },
+  readability: {
+    label: 'Readability',
+    score: results => results.readabilityAnalysis.consistencyScore
+  }
+};
+
+/**
+ * Scores each consistency dimension from 0 to 100
+ *
+ * @param {Object} results - Analysis results
+ * @returns {Object} Rounded score per dimension, or null for a dimension that could not be compared
+ */
+function dimensionScores(results) {
+  const scores = {};
+
+  for (const dimension in DIMENSIONS) {
+    const score = DIMENSIONS[dimension].score(results);
+    scores[dimension] = score === null ? null : Math.round(score * 100);
+  }
+
+  return scores;
+}
+
+/**
+ * Lists the minimums the results fall short of
+ *
+ * @param {Object} results - Analysis results
+ * @param {Object} minimums - Minimum scores
+ * @param {Number} [minimums.score] - Minimum overall consistency score
+ * @param {Object} [minimums.dimensions] - Minimum score per dimension
+ * @param {Number} [minimums.maxFactConflicts] - Most fact conflicts allowed
+ * @returns {Array} Failure messages (empty if the campaign passes)
+ */
+function checkMinimums(results, minimums) {
+  const failures = [];
+  const scores = dimensionScores(results);
+
+  const overall = results.overallConsistencyScore;
+
+  // A score that could not be calculated (NaN) must not pass a minimum
+  if (minimums.score !== undefined && !Number.isFinite(overall)) {
+    failures.push(`Overall score could not be calculated, so it does not meet the minimum of ${minimums.score}`);
+  } else if (minimums.score !== undefined && overall < minimums.score) {
+    failures.push(`Overall score ${overall} is below the minimum of ${minimums.score}`);
+  }
+
+  for (const dimension in minimums.dimensions || {}) {
+    const minimum = minimums.dimensions[dimension];
+    const label = DIMENSIONS[dimension].label;
+
+    if (scores[dimension] === null) continue;
+
+    if (!Number.isFinite(scores[dimension])) {
+      failures.push(`${label} score could not be calculated, so it does not meet the minimum of ${minimum}`);
+    } else if (scores[dimension] < minimum) {
+      failures.push(`${label} score ${scores[dimension]} is below the minimum of ${minimum}`);
+    }
+  }
+
+  const conflicts = results.factAnalysis ? results.factAnalysis.conflicts.length : 0;
+
+  if (minimums.maxFactConflicts !== undefined && conflicts > minimums.maxFactConflicts) {
+    failures.push(`${conflicts} fact conflict(s) found, at most ${minimums.maxFactConflicts} allowed`);
+  }
+
+  return failures;
+}
+
+/**
+ * Formats analysis results as a plain-text report
+ *
+ * @param {Object} results - Analysis results
+ * @param {Object} context - What was analyzed and how it was judged
+ * @param {String} context.campaign - Campaign name
+ * @param {Object} context.files - Source file per platform
+ * @param {Array} context.failures - Failure messages from checkMinimums
+ * @returns {String} The report
+ */
+function formatReport(results, { campaign, files, failures }) {
+  const lines = [];
+  const scores = dimensionScores(results);
+
+  lines.push(`Content consistency report: ${campaign}`);
+  lines.push('');
+  lines.push(`Overall score: ${results.overallConsistencyScore}/100`);
+
+  for (const dimension in DIMENSIONS) {
+    const score = scores[dimension] === null ? 'n/a' : String(scores[dimension]);
+    lines.push(`  ${DIMENSIONS[dimension].label.padEnd(12)}${score.padStart(4)}`);
+  }
+
+  if (results.languageAnalysis && results.languageAnalysis.notices.length > 0) {
+    lines.push('');
+    lines.push('Languages:');
+    results.languageAnalysis.notices.forEach(notice => lines.push(`  ${notice}`));
+  }
+
+  lines.push('');
+  lines.push('Platforms:');
+
+  const platformScores = results.platformScores.platforms;
+
+  for (const platform in platformScores) {
+    const outlier = platformScores[platform].outlier ? '  (outlier)' : '';
+    const dominantTone = results.toneAnalysis.platformTones[platform].dominantTone;
+    const grade = `grade ${results.readabilityAnalysis.platformReadability[platform].gradeLevel.toFixed(0)}`;
+    lines.push(`  ${platform.padEnd(16)}${String(platformScores[platform].score).padStart(4)}  ${dominantTone.padEnd(14)}${grade.padEnd(10)}${files[platform] || ''}${outlier}`);
+  }
+
+  if (results.factAnalysis && results.factAnalysis.conflicts.length > 0) {
+    lines.push('');
+    lines.push('Fact conflicts:');
+
+    results.factAnalysis.conflicts.forEach(conflict => {
+      const values = conflict.values
+        .map(value => `"${value.value}" (${value.platforms.join(', ')})`)
+        .join(' vs ');
+      lines.push(`  ${conflict.type}: ${values}`);
+    });
+  }
+
+  if (results.socialSignals) {
+    const { campaignHashtag, callToAction } = results.socialSignals;
+    lines.push('');
+    lines.push(`Campaign hashtag: ${campaignHashtag ? campaignHashtag.tag : 'none'}${campaignHashtag && campaignHashtag.missingFrom.length > 0 ? ` (missing from ${campaignHashtag.missingFrom.join(', ')})` : ''}`);
+    const ctaLine = (label, cta) => {
+      const ctaNote = cta.platformsWithout.length > 0
+        ? ` (missing from ${cta.platformsWithout.join(', ')})`
+        : ' (differs between platforms)';
+      return `${label}: ${cta.mostCommon ? `"${cta.mostCommon}"` : 'none'}${cta.consistent ? '' : ctaNote}`;
+    };
+
+    // Calls to action are compared within each language
+    const ctaGroups = Object.values(callToAction.groups || {});
+    if (ctaGroups.length > 1 && results.languageAnalysis) {
+      ctaGroups.forEach(group => {
+        const language = results.languageAnalysis.platformLanguages[group.platforms[0]].name;
+        lines.push(ctaLine(`Call to action (${language})`, group));
+      });
+    } else {
+      lines.push(ctaLine('Call to action', callToAction));
+    }
+  }
+
+  if (results.platformRules && results.platformRules.violationCount > 0) {
+    lines.push('');
+    lines.push('Platform rules:');
+
+    for (const platform in results.platformRules.platformRules) {
+      const { label, violations } = results.platformRules.platformRules[platform];
+      violations.forEach(violation => lines.push(`  ${platform} (${label}): ${violation.message}`));
+    }
+  }
+
+  if (results.brandCompliance) {
+    lines.push('');
+    lines.push(`Brand compliance: ${results.brandCompliance.score}/100${results.brandCompliance.compliant ? '' : ' (not compliant)'}`);
+  }
+
+  if (results.recommendations.length > 0) {
+    lines.push('');
+    lines.push('Recommendations:');
+
+    results.recommendations.forEach(rec => {
+      const marker = rec.priority === 'high' ? '!' : '-';
+      lines.push(`  ${marker} ${rec.title}: ${rec.description}`);
+    });
+  }
+
+  if (results.rewriteSuggestions && results.rewriteSuggestions.suggestions.length > 0) {
+    lines.push('');
+    lines.push('Suggested edits:');
+
+    results.rewriteSuggestions.suggestions.forEach(suggestion => {
+      const { original, replacement } = suggestion.edit;
+      lines.push(`  ${suggestion.platform}: "${original}" -> "${replacement}"`);
+    });
+  }
+
+  lines.push('');
+
+  if (failures.length > 0) {
+    lines.push('FAIL');
+    failures.forEach(failure => lines.push(`  ${failure}`));
+  } else {
+    lines.push('PASS');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DIMENSIONS,
+  dimensionScores,
+  checkMinimums,
+  formatReport
+};
@@ -0,0 +1,109 @@
+/**
+ * Campaign Batch Format for Content Consistency Grader
+ *
+ * A campaign batch holds many messages (teaser, launch, follow-up, ...), each
+ * written for several platforms. As CSV it has one row per message and one
+ * column per platform, with the message name in a "message" column. As JSON
+ * it is a list of messages, each either { message, platformContent } or a
+ * flat row like the CSV ({ message, website, twitter, ... }).
+ */
+
+const path = require('path');
+const { parseCsvRecords } = require('./csv');
+
+// Columns that name the message rather than hold platform content
+const MESSAGE_COLUMNS = ['message', 'name', 'id'];
+
+// Most messages one batch may contain
+const MAX_BATCH_MESSAGES = 50;
+
+/**
+ * Reads a batch from an uploaded CSV or JSON file
+ *
+ * @param {String} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} Messages as { message, platformContent }
+ */
+function parseBatchFile(fileName, buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (extension === '.csv') {
+    return normalizeBatch(parseCsvRecords(text).records);
+  }
+
+  if (extension === '.json') {
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+    }
+
+    return normalizeBatch(Array.isArray(data) ? data : data.messages);
+  }
+
+  throw new Error(`Unsupported batch file: ${fileName}. Use a .csv or .json file`);
+}
+
+/**
+ * Converts batch rows to messages with their platform content
+ *
+ * @param {Array} rows - Messages as { message, platformContent } or flat rows
+ * @returns {Array} Messages as { message, platformContent }, without empty platforms
+ */
+function normalizeBatch(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('A batch must contain at least one message');
+  }
+
+  if (rows.length > MAX_BATCH_MESSAGES) {
+    throw new Error(`A batch may contain at most ${MAX_BATCH_MESSAGES} messages`);
+  }
+
+  return rows.map((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Message ${index + 1} must be an object`);
+    }
+
+    const nameColumn = Object.keys(row).find(key => MESSAGE_COLUMNS.includes(key.toLowerCase()));
+    const message = String((nameColumn && row[nameColumn]) || `Message ${index + 1}`).trim();
+
+    let content = row.platformContent;
+
+    if (!content) {
+      content = { ...row };
+      if (nameColumn) delete content[nameColumn];
+    }
+
+    if (typeof content !== 'object' || Array.isArray(content)) {
+      throw new Error(`The platform content of "${message}" must be an object`);
+    }
+
+    const platformContent = {};
+
+    for (const platform in content) {
+      const text = typeof content[platform] === 'string' ? content[platform].trim() : '';
+      if (text) platformContent[platformKey(platform)] = text;
+    }
+
+    return { message, platformContent };
+  });
+}
+
+/**
+ * Converts a column heading such as "Press Release" to a platform key
+ *
+ * @param {String} heading - Column heading
+ * @returns {String} Platform key ("press-release")
+ */
+function platformKey(heading) {
+  return heading.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+module.exports = {
+  MAX_BATCH_MESSAGES,
+  parseBatchFile,
+  normalizeBatch
+};
@@ -0,0 +1,83 @@
+/**
+ * CSV Parsing for Content Consistency Grader
+ *
+ * A small RFC 4180 parser for the spreadsheets teams export their posts and
+ * copy decks from: quoted fields may contain commas, quotes ("") and line
+ * breaks.
+ */
+
+/**
+ * Parses CSV text into rows of fields
+ *
+ * @param {String} text - CSV text
+ * @returns {Array} Rows, each an array of field strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parses CSV text with a header row into records
+ *
+ * @param {String} text - CSV text
+ * @returns {Object} { headers, records } - Header names and one object per row keyed by header
+ */
+function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const names = headers.map(header => header.trim());
+
+  const records = rows.map(row => {
+    const record = {};
+    names.forEach((name, index) => {
+      record[name] = row[index] !== undefined ? row[index] : '';
+    });
+    return record;
+  });
+
+  return { headers: names, records };
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,231 @@
+/**
+ * Email Import for Content Consistency Grader
+ *
+ * Reads a saved email (.eml): decodes its MIME parts, takes the plain-text
+ * body (or the HTML body when there is none) and cuts quoted replies,
+ * forwarded history and the signature so only the new message is analyzed.
+ */
+
+const { htmlToText } = require('./html');
+
+// Lines that introduce quoted history; everything from them on is dropped
+const REPLY_MARKERS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*(?:Original|Forwarded) Message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^From: .+$/
+];
+
+/**
+ * Parses a raw email
+ *
+ * @param {Buffer|String} source - Raw .eml contents
+ * @returns {Object} { subject, from, text } - Decoded headers and the new message text
+ */
+function parseEmail(source) {
+  const raw = Buffer.isBuffer(source) ? source.toString('latin1') : source;
+  const { headers, body } = splitHeaders(raw);
+  const part = findBodyPart(headers, body);
+
+  let text = '';
+  if (part) {
+    const decoded = decodeBody(part.body, part.headers);
+    text = part.type === 'text/html' ? htmlToText(stripHtmlQuotes(decoded)) : decoded;
+  }
+
+  return {
+    subject: decodeHeader(headers.subject || ''),
+    from: decodeHeader(headers.from || ''),
+    text: stripReplies(text)
+  };
+}
+
+/**
+ * Splits a message or MIME part into headers and body
+ *
+ * @param {String} raw - Raw message (latin1, so bytes map one to one)
+ * @returns {Object} { headers, body } - Lower-cased header names mapped to values, and the body
+ */
+function splitHeaders(raw) {
+  const separator = raw.search(/\r?\n\r?\n/);
+  const head = separator === -1 ? raw : raw.slice(0, separator);
+  const body = separator === -1 ? '' : raw.slice(separator).replace(/^\r?\n\r?\n/, '');
+  const headers = {};
+
+  // Continuation lines start with whitespace
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+    }
+  });
+
+  return { headers, body };
+}
+
+/**
+ * Finds the part holding the message text, preferring plain text over HTML
+ *
+ * @param {Object} headers - Part headers
+ * @param {String} body - Part body
+ * @returns {Object|null} { type, headers, body }, or null if there is no text part
+ */
+function findBodyPart(headers, body) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (/attachment/i.test(headers['content-disposition'] || '')) return null;
+
+  if (type === 'text/plain' || type === 'text/html') {
+    return { type, headers, body };
+  }
+
+  if (!type.startsWith('multipart/')) return null;
+
+  const boundary = headerParam(contentType, 'boundary');
+  if (!boundary) return null;
+
+  const parts = body
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => splitHeaders(part.replace(/^\r?\n/, '')))
+    .map(part => findBodyPart(part.headers, part.body))
+    .filter(Boolean);
+
+  return parts.find(part => part.type === 'text/plain') || parts[0] || null;
+}
+
+/**
+ * Decodes a part body according to its transfer encoding and charset
+ *
+ * @param {String} body - Raw part body
+ * @param {Object} headers - Part headers
+ * @returns {String} Decoded text
+ */
+function decodeBody(body, headers) {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  let bytes;
+
+  if (encoding === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body);
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  return decodeCharset(bytes, headerParam(headers['content-type'] || '', 'charset'));
+}
+
+/**
+ * Decodes quoted-printable text into bytes
+ *
+ * @param {String} text - Quoted-printable text
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+  const joined = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < joined.length; i++) {
+    const hex = joined.slice(i + 1, i + 3);
+    if (joined[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(joined.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decodes bytes in the given charset, falling back to UTF-8
+ *
+ * @param {Buffer} bytes - Encoded text
+ * @param {String} charset - Charset name from the Content-Type header
+ * @returns {String} Decoded text
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (error) {
+    return bytes.toString('utf8');
+  }
+}
+
+/**
+ * Decodes RFC 2047 encoded words ("=?UTF-8?B?...?=") in a header value
+ *
+ * @param {String} value - Raw header value
+ * @returns {String} Decoded header value
+ */
+function decodeHeader(value) {
+  const decoded = value.replace(
+    /=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi,
+    (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    }
+  );
+
+  // Headers are read as latin1; re-read unencoded UTF-8 bytes correctly
+  return /[\u0080-\u00ff]/.test(decoded) && !/=\?/.test(value)
+    ? Buffer.from(decoded, 'latin1').toString('utf8')
+    : decoded;
+}
+
+/**
+ * Reads a parameter such as boundary or charset from a header value
+ *
+ * @param {String} value - Header value
+ * @param {String} name - Parameter name
+ * @returns {String|null} Parameter value, or null if it is missing
+ */
+function headerParam(value, name) {
+  const match = value.match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Cuts quoted replies, forwarded history and the signature from a message
+ *
+ * @param {String} text - Message text
+ * @returns {String} The new part of the message
+ */
+function stripReplies(text) {
+  const kept = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    // "-- " on its own line starts the signature
+    if (line === '-- ' || line === '--') break;
+    if (REPLY_MARKERS.some(marker => marker.test(line.trim()))) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Removes quoted replies from an HTML body before it is converted to text
+ *
+ * @param {String} html - HTML body
+ * @returns {String} HTML without blockquotes or quoted history
+ */
+function stripHtmlQuotes(html) {
+  return html
+    .replace(/<blockquote\b[\s\S]*?<\/blockquote\s*>/gi, '')
+    // Webmail clients wrap the quoted history in a marked container at the end
+    .replace(/<div\b[^>]*class="[^"]*(?:gmail_quote|moz-cite-prefix|divRplyFwdMsg)[\s\S]*$/i, '');
+}
+
+module.exports = {
+  parseEmail,
+  stripReplies
+};
@@ -0,0 +1,91 @@
+/**
+ * HTML Import for Content Consistency Grader
+ *
+ * Reduces a saved web page or HTML email to its body copy. Scripts, styles,
+ * navigation, headers, footers, sidebars and forms are dropped, and when the
+ * page marks up its main content (<main> or <article>) only that is kept.
+ */
+
+// Elements whose content is never copy
+const DROPPED_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head',
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'select'
+];
+
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = [
+  'p', 'div', 'section', 'article', 'main', 'br', 'li', 'ul', 'ol', 'tr',
+  'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'hr',
+  'td', 'th', 'dd', 'dt', 'figcaption'
+];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘',
+  rdquo: '”', ldquo: '“', copy: '©', reg: '®', trade: '™', euro: '€',
+  pound: '£', bull: '•'
+};
+
+/**
+ * Converts HTML to plain text
+ *
+ * @param {String} html - HTML source
+ * @returns {String} The page's body copy
+ */
+function htmlToText(html) {
+  let content = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  DROPPED_ELEMENTS.forEach(tag => {
+    content = content.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), ' ');
+  });
+
+  // Prefer the main content when the page marks it up
+  const main = content.match(/<main\b[^>]*>([\s\S]*?)<\/main\s*>/i) ||
+    content.match(/<article\b[^>]*>([\s\S]*?)<\/article\s*>/i);
+  if (main) content = main[1];
+
+  const blockPattern = new RegExp(`<\\/?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+
+  return decodeEntities(
+    content
+      .replace(blockPattern, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Finds the page title
+ *
+ * @param {String} html - HTML source
+ * @returns {String} Title text, or an empty string
+ */
+function htmlTitle(html) {
+  const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Decodes named and numeric character references
+ *
+ * @param {String} text - Text with entities
+ * @returns {String} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+module.exports = {
+  htmlToText,
+  htmlTitle,
+  decodeEntities
+};
@@ -0,0 +1,157 @@
+/**
+ * Content Import for Content Consistency Grader
+ *
+ * Extracts the body copy from uploaded files (Markdown, HTML, DOCX, plain
+ * text and .eml emails), drops boilerplate such as unsubscribe and copyright
+ * lines, and guesses which platform each file belongs to.
+ */
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { parseFrontMatter, markdownToText } = require('./markdown');
+const { htmlToText, htmlTitle } = require('./html');
+const { parseEmail } = require('./email');
+
+// File extensions of each supported format
+const FORMATS = {
+  markdown: ['.md', '.markdown'],
+  html: ['.html', '.htm'],
+  docx: ['.docx'],
+  text: ['.txt'],
+  email: ['.eml']
+};
+
+// Platform ids (as used by the frontend) and the words in a file name that suggest them
+const PLATFORM_HINTS = {
+  website: ['website', 'web', 'site', 'homepage', 'landing'],
+  twitter: ['twitter', 'tweet', 'tweets', 'x'],
+  instagram: ['instagram', 'insta', 'ig'],
+  facebook: ['facebook', 'fb'],
+  linkedin: ['linkedin'],
+  youtube: ['youtube', 'yt'],
+  tiktok: ['tiktok'],
+  blog: ['blog', 'post', 'article'],
+  email: ['email', 'newsletter', 'mail', 'edm'],
+  'press-release': ['press', 'pr', 'release']
+};
+
+// Short lines matching these are page or email furniture, not copy
+const BOILERPLATE_PATTERNS = [
+  /unsubscribe/i,
+  /view (?:this email )?in (?:your )?browser/i,
+  /all rights reserved/i,
+  /^(?:©|\(c\)|copyright)\s/i,
+  /privacy policy|terms (?:of|&) (?:service|use)|cookie (?:policy|settings)/i,
+  /manage (?:your )?(?:email )?preferences/i,
+  /^skip to (?:main )?content$/i,
+  /^sent from my /i
+];
+
+// Lines longer than this are kept even if they match a boilerplate pattern
+const MAX_BOILERPLATE_WORDS = 20;
+
+/**
+ * Returns the format of a file from its extension
+ *
+ * @param {String} fileName - File name
+ * @returns {String|null} Format name, or null if the format is not supported
+ */
+function detectFormat(fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].includes(extension)) || null;
+}
+
+/**
+ * Extracts the copy from an uploaded file
+ *
+ * @param {String} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { fileName, format, platform, title, text } - platform is null when it cannot be guessed
+ */
+async function importFile(fileName, buffer) {
+  const format = detectFormat(fileName);
+
+  if (!format) {
+    throw new Error(`Unsupported file type: ${fileName}. Use one of: ${Object.values(FORMATS).flat().join(', ')}`);
+  }
+
+  let text;
+  let title = '';
+  let platform = null;
+
+  switch (format) {
+    case 'markdown': {
+      const { data, body } = parseFrontMatter(buffer.toString('utf8'));
+      text = markdownToText(body);
+      title = data.title || '';
+      platform = data.platform || null;
+      break;
+    }
+    case 'html': {
+      const html = buffer.toString('utf8');
+      text = htmlToText(html);
+      title = htmlTitle(html);
+      break;
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer });
+      text = result.value;
+      break;
+    }
+    case 'email': {
+      const email = parseEmail(buffer);
+      text = email.text;
+      title = email.subject;
+      platform = 'email';
+      break;
+    }
+    default:
+      text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  return {
+    fileName,
+    format,
+    platform: platform ? platform.toLowerCase() : guessPlatform(fileName),
+    title,
+    text: dropBoilerplate(text)
+  };
+}
+
+/**
+ * Guesses a platform from the words in a file name
+ *
+ * @param {String} fileName - File name
+ * @returns {String|null} Platform id, or null if no platform is suggested
+ */
+function guessPlatform(fileName) {
+  const words = path.basename(fileName, path.extname(fileName)).toLowerCase().split(/[^a-z0-9]+/);
+  return Object.keys(PLATFORM_HINTS).find(platform =>
+    PLATFORM_HINTS[platform].some(hint => words.includes(hint))
+  ) || null;
+}
+
+/**
+ * Removes boilerplate lines and collapses blank lines
+ *
+ * @param {String} text - Extracted text
+ * @returns {String} Text without boilerplate
+ */
+function dropBoilerplate(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => {
+      const words = line.trim().split(/\s+/).length;
+      return words > MAX_BOILERPLATE_WORDS || !BOILERPLATE_PATTERNS.some(pattern => pattern.test(line.trim()));
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  importFile,
+  guessPlatform
+};
@@ -0,0 +1,70 @@
+/**
+ * Markdown Import for Content Consistency Grader
+ *
+ * Reads copy kept as Markdown files: splits off the front-matter block and
+ * reduces the body to the plain text a reader would see, so heading markers,
+ * link syntax and code fences do not end up among the analyzed keywords.
+ */
+
+/**
+ * Splits a YAML-style front-matter block from the start of a Markdown file
+ *
+ * Only flat "key: value" pairs are read, which is all platform and campaign
+ * metadata needs.
+ *
+ * @param {String} text - File contents
+ * @returns {Object} { data, body } - Front-matter values and the remaining Markdown
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = {};
+
+  match[1].split(/\r?\n/).forEach(line => {
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) return;
+
+    // Strip optional quotes around the value
+    data[pair[1]] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  });
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Converts Markdown to plain text
+ *
+ * @param {String} markdown - Markdown source
+ * @returns {String} Text with Markdown syntax removed
+ */
+function markdownToText(markdown) {
+  return markdown
+    // Code blocks and HTML comments are not copy
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[ \t]*$/gm, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    // Images keep their alt text, links their label followed by the URL
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)')
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+    // Block markers: headings, quotes, list bullets, horizontal rules
+    .replace(/^[ \t]*#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, '')
+    .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, '')
+    // Inline emphasis and code
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?![\w*])/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  parseFrontMatter,
+  markdownToText
+};
@@ -0,0 +1,268 @@
+/**
+ * Social Export Import for Content Consistency Grader
+ *
+ * Reads the archives platforms let accounts download, so a real campaign can
+ * be audited without copying posts by hand: the Twitter/X archive's
+ * tweets.js, LinkedIn and Facebook post CSV exports, and RSS or Atom feeds
+ * for blogs. Everything is read from the uploaded files; nothing is fetched.
+ */
+
+const path = require('path');
+const { parseCsvRecords } = require('./csv');
+const { htmlToText, decodeEntities } = require('./html');
+const { guessPlatform } = require('./index');
+
+// CSV columns that hold a post's text and its date, in order of preference
+const CSV_TEXT_COLUMNS = ['ShareCommentary', 'Message', 'Post Message', 'Post message', 'Text', 'Content', 'Description', 'Title'];
+const CSV_DATE_COLUMNS = ['Date', 'Publish time', 'Created time', 'Created Time', 'Posted', 'Published', 'Timestamp'];
+
+/**
+ * Reads the posts from an export file
+ *
+ * @param {String} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { fileName, platform, posts } - posts are { date, text, hashtags }, oldest first
+ */
+function importSocialExport(fileName, buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const extension = path.extname(fileName).toLowerCase();
+  let result;
+
+  if (extension === '.js' || (extension === '.json' && /^\s*window\.YTD\./.test(text))) {
+    result = { platform: 'twitter', posts: parseTwitterArchive(text) };
+  } else if (extension === '.csv') {
+    result = parseCsvExport(fileName, text);
+  } else if (['.xml', '.rss', '.atom'].includes(extension)) {
+    result = { platform: 'blog', posts: parseFeed(text) };
+  } else {
+    throw new Error(`Unsupported export file: ${fileName}. Use tweets.js, a .csv export or an RSS/Atom .xml feed`);
+  }
+
+  const posts = result.posts
+    .filter(post => post.text)
+    .map(post => ({ ...post, hashtags: post.hashtags || findHashtags(post.text) }))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+  return { fileName, platform: result.platform, posts };
+}
+
+/**
+ * Parses the tweets.js file of a Twitter/X archive
+ *
+ * @param {String} text - File contents ("window.YTD.tweets.part0 = [...]")
+ * @returns {Array} Posts, without retweets
+ */
+function parseTwitterArchive(text) {
+  let entries;
+
+  try {
+    entries = JSON.parse(text.slice(text.indexOf('=') + 1).trim().replace(/;$/, ''));
+  } catch (error) {
+    throw new Error('tweets.js is not a valid Twitter archive file');
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('tweets.js is not a valid Twitter archive file');
+  }
+
+  return entries
+    .map(entry => entry.tweet || entry)
+    .filter(tweet => tweet.full_text && !tweet.full_text.startsWith('RT @'))
+    .map(tweet => {
+      let content = decodeEntities(tweet.full_text);
+
+      // Show the links that were posted, not the t.co short links
+      const urls = (tweet.entities && tweet.entities.urls) || [];
+      urls.forEach(url => {
+        content = content.split(url.url).join(url.expanded_url || url.url);
+      });
+
+      const hashtags = tweet.entities && tweet.entities.hashtags
+        ? tweet.entities.hashtags.map(tag => tag.text.toLowerCase())
+        : null;
+
+      return { date: toIsoDate(tweet.created_at), text: content.trim(), hashtags };
+    });
+}
+
+/**
+ * Parses a LinkedIn or Facebook post CSV export
+ *
+ * @param {String} fileName - File name, used to tell the platforms apart
+ * @param {String} text - CSV contents
+ * @returns {Object} { platform, posts }
+ */
+function parseCsvExport(fileName, text) {
+  const { headers, records } = parseCsvRecords(text);
+  const textColumn = CSV_TEXT_COLUMNS.find(column => headers.includes(column));
+  const dateColumn = CSV_DATE_COLUMNS.find(column => headers.includes(column));
+
+  if (!textColumn) {
+    throw new Error(`${fileName} has no post text column (expected one of: ${CSV_TEXT_COLUMNS.join(', ')})`);
+  }
+
+  // LinkedIn's Shares.csv has ShareCommentary and ShareLink columns
+  let platform = headers.includes('ShareCommentary') || headers.includes('ShareLink') ? 'linkedin' : null;
+  if (!platform && (headers.includes('Post ID') || headers.includes('Publish time'))) platform = 'facebook';
+  platform = platform || guessPlatform(fileName) || path.basename(fileName, '.csv').toLowerCase();
+
+  const posts = records.map(record => ({
+    date: dateColumn ? toIsoDate(record[dateColumn]) : null,
+    text: record[textColumn].trim()
+  }));
+
+  return { platform, posts };
+}
+
+/**
+ * Parses an RSS or Atom feed
+ *
+ * @param {String} xml - Feed XML
+ * @returns {Array} Posts, one per item or entry
+ */
+function parseFeed(xml) {
+  const items = xml.match(/<(item|entry)\b[\s\S]*?<\/\1\s*>/gi) || [];
+
+  if (items.length === 0 && !/<(rss|feed|rdf:RDF)\b/i.test(xml)) {
+    throw new Error('The file is not an RSS or Atom feed');
+  }
+
+  return items.map(item => {
+    const title = feedElement(item, ['title']);
+    const body = feedElement(item, ['content:encoded', 'content', 'description', 'summary']);
+    const categories = [...item.matchAll(/<category\b([^>]*?)(?:\/>|>([\s\S]*?)<\/category\s*>)/gi)]
+      .map(match => {
+        const term = match[1].match(/term\s*=\s*"([^"]*)"/i);
+        return (term ? term[1] : unwrapCdata(match[2] || '')).trim().toLowerCase();
+      })
+      .filter(Boolean);
+
+    const textParts = [htmlToText(title), htmlToText(body)].filter(Boolean);
+
+    return {
+      date: toIsoDate(feedElement(item, ['pubDate', 'published', 'updated', 'dc:date'])),
+      text: textParts.join('\n'),
+      hashtags: [...new Set([...categories.map(c => c.replace(/\s+/g, '')), ...findHashtags(textParts.join(' '))])]
+    };
+  });
+}
+
+/**
+ * Returns the content of the first of several elements an item has
+ *
+ * @param {String} item - Item or entry XML
+ * @param {Array} names - Element names, in order of preference
+ * @returns {String} Element content (HTML for content elements), or an empty string
+ */
+function feedElement(item, names) {
+  for (const name of names) {
+    const match = item.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}\\s*>`, 'i'));
+    if (match && match[1].trim()) {
+      const content = unwrapCdata(match[1]);
+      // Escaped HTML (RSS descriptions) is decoded once so its tags can be stripped
+      return /<[a-z]/i.test(content) ? content : decodeEntities(content);
+    }
+  }
+  return '';
+}
+
+/**
+ * Removes CDATA wrappers
+ *
+ * @param {String} text - XML text
+ * @returns {String} Text with CDATA sections unwrapped
+ */
+function unwrapCdata(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+/**
+ * Finds the hashtags in a post
+ *
+ * @param {String} text - Post text
+ * @returns {Array} Lower-cased hashtags without the # sign
+ */
+function findHashtags(text) {
+  return [...new Set((text.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1).toLowerCase()))];
+}
+
+/**
+ * Converts a date from an export to an ISO string
+ *
+ * @param {String} value - Date as written in the export
+ * @returns {String|null} ISO date-time, or null if the date cannot be read
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Keeps the posts within a date range and with one of the given hashtags
+ *
+ * @param {Array} posts - Posts
+ * @param {Object} [filters] - Optional filters
+ * @param {String} [filters.from] - Only posts on or after this date
+ * @param {String} [filters.to] - Only posts on or before this date (a date-only value includes that whole day)
+ * @param {Array} [filters.hashtags] - Only posts with at least one of these hashtags (with or without #)
+ * @returns {Array} Matching posts; posts without a date are dropped when a date range is given
+ */
+function filterPosts(posts, filters = {}) {
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+
+  const hashtags = (filters.hashtags || [])
+    .map(tag => tag.replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+
+  return posts.filter(post => {
+    if ((from || to) && !post.date) return false;
+    if (from && new Date(post.date) < from) return false;
+    if (to && new Date(post.date) > to) return false;
+    if (hashtags.length > 0 && !post.hashtags.some(tag => hashtags.includes(tag))) return false;
+    return true;
+  });
+}
+
+/**
+ * Turns imported posts into platform content for analyzeConsistency
+ *
+ * @param {Array} exports - Imported exports ({ platform, posts })
+ * @param {String} [mode] - "combine" joins each platform's posts into one sample;
+ *   "separate" keeps every post as its own platform (twitter-1, twitter-2, ...)
+ * @returns {Object} Platform content
+ */
+function postsToPlatformContent(exports, mode = 'combine') {
+  const postsByPlatform = {};
+
+  exports.forEach(({ platform, posts }) => {
+    postsByPlatform[platform] = (postsByPlatform[platform] || []).concat(posts);
+  });
+
+  const platformContent = {};
+
+  for (const platform in postsByPlatform) {
+    const posts = postsByPlatform[platform]
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    if (posts.length === 0) continue;
+
+    if (mode === 'separate') {
+      posts.forEach((post, index) => {
+        platformContent[`${platform}-${index + 1}`] = post.text;
+      });
+    } else {
+      platformContent[platform] = posts.map(post => post.text).join('\n\n');
+    }
+  }
+
+  return platformContent;
+}
+
+module.exports = {
+  importSocialExport,
+  filterPosts,
+  postsToPlatformContent
+};
@@ -1,7 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const multer = require('multer');
 const textAnalyzer = require('./textAnalysis/analyzer');
+const { compareAnalyses } = require('./textAnalysis/runComparison');
+const { buildAnalysisOptions } = require('./analysisOptions');
+const brandProfiles = require('./brandProfiles');
+const analysisStore = require('./storage/analysisStore');
+const contentImport = require('./contentImport');
+const socialExports = require('./contentImport/socialExports');
+const batchFormat = require('./contentImport/batch');
+const { summarizeCampaign } = require('./textAnalysis/campaignSummary');
+const jobManager = require('./jobs/jobManager');
+const { REPORT_FORMATS, isReportFormat, exportReport } = require('./reports');
+const scoringPresets = require('./scoringPresets');
+const rulePackStore = require('./rulePacks');
+const { DEFAULT_SCORING_CONFIG, resolveScoringConfig } = require('./textAnalysis/scoringConfig');
+const { DEFAULT_TONE_TAXONOMIES } = require('./textAnalysis/toneTaxonomy');
+const { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage } = require('./textAnalysis/languages');
+const { DEFAULT_GLOSSARY } = require('./textAnalysis/glossary');
+const { DEFAULT_RULE_PACKS, validateRulePack, mergeRulePacks } = require('./textAnalysis/platformRules');
 
 // Initialize express app
 const app = express();
@@ -12,6 +30,222 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Uploaded files are kept in memory; they are only read once to extract their text
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 20 }
+});
+
+/**
+ * Picks the inputs worth keeping with a saved analysis from the request body
+ * 
+ * @param {Object} body - Request body
+ * @returns {Object} Platform content and the analysis settings that were requested
+ */
+function analysisInputs(body) {
+  const settings = {};
+  
+  [
+    'brandProfile',
+    'referencePlatform',
+    'similarityMetric',
+    'scoringPreset',
+    'scoringConfig',
+    'toneTaxonomy',
+    'glossary',
+    'rulePacks',
+    'languages'
+  ].forEach(key => {
+    if (body[key] !== undefined) settings[key] = body[key];
+  });
+  
+  return {
+    platformContent: body.platformContent,
+    settings
+  };
+}
+
+/**
+ * Checks the campaign name a request gives, if it gives one
+ * 
+ * @param {*} campaign - Campaign name from the request
+ * @returns {String|null} Error message, or null if the campaign is valid
+ */
+function campaignError(campaign) {
+  return campaign === undefined || typeof campaign === 'string' ? null : 'Campaign must be a name (text)';
+}
+
+/**
+ * Resolves one side of a run comparison: either the id of a saved analysis,
+ * or platform content (with optional analysis settings) to analyze now
+ * 
+ * @param {String|Object} run - Saved analysis id, or a request body like /api/analyze takes
+ * @returns {Object} { id, campaign, createdAt, results }, or { error, status, details }
+ */
+async function resolveComparisonRun(run) {
+  if (typeof run === 'string') {
+    const entry = await analysisStore.getAnalysis(run);
+    
+    if (!entry) {
+      return { error: `Analysis not found: ${run}`, status: 404 };
+    }
+    
+    return {
+      id: entry.id,
+      campaign: entry.campaign,
+      createdAt: entry.createdAt,
+      results: entry.results
+    };
+  }
+  
+  if (!run.platformContent || Object.keys(run.platformContent).length === 0) {
+    return { error: 'No content provided for analysis' };
+  }
+  
+  if (campaignError(run.campaign)) {
+    return { error: campaignError(run.campaign) };
+  }
+  
+  const { options, error, details } = buildAnalysisOptions(run);
+  
+  if (error) {
+    return { error, details };
+  }
+  
+  return {
+    id: null,
+    campaign: run.campaign || '',
+    createdAt: new Date().toISOString(),
+    results: await textAnalyzer.analyzeConsistency(run.platformContent, options)
+  };
+}
+
+/**
+ * Keeps an analysis in the history unless the caller opted out
+ * 
+ * @param {Object} body - Request body with platformContent and analysis settings
+ * @param {Object} result - Analysis results
+ * @returns {Object} The results, with the saved analysis id when saved
+ */
+async function saveResult(body, result) {
+  if (body.save === false) {
+    return result;
+  }
+  
+  const entry = await analysisStore.saveAnalysis({
+    campaign: body.campaign,
+    inputs: analysisInputs(body),
+    results: result
+  });
+  
+  return { analysisId: entry.id, ...result };
+}
+
+/**
+ * Analyzes submitted content and keeps it in the history unless the caller opted out
+ * 
+ * @param {Object} body - Request body with platformContent and analysis settings
+ * @returns {Object} { result } on success, or { error, details } if a setting is invalid
+ */
+async function analyzeAndSave(body) {
+  if (campaignError(body.campaign)) {
+    return { error: campaignError(body.campaign) };
+  }
+  
+  const { options, error, details } = buildAnalysisOptions(body);
+  
+  if (error) {
+    return { error, details };
+  }
+  
+  // Process the data with our text analyzer
+  const result = await textAnalyzer.analyzeConsistency(body.platformContent, options);
+  
+  return { result: await saveResult(body, result) };
+}
+
+/**
+ * Reads the messages of a batch request and the analysis options for each
+ * 
+ * @param {Object} body - Request body (messages and analysis settings, or settings only when a file is uploaded)
+ * @param {Object} [file] - Uploaded CSV or JSON batch file
+ * @returns {Object} { campaign, save, tasks } on success, or { error, details } if the batch is invalid;
+ *   each task is { message, platformContent, options, body }, or { message, error } for an invalid message
+ */
+function prepareBatch(body, file) {
+  const { messages: rows, campaign = '', save, ...settings } = body;
+  let messages;
+  
+  if (campaignError(campaign)) {
+    return { error: campaignError(campaign) };
+  }
+  
+  try {
+    messages = file
+      ? batchFormat.parseBatchFile(file.originalname, file.buffer)
+      : batchFormat.normalizeBatch(rows);
+  } catch (error) {
+    return { error: error.message };
+  }
+  
+  // Check the shared settings once rather than failing every message
+  const { error, details } = buildAnalysisOptions({
+    ...settings,
+    platformContent: {},
+    referencePlatform: undefined
+  });
+  
+  if (error) {
+    return { error, details };
+  }
+  
+  const tasks = messages.map(({ message, platformContent }) => {
+    if (Object.keys(platformContent).length === 0) {
+      return { message, error: 'No content provided for analysis' };
+    }
+    
+    const messageBody = {
+      ...settings,
+      platformContent,
+      campaign: campaign ? `${campaign}: ${message}` : message,
+      // Multipart fields arrive as strings
+      save: save !== false && save !== 'false'
+    };
+    const built = buildAnalysisOptions(messageBody);
+    
+    return built.error
+      ? { message, error: built.error, details: built.details }
+      : { message, platformContent, options: built.options, body: messageBody };
+  });
+  
+  return { campaign, tasks };
+}
+
+/**
+ * Saves the analyzed messages of a batch and summarizes the campaign
+ * 
+ * @param {Object} batch - Prepared batch (see prepareBatch)
+ * @param {Array} analyzed - { message, result } or { message, error, details } per task, in task order
+ * @returns {Object} { campaign, messages, summary }
+ */
+async function finishBatch(batch, analyzed) {
+  const messages = [];
+  
+  for (let i = 0; i < analyzed.length; i++) {
+    const { message, result, error, details } = analyzed[i];
+    
+    messages.push(result
+      ? { message, result: await saveResult(batch.tasks[i].body, result) }
+      : { message, error, details });
+  }
+  
+  return {
+    campaign: batch.campaign,
+    messages,
+    summary: summarizeCampaign(messages)
+  };
+}
+
 // Routes
 app.post('/api/analyze', async (req, res) => {
   try {
@@ -22,8 +256,11 @@ app.post('/api/analyze', async (req, res) => {
       return res.status(400).json({ error: 'No content provided for analysis' });
     }
     
-    // Process the data with our text analyzer
-    const result = await textAnalyzer.analyzeConsistency(platformContent);
+    const { result, error, details } = await analyzeAndSave(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
     
     // Return the results
     res.json(result);
@@ -33,9 +270,527 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+app.post('/api/analyze/batch', (req, res) => {
+  upload.single('file')(req, res, async uploadError => {
+    if (uploadError) {
+      return res.status(400).json({ error: `Upload failed: ${uploadError.message}` });
+    }
+    
+    try {
+      const batch = prepareBatch(req.body, req.file);
+      
+      if (batch.error) {
+        return res.status(400).json({ error: batch.error, details: batch.details });
+      }
+      
+      const analyzed = [];
+      
+      for (const task of batch.tasks) {
+        if (task.error) {
+          analyzed.push(task);
+          continue;
+        }
+        
+        // One message failing analysis should not fail the whole batch
+        try {
+          analyzed.push({
+            message: task.message,
+            result: await textAnalyzer.analyzeConsistency(task.platformContent, task.options)
+          });
+        } catch (error) {
+          analyzed.push({ message: task.message, error: error.message });
+        }
+      }
+      
+      res.json(await finishBatch(batch, analyzed));
+    } catch (error) {
+      console.error('Error analyzing batch:', error);
+      res.status(500).json({ error: 'Failed to analyze batch' });
+    }
+  });
 });
 
+app.post('/api/jobs', async (req, res) => {
+  try {
+    // A body with messages is a batch; otherwise it is a single analysis like /api/analyze takes
+    if (req.body.messages) {
+      const batch = prepareBatch(req.body);
+      
+      if (batch.error) {
+        return res.status(400).json({ error: batch.error, details: batch.details });
+      }
+      
+      const job = jobManager.createJob({
+        kind: 'batch',
+        tasks: batch.tasks.map(({ body, ...task }) => task),
+        finish: analyzed => finishBatch(batch, analyzed)
+      });
+      
+      return res.status(202).json(job);
+    }
+    
+    const { platformContent } = req.body;
+    
+    if (!platformContent || Object.keys(platformContent).length === 0) {
+      return res.status(400).json({ error: 'No content provided for analysis' });
+    }
+    
+    if (campaignError(req.body.campaign)) {
+      return res.status(400).json({ error: campaignError(req.body.campaign) });
+    }
+    
+    const { options, error, details } = buildAnalysisOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+    
+    const job = jobManager.createJob({
+      kind: 'analysis',
+      tasks: [{ message: null, platformContent, options }],
+      finish: async ([analyzed]) => {
+        if (analyzed.error) {
+          throw new Error(analyzed.error);
+        }
+        return saveResult(req.body, analyzed.result);
+      }
+    });
+    
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(job);
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  // Progress events carry the job without its result; the final event carries everything
+  const send = snapshot => {
+    const finished = jobManager.isFinished(snapshot.status);
+    const data = finished ? snapshot : { ...snapshot, result: null };
+    
+    res.write(`event: ${finished ? snapshot.status : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    
+    if (finished) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  
+  const unsubscribe = jobManager.subscribe(req.params.id, send);
+  req.on('close', unsubscribe);
+  
+  // Start with the current state, which may already be final
+  send(job);
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const existing = jobManager.getJob(req.params.id);
+  
+  if (!existing) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (jobManager.isFinished(existing.status)) {
+    return res.status(409).json({ error: `Job is already ${existing.status}`, job: existing });
+  }
+  
+  const job = jobManager.cancelJob(req.params.id);
+  
+  // Results that are already being saved can no longer be cancelled
+  if (job.status !== 'cancelled') {
+    return res.status(409).json({ error: 'Job is already finishing', job });
+  }
+  
+  res.json(job);
+});
+
+app.post('/api/import', (req, res) => {
+  upload.array('files')(req, res, async uploadError => {
+    if (uploadError) {
+      return res.status(400).json({ error: `Upload failed: ${uploadError.message}` });
+    }
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    const files = [];
+    const errors = [];
+    
+    // One unreadable file should not stop the others from importing
+    for (const file of req.files) {
+      try {
+        files.push(await contentImport.importFile(file.originalname, file.buffer));
+      } catch (error) {
+        errors.push({ fileName: file.originalname, error: error.message });
+      }
+    }
+    
+    res.json({ files, errors });
+  });
+});
+
+app.post('/api/import/social', (req, res) => {
+  upload.array('files')(req, res, async uploadError => {
+    if (uploadError) {
+      return res.status(400).json({ error: `Upload failed: ${uploadError.message}` });
+    }
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    try {
+      const { from, to, hashtags, mode = 'combine', analyze, save, ...settings } = req.body;
+      
+      // Multipart fields sent more than once arrive as arrays
+      const repeated = Object.entries({ from, to, hashtags, mode, analyze, save })
+        .find(([, value]) => value !== undefined && typeof value !== 'string');
+      if (repeated) {
+        return res.status(400).json({ error: `The ${repeated[0]} field must be given once, as text` });
+      }
+      
+      const invalidDate = [from, to].find(value => value && isNaN(new Date(value)));
+      if (invalidDate) {
+        return res.status(400).json({ error: `Invalid date: ${invalidDate}` });
+      }
+      
+      if (!['combine', 'separate'].includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode: ${mode}. Use combine or separate` });
+      }
+      
+      const filters = {
+        from,
+        to,
+        hashtags: hashtags ? hashtags.split(/[\s,]+/) : []
+      };
+      
+      const exports = [];
+      const errors = [];
+      
+      for (const file of req.files) {
+        try {
+          const imported = socialExports.importSocialExport(file.originalname, file.buffer);
+          exports.push({
+            ...imported,
+            totalPosts: imported.posts.length,
+            posts: socialExports.filterPosts(imported.posts, filters)
+          });
+        } catch (error) {
+          errors.push({ fileName: file.originalname, error: error.message });
+        }
+      }
+      
+      const platformContent = socialExports.postsToPlatformContent(exports, mode);
+      const response = { exports, errors, platformContent };
+      
+      // Optionally run the analysis on the imported posts straight away
+      if (analyze === 'true') {
+        if (Object.keys(platformContent).length === 0) {
+          return res.status(400).json({ error: 'No posts matched the filters', exports, errors });
+        }
+        
+        const { result, error, details } = await analyzeAndSave({
+          ...settings,
+          platformContent,
+          save: save !== 'false'
+        });
+        
+        if (error) {
+          return res.status(400).json({ error, details });
+        }
+        
+        response.analysis = result;
+      }
+      
+      res.json(response);
+    } catch (error) {
+      console.error('Error importing social exports:', error);
+      res.status(500).json({ error: 'Failed to import social exports' });
+    }
+  });
+});
+
+app.get('/api/analyses', async (req, res) => {
+  try {
+    const { campaign, from, to } = req.query;
+    
+    const repeated = Object.entries({ campaign, from, to })
+      .find(([, value]) => value !== undefined && typeof value !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `The ${repeated[0]} filter must be given once, as text` });
+    }
+    
+    const invalidDate = [from, to].find(value => value && isNaN(new Date(value)));
+    if (invalidDate) {
+      return res.status(400).json({ error: `Invalid date: ${invalidDate}` });
+    }
+    
+    res.json({ analyses: await analysisStore.listAnalyses({ campaign, from, to }) });
+  } catch (error) {
+    console.error('Error listing analyses:', error);
+    res.status(500).json({ error: 'Failed to list analyses' });
+  }
+});
+
+app.post('/api/analyses/compare', async (req, res) => {
+  try {
+    const { before, after } = req.body;
+    
+    if (!before || !after) {
+      return res.status(400).json({ error: 'Both a "before" and an "after" analysis are required' });
+    }
+    
+    const runs = [];
+    
+    for (const [label, run] of [['before', before], ['after', after]]) {
+      const resolved = await resolveComparisonRun(run);
+      
+      if (resolved.error) {
+        return res.status(resolved.status || 400).json({
+          error: `Invalid "${label}" analysis: ${resolved.error}`,
+          details: resolved.details
+        });
+      }
+      
+      runs.push(resolved);
+    }
+    
+    const [beforeRun, afterRun] = runs;
+    const warnings = [];
+    
+    if (beforeRun.campaign && afterRun.campaign && beforeRun.campaign !== afterRun.campaign) {
+      warnings.push(`Comparing different campaigns: "${beforeRun.campaign}" and "${afterRun.campaign}"`);
+    }
+    
+    res.json({
+      before: { id: beforeRun.id, campaign: beforeRun.campaign, createdAt: beforeRun.createdAt },
+      after: { id: afterRun.id, campaign: afterRun.campaign, createdAt: afterRun.createdAt },
+      warnings,
+      comparison: compareAnalyses(beforeRun.results, afterRun.results)
+    });
+  } catch (error) {
+    console.error('Error comparing analyses:', error);
+    res.status(500).json({ error: 'Failed to compare analyses' });
+  }
+});
+
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const entry = await analysisStore.getAnalysis(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    
+    res.json(entry);
+  } catch (error) {
+    console.error('Error loading analysis:', error);
+    res.status(500).json({ error: 'Failed to load analysis' });
+  }
+});
+
+app.get('/api/analyses/:id/report', async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    
+    if (!isReportFormat(format)) {
+      return res.status(400).json({
+        error: `Unknown report format: ${format}. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+      });
+    }
+    
+    const entry = await analysisStore.getAnalysis(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    
+    const report = exportReport(entry, format);
+    
+    // download=false shows the report in the browser, e.g. the HTML print view
+    if (req.query.download !== 'false') {
+      res.attachment(report.fileName);
+    }
+    
+    res.type(report.contentType).send(report.body);
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    res.status(500).json({ error: 'Failed to export report' });
+  }
+});
+
+app.delete('/api/analyses/:id', async (req, res) => {
+  try {
+    const deleted = await analysisStore.deleteAnalysis(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting analysis:', error);
+    res.status(500).json({ error: 'Failed to delete analysis' });
+  }
+});
+
+app.get('/api/brand-profiles', (req, res) => {
+  res.json({ profiles: brandProfiles.listProfiles() });
+});
+
+app.get('/api/brand-profiles/:name', (req, res) => {
+  const profile = brandProfiles.getProfile(req.params.name);
+  
+  if (!profile) {
+    return res.status(404).json({ error: 'Brand profile not found' });
+  }
+  
+  res.json(profile);
+});
+
+app.get('/api/scoring-config/defaults', (req, res) => {
+  res.json(DEFAULT_SCORING_CONFIG);
+});
+
+// Each language has its own default markers; ?language=es picks one (English by default)
+app.get('/api/tone-taxonomy/defaults', (req, res) => {
+  const language = req.query.language || DEFAULT_LANGUAGE;
+  
+  if (!isSupportedLanguage(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}. Use one of: ${Object.keys(LANGUAGES).join(', ')}` });
+  }
+  
+  res.json(DEFAULT_TONE_TAXONOMIES[language]);
+});
+
+app.get('/api/glossary/defaults', (req, res) => {
+  res.json(DEFAULT_GLOSSARY);
+});
+
+app.get('/api/scoring-presets', (req, res) => {
+  res.json({ presets: scoringPresets.listPresets() });
+});
+
+app.get('/api/scoring-presets/:name', (req, res) => {
+  const preset = scoringPresets.getPreset(req.params.name);
+  
+  if (!preset) {
+    return res.status(404).json({ error: 'Scoring preset not found' });
+  }
+  
+  res.json(preset);
+});
+
+app.put('/api/scoring-presets/:name', (req, res) => {
+  try {
+    const { description, ...config } = req.body;
+    
+    if (!scoringPresets.isValidName(req.params.name)) {
+      return res.status(400).json({
+        error: 'Preset names may only contain letters, numbers, hyphens and underscores'
+      });
+    }
+    
+    // Built-in presets ship with the source and stay as they are
+    if (scoringPresets.isBuiltIn(req.params.name)) {
+      return res.status(409).json({
+        error: `${req.params.name} is a built-in preset and cannot be replaced; save it under another name`
+      });
+    }
+    
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({ error: 'Preset description must be text' });
+    }
+    
+    const { errors } = resolveScoringConfig(config);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scoring configuration', details: errors });
+    }
+    
+    res.json(scoringPresets.savePreset(req.params.name, config, description));
+  } catch (error) {
+    console.error('Error saving scoring preset:', error);
+    res.status(500).json({ error: 'Failed to save scoring preset' });
+  }
+});
+
+app.get('/api/rule-packs/defaults', (req, res) => {
+  res.json(DEFAULT_RULE_PACKS);
+});
+
+app.get('/api/rule-packs', (req, res) => {
+  res.json({ packs: rulePackStore.listRulePacks() });
+});
+
+app.get('/api/rule-packs/:name', (req, res) => {
+  const pack = rulePackStore.getRulePack(req.params.name);
+  
+  if (!pack) {
+    return res.status(404).json({ error: 'Rule pack not found' });
+  }
+  
+  res.json(pack);
+});
+
+app.put('/api/rule-packs/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!rulePackStore.isValidName(name)) {
+      return res.status(400).json({
+        error: 'Rule pack names may only contain lowercase letters, numbers, hyphens and underscores'
+      });
+    }
+    
+    // The pack is merged over the built-in and shipped pack of the same name, so check the result too
+    let errors = validateRulePack(req.body);
+    if (errors.length === 0) {
+      errors = validateRulePack(mergeRulePacks(rulePackStore.listBaseRulePacks(), { [name]: req.body })[name]);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule pack', details: errors });
+    }
+    
+    res.json(rulePackStore.saveRulePack(name, req.body));
+  } catch (error) {
+    console.error('Error saving rule pack:', error);
+    res.status(500).json({ error: 'Failed to save rule pack' });
+  }
+});
+
+// Start the server when run directly; tests start it on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
 module.exports = app; // For testing purposes
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Analysis Worker for Content Consistency Grader
+ *
+ * Runs the analyses of one job in a worker thread so the server's event loop
+ * stays free while the NLP work runs. Reports progress after every analysis
+ * stage and posts the results (or a per-message error) when done.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeConsistency } = require('../textAnalysis/analyzer');
+
+/**
+ * Analyzes every task of the job in order
+ *
+ * @param {Array} tasks - { message, platformContent, options }, or { message, error } for messages that failed validation
+ */
+async function run(tasks) {
+  const analyzed = [];
+
+  for (let index = 0; index < tasks.length; index++) {
+    const task = tasks[index];
+
+    if (task.error) {
+      analyzed.push({ message: task.message, error: task.error, details: task.details });
+      continue;
+    }
+
+    try {
+      const result = await analyzeConsistency(task.platformContent, {
+        ...task.options,
+        onProgress: progress => parentPort.postMessage({ type: 'progress', task: index, ...progress })
+      });
+      analyzed.push({ message: task.message, result });
+    } catch (error) {
+      analyzed.push({ message: task.message, error: error.message });
+    }
+  }
+
+  parentPort.postMessage({ type: 'done', analyzed });
+}
+
+run(workerData.tasks);
@@ -0,0 +1,255 @@
+/**
+ * Analysis Job Manager for Content Consistency Grader
+ *
+ * Runs analyses as background jobs. Each job gets its own worker thread, at
+ * most JOB_CONCURRENCY jobs run at once and the rest wait in a queue. Callers
+ * can follow a job's progress stage by stage, cancel it, and fetch its result
+ * for an hour after it finishes.
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY) || Math.max(1, os.cpus().length - 1);
+
+// How long finished jobs are kept for status requests
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+/**
+ * Creates a job and starts it as soon as a worker slot is free
+ *
+ * @param {Object} spec - What to run
+ * @param {String} spec.kind - "analysis" or "batch"
+ * @param {Array} spec.tasks - Messages to analyze (see analysisWorker.js)
+ * @param {Function} spec.finish - Turns the analyzed messages into the job result (may save them); may be async
+ * @returns {Object} Job snapshot
+ */
+function createJob({ kind, tasks, finish }) {
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: { task: 0, taskCount: tasks.length, stage: null, completed: 0, total: 0, percent: 0 },
+    result: null,
+    error: null,
+    tasks,
+    finish,
+    worker: null,
+    events: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  startQueuedJobs();
+
+  return snapshot(job);
+}
+
+/**
+ * Starts queued jobs while worker slots are free
+ */
+function startQueuedJobs() {
+  while (runningCount < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+/**
+ * Runs a job in a worker thread
+ *
+ * @param {Object} job - Queued job
+ */
+function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.worker = new Worker(path.join(__dirname, 'analysisWorker.js'), {
+    workerData: { tasks: job.tasks }
+  });
+  update(job);
+
+  job.worker.on('message', async message => {
+    if (message.type === 'progress') {
+      const { task, stage, completed, total } = message;
+      job.progress = {
+        task,
+        taskCount: job.tasks.length,
+        stage,
+        completed,
+        total,
+        percent: Math.round(((task + completed / total) / job.tasks.length) * 100)
+      };
+      update(job);
+      return;
+    }
+
+    // The worker is done; saving and summarizing happen here on the main thread
+    releaseWorker(job);
+
+    try {
+      job.result = await job.finish(message.analyzed);
+      job.progress = { ...job.progress, percent: 100 };
+      finishJob(job, 'completed');
+    } catch (error) {
+      job.error = error.message;
+      finishJob(job, 'failed');
+    }
+  });
+
+  job.worker.on('error', error => {
+    console.error(`Analysis job ${job.id} failed:`, error);
+    releaseWorker(job);
+    job.error = 'Analysis failed';
+    finishJob(job, 'failed');
+  });
+
+  // A worker that exits without posting its results has crashed
+  job.worker.on('exit', code => {
+    console.error(`Analysis worker for job ${job.id} exited with code ${code}`);
+    releaseWorker(job);
+    job.error = 'Analysis failed';
+    finishJob(job, 'failed');
+  });
+}
+
+/**
+ * Frees a job's worker slot and lets the next queued job start
+ *
+ * @param {Object} job - Running job
+ */
+function releaseWorker(job) {
+  if (!job.worker) return;
+
+  job.worker.removeAllListeners();
+  job.worker = null;
+  runningCount--;
+  startQueuedJobs();
+}
+
+/**
+ * Marks a job as finished and schedules it to be forgotten
+ *
+ * @param {Object} job - Job
+ * @param {String} status - "completed", "failed" or "cancelled"
+ */
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.tasks = null;
+  job.finish = null;
+  update(job);
+
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+/**
+ * Cancels a queued or running job
+ *
+ * @param {String} id - Job id
+ * @returns {Object|null} Job snapshot, or null if the job does not exist
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  // Finished jobs, and jobs whose results are already being saved, cannot be cancelled
+  if (FINISHED_STATUSES.includes(job.status) || (job.status === 'running' && !job.worker)) {
+    return snapshot(job);
+  }
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+  } else {
+    const worker = job.worker;
+    releaseWorker(job);
+    worker.terminate();
+  }
+
+  finishJob(job, 'cancelled');
+  return snapshot(job);
+}
+
+/**
+ * Returns a job's current state
+ *
+ * @param {String} id - Job id
+ * @returns {Object|null} Job snapshot, or null if the job does not exist
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+/**
+ * Calls a listener with the job's state every time it changes
+ *
+ * @param {String} id - Job id
+ * @param {Function} listener - Called with a job snapshot
+ * @returns {Function|null} Unsubscribe function, or null if the job does not exist
+ */
+function subscribe(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  job.events.on('update', listener);
+  return () => job.events.removeListener('update', listener);
+}
+
+/**
+ * Tells subscribers that a job changed
+ *
+ * @param {Object} job - Job
+ */
+function update(job) {
+  job.events.emit('update', snapshot(job));
+}
+
+/**
+ * Copies the public parts of a job
+ *
+ * @param {Object} job - Job
+ * @returns {Object} { id, kind, status, createdAt, startedAt, finishedAt, progress, result, error }
+ */
+function snapshot(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Checks whether a job status is final
+ *
+ * @param {String} status - Job status
+ * @returns {Boolean} True for completed, failed and cancelled jobs
+ */
+function isFinished(status) {
+  return FINISHED_STATUSES.includes(status);
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribe,
+  isFinished
+};
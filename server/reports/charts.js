@@ -0,0 +1,83 @@
+/**
+ * Report Charts for Content Consistency Grader
+ *
+ * Renders the report's charts as static SVG, so an exported report shows
+ * them without Chart.js, a browser or a network connection.
+ */
+
+const WIDTH = 520;
+const LABEL_WIDTH = 170;
+const VALUE_WIDTH = 50;
+const BAR_HEIGHT = 18;
+const ROW_HEIGHT = 26;
+const TITLE_HEIGHT = 28;
+
+const BAR_COLOR = '#4a6fa5';
+const NEGATIVE_COLOR = '#d64541';
+const AXIS_COLOR = '#6c757d';
+
+/**
+ * Renders a horizontal bar chart
+ *
+ * @param {Object} chart - Chart from the report model
+ * @param {String} chart.title - Chart title
+ * @param {Array} chart.bars - { label, value } per bar
+ * @param {Number} [chart.min] - Lowest value on the axis (default: the lowest value, or 0)
+ * @param {Number} [chart.max] - Highest value on the axis (default: the highest value, or 0)
+ * @param {Function} chart.format - Formats a value for its label
+ * @returns {String} Standalone SVG document
+ */
+function barChartSvg({ title, bars, min, max, format }) {
+  const values = bars.map(bar => bar.value);
+  const low = min !== undefined ? min : Math.min(0, ...values);
+  let high = max !== undefined ? max : Math.max(0, ...values);
+  if (high === low) high = low + 1;
+
+  const plotWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const x = value => LABEL_WIDTH + ((Math.min(Math.max(value, low), high) - low) / (high - low)) * plotWidth;
+  const zero = x(Math.max(low, 0));
+  const height = TITLE_HEIGHT + Math.max(bars.length, 1) * ROW_HEIGHT + 8;
+
+  const rows = bars.map((bar, index) => {
+    const y = TITLE_HEIGHT + index * ROW_HEIGHT;
+    const start = Math.min(zero, x(bar.value));
+    const width = Math.abs(x(bar.value) - zero);
+    const color = bar.value < 0 ? NEGATIVE_COLOR : BAR_COLOR;
+
+    return [
+      `<text x="${LABEL_WIDTH - 8}" y="${y + BAR_HEIGHT - 4}" text-anchor="end">${escapeXml(bar.label)}</text>`,
+      `<rect x="${start.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${BAR_HEIGHT}" fill="${color}"/>`,
+      `<text x="${WIDTH - VALUE_WIDTH + 6}" y="${y + BAR_HEIGHT - 4}">${escapeXml(format(bar.value))}</text>`
+    ].join('');
+  });
+
+  const axisBottom = TITLE_HEIGHT + bars.length * ROW_HEIGHT;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif" font-size="12" fill="#333">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<text x="0" y="16" font-size="14" font-weight="bold">${escapeXml(title)}</text>`,
+    ...rows,
+    `<line x1="${zero.toFixed(1)}" y1="${TITLE_HEIGHT - 4}" x2="${zero.toFixed(1)}" y2="${axisBottom}" stroke="${AXIS_COLOR}"/>`,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Escapes text for use in XML and HTML
+ *
+ * @param {String} text - Text
+ * @returns {String} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  barChartSvg,
+  escapeXml
+};
@@ -0,0 +1,98 @@
+/**
+ * CSV Report for Content Consistency Grader
+ *
+ * Renders the metrics of a report as CSV, one metric per row, for
+ * spreadsheets and dashboards.
+ */
+
+const COLUMNS = ['section', 'platform', 'compared_with', 'metric', 'value'];
+
+/**
+ * Renders the metrics of an analysis as CSV
+ *
+ * @param {Object} report - Report model from buildReportModel
+ * @param {Object} results - Analysis results, for metrics the report model does not summarize
+ * @returns {String} CSV text with a header row
+ */
+function renderCsv(report, results) {
+  const rows = [];
+  const add = (section, platform, comparedWith, metric, value) => {
+    rows.push([section, platform, comparedWith, metric, value]);
+  };
+
+  add('overall', '', '', 'score', report.score);
+  report.dimensions.forEach(dimension => add('dimension', '', '', dimension.key, dimension.score));
+  add('overall', '', '', 'fact_conflicts', report.factConflicts.length);
+
+  if (report.brandCompliance) {
+    add('overall', '', '', 'brand_compliance', report.brandCompliance.score);
+  }
+
+  report.platforms.forEach(row => {
+    add('platform', row.platform, '', 'score', row.score);
+    add('platform', row.platform, '', 'outlier', row.outlier);
+    if (row.language) add('platform', row.platform, '', 'language', row.language);
+
+    const components = results.platformScores.platforms[row.platform].components;
+    for (const component in components) {
+      add('platform', row.platform, '', `${component}_score`, round(components[component]));
+    }
+
+    add('sentiment', row.platform, '', 'comparative', round(row.sentiment));
+    add('tone', row.platform, '', 'dominant_tone', row.dominantTone);
+
+    if (results.readabilityAnalysis) {
+      const readability = results.readabilityAnalysis.platformReadability[row.platform];
+      ['gradeLevel', 'fleschReadingEase', 'averageSentenceLength', 'passiveVoiceRatio', 'longWordShare'].forEach(metric => {
+        add('readability', row.platform, '', snakeCase(metric), round(readability[metric]));
+      });
+    }
+  });
+
+  // Platforms in different languages have no similarity
+  const { metric, platforms, matrix } = report.similarity;
+  platforms.forEach((platform1, i) => {
+    platforms.slice(i + 1)
+      .filter(platform2 => matrix[platform1][platform2] !== null)
+      .forEach(platform2 => {
+        add('similarity', platform1, platform2, metric, round(matrix[platform1][platform2]));
+      });
+  });
+
+  return [COLUMNS].concat(rows).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break
+ *
+ * @param {*} value - Field value
+ * @returns {String} CSV field
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rounds a metric to four decimals
+ *
+ * @param {Number} value - Metric
+ * @returns {Number} Rounded metric
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Converts a camelCase metric name to snake_case
+ *
+ * @param {String} name - Metric name
+ * @returns {String} snake_case name
+ */
+function snakeCase(name) {
+  return name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+module.exports = {
+  renderCsv
+};
@@ -0,0 +1,177 @@
+/**
+ * HTML Report for Content Consistency Grader
+ *
+ * Renders the report model as a standalone HTML page with inline SVG charts
+ * and a print stylesheet, so it can be emailed as a file or printed to PDF
+ * from the browser.
+ */
+
+const { barChartSvg, escapeXml: escapeHtml } = require('./charts');
+const { percent } = require('./reportModel');
+
+const STYLES = `
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.5; color: #333; max-width: 960px; margin: 0 auto; padding: 2rem; }
+  h1 { color: #166088; margin-bottom: 0.25rem; }
+  h2 { color: #166088; border-bottom: 1px solid #dee2e6; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #6c757d; margin-top: 0; }
+  .score { display: inline-block; font-size: 2.5rem; font-weight: bold; color: #fff; border-radius: 8px; padding: 0.5rem 1.25rem; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { border: 1px solid #dee2e6; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f8f9fa; }
+  td.number { text-align: right; white-space: nowrap; }
+  .charts { display: flex; flex-wrap: wrap; gap: 1.5rem; }
+  .charts svg { max-width: 100%; height: auto; }
+  .priority-high { color: #d64541; font-weight: bold; }
+  .print-button { margin-top: 2rem; padding: 0.5rem 1rem; }
+  @media print {
+    body { padding: 0; max-width: none; font-size: 11pt; }
+    .print-button { display: none; }
+    h2 { break-after: avoid; }
+    table, .charts svg, li { break-inside: avoid; }
+    .score, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+/**
+ * Renders a report as a standalone HTML page
+ *
+ * @param {Object} report - Report model from buildReportModel
+ * @returns {String} HTML document
+ */
+function renderHtml(report) {
+  const title = `Content Consistency Report${report.campaign ? `: ${report.campaign}` : ''}`;
+  const parts = [];
+
+  parts.push(`<h1>${escapeHtml(title)}</h1>`);
+  parts.push(`<p class="meta">Analyzed ${escapeHtml(new Date(report.createdAt).toUTCString())}</p>`);
+  parts.push(`<p><span class="score" style="background-color: ${scoreColor(report.score)}">${report.score}</span> overall score out of 100</p>`);
+
+  parts.push('<h2>Dimensions</h2>');
+  parts.push(table(
+    ['Dimension', 'Score', 'Summary'],
+    report.dimensions.map(dimension => [escapeHtml(dimension.label), number(dimension.score), escapeHtml(dimension.summary)])
+  ));
+
+  if (report.languageNotices.length > 0) {
+    parts.push('<h2>Languages</h2>');
+    parts.push(list(report.languageNotices.map(escapeHtml)));
+  }
+
+  parts.push('<h2>Platforms</h2>');
+  parts.push(table(
+    ['Platform', 'Score', 'Sentiment', 'Tone', 'Grade level'],
+    report.platforms.map(row => [
+      `${escapeHtml(row.platform)}${row.outlier ? ' <strong>(outlier)</strong>' : ''}`,
+      number(row.score),
+      number(row.sentiment.toFixed(2)),
+      escapeHtml(row.dominantTone),
+      number(row.gradeLevel !== null ? row.gradeLevel.toFixed(1) : '')
+    ])
+  ));
+
+  parts.push('<h2>Charts</h2>');
+  parts.push(`<div class="charts">${report.charts.map(chart => barChartSvg(chart).replace(/^<svg /, '<svg role="img" ')).join('\n')}</div>`);
+
+  const { metric, platforms, matrix } = report.similarity;
+  parts.push(`<h2>Similarity Matrix (${escapeHtml(metric)})</h2>`);
+  parts.push(table(
+    [''].concat(platforms.map(escapeHtml)),
+    platforms.map(platform1 => [`<strong>${escapeHtml(platform1)}</strong>`].concat(
+      platforms.map(platform2 => number(percent(matrix[platform1][platform2])))
+    ))
+  ));
+
+  if (report.factConflicts.length > 0) {
+    parts.push('<h2>Fact Conflicts</h2>');
+    parts.push(list(report.factConflicts.map(conflict => {
+      const values = conflict.values
+        .map(value => `"${escapeHtml(value.value)}" (${escapeHtml(value.platforms.join(', '))})`)
+        .join(' vs ');
+      return `<strong>${escapeHtml(conflict.type)}</strong>: ${values}`;
+    })));
+  }
+
+  if (report.brandCompliance) {
+    parts.push('<h2>Brand Compliance</h2>');
+    parts.push(`<p>${report.brandCompliance.score}/100${report.brandCompliance.compliant ? '' : ' (not compliant)'}</p>`);
+  }
+
+  parts.push('<h2>Recommendations</h2>');
+  parts.push(report.recommendations.length > 0
+    ? list(report.recommendations.map(rec => {
+      const priority = rec.priority === 'high' ? ' <span class="priority-high">High priority</span>' : '';
+      return `<strong>${escapeHtml(rec.title)}</strong>${priority}<br>${escapeHtml(rec.description)}`;
+    }))
+    : '<p>No recommendations: your content is consistent.</p>');
+
+  parts.push('<button type="button" class="print-button" onclick="window.print()">Print or save as PDF</button>');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLES}</style>`,
+    '</head>',
+    '<body>',
+    ...parts,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a table from already escaped cells
+ *
+ * @param {Array} headings - Column headings
+ * @param {Array} rows - Rows of cell HTML; cells made with number() are right-aligned
+ * @returns {String} Table HTML
+ */
+function table(headings, rows) {
+  const head = `<tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr>`;
+  const body = rows.map(row => `<tr>${row.map(cell =>
+    (typeof cell === 'object' ? `<td class="number">${cell.html}</td>` : `<td>${cell}</td>`)
+  ).join('')}</tr>`);
+
+  return `<table>\n<thead>${head}</thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+}
+
+/**
+ * Marks a table cell as a number
+ *
+ * @param {Number|String} value - Value to show
+ * @returns {Object} Cell for table()
+ */
+function number(value) {
+  return { html: escapeHtml(value) };
+}
+
+/**
+ * Renders a bulleted list from already escaped items
+ *
+ * @param {Array} items - Item HTML
+ * @returns {String} List HTML
+ */
+function list(items) {
+  return `<ul>\n${items.map(item => `<li>${item}</li>`).join('\n')}\n</ul>`;
+}
+
+/**
+ * Picks the score color the results page uses
+ *
+ * @param {Number} score - Score (0-100)
+ * @returns {String} CSS color
+ */
+function scoreColor(score) {
+  if (score >= 80) return '#3d9970'; // Green
+  if (score >= 60) return '#ffdc00'; // Yellow
+  if (score >= 40) return '#ff851b'; // Orange
+  return '#ff4136'; // Red
+}
+
+module.exports = {
+  renderHtml
+};
@@ -0,0 +1,91 @@
+/**
+ * Report Export for Content Consistency Grader
+ *
+ * Turns a saved analysis into a self-contained report for people who never
+ * open the tool: Markdown, a standalone HTML page that prints to PDF, a CSV
+ * of the metrics or the raw JSON.
+ */
+
+const { buildReportModel } = require('./reportModel');
+const { renderMarkdown } = require('./markdown');
+const { renderHtml } = require('./html');
+const { renderCsv } = require('./csv');
+
+// Export formats with their file extension and content type
+const REPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+/**
+ * Checks whether a value names one of the report formats
+ *
+ * @param {*} format - Value to check
+ * @returns {Boolean} True for a report format such as "html"
+ */
+function isReportFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format);
+}
+
+/**
+ * Renders a saved analysis as a report
+ *
+ * @param {Object} entry - Saved analysis (see analysisStore.js)
+ * @param {String} format - One of REPORT_FORMATS
+ * @returns {Object} { fileName, contentType, body }
+ */
+function exportReport(entry, format) {
+  if (!isReportFormat(format)) {
+    throw new Error(`Unknown report format: ${format}. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+
+  let body;
+
+  if (format === 'json') {
+    body = JSON.stringify(entry, null, 2);
+  } else {
+    const report = buildReportModel(entry);
+
+    switch (format) {
+      case 'markdown':
+        body = renderMarkdown(report);
+        break;
+      case 'html':
+        body = renderHtml(report);
+        break;
+      default:
+        body = renderCsv(report, entry.results);
+    }
+  }
+
+  return {
+    fileName: reportFileName(entry, format),
+    contentType: REPORT_FORMATS[format].contentType,
+    body
+  };
+}
+
+/**
+ * Names a report file after its campaign and date
+ *
+ * @param {Object} entry - Saved analysis
+ * @param {String} format - Report format
+ * @returns {String} File name, such as "spring-launch-2024-03-01.html"
+ */
+function reportFileName(entry, format) {
+  const slug = String(entry.campaign || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  const date = String(entry.createdAt || '').slice(0, 10);
+
+  return `${[slug || 'consistency-report', date].filter(Boolean).join('-')}.${REPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  isReportFormat,
+  exportReport
+};
@@ -0,0 +1,120 @@
+/**
+ * Markdown Report for Content Consistency Grader
+ *
+ * Renders the report model as Markdown. Charts are embedded as SVG data
+ * URIs, so the file stays self-contained.
+ */
+
+const { barChartSvg } = require('./charts');
+const { percent } = require('./reportModel');
+
+/**
+ * Renders a report as Markdown
+ *
+ * @param {Object} report - Report model from buildReportModel
+ * @returns {String} Markdown document
+ */
+function renderMarkdown(report) {
+  const lines = [];
+
+  lines.push(`# Content Consistency Report${report.campaign ? `: ${escapeMarkdown(report.campaign)}` : ''}`);
+  lines.push('');
+  lines.push(`Analyzed ${new Date(report.createdAt).toUTCString()}`);
+  lines.push('');
+  lines.push(`**Overall score: ${report.score}/100**`);
+  lines.push('');
+
+  lines.push('## Dimensions');
+  lines.push('');
+  lines.push('| Dimension | Score | Summary |');
+  lines.push('| --- | ---: | --- |');
+  report.dimensions.forEach(dimension => {
+    lines.push(`| ${dimension.label} | ${dimension.score} | ${escapeMarkdown(dimension.summary)} |`);
+  });
+  lines.push('');
+
+  if (report.languageNotices.length > 0) {
+    lines.push('## Languages');
+    lines.push('');
+    report.languageNotices.forEach(notice => lines.push(`- ${escapeMarkdown(notice)}`));
+    lines.push('');
+  }
+
+  lines.push('## Platforms');
+  lines.push('');
+  lines.push('| Platform | Score | Sentiment | Tone | Grade level |');
+  lines.push('| --- | ---: | ---: | --- | ---: |');
+  report.platforms.forEach(row => {
+    const name = `${escapeMarkdown(row.platform)}${row.outlier ? ' (outlier)' : ''}`;
+    const grade = row.gradeLevel !== null ? row.gradeLevel.toFixed(1) : '';
+    lines.push(`| ${name} | ${row.score} | ${row.sentiment.toFixed(2)} | ${row.dominantTone} | ${grade} |`);
+  });
+  lines.push('');
+
+  lines.push('## Charts');
+  lines.push('');
+  report.charts.forEach(chart => {
+    const svg = Buffer.from(barChartSvg(chart)).toString('base64');
+    lines.push(`![${chart.title}](data:image/svg+xml;base64,${svg})`);
+    lines.push('');
+  });
+
+  const { metric, platforms, matrix } = report.similarity;
+  lines.push(`## Similarity Matrix (${metric})`);
+  lines.push('');
+  lines.push(`| | ${platforms.map(escapeMarkdown).join(' | ')} |`);
+  lines.push(`| --- |${platforms.map(() => ' ---: |').join('')}`);
+  platforms.forEach(platform1 => {
+    const cells = platforms.map(platform2 => percent(matrix[platform1][platform2]));
+    lines.push(`| **${escapeMarkdown(platform1)}** | ${cells.join(' | ')} |`);
+  });
+  lines.push('');
+
+  if (report.factConflicts.length > 0) {
+    lines.push('## Fact Conflicts');
+    lines.push('');
+    report.factConflicts.forEach(conflict => {
+      const values = conflict.values
+        .map(value => `"${escapeMarkdown(value.value)}" (${value.platforms.join(', ')})`)
+        .join(' vs ');
+      lines.push(`- **${conflict.type}**: ${values}`);
+    });
+    lines.push('');
+  }
+
+  if (report.brandCompliance) {
+    lines.push('## Brand Compliance');
+    lines.push('');
+    lines.push(`${report.brandCompliance.score}/100${report.brandCompliance.compliant ? '' : ' (not compliant)'}`);
+    lines.push('');
+  }
+
+  lines.push('## Recommendations');
+  lines.push('');
+  if (report.recommendations.length === 0) {
+    lines.push('No recommendations: your content is consistent.');
+  }
+  report.recommendations.forEach(rec => {
+    const priority = rec.priority === 'high' ? ' (high priority)' : '';
+    lines.push(`- **${escapeMarkdown(rec.title)}**${priority}: ${escapeMarkdown(rec.description)}`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes the characters that would break a table cell or start formatting
+ *
+ * @param {String} text - Text
+ * @returns {String} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]|<>])/g, '\\$1')
+    .replace(/\r?\n/g, ' ');
+}
+
+module.exports = {
+  renderMarkdown
+};
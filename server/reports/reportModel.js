@@ -0,0 +1,198 @@
+/**
+ * Report Model for Content Consistency Grader
+ *
+ * Collects what an exported report shows from a saved analysis: the overall
+ * score, a summary of each consistency dimension, per-platform figures, the
+ * data behind the charts, the similarity matrix, fact conflicts and the
+ * recommendations. Every export format renders this same model, so a
+ * Markdown and an HTML report of one analysis never disagree.
+ */
+
+const { DEFAULT_SCORING_CONFIG } = require('../textAnalysis/scoringConfig');
+
+// Consistency dimensions in report order, with a 0-1 score and a one-line summary.
+// Analyses saved before a dimension existed have no score for it and are left out.
+const DIMENSIONS = [
+  {
+    key: 'sentiment',
+    label: 'Sentiment consistency',
+    score: results => Math.max(0, 1 - results.sentimentAnalysis.variance),
+    summary: (results, thresholds) => {
+      const variance = results.sentimentAnalysis.variance;
+      return variance < thresholds.sentimentVariance
+        ? `Your content maintains a consistent emotional tone across platforms (variance: ${variance.toFixed(2)}).`
+        : `Your content shows significant emotional tone variation across platforms (variance: ${variance.toFixed(2)}).`;
+    }
+  },
+  {
+    key: 'keywords',
+    label: 'Keyword consistency',
+    score: results => results.keywordAnalysis.consistencyScore,
+    summary: (results, thresholds) => {
+      const score = results.keywordAnalysis.consistencyScore;
+      return score > thresholds.keywordConsistency
+        ? `Your key messaging terms are consistently used across platforms (${percent(score)} consistency).`
+        : `Your key messaging terms vary significantly across platforms (${percent(score)} consistency).`;
+    }
+  },
+  {
+    key: 'tone',
+    label: 'Tone consistency',
+    score: results => results.toneAnalysis.consistencyScore,
+    summary: (results, thresholds) => {
+      const score = results.toneAnalysis.consistencyScore;
+      return score > thresholds.toneConsistency
+        ? `Your communication style is consistent across platforms (${percent(score)} consistency).`
+        : `Your communication style varies across platforms (${percent(score)} consistency).`;
+    }
+  },
+  {
+    key: 'readability',
+    label: 'Readability consistency',
+    score: results => (results.readabilityAnalysis ? results.readabilityAnalysis.consistencyScore : null),
+    summary: (results, thresholds) => {
+      const score = results.readabilityAnalysis.consistencyScore;
+      const grades = results.readabilityAnalysis.variation.gradeLevel;
+      const gradeRange = `grade ${grades.min.toFixed(0)} to ${grades.max.toFixed(0)}`;
+      return score > thresholds.readabilityConsistency
+        ? `Your content is about equally easy to read on every platform (${gradeRange}, ${percent(score)} consistency).`
+        : `Your content is much harder to read on some platforms than on others (${gradeRange}, ${percent(score)} consistency).`;
+    }
+  },
+  {
+    key: 'similarity',
+    label: 'Content similarity',
+    score: results => results.similarityMatrix.averageSimilarity,
+    summary: (results, thresholds) => {
+      const { averageSimilarity, metric } = results.similarityMatrix;
+      return averageSimilarity > thresholds.similarityConsistency
+        ? `Your content is structurally similar across platforms (${percent(averageSimilarity)} average ${metric} similarity).`
+        : `Your content structure varies significantly across platforms (${percent(averageSimilarity)} average ${metric} similarity).`;
+    }
+  }
+];
+
+// Keywords shown in the keyword presence chart
+const CHART_KEYWORDS = 5;
+
+/**
+ * Builds the report model of a saved analysis
+ *
+ * @param {Object} entry - Saved analysis (see analysisStore.js)
+ * @returns {Object} Everything a report shows, in display order
+ */
+function buildReportModel(entry) {
+  const { results } = entry;
+  const thresholds = (results.scoringConfig || DEFAULT_SCORING_CONFIG).thresholds;
+  const platforms = Object.keys(results.similarityMatrix.matrix);
+
+  const dimensions = DIMENSIONS
+    .filter(dimension => dimension.score(results) !== null)
+    .map(dimension => ({
+      key: dimension.key,
+      label: dimension.label,
+      score: Math.round(dimension.score(results) * 100),
+      summary: dimension.summary(results, thresholds)
+    }));
+
+  const platformRows = platforms.map(platform => {
+    const tone = results.toneAnalysis.platformTones[platform];
+    const readability = results.readabilityAnalysis
+      ? results.readabilityAnalysis.platformReadability[platform]
+      : null;
+
+    return {
+      platform,
+      score: results.platformScores.platforms[platform].score,
+      outlier: results.platformScores.platforms[platform].outlier,
+      sentiment: results.sentimentAnalysis.platformSentiments[platform].comparative,
+      dominantTone: tone.dominantTone,
+      toneScore: tone.scores[tone.dominantTone] || 0,
+      gradeLevel: readability ? readability.gradeLevel : null,
+      language: results.languageAnalysis ? results.languageAnalysis.platformLanguages[platform].name : null
+    };
+  });
+
+  const keywordPresence = results.keywordAnalysis.keywordPresence;
+  const topKeywords = Object.keys(keywordPresence)
+    .sort((a, b) => keywordPresence[b].count - keywordPresence[a].count)
+    .slice(0, CHART_KEYWORDS);
+
+  const charts = [
+    {
+      id: 'platform-scores',
+      title: 'Platform scores',
+      bars: platformRows.map(row => ({ label: row.platform, value: row.score })),
+      min: 0,
+      max: 100,
+      format: value => value.toFixed(0)
+    },
+    {
+      id: 'sentiment',
+      title: 'Sentiment (negative to positive)',
+      bars: platformRows.map(row => ({ label: row.platform, value: row.sentiment })),
+      format: value => value.toFixed(2)
+    },
+    {
+      id: 'keywords',
+      title: 'Keyword presence (number of platforms)',
+      bars: topKeywords.map(keyword => ({ label: keyword, value: keywordPresence[keyword].count })),
+      min: 0,
+      max: platforms.length,
+      format: value => value.toFixed(0)
+    },
+    {
+      id: 'tone',
+      title: 'Dominant tone (markers per 100 words)',
+      bars: platformRows.map(row => ({ label: `${row.platform} (${row.dominantTone})`, value: row.toneScore })),
+      min: 0,
+      format: value => value.toFixed(1)
+    }
+  ];
+
+  if (results.readabilityAnalysis) {
+    charts.push({
+      id: 'readability',
+      title: 'Reading grade level',
+      bars: platformRows.map(row => ({ label: row.platform, value: row.gradeLevel })),
+      min: 0,
+      format: value => value.toFixed(1)
+    });
+  }
+
+  return {
+    id: entry.id,
+    campaign: String(entry.campaign || ''),
+    createdAt: entry.createdAt,
+    score: results.overallConsistencyScore,
+    dimensions,
+    platforms: platformRows,
+    outlier: results.platformScores.outlier,
+    languageNotices: results.languageAnalysis ? results.languageAnalysis.notices : [],
+    charts,
+    similarity: {
+      metric: results.similarityMatrix.metric,
+      platforms,
+      matrix: results.similarityMatrix.matrix
+    },
+    factConflicts: results.factAnalysis ? results.factAnalysis.conflicts : [],
+    brandCompliance: results.brandCompliance || null,
+    recommendations: results.recommendations
+  };
+}
+
+/**
+ * Formats a 0-1 score as a whole percentage
+ *
+ * @param {Number|null} value - Score (0-1), or null for platforms in different languages
+ * @returns {String} Percentage, such as "72%", or a dash without a score
+ */
+function percent(value) {
+  if (value === null) return '—';
+  return `${(value * 100).toFixed(0)}%`;
+}
+
+module.exports = {
+  buildReportModel,
+  percent
+};
@@ -0,0 +1,105 @@
+/**
+ * Rule Pack Store for Content Consistency Grader
+ *
+ * Rule packs describe what content on a channel should look like (see
+ * textAnalysis/platformRules.js). The packs shipped as JSON files in this
+ * directory are read-only. Teams add packs for their own channels, or
+ * override the rules of a built-in or shipped pack, by saving packs to
+ * data/rule-packs/, or to the directory named by RULE_PACKS_DIR. A saved
+ * pack's rules are merged over the built-in and shipped pack with the same name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULE_PACKS, mergeRulePacks } = require('../textAnalysis/platformRules');
+
+const SHIPPED_PACKS_DIR = __dirname;
+const RULE_PACKS_DIR = process.env.RULE_PACKS_DIR || path.join(__dirname, '../../data/rule-packs');
+
+/**
+ * Checks that a pack name is safe to use as a file name
+ *
+ * @param {String} name - Pack name
+ * @returns {Boolean} True if the name is valid
+ */
+function isValidName(name) {
+  return typeof name === 'string' && /^[a-z0-9][a-z0-9_-]*$/.test(name);
+}
+
+/**
+ * Loads every rule pack in a directory
+ *
+ * @param {String} dir - Directory of pack JSON files
+ * @returns {Object} Rule packs by name
+ */
+function loadPacks(dir) {
+  if (!fs.existsSync(dir)) return {};
+
+  const packs = {};
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      packs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    });
+
+  return packs;
+}
+
+/**
+ * Lists the packs saved packs are merged over: the built-in packs with the shipped packs merged over them
+ *
+ * @returns {Object} Rule packs by name
+ */
+function listBaseRulePacks() {
+  return mergeRulePacks(DEFAULT_RULE_PACKS, loadPacks(SHIPPED_PACKS_DIR));
+}
+
+/**
+ * Lists every rule pack in effect: the built-in and shipped packs with the saved packs merged over them
+ *
+ * @returns {Object} Rule packs by name
+ */
+function listRulePacks() {
+  return mergeRulePacks(listBaseRulePacks(), loadPacks(RULE_PACKS_DIR));
+}
+
+/**
+ * Loads one rule pack in effect by name
+ *
+ * @param {String} name - Pack name (a platform name such as "twitter" or "press-release")
+ * @returns {Object|null} The pack, or null if neither a built-in nor a stored pack has this name
+ */
+function getRulePack(name) {
+  if (!isValidName(name)) return null;
+
+  const packs = listRulePacks();
+  return Object.prototype.hasOwnProperty.call(packs, name) ? packs[name] : null;
+}
+
+/**
+ * Saves a rule pack, replacing any saved pack with the same name. Shipped
+ * packs are never written; a saved pack of the same name overrides their rules.
+ *
+ * @param {String} name - Pack name
+ * @param {Object} pack - Rules (already validated); merged over the built-in and shipped pack of that name, if any
+ * @returns {Object} The pack now in effect
+ */
+function saveRulePack(name, pack) {
+  if (!isValidName(name)) {
+    throw new Error('Rule pack names may only contain lowercase letters, numbers, hyphens and underscores');
+  }
+
+  fs.mkdirSync(RULE_PACKS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(RULE_PACKS_DIR, `${name}.json`), JSON.stringify(pack, null, 2) + '\n');
+
+  return getRulePack(name);
+}
+
+module.exports = {
+  isValidName,
+  listBaseRulePacks,
+  listRulePacks,
+  getRulePack,
+  saveRulePack
+};
@@ -0,0 +1,108 @@
+/**
+ * Scoring Preset Store for Content Consistency Grader
+ *
+ * Scoring presets are named scoring configurations (weights and thresholds)
+ * a team can save once and reuse. The built-in presets are JSON files in this
+ * directory and are read-only; presets a team saves are kept in
+ * data/scoring-presets/, or in the directory named by SCORING_PRESETS_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_PRESETS_DIR = __dirname;
+const PRESETS_DIR = process.env.SCORING_PRESETS_DIR || path.join(__dirname, '../../data/scoring-presets');
+
+/**
+ * Checks that a preset name is safe to use as a file name
+ *
+ * @param {String} name - Preset name
+ * @returns {Boolean} True if the name is valid
+ */
+function isValidName(name) {
+  return typeof name === 'string' && /^[\w-]+$/.test(name);
+}
+
+/**
+ * Lists the preset names in a directory
+ *
+ * @param {String} dir - Directory of preset JSON files
+ * @returns {Array} Preset names
+ */
+function presetNames(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+/**
+ * Checks whether a name belongs to a built-in preset, which cannot be replaced
+ *
+ * @param {String} name - Preset name
+ * @returns {Boolean} True for a built-in preset
+ */
+function isBuiltIn(name) {
+  return isValidName(name) && fs.existsSync(path.join(BUILT_IN_PRESETS_DIR, `${name}.json`));
+}
+
+/**
+ * Lists the names of all scoring presets, built-in presets first
+ *
+ * @returns {Array} Preset names
+ */
+function listPresets() {
+  const builtIn = presetNames(BUILT_IN_PRESETS_DIR);
+  return builtIn.concat(presetNames(PRESETS_DIR).filter(name => !builtIn.includes(name)));
+}
+
+/**
+ * Loads a built-in or saved scoring preset by name
+ *
+ * @param {String} name - Preset name (file name without the .json extension)
+ * @returns {Object|null} { name, description, config }, or null if it does not exist
+ */
+function getPreset(name) {
+  if (!isValidName(name)) return null;
+
+  const filePath = path.join(isBuiltIn(name) ? BUILT_IN_PRESETS_DIR : PRESETS_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) return null;
+
+  const { description, ...config } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { name, description: description || '', config };
+}
+
+/**
+ * Saves a scoring preset, replacing any saved preset with the same name
+ *
+ * @param {String} name - Preset name (not one of the built-in presets)
+ * @param {Object} config - Partial scoring configuration (already validated)
+ * @param {String} [description] - What the preset is for
+ * @returns {Object} The saved preset
+ */
+function savePreset(name, config, description = '') {
+  if (!isValidName(name)) {
+    throw new Error('Preset names may only contain letters, numbers, hyphens and underscores');
+  }
+
+  if (isBuiltIn(name)) {
+    throw new Error(`${name} is a built-in preset and cannot be replaced`);
+  }
+
+  fs.mkdirSync(PRESETS_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(PRESETS_DIR, `${name}.json`),
+    JSON.stringify({ description, ...config }, null, 2) + '\n'
+  );
+
+  return { name, description, config };
+}
+
+module.exports = {
+  isValidName,
+  isBuiltIn,
+  listPresets,
+  getPreset,
+  savePreset
+};
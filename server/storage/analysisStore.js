@@ -0,0 +1,242 @@
+/**
+ * Analysis History Store for Content Consistency Grader
+ *
+ * Saves every analysis (its inputs, results, scoring configuration and
+ * timestamp) as a JSON file so past reports can be listed, reopened and
+ * deleted. Files live in data/analyses/, or in the directory named by
+ * ANALYSES_DIR. An index.json file alongside them keeps the summary of each
+ * analysis so listing does not have to read every stored result.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ANALYSES_DIR = process.env.ANALYSES_DIR || path.join(__dirname, '../../data/analyses');
+const INDEX_FILE = path.join(ANALYSES_DIR, 'index.json');
+
+// Index updates run one at a time so concurrent saves do not drop entries
+let indexQueue = Promise.resolve();
+
+/**
+ * Checks that an id is one this store could have generated
+ *
+ * @param {String} id - Analysis id
+ * @returns {Boolean} True if the id is well-formed
+ */
+function isValidId(id) {
+  return typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id);
+}
+
+/**
+ * Saves an analysis and returns the stored entry
+ *
+ * @param {Object} analysis - What to store
+ * @param {String} [analysis.campaign] - Campaign name used for filtering
+ * @param {Object} analysis.inputs - Platform content and request settings
+ * @param {Object} analysis.results - Analysis results
+ * @returns {Object} The stored entry, including its id and timestamp
+ */
+async function saveAnalysis({ campaign, inputs, results }) {
+  if (campaign !== undefined && typeof campaign !== 'string') {
+    throw new TypeError('Campaign must be a string');
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    campaign: campaign || '',
+    createdAt: new Date().toISOString(),
+    inputs,
+    scoringConfig: results.scoringConfig,
+    results
+  };
+
+  await fs.mkdir(ANALYSES_DIR, { recursive: true });
+  await fs.writeFile(path.join(ANALYSES_DIR, `${entry.id}.json`), JSON.stringify(entry));
+  await updateIndex(index => { index[entry.id] = summarize(entry); });
+
+  return entry;
+}
+
+/**
+ * Loads a saved analysis by id
+ *
+ * @param {String} id - Analysis id
+ * @returns {Object|null} The stored entry, or null if it does not exist
+ */
+async function getAnalysis(id) {
+  if (!isValidId(id)) return null;
+
+  try {
+    const data = await fs.readFile(path.join(ANALYSES_DIR, `${id}.json`), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Lists saved analyses, newest first, without their full inputs and results
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {String} [filters.campaign] - Only analyses whose campaign name contains this text (case-insensitive)
+ * @param {String} [filters.from] - Only analyses created on or after this date
+ * @param {String} [filters.to] - Only analyses created on or before this date
+ * @returns {Array} Summaries with id, campaign, timestamp, score and platforms
+ */
+async function listAnalyses(filters = {}) {
+  const index = await updateIndex(() => {});
+
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? endOfDay(filters.to) : null;
+  const campaign = filters.campaign ? filters.campaign.toLowerCase() : null;
+
+  return Object.values(index)
+    .filter(summary => {
+      const createdAt = new Date(summary.createdAt);
+
+      if (campaign && !summary.campaign.toLowerCase().includes(campaign)) return false;
+      if (from && createdAt < from) return false;
+      if (to && createdAt > to) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Deletes a saved analysis
+ *
+ * @param {String} id - Analysis id
+ * @returns {Boolean} True if the analysis existed and was deleted
+ */
+async function deleteAnalysis(id) {
+  if (!isValidId(id)) return false;
+
+  try {
+    await fs.unlink(path.join(ANALYSES_DIR, `${id}.json`));
+    await updateIndex(index => { delete index[id]; });
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Builds the summary of an analysis that the index keeps
+ *
+ * @param {Object} entry - Stored analysis
+ * @returns {Object} Summary with id, campaign, timestamp, score and platforms
+ */
+function summarize(entry) {
+  return {
+    id: entry.id,
+    // Entries saved before campaigns were checked may hold another type
+    campaign: typeof entry.campaign === 'string' ? entry.campaign : String(entry.campaign || ''),
+    createdAt: entry.createdAt,
+    overallConsistencyScore: entry.results.overallConsistencyScore,
+    platforms: Object.keys(entry.inputs.platformContent)
+  };
+}
+
+/**
+ * Applies a change to the index and writes it back
+ *
+ * The index is checked against the analysis files first: files it does not
+ * know (for example ones stored before the index existed) are summarized
+ * once, and entries whose file is gone are dropped.
+ *
+ * @param {Function} change - Receives the index (id -> summary) and edits it in place
+ * @returns {Object} The updated index
+ */
+function updateIndex(change) {
+  const update = indexQueue.then(async () => {
+    const stored = await readIndex();
+    const before = JSON.stringify(stored);
+    const index = await syncIndex(stored);
+
+    change(index);
+
+    if (JSON.stringify(index) !== before) {
+      await fs.mkdir(ANALYSES_DIR, { recursive: true });
+      await fs.writeFile(`${INDEX_FILE}.tmp`, JSON.stringify(index));
+      await fs.rename(`${INDEX_FILE}.tmp`, INDEX_FILE);
+    }
+
+    return index;
+  });
+
+  // A failed update must not block the ones queued after it
+  indexQueue = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Reads the index, treating a missing or unreadable one as empty
+ *
+ * @returns {Object} Index of summaries by id
+ */
+async function readIndex() {
+  try {
+    const index = JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+    return index && typeof index === 'object' && !Array.isArray(index) ? index : {};
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+    throw error;
+  }
+}
+
+/**
+ * Makes the index match the analysis files on disk
+ *
+ * @param {Object} index - Index of summaries by id
+ * @returns {Object} The same index, with missing entries added and stale ones removed
+ */
+async function syncIndex(index) {
+  let files;
+
+  try {
+    files = await fs.readdir(ANALYSES_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  const ids = new Set(files
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(isValidId));
+
+  for (const id of Object.keys(index)) {
+    if (!ids.has(id)) delete index[id];
+  }
+
+  for (const id of [...ids].filter(id => !index[id])) {
+    const entry = await getAnalysis(id);
+    if (entry) index[id] = summarize(entry);
+  }
+
+  return index;
+}
+
+/**
+ * Interprets a date-only "to" filter as the end of that day
+ *
+ * @param {String} value - Date or date-time string
+ * @returns {Date} The parsed date
+ */
+function endOfDay(value) {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+module.exports = {
+  saveAnalysis,
+  getAnalysis,
+  listAnalyses,
+  deleteAnalysis
+};
@@ -7,20 +7,71 @@
 
 const natural = require('natural');
 const sentiment = require('sentiment');
-const nlp = require('compromise');
+const { checkBrandCompliance, generateBrandRecommendations } = require('./brandCompliance');
+const { analyzeFacts, generateFactRecommendations } = require('./factExtraction');
+const { compareToReference } = require('./referenceComparison');
+const { alignSentences, generateAlignmentRecommendations } = require('./sentenceAlignment');
+const { analyzeSocialSignals, generateSocialRecommendations } = require('./socialSignals');
+const { DEFAULT_RULE_PACKS, checkPlatformRules } = require('./platformRules');
+const { suggestRewrites } = require('./rewriteSuggestions');
+const { analyzeReadability, platformReadabilityScore, generateReadabilityRecommendations } = require('./readability');
+const { buildDocuments } = require('./documentModel');
+const {
+  LANGUAGES,
+  sentimentLanguage,
+  groupByLanguage,
+  languagePeers,
+  analyzeLanguages
+} = require('./languages');
+const {
+  compileGlossary,
+  extractConcepts,
+  labelConcepts,
+  findNonPreferredForms,
+  generateGlossaryRecommendations
+} = require('./glossary');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringConfig');
+const { calculateVariance } = require('./statistics');
+const { NEUTRAL_TONE, DEFAULT_TONE_TAXONOMIES, compileToneTaxonomy } = require('./toneTaxonomy');
 
 // Initialize NLP tools
-const tokenizer = new natural.WordTokenizer();
 const TfIdf = natural.TfIdf;
 const sentimentAnalyzer = new sentiment();
 
+// English is built into the sentiment library; the other languages bring their own word scores
+Object.keys(LANGUAGES)
+  .filter(language => LANGUAGES[language].sentiment)
+  .forEach(language => sentimentAnalyzer.registerLanguage(language, sentimentLanguage(language)));
+
+// Similarity metrics the caller can choose between
+const SIMILARITY_METRICS = ['jaccard', 'containment', 'tfidf', 'stemmed', 'shingle'];
+
+// Overlapping terms listed as evidence for each pair of platforms
+const MAX_OVERLAP_TERMS = 25;
+
+// Stages reported to the onProgress callback, in order
+const ANALYSIS_STAGES = [
+  'documents', 'sentiment', 'keywords', 'tone', 'readability', 'social', 'rules', 'similarity', 'facts',
+  'alignment', 'scoring', 'recommendations', 'rewrites', 'brandCompliance', 'reference'
+];
+
 /**
  * Analyzes content consistency across different platforms
  * 
  * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [options] - Analysis options
+ * @param {Object} [options.brandProfile] - Normalized brand profile to check each platform against
+ * @param {String} [options.referencePlatform] - Platform holding the source of truth to grade the others against
+ * @param {String} [options.similarityMetric] - Similarity metric used for scoring (one of SIMILARITY_METRICS, default 'jaccard')
+ * @param {Object} [options.scoringConfig] - Resolved scoring weights and thresholds (see scoringConfig.js)
+ * @param {Object} [options.toneTaxonomy] - Validated tone categories to use for every language instead of the defaults
+ * @param {Array} [options.glossary] - Validated glossary of equivalent terms and preferred forms (see glossary.js)
+ * @param {Object} [options.rulePacks] - Validated rule packs by platform name, instead of the built-in packs (see platformRules.js)
+ * @param {Object} [options.languages] - Validated language codes by platform name; other platforms' languages are detected
+ * @param {Function} [options.onProgress] - Called with { stage, completed, total } after each stage
  * @returns {Object} Analysis results with consistency scores
  */
-async function analyzeConsistency(platformContent) {
+async function analyzeConsistency(platformContent, options = {}) {
   try {
     // Extract platforms and their content
     const platforms = Object.keys(platformContent);
@@ -29,43 +80,190 @@ async function analyzeConsistency(platformContent) {
       throw new Error('At least two content samples are required for consistency analysis');
     }
     
+    if (options.similarityMetric && !SIMILARITY_METRICS.includes(options.similarityMetric)) {
+      throw new Error(`Unknown similarity metric "${options.similarityMetric}"`);
+    }
+    
+    if (options.referencePlatform && !platforms.includes(options.referencePlatform)) {
+      throw new Error(`Reference platform "${options.referencePlatform}" has no content`);
+    }
+    
+    const scoringConfig = options.scoringConfig || DEFAULT_SCORING_CONFIG;
+    
+    // Optional stages only count towards progress when they will run
+    const stages = ANALYSIS_STAGES.filter(stage =>
+      (stage !== 'brandCompliance' || options.brandProfile) &&
+      (stage !== 'reference' || options.referencePlatform)
+    );
+    const reportProgress = stage => {
+      if (options.onProgress) {
+        options.onProgress({ stage, completed: stages.indexOf(stage) + 1, total: stages.length });
+      }
+    };
+    
+    // Tokenize each platform once, in its own language; every stage below works from these documents
+    const documents = buildDocuments(platformContent, options.languages);
+    const languageResults = analyzeLanguages(documents);
+    reportProgress('documents');
+    
     // 1. Perform sentiment analysis on each platform's content
-    const sentimentResults = performSentimentAnalysis(platformContent);
+    const sentimentResults = performSentimentAnalysis(platformContent, scoringConfig, documents);
+    reportProgress('sentiment');
     
     // 2. Extract key topics and keywords from each platform
-    const keywordResults = extractKeywords(platformContent);
+    const tfidf = new TfIdf();
+    const keywordResults = extractKeywords(platformContent, tfidf, documents, options.glossary);
+    reportProgress('keywords');
     
     // 3. Analyze tone consistency across platforms
-    const toneResults = analyzeTone(platformContent);
+    const toneResults = analyzeTone(
+      platformContent,
+      options.toneTaxonomy,
+      scoringConfig,
+      documents
+    );
+    reportProgress('tone');
     
-    // 4. Calculate Jaccard similarity between platform content
-    const similarityMatrix = calculateSimilarityMatrix(platformContent);
+    // 4. Measure how hard each platform's content is to read
+    const readabilityResults = analyzeReadability(platformContent, scoringConfig, documents);
+    reportProgress('readability');
     
-    // 5. Calculate overall consistency score
-    const consistencyScore = calculateConsistencyScore(
+    // 5. Extract hashtags, mentions, emoji, links and calls to action
+    const socialResults = analyzeSocialSignals(platformContent, documents);
+    reportProgress('social');
+    
+    // 6. Check each platform against its own channel's rules (not part of the consistency score)
+    const rulesResults = checkPlatformRules(
+      platformContent,
+      options.rulePacks || DEFAULT_RULE_PACKS,
+      socialResults,
+      documents
+    );
+    reportProgress('rules');
+    
+    // 7. Calculate similarity between platform content (reusing the TF-IDF model)
+    const similarityMatrix = calculateSimilarityMatrix(platformContent, {
+      metric: options.similarityMetric,
+      tfidf,
+      documents
+    });
+    reportProgress('similarity');
+    
+    // 8. Extract factual claims and detect conflicts between platforms
+    const factResults = analyzeFacts(platformContent, documents);
+    reportProgress('facts');
+    
+    // 9. Align sentences across platforms to find missing or changed messages
+    const alignmentResults = alignSentences(platformContent, documents);
+    reportProgress('alignment');
+    
+    // 10. Calculate overall consistency score and what each component contributed
+    const scoreBreakdown = explainConsistencyScore(
       sentimentResults, 
       keywordResults, 
       toneResults, 
-      similarityMatrix
+      similarityMatrix,
+      factResults,
+      scoringConfig,
+      readabilityResults
     );
     
-    // 6. Generate improvement recommendations
-    const recommendations = generateRecommendations(
+    // 11. Score how much each platform agrees with the rest and find the outlier
+    const platformScores = calculatePlatformScores(
       sentimentResults, 
       keywordResults, 
       toneResults, 
-      similarityMatrix
+      similarityMatrix,
+      scoringConfig,
+      readabilityResults,
+      languageResults
+    );
+    reportProgress('scoring');
+    
+    // 12. Generate improvement recommendations (fact conflicts first, as they are high priority)
+    const recommendations = generateFactRecommendations(factResults).concat(
+      generateRecommendations(
+        sentimentResults, 
+        keywordResults, 
+        toneResults, 
+        similarityMatrix,
+        scoringConfig
+      ),
+      generateGlossaryRecommendations(keywordResults),
+      generateSocialRecommendations(socialResults),
+      generateReadabilityRecommendations(readabilityResults, scoringConfig),
+      generateAlignmentRecommendations(alignmentResults)
+    );
+    reportProgress('recommendations');
+    
+    // 13. Suggest concrete edits, each a diff against the original content
+    const rewriteSuggestions = suggestRewrites(
+      platformContent,
+      keywordResults,
+      toneResults,
+      alignmentResults,
+      { glossary: options.glossary, referencePlatform: options.referencePlatform },
+      documents
     );
+    reportProgress('rewrites');
     
-    // Return the complete analysis results
-    return {
-      overallConsistencyScore: consistencyScore,
+    // Build the complete analysis results
+    const results = {
+      overallConsistencyScore: scoreBreakdown.score,
+      scoreBreakdown: scoreBreakdown,
+      platformScores: platformScores,
+      languageAnalysis: languageResults,
       sentimentAnalysis: sentimentResults,
       keywordAnalysis: keywordResults,
       toneAnalysis: toneResults,
+      readabilityAnalysis: readabilityResults,
+      socialSignals: socialResults,
+      platformRules: rulesResults,
       similarityMatrix: similarityMatrix,
-      recommendations: recommendations
+      factAnalysis: factResults,
+      sentenceAlignment: alignmentResults,
+      recommendations: recommendations,
+      rewriteSuggestions: rewriteSuggestions,
+      scoringConfig: scoringConfig
     };
+    
+    // 14. Check each platform against the brand profile, if one was given
+    if (options.brandProfile) {
+      const complianceResults = checkBrandCompliance(
+        platformContent,
+        options.brandProfile,
+        sentimentResults,
+        toneResults
+      );
+      
+      results.brandCompliance = complianceResults;
+      results.recommendations = recommendations.concat(
+        generateBrandRecommendations(complianceResults)
+      );
+      reportProgress('brandCompliance');
+    }
+    
+    // 15. Grade every platform against the source of truth, if one was named
+    if (options.referencePlatform) {
+      const referenceResults = compareToReference(
+        platformContent,
+        options.referencePlatform,
+        sentimentResults,
+        toneResults,
+        documents
+      );
+      
+      results.referenceAnalysis = referenceResults;
+      
+      for (const platform in referenceResults.platformScores) {
+        results.recommendations = results.recommendations.concat(
+          referenceResults.platformScores[platform].recommendations
+        );
+      }
+      reportProgress('reference');
+    }
+    
+    return results;
   } catch (error) {
     console.error('Error in consistency analysis:', error);
     throw error;
@@ -75,21 +273,31 @@ async function analyzeConsistency(platformContent) {
 /**
  * Performs sentiment analysis on content from each platform
  * 
+ * Each platform is scored with the word list of its own language, all on
+ * the same -5 to +5 scale, so sentiment can be compared across languages.
+ * 
  * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
  * @returns {Object} Sentiment scores for each platform
  */
-function performSentimentAnalysis(platformContent) {
+function performSentimentAnalysis(
+  platformContent, 
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  documents = buildDocuments(platformContent)
+) {
   const results = {};
   
   for (const platform in platformContent) {
-    const content = platformContent[platform];
-    const result = sentimentAnalyzer.analyze(content);
+    const result = scoreSentiment(documents[platform]);
     
     results[platform] = {
       score: result.score,
       comparative: result.comparative,
       positive: result.positive,
-      negative: result.negative
+      negative: result.negative,
+      drivers: sentimentDrivers(result.calculation),
+      scoredWords: result.scoredWords
     };
   }
   
@@ -100,52 +308,139 @@ function performSentimentAnalysis(platformContent) {
   return {
     platformSentiments: results,
     variance: sentimentVariance,
-    consistent: sentimentVariance < 0.2 // Threshold for consistency
+    consistent: sentimentVariance < scoringConfig.thresholds.sentimentVariance
   };
 }
 
+/**
+ * Adds up what each scored word contributed to a sentiment score. The score
+ * of a word already reflects negation, so "not bad" counts as positive.
+ * 
+ * @param {Array} calculation - Word scores from the sentiment library, as { word: score } objects
+ * @returns {Array} { word, score, count } with the largest contribution first
+ */
+function sentimentDrivers(calculation) {
+  const drivers = new Map();
+  
+  calculation.forEach(entry => {
+    const [word, score] = Object.entries(entry)[0];
+    const key = `${word} ${score}`;
+    
+    if (!drivers.has(key)) drivers.set(key, { word, score: 0, count: 0 });
+    drivers.get(key).score += score;
+    drivers.get(key).count++;
+  });
+  
+  return [...drivers.values()].sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+}
+
+/**
+ * Scores the sentiment of a document with the sentiment library
+ * 
+ * The library is given the words the document model already split off,
+ * joined by spaces, so it finds exactly those words and the content is not
+ * split again. It scores words from last to first; walking the words
+ * backwards in the same way locates each scored word in the content.
+ * 
+ * @param {Object} document - Document model of the content
+ * @returns {Object} The library's result (score, comparative, positive, negative, calculation, ...)
+ *   and scoredWords ({ word, score, start, end } in order of appearance)
+ */
+function scoreSentiment(document) {
+  const { language, sentimentWords, sentimentOffsets } = document;
+  const result = sentimentAnalyzer.analyze(sentimentWords.join(' '), { language });
+  const scoredWords = [];
+  let index = sentimentWords.length - 1;
+  
+  result.calculation.forEach(entry => {
+    const [word, score] = Object.entries(entry)[0];
+    while (index >= 0 && sentimentWords[index] !== word) index--;
+    
+    scoredWords.push({ word, score, start: sentimentOffsets[index], end: sentimentOffsets[index] + word.length });
+    index--;
+  });
+  
+  return { ...result, scoredWords: scoredWords.reverse() };
+}
+
 /**
  * Extracts key topics and keywords from each platform's content
  * 
+ * Keywords are compared as concepts rather than exact words: inflections
+ * share a stem ("launches", "launched") and glossary terms stand for their
+ * group ("buy", "purchase"), see glossary.js. Keywords are only compared
+ * between platforms written in the same language.
+ * 
  * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [tfidf] - Empty TF-IDF model to fill with one document per platform, so later stages can reuse it
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @param {Array} [glossary] - Validated glossary entries, used on top of the default glossary
  * @returns {Object} Key topics and keywords for each platform
  */
-function extractKeywords(platformContent) {
+function extractKeywords(
+  platformContent, 
+  tfidf = new TfIdf(), 
+  documents = buildDocuments(platformContent),
+  glossary = []
+) {
   const results = {};
   const allKeywords = new Set();
-  const tfidf = new TfIdf();
+  const platformKeywordSets = {};
+  const languageGroups = groupByLanguage(documents);
+  const peers = languagePeers(languageGroups);
+  
+  // Turn each platform's words into keyword concepts, then name the concepts
+  const compiledGlossaries = new Map();
+  const platformConcepts = {};
+  
+  for (const platform in platformContent) {
+    const language = documents[platform].language;
+    if (!compiledGlossaries.has(language)) compiledGlossaries.set(language, compileGlossary(glossary, language));
+    
+    platformConcepts[platform] = extractConcepts(documents[platform], compiledGlossaries.get(language));
+  }
+  
+  const labels = labelConcepts(Object.values(platformConcepts));
   
   // Add each platform's content to TF-IDF
   let docIndex = 0;
   const platformIndices = {};
   
   for (const platform in platformContent) {
-    tfidf.addDocument(platformContent[platform]);
+    const document = documents[platform];
+    
+    // Stop words are already filtered out of the content tokens
+    tfidf.addDocument(document.contentTokens);
     platformIndices[platform] = docIndex++;
     
-    // Extract keywords using compromise
-    const doc = nlp(platformContent[platform]);
-    const nouns = doc.nouns().out('array');
-    const verbs = doc.verbs().out('array');
+    // Extract keywords using compromise, which only tags English
+    const { nouns, verbs } = LANGUAGES[document.language].partOfSpeech
+      ? leadingNounsAndVerbs(document, 5)
+      : { nouns: [], verbs: [] };
     
-    // Tokenize content
-    const tokens = tokenizer.tokenize(platformContent[platform].toLowerCase());
+    // Stop words were left out when the concepts were extracted
+    const keywords = platformConcepts[platform].map(({ key }) => labels.get(key));
     
-    // Filter out common stop words
-    const keywords = tokens.filter(word => 
-      word.length > 2 && 
-      !natural.stopwords.includes(word)
-    );
+    // Store keywords for this platform, with where its top keywords appear
+    const topKeywords = [...new Set(keywords)].slice(0, 10);
+    const isTopKeyword = new Set(topKeywords);
+    const keywordMatches = [];
+    
+    platformConcepts[platform].forEach(({ key, surface, start }) => {
+      const keyword = labels.get(key);
+      if (isTopKeyword.has(keyword)) keywordMatches.push({ keyword, start, end: start + surface.length });
+    });
     
-    // Store keywords for this platform
     results[platform] = {
-      topNouns: nouns.slice(0, 5),
-      topVerbs: verbs.slice(0, 5),
-      keywords: [...new Set(keywords)].slice(0, 10)
+      topNouns: nouns,
+      topVerbs: verbs,
+      keywords: topKeywords,
+      keywordMatches
     };
     
     // Add to all keywords set
     keywords.forEach(kw => allKeywords.add(kw));
+    platformKeywordSets[platform] = new Set(keywords);
   }
   
   // Calculate keyword presence across platforms
@@ -155,21 +450,30 @@ function extractKeywords(platformContent) {
       count: 0,
       platforms: []
     };
-    
-    for (const platform in platformContent) {
-      if (results[platform].keywords.includes(keyword)) {
-        keywordPresence[keyword].count++;
-        keywordPresence[keyword].platforms.push(platform);
-      }
-    }
   });
   
+  // Only each platform's top keywords count towards presence
+  for (const platform in platformContent) {
+    results[platform].keywords.forEach(keyword => {
+      keywordPresence[keyword].count++;
+      keywordPresence[keyword].platforms.push(platform);
+    });
+  }
+  
+  // Keywords other platforms in the same language have among their top keywords but this one does not
+  for (const platform in platformContent) {
+    results[platform].missingKeywords = Object.keys(keywordPresence).filter(keyword =>
+      !keywordPresence[keyword].platforms.includes(platform) &&
+      keywordPresence[keyword].platforms.some(p => peers[platform].includes(p))
+    );
+  }
+  
   // Get top TF-IDF terms for each platform
   for (const platform in platformIndices) {
     const index = platformIndices[platform];
     const topTerms = [];
     
-    tfidf.listTerms(index).slice(0, 10).forEach(item => {
+    listTermWeights(tfidf, index).slice(0, 10).forEach(item => {
       topTerms.push({
         term: item.term,
         tfidf: item.tfidf
@@ -179,64 +483,177 @@ function extractKeywords(platformContent) {
     results[platform].topTerms = topTerms;
   }
   
-  // Calculate keyword consistency score
-  const numPlatforms = Object.keys(platformContent).length;
-  const consistentKeywords = Array.from(allKeywords).filter(
-    kw => keywordPresence[kw].count === numPlatforms
-  );
+  // Calculate keyword consistency score within each language, weighted by its number of platforms
+  const consistent = new Set();
+  let weightedScore = 0;
+  let comparedPlatforms = 0;
   
-  const keywordConsistencyScore = numPlatforms > 0 ? 
-    consistentKeywords.length / Math.min(10, allKeywords.size) : 0;
+  Object.values(languageGroups)
+    .filter(group => group.length > 1)
+    .forEach(group => {
+      const groupKeywords = new Set();
+      group.forEach(platform => platformKeywordSets[platform].forEach(kw => groupKeywords.add(kw)));
+      
+      // Content without keywords (only emoji or stop words) gives nothing to compare
+      if (groupKeywords.size === 0) return;
+      
+      const groupConsistent = Array.from(groupKeywords).filter(kw =>
+        keywordPresence[kw].platforms.filter(p => group.includes(p)).length === group.length
+      );
+      groupConsistent.forEach(kw => consistent.add(kw));
+      
+      weightedScore += group.length * groupConsistent.length / Math.min(10, groupKeywords.size);
+      comparedPlatforms += group.length;
+    });
+  
+  const consistentKeywords = Array.from(allKeywords).filter(kw => consistent.has(kw));
+  
+  // Without two platforms in one language that have keywords there is nothing to compare
+  const keywordConsistencyScore = comparedPlatforms > 0 ? weightedScore / comparedPlatforms : null;
   
   return {
     platformKeywords: results,
     consistentKeywords,
     keywordPresence,
+    nonPreferredForms: findNonPreferredForms(platformConcepts),
     consistencyScore: keywordConsistencyScore
   };
 }
 
+/**
+ * Lists the terms of one TF-IDF document by weight, like TfIdf#listTerms but
+ * without tokenizing every term again to weigh it
+ * 
+ * @param {Object} tfidf - TF-IDF model filled with token arrays
+ * @param {Number} index - Document index
+ * @returns {Array} { term, tfidf } pairs, highest weight first
+ */
+function listTermWeights(tfidf, index) {
+  const document = tfidf.documents[index];
+  const terms = [];
+  
+  for (const term in document) {
+    if (term !== '__key') {
+      terms.push({ term, tfidf: TfIdf.tf(term, document) * tfidf.idf(term) });
+    }
+  }
+  
+  return terms.sort((a, b) => b.tfidf - a.tfidf);
+}
+
+/**
+ * Finds the first nouns and verbs of a document
+ * 
+ * Sentences are tagged from the start only until enough of both are found,
+ * since tagging the whole document would be the slowest part of the analysis.
+ * 
+ * @param {Object} document - Document model of the content
+ * @param {Number} count - Number of nouns and verbs to find
+ * @returns {Object} { nouns, verbs } in order of appearance
+ */
+function leadingNounsAndVerbs(document, count) {
+  const nouns = [];
+  const verbs = [];
+  
+  for (const sentence of document.sentences) {
+    if (nouns.length >= count && verbs.length >= count) break;
+    
+    const doc = document.parseSentence(sentence);
+    nouns.push(...doc.nouns().out('array'));
+    verbs.push(...doc.verbs().out('array'));
+  }
+  
+  return {
+    nouns: nouns.slice(0, count),
+    verbs: verbs.slice(0, count)
+  };
+}
+
 /**
  * Analyzes tone consistency across different platforms
  * 
+ * Content is stemmed and matched against every marker of the tone taxonomy,
+ * including multi-word phrases. A platform whose strongest tone has less than
+ * `minToneEvidence` weighted matches, or ties with another tone, is reported
+ * as neutral rather than picking a tone arbitrarily. Each platform is matched
+ * against the markers of its own language, so tones can be compared across languages.
+ * 
  * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [toneTaxonomy] - Tone categories mapped to weighted markers (see toneTaxonomy.js), used for
+ *   every language; by default each language has its own taxonomy
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
  * @returns {Object} Tone analysis for each platform
  */
-function analyzeTone(platformContent) {
+function analyzeTone(
+  platformContent, 
+  toneTaxonomy = null, 
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  documents = buildDocuments(platformContent)
+) {
   const results = {};
-  const toneMarkers = {
-    formal: ['therefore', 'consequently', 'furthermore', 'thus', 'hence', 'regarding'],
-    casual: ['awesome', 'cool', 'yeah', 'super', 'totally', 'btw', 'lol'],
-    professional: ['accordingly', 'additionally', 'significantly', 'importantly', 'notably'],
-    promotional: ['amazing', 'incredible', 'exclusive', 'limited', 'opportunity', 'best']
-  };
+  const compiledTaxonomies = new Map();
+  const tones = [];
   
   for (const platform in platformContent) {
-    const content = platformContent[platform].toLowerCase();
-    const toneScores = {};
+    const { language, toneWords, toneOffsets, toneStems: stems } = documents[platform];
+    
+    if (!compiledTaxonomies.has(language)) {
+      const compiled = compileToneTaxonomy(toneTaxonomy || DEFAULT_TONE_TAXONOMIES[language], language);
+      compiled.tones.filter(tone => !tones.includes(tone)).forEach(tone => tones.push(tone));
+      compiledTaxonomies.set(language, compiled);
+    }
+    
+    const { tones: languageTones, markersByFirstStem } = compiledTaxonomies.get(language);
+    const evidence = {};
+    const matchedMarkers = {};
+    const markerMatches = [];
     
-    // Count tone markers in content
-    for (const tone in toneMarkers) {
-      const markers = toneMarkers[tone];
-      let count = 0;
+    languageTones.forEach(tone => {
+      evidence[tone] = 0;
+      matchedMarkers[tone] = {};
+    });
+    
+    // Look up markers starting at each word, so each word is visited once
+    stems.forEach((stem, index) => {
+      const candidates = markersByFirstStem.get(stem);
+      if (!candidates) return;
       
-      markers.forEach(marker => {
-        const regex = new RegExp(`\\b${marker}\\b`, 'gi');
-        const matches = content.match(regex);
-        if (matches) count += matches.length;
+      candidates.forEach(marker => {
+        const matches = marker.stems.every((markerStem, offset) => stems[index + offset] === markerStem);
+        if (matches) {
+          const last = index + marker.stems.length - 1;
+          evidence[marker.tone] += marker.weight;
+          matchedMarkers[marker.tone][marker.term] = (matchedMarkers[marker.tone][marker.term] || 0) + 1;
+          markerMatches.push({
+            tone: marker.tone,
+            term: marker.term,
+            start: toneOffsets[index],
+            end: toneOffsets[last] + toneWords[last].length
+          });
+        }
       });
-      
-      // Normalize by content length
-      toneScores[tone] = count / (content.split(' ').length) * 100;
-    }
+    });
     
-    // Determine dominant tone
-    let dominantTone = Object.keys(toneScores).reduce((a, b) => 
-      toneScores[a] > toneScores[b] ? a : b
-    );
+    // Normalize by content length
+    const toneScores = {};
+    languageTones.forEach(tone => {
+      toneScores[tone] = stems.length > 0 ? evidence[tone] / stems.length * 100 : 0;
+    });
+    
+    // Determine dominant tone, falling back to neutral without clear evidence
+    const ranked = [...languageTones].sort((a, b) => evidence[b] - evidence[a]);
+    const strongest = ranked[0];
+    const isTied = ranked.length > 1 && evidence[ranked[1]] === evidence[strongest];
+    const dominantTone = evidence[strongest] >= scoringConfig.minToneEvidence && !isTied
+      ? strongest
+      : NEUTRAL_TONE;
     
     results[platform] = {
       scores: toneScores,
+      evidence,
+      matchedMarkers,
+      markerMatches,
       dominantTone
     };
   }
@@ -246,9 +663,10 @@ function analyzeTone(platformContent) {
   const uniqueTones = new Set(dominantTones);
   
   const toneConsistencyScore = 1 - ((uniqueTones.size - 1) / 
-    Math.max(Object.keys(toneMarkers).length - 1, 1));
+    Math.max(tones.length, 1));
   
   return {
+    categories: tones,
     platformTones: results,
     consistencyScore: toneConsistencyScore,
     consistent: uniqueTones.size === 1
@@ -258,58 +676,239 @@ function analyzeTone(platformContent) {
 /**
  * Calculates text similarity between all pairs of platforms
  * 
+ * Every metric in SIMILARITY_METRICS is calculated; `matrix` and
+ * `averageSimilarity` hold the chosen one and `metrics` holds them all.
+ * Jaccard divides by the union of tokens, so it penalises a short post that
+ * summarises a long page; the other metrics take length differences into account.
+ * `overlap` lists, for each pair, the terms the chosen metric found on both.
+ * Platforms written in different languages share few words whatever they
+ * say, so their pairs are null and left out of the averages.
+ * 
  * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [options] - Similarity options
+ * @param {String} [options.metric] - Metric used for `matrix` and `averageSimilarity` (default 'jaccard')
+ * @param {Object} [options.tfidf] - TF-IDF model with one document per platform, in platform order
+ * @param {Object} [options.documents] - Document model of each platform (see documentModel.js)
  * @returns {Object} Similarity scores between platform pairs
  */
-function calculateSimilarityMatrix(platformContent) {
+function calculateSimilarityMatrix(platformContent, options = {}) {
   const platforms = Object.keys(platformContent);
-  const matrix = {};
+  const metric = options.metric || 'jaccard';
+  const documents = options.documents || buildDocuments(platformContent);
   
-  for (let i = 0; i < platforms.length; i++) {
-    const platform1 = platforms[i];
-    matrix[platform1] = {};
+  let tfidf = options.tfidf;
+  if (!tfidf) {
+    tfidf = new TfIdf();
+    platforms.forEach(platform => tfidf.addDocument(documents[platform].contentTokens));
+  }
+  
+  // Prepare what every metric needs from each platform's document
+  const termSets = {};
+  platforms.forEach((platform, index) => {
+    const { tokens, contentTokens, stems } = documents[platform];
     
-    for (let j = 0; j < platforms.length; j++) {
-      const platform2 = platforms[j];
+    const tfidfVector = new Map();
+    listTermWeights(tfidf, index).forEach(item => {
+      tfidfVector.set(item.term, item.tfidf);
+    });
+    
+    termSets[platform] = {
+      tokens: new Set(tokens),
+      stems: new Set(stems),
+      shingles: new Set(contentTokens.slice(1).map((word, i) => `${contentTokens[i]} ${word}`)),
+      tfidfVector
+    };
+  });
+  
+  const pairSimilarity = {
+    jaccard: (doc1, doc2) => jaccardSimilarity(doc1.tokens, doc2.tokens),
+    containment: (doc1, doc2) => containmentSimilarity(doc1.tokens, doc2.tokens),
+    tfidf: (doc1, doc2) => cosineSimilarity(doc1.tfidfVector, doc2.tfidfVector),
+    stemmed: (doc1, doc2) => containmentSimilarity(doc1.stems, doc2.stems),
+    shingle: (doc1, doc2) => containmentSimilarity(doc1.shingles, doc2.shingles)
+  };
+  
+  const metrics = {};
+  
+  SIMILARITY_METRICS.forEach(name => {
+    const matrix = {};
+    
+    for (let i = 0; i < platforms.length; i++) {
+      const platform1 = platforms[i];
+      matrix[platform1] = {};
       
-      if (i === j) {
-        matrix[platform1][platform2] = 1; // Same platform, perfect similarity
-      } else if (j > i) {
-        // Calculate Jaccard similarity between the two platform contents
-        const tokens1 = new Set(tokenizer.tokenize(platformContent[platform1].toLowerCase()));
-        const tokens2 = new Set(tokenizer.tokenize(platformContent[platform2].toLowerCase()));
+      for (let j = 0; j < platforms.length; j++) {
+        const platform2 = platforms[j];
         
-        const intersection = new Set([...tokens1].filter(x => tokens2.has(x)));
-        const union = new Set([...tokens1, ...tokens2]);
+        if (i === j) {
+          matrix[platform1][platform2] = 1; // Same platform, perfect similarity
+        } else if (documents[platform1].language !== documents[platform2].language) {
+          matrix[platform1][platform2] = null; // Different languages, not comparable
+        } else if (j > i) {
+          matrix[platform1][platform2] = pairSimilarity[name](
+            termSets[platform1],
+            termSets[platform2]
+          );
+        } else {
+          // Use previously calculated value for symmetry
+          matrix[platform1][platform2] = matrix[platform2][platform1];
+        }
+      }
+    }
+    
+    // Calculate average similarity across all platform pairs in the same language
+    let totalSimilarity = 0;
+    let pairCount = 0;
+    let skippedPairs = 0;
+    
+    for (let i = 0; i < platforms.length; i++) {
+      for (let j = i + 1; j < platforms.length; j++) {
+        const similarity = matrix[platforms[i]][platforms[j]];
+        
+        if (similarity === null) {
+          skippedPairs++;
+          continue;
+        }
         
-        const similarity = intersection.size / union.size;
-        matrix[platform1][platform2] = similarity;
-      } else {
-        // Use previously calculated value for symmetry
-        matrix[platform1][platform2] = matrix[platform2][platform1];
+        totalSimilarity += similarity;
+        pairCount++;
       }
     }
-  }
+    
+    let averageSimilarity = pairCount > 0 ? totalSimilarity / pairCount : 0;
+    if (pairCount === 0 && skippedPairs > 0) averageSimilarity = null;
+    
+    metrics[name] = {
+      matrix,
+      averageSimilarity
+    };
+  });
   
-  // Calculate average similarity across all platform pairs
-  let totalSimilarity = 0;
-  let pairCount = 0;
+  // Evidence for the chosen metric: what each pair of platforms has in common
+  const overlap = {};
+  platforms.forEach(platform => {
+    overlap[platform] = {};
+  });
   
   for (let i = 0; i < platforms.length; i++) {
     for (let j = i + 1; j < platforms.length; j++) {
-      totalSimilarity += matrix[platforms[i]][platforms[j]];
-      pairCount++;
+      let pairOverlap = null;
+      
+      if (metrics[metric].matrix[platforms[i]][platforms[j]] !== null) {
+        const shared = sharedTerms(metric, termSets[platforms[i]], termSets[platforms[j]]);
+        pairOverlap = { count: shared.length, terms: shared.slice(0, MAX_OVERLAP_TERMS) };
+      }
+      
+      overlap[platforms[i]][platforms[j]] = pairOverlap;
+      overlap[platforms[j]][platforms[i]] = pairOverlap;
     }
   }
   
-  const averageSimilarity = pairCount > 0 ? totalSimilarity / pairCount : 0;
-  
   return {
-    matrix,
-    averageSimilarity
+    metric,
+    matrix: metrics[metric].matrix,
+    averageSimilarity: metrics[metric].averageSimilarity,
+    metrics,
+    overlap
   };
 }
 
+/**
+ * Lists the terms a similarity metric counts as shared by two platforms:
+ * words for jaccard and containment, stems, word pairs, or for TF-IDF the
+ * shared terms by how much they add to the cosine similarity
+ * 
+ * @param {String} metric - Similarity metric
+ * @param {Object} doc1 - Term sets of the first platform
+ * @param {Object} doc2 - Term sets of the second platform
+ * @returns {Array} Shared terms, in order of appearance (by weight for TF-IDF)
+ */
+function sharedTerms(metric, doc1, doc2) {
+  if (metric === 'tfidf') {
+    return [...doc1.tfidfVector.keys()]
+      .filter(term => doc2.tfidfVector.get(term))
+      .sort((a, b) =>
+        doc2.tfidfVector.get(b) * doc1.tfidfVector.get(b) - doc2.tfidfVector.get(a) * doc1.tfidfVector.get(a)
+      );
+  }
+  
+  const set = { jaccard: 'tokens', containment: 'tokens', stemmed: 'stems', shingle: 'shingles' }[metric];
+  return [...doc1[set]].filter(term => doc2[set].has(term));
+}
+
+/**
+ * Jaccard similarity: shared items divided by all items
+ * 
+ * @param {Set} set1 - First set
+ * @param {Set} set2 - Second set
+ * @returns {Number} Similarity (0-1)
+ */
+function jaccardSimilarity(set1, set2) {
+  const intersection = countShared(set1, set2);
+  const union = set1.size + set2.size - intersection;
+  
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Containment (overlap coefficient): shared items divided by the size of the
+ * smaller set, i.e. how much of the shorter text is covered by the longer one
+ * 
+ * @param {Set} set1 - First set
+ * @param {Set} set2 - Second set
+ * @returns {Number} Similarity (0-1)
+ */
+function containmentSimilarity(set1, set2) {
+  const smaller = Math.min(set1.size, set2.size);
+  if (smaller === 0) return 0;
+  
+  return countShared(set1, set2) / smaller;
+}
+
+/**
+ * Counts the items two sets have in common
+ * 
+ * @param {Set} set1 - First set
+ * @param {Set} set2 - Second set
+ * @returns {Number} Number of shared items
+ */
+function countShared(set1, set2) {
+  const [smaller, larger] = set1.size <= set2.size ? [set1, set2] : [set2, set1];
+  let count = 0;
+  
+  smaller.forEach(item => {
+    if (larger.has(item)) count++;
+  });
+  
+  return count;
+}
+
+/**
+ * Cosine similarity between two sparse term-weight vectors
+ * 
+ * @param {Map} vector1 - Term weights keyed by term
+ * @param {Map} vector2 - Term weights keyed by term
+ * @returns {Number} Similarity (0-1)
+ */
+function cosineSimilarity(vector1, vector2) {
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  
+  vector1.forEach((weight, term) => {
+    norm1 += weight * weight;
+    if (vector2.get(term)) dot += weight * vector2.get(term);
+  });
+  
+  vector2.forEach(weight => {
+    norm2 += weight * weight;
+  });
+  
+  if (norm1 === 0 || norm2 === 0) return 0;
+  
+  return dot / (Math.sqrt(norm1) * Math.sqrt(norm2));
+}
+
 /**
  * Calculates overall consistency score based on all analyses
  * 
@@ -317,21 +916,55 @@ function calculateSimilarityMatrix(platformContent) {
  * @param {Object} keywordResults - Results from keyword extraction
  * @param {Object} toneResults - Results from tone analysis
  * @param {Object} similarityMatrix - Results from similarity calculation
+ * @param {Object} [factResults] - Results from fact extraction
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [readabilityResults] - Results from readability analysis
  * @returns {Number} Overall consistency score (0-100)
  */
 function calculateConsistencyScore(
   sentimentResults, 
   keywordResults, 
   toneResults, 
-  similarityMatrix
+  similarityMatrix,
+  factResults,
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  readabilityResults
+) {
+  return explainConsistencyScore(
+    sentimentResults, 
+    keywordResults, 
+    toneResults, 
+    similarityMatrix,
+    factResults,
+    scoringConfig,
+    readabilityResults
+  ).score;
+}
+
+/**
+ * Breaks the overall consistency score down into what each component and the
+ * fact conflict penalty contributed, in points
+ * 
+ * @param {Object} sentimentResults - Results from sentiment analysis
+ * @param {Object} keywordResults - Results from keyword extraction
+ * @param {Object} toneResults - Results from tone analysis
+ * @param {Object} similarityMatrix - Results from similarity calculation
+ * @param {Object} [factResults] - Results from fact extraction
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [readabilityResults] - Results from readability analysis
+ * @returns {Object} { score, components, factPenalty }; each component has its score (0-1), weight and contribution
+ */
+function explainConsistencyScore(
+  sentimentResults, 
+  keywordResults, 
+  toneResults, 
+  similarityMatrix,
+  factResults,
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  readabilityResults
 ) {
   // Weight each component in the overall score
-  const weights = {
-    sentiment: 0.2,
-    keywords: 0.3,
-    tone: 0.25,
-    similarity: 0.25
-  };
+  const weights = scoringConfig.weights;
   
   // Convert variance to a 0-1 score (lower variance is better)
   const sentimentScore = Math.max(0, 1 - sentimentResults.variance);
@@ -345,15 +978,163 @@ function calculateConsistencyScore(
   // Get the similarity score (0-1)
   const similarityScore = similarityMatrix.averageSimilarity;
   
+  // Get the readability consistency score (0-1), if readability was measured
+  const readabilityScore = readabilityResults ? readabilityResults.consistencyScore : null;
+  
+  const componentScores = {
+    sentiment: sentimentScore,
+    keywords: keywordScore,
+    tone: toneScore,
+    similarity: similarityScore,
+    readability: readabilityScore
+  };
+  
   // Calculate weighted average
-  const overallScore = (
-    weights.sentiment * sentimentScore +
-    weights.keywords * keywordScore +
-    weights.tone * toneScore +
-    weights.similarity * similarityScore
-  ) * 100;
-  
-  return Math.round(overallScore);
+  const overallScore = weightedAverage(weights, componentScores) * 100;
+  
+  // Each component's share of the weighted average, in points
+  const components = {};
+  const weightTotal = Object.keys(weights)
+    .filter(component => Number.isFinite(componentScores[component]))
+    .reduce((sum, component) => sum + weights[component], 0);
+  
+  for (const component in weights) {
+    const score = componentScores[component];
+    if (!Number.isFinite(score)) continue;
+    
+    components[component] = {
+      score,
+      weight: weights[component],
+      contribution: weightTotal > 0 ? weights[component] / weightTotal * score * 100 : 0
+    };
+  }
+  
+  // Each conflicting fact costs points directly, since a wrong price or date
+  // matters more than any stylistic difference
+  const conflictCount = factResults ? factResults.conflicts.length : 0;
+  const factPenalty = Math.min(
+    conflictCount * scoringConfig.factConflictPenalty,
+    scoringConfig.maxFactConflictPenalty
+  );
+  
+  return {
+    score: Math.round(Math.max(0, overallScore - factPenalty)),
+    components,
+    factPenalty: { conflicts: conflictCount, points: factPenalty }
+  };
+}
+
+/**
+ * Scores how much each platform agrees with the other platforms (leave-one-out)
+ * and flags the platform that diverges most
+ * 
+ * Sentiment and tone are compared with every other platform; keywords,
+ * similarity and readability only with the platforms in the same language,
+ * and are left out of a platform's score when there are none.
+ * 
+ * @param {Object} sentimentResults - Results from sentiment analysis
+ * @param {Object} keywordResults - Results from keyword extraction
+ * @param {Object} toneResults - Results from tone analysis
+ * @param {Object} similarityMatrix - Results from similarity calculation
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [readabilityResults] - Results from readability analysis
+ * @param {Object} [languageResults] - Results from analyzeLanguages; without them all platforms count as one language
+ * @returns {Object} Per-platform scores (0-100) with component breakdown, and the outlier
+ */
+function calculatePlatformScores(
+  sentimentResults, 
+  keywordResults, 
+  toneResults, 
+  similarityMatrix,
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  readabilityResults,
+  languageResults
+) {
+  const weights = scoringConfig.weights;
+  const platforms = Object.keys(similarityMatrix.matrix);
+  const peers = languagePeers(languageResults ? languageResults.groups : { all: platforms });
+  const scores = {};
+  
+  // Keywords no platform has among its top keywords cannot be group keywords
+  const usedKeywords = Object.keys(keywordResults.keywordPresence)
+    .filter(keyword => keywordResults.keywordPresence[keyword].count > 0);
+  
+  platforms.forEach(platform => {
+    const others = platforms.filter(p => p !== platform);
+    
+    // Sentiment: distance from the mean sentiment of the other platforms
+    const otherSentiments = others.map(p => sentimentResults.platformSentiments[p].comparative);
+    const meanSentiment = otherSentiments.reduce((sum, val) => sum + val, 0) / others.length;
+    const sentimentScore = Math.max(0, 1 - Math.abs(
+      sentimentResults.platformSentiments[platform].comparative - meanSentiment
+    ));
+    
+    // Keywords: share of the keywords most other platforms in its language use that this platform also uses
+    const sameLanguage = peers[platform];
+    const keywords = keywordResults.platformKeywords[platform].keywords;
+    const groupKeywords = usedKeywords.filter(keyword => {
+      const otherCount = keywordResults.keywordPresence[keyword].platforms
+        .filter(p => sameLanguage.includes(p)).length;
+      return otherCount > sameLanguage.length / 2;
+    });
+    let keywordScore = groupKeywords.length > 0 ?
+      groupKeywords.filter(keyword => keywords.includes(keyword)).length / groupKeywords.length : 1;
+    if (sameLanguage.length === 0) keywordScore = null;
+    
+    // Tone: share of the other platforms with the same dominant tone
+    const tone = toneResults.platformTones[platform].dominantTone;
+    const toneScore = others.filter(p => toneResults.platformTones[p].dominantTone === tone).length /
+      others.length;
+    
+    // Similarity: average similarity to the other platforms in its language
+    const similarityScore = sameLanguage.length > 0 ? sameLanguage.reduce(
+      (sum, p) => sum + similarityMatrix.matrix[platform][p], 0
+    ) / sameLanguage.length : null;
+    
+    // Readability: how close its readability metrics are to the average of the other platforms in its language
+    const readabilityScore = readabilityResults ?
+      platformReadabilityScore(readabilityResults, platform) : null;
+    
+    const components = {
+      sentiment: sentimentScore,
+      keywords: keywordScore,
+      tone: toneScore,
+      similarity: similarityScore,
+      readability: readabilityScore
+    };
+    
+    // Leave out what could not be compared
+    for (const component in components) {
+      if (components[component] === null) delete components[component];
+    }
+    
+    scores[platform] = {
+      score: Math.round(weightedAverage(weights, components) * 100),
+      components,
+      outlier: false
+    };
+  });
+  
+  // With three or more platforms, flag the lowest scorer if it trails the rest clearly. A platform
+  // alone in its language is only scored on sentiment and tone, so it is left out of the comparison.
+  let outlier = null;
+  const candidates = platforms.filter(p => peers[p].length > 0);
+  
+  if (candidates.length >= 3) {
+    const lowest = candidates.reduce((a, b) => scores[a].score <= scores[b].score ? a : b);
+    const rest = candidates.filter(p => p !== lowest);
+    const restAverage = rest.reduce((sum, p) => sum + scores[p].score, 0) / rest.length;
+    
+    if (restAverage - scores[lowest].score >= scoringConfig.outlierMargin) {
+      outlier = lowest;
+      scores[lowest].outlier = true;
+    }
+  }
+  
+  return {
+    platforms: scores,
+    outlier
+  };
 }
 
 /**
@@ -363,13 +1144,15 @@ function calculateConsistencyScore(
  * @param {Object} keywordResults - Results from keyword extraction
  * @param {Object} toneResults - Results from tone analysis
  * @param {Object} similarityMatrix - Results from similarity calculation
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
  * @returns {Array} List of recommendations
  */
 function generateRecommendations(
   sentimentResults, 
   keywordResults, 
   toneResults, 
-  similarityMatrix
+  similarityMatrix,
+  scoringConfig = DEFAULT_SCORING_CONFIG
 ) {
   const recommendations = [];
   
@@ -399,18 +1182,23 @@ function generateRecommendations(
     });
   }
   
-  // 2. Keyword consistency recommendations
-  const numPlatforms = Object.keys(keywordResults.platformKeywords).length;
+  // 2. Keyword consistency recommendations (missing keywords only count within a language)
+  const missingFrom = new Map();
+  for (const platform in keywordResults.platformKeywords) {
+    keywordResults.platformKeywords[platform].missingKeywords.forEach(keyword => {
+      if (!missingFrom.has(keyword)) missingFrom.set(keyword, []);
+      missingFrom.get(keyword).push(platform);
+    });
+  }
+  const platformsMissing = keyword => missingFrom.get(keyword) || [];
   const inconsistentKeywords = Object.entries(keywordResults.keywordPresence)
-    .filter(([_, data]) => data.count > 0 && data.count < numPlatforms)
+    .filter(([keyword, data]) => data.count > 0 && platformsMissing(keyword).length > 0)
     .sort((a, b) => b[1].count - a[1].count)
     .slice(0, 3);
   
   if (inconsistentKeywords.length > 0) {
-    const keywordSuggestions = inconsistentKeywords.map(([keyword, data]) => {
-      const missingPlatforms = Object.keys(keywordResults.platformKeywords)
-        .filter(p => !data.platforms.includes(p))
-        .join(', ');
+    const keywordSuggestions = inconsistentKeywords.map(([keyword]) => {
+      const missingPlatforms = platformsMissing(keyword).join(', ');
       
       return `"${keyword}" (missing from ${missingPlatforms})`;
     }).join('; ');
@@ -449,7 +1237,8 @@ function generateRecommendations(
       const platform2 = platforms[j];
       const similarity = similarityMatrix.matrix[platform1][platform2];
       
-      if (similarity < lowestSimilarityPair.value) {
+      // Platforms in different languages are not compared
+      if (similarity !== null && similarity < lowestSimilarityPair.value) {
         lowestSimilarityPair = { 
           platforms: [platform1, platform2], 
           value: similarity 
@@ -458,7 +1247,7 @@ function generateRecommendations(
     }
   }
   
-  if (lowestSimilarityPair.value < 0.5) {
+  if (lowestSimilarityPair.value < scoringConfig.thresholds.lowSimilarity) {
     recommendations.push({
       category: 'similarity',
       title: 'Align messaging between platforms',
@@ -470,20 +1259,28 @@ function generateRecommendations(
 }
 
 /**
- * Calculates the variance of an array of numbers
+ * Combines component scores with their weights. Components without a score
+ * (such as readability when it was not measured) are left out and the
+ * remaining weights are scaled up, so the result stays on the same scale.
  * 
- * @param {Array} values - Array of numerical values
- * @returns {Number} Variance
+ * @param {Object} weights - Weight of each component (adding up to 1)
+ * @param {Object} componentScores - Score (0-1) of each component, or null when missing
+ * @returns {Number} Weighted score (0-1)
  */
-function calculateVariance(values) {
-  const n = values.length;
-  if (n === 0) return 0;
+function weightedAverage(weights, componentScores) {
+  let total = 0;
+  let weightTotal = 0;
   
-  const mean = values.reduce((sum, val) => sum + val, 0) / n;
-  const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-  const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / n;
+  for (const component in weights) {
+    const score = componentScores[component];
+    // Components that could not be scored (null, or NaN from empty content) are left out
+    if (!Number.isFinite(score)) continue;
+    
+    total += weights[component] * score;
+    weightTotal += weights[component];
+  }
   
-  return variance;
+  return weightTotal > 0 ? total / weightTotal : 0;
 }
 
 module.exports = {
@@ -493,5 +1290,9 @@ module.exports = {
   analyzeTone,
   calculateSimilarityMatrix,
   calculateConsistencyScore,
-  generateRecommendations
+  explainConsistencyScore,
+  calculatePlatformScores,
+  generateRecommendations,
+  SIMILARITY_METRICS,
+  ANALYSIS_STAGES
 };
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * Brand Compliance Module for Content Consistency Grader
+ *
+ * Scores each platform's content against a brand profile (style guide)
+ * instead of against the other platforms, so content that is off-brand
+ * everywhere in the same way is still caught.
+ */
+
+/**
+ * Checks each platform's content against a brand profile
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} profile - Normalized brand profile
+ * @param {Object} sentimentResults - Results from sentiment analysis
+ * @param {Object} toneResults - Results from tone analysis
+ * @returns {Object} Brand compliance results for each platform
+ */
+function checkBrandCompliance(platformContent, profile, sentimentResults, toneResults) {
+  const results = {};
+
+  for (const platform in platformContent) {
+    const content = platformContent[platform].toLowerCase();
+    const violations = [];
+
+    // 1. Required messaging pillars
+    const pillarsCovered = [];
+    const pillarsMissing = [];
+
+    profile.pillars.forEach(pillar => {
+      if (pillar.terms.some(term => countOccurrences(content, term) > 0)) {
+        pillarsCovered.push(pillar.name);
+      } else {
+        pillarsMissing.push(pillar.name);
+        violations.push({
+          type: 'pillar',
+          severity: 'medium',
+          term: pillar.name,
+          message: `Missing messaging pillar "${pillar.name}"`
+        });
+      }
+    });
+
+    // 2. Approved terminology
+    profile.terminology.forEach(entry => {
+      entry.avoid.forEach(term => {
+        const count = countOccurrences(content, term);
+        if (count > 0) {
+          violations.push({
+            type: 'terminology',
+            severity: 'low',
+            term,
+            preferred: entry.preferred,
+            count,
+            message: `Uses "${term}" instead of the approved term "${entry.preferred}"`
+          });
+        }
+      });
+    });
+
+    // 3. Banned words
+    profile.bannedWords.forEach(term => {
+      const count = countOccurrences(content, term);
+      if (count > 0) {
+        violations.push({
+          type: 'banned',
+          severity: 'high',
+          term,
+          count,
+          message: `Uses banned word "${term}"`
+        });
+      }
+    });
+
+    // 4. Target tone
+    const dominantTone = toneResults.platformTones[platform].dominantTone;
+    const toneMatches = profile.targetTone.length === 0 ||
+      profile.targetTone.includes(dominantTone);
+
+    if (!toneMatches) {
+      violations.push({
+        type: 'tone',
+        severity: 'medium',
+        term: dominantTone,
+        message: `Tone is ${dominantTone}, expected ${profile.targetTone.join(' or ')}`
+      });
+    }
+
+    // 5. Sentiment range
+    const comparative = sentimentResults.platformSentiments[platform].comparative;
+    const range = profile.sentimentRange;
+    const sentimentInRange = !range || (
+      (range.min === undefined || comparative >= range.min) &&
+      (range.max === undefined || comparative <= range.max)
+    );
+
+    if (!sentimentInRange) {
+      violations.push({
+        type: 'sentiment',
+        severity: 'medium',
+        term: comparative.toFixed(2),
+        message: `Sentiment ${comparative.toFixed(2)} is outside the target range (${formatRange(range)})`
+      });
+    }
+
+    results[platform] = {
+      score: scoreViolations(violations),
+      compliant: violations.length === 0,
+      pillarsCovered,
+      pillarsMissing,
+      toneMatches,
+      sentimentInRange,
+      violations
+    };
+  }
+
+  // Average the per-platform scores into one compliance score
+  const scores = Object.values(results).map(r => r.score);
+  const averageScore = scores.length > 0 ?
+    scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+
+  return {
+    profile: profile.name,
+    platformCompliance: results,
+    score: Math.round(averageScore * 100),
+    compliant: Object.values(results).every(r => r.compliant)
+  };
+}
+
+/**
+ * Generates recommendations for bringing content in line with the brand profile
+ *
+ * @param {Object} complianceResults - Results from checkBrandCompliance
+ * @returns {Array} List of recommendations
+ */
+function generateBrandRecommendations(complianceResults) {
+  const recommendations = [];
+  const platformCompliance = complianceResults.platformCompliance;
+
+  // Group violations by type so each kind of problem is one recommendation
+  const byType = {};
+  for (const platform in platformCompliance) {
+    platformCompliance[platform].violations.forEach(violation => {
+      if (!byType[violation.type]) byType[violation.type] = [];
+      byType[violation.type].push({ platform, ...violation });
+    });
+  }
+
+  if (byType.banned) {
+    recommendations.push({
+      category: 'brand',
+      title: 'Remove banned words',
+      description: `These words are banned by the "${complianceResults.profile}" brand profile: ${formatViolations(byType.banned)}`
+    });
+  }
+
+  if (byType.pillar) {
+    recommendations.push({
+      category: 'brand',
+      title: 'Cover every messaging pillar',
+      description: `Some platforms miss required messaging pillars: ${formatViolations(byType.pillar)}`
+    });
+  }
+
+  if (byType.terminology) {
+    const suggestions = byType.terminology
+      .map(v => `"${v.term}" → "${v.preferred}" on ${v.platform}`)
+      .join('; ');
+
+    recommendations.push({
+      category: 'brand',
+      title: 'Use approved terminology',
+      description: `Replace non-approved terms with the brand's preferred wording: ${suggestions}`
+    });
+  }
+
+  if (byType.tone) {
+    recommendations.push({
+      category: 'brand',
+      title: 'Match the brand voice',
+      description: `These platforms do not use the target tone: ${byType.tone.map(v => `${v.platform} (${v.message})`).join('; ')}`
+    });
+  }
+
+  if (byType.sentiment) {
+    recommendations.push({
+      category: 'brand',
+      title: 'Keep sentiment within the brand range',
+      description: `These platforms fall outside the target sentiment range: ${byType.sentiment.map(v => `${v.platform} (${v.term})`).join(', ')}`
+    });
+  }
+
+  return recommendations;
+}
+
+/**
+ * Counts whole-word (or whole-phrase) occurrences of a term in lowercased content.
+ * Letters of any alphabet count as word characters, so "café" and "über" match as words.
+ *
+ * @param {String} content - Lowercased content
+ * @param {String} term - Word or phrase to count
+ * @returns {Number} Number of occurrences
+ */
+function countOccurrences(content, term) {
+  const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const matches = content.match(new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'gu'));
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Converts a list of violations into a 0-1 compliance score
+ *
+ * @param {Array} violations - Violations found on a platform
+ * @returns {Number} Compliance score (0-1)
+ */
+function scoreViolations(violations) {
+  const penalties = { high: 0.3, medium: 0.15, low: 0.05 };
+  const penalty = violations.reduce((sum, v) => sum + penalties[v.severity], 0);
+  return Math.max(0, Math.round((1 - penalty) * 100) / 100);
+}
+
+/**
+ * Formats violations as "term (platform)" pairs
+ *
+ * @param {Array} violations - Violations with a platform attached
+ * @returns {String} Formatted list
+ */
+function formatViolations(violations) {
+  return violations.map(v => `"${v.term}" (${v.platform})`).join(', ');
+}
+
+/**
+ * Formats a sentiment range for display
+ *
+ * @param {Object} range - Range with optional min and max
+ * @returns {String} Formatted range
+ */
+function formatRange(range) {
+  const min = range.min === undefined ? '-∞' : range.min;
+  const max = range.max === undefined ? '∞' : range.max;
+  return `${min} to ${max}`;
+}
+
+module.exports = {
+  checkBrandCompliance,
+  generateBrandRecommendations
+};
@@ -0,0 +1,121 @@
+/**
+ * Campaign Summary Module for Content Consistency Grader
+ *
+ * Summarizes the analyses of every message in a campaign batch: average and
+ * worst score, the platforms most often flagged as outliers, and keywords
+ * that keep going missing on the same platforms.
+ */
+
+/**
+ * Summarizes the results of a campaign batch
+ *
+ * @param {Array} messages - Analyzed messages as { message, result }
+ * @returns {Object} Score statistics, per-platform flags and recurring missing keywords
+ */
+function summarizeCampaign(messages) {
+  const analyzed = messages.filter(m => m.result);
+
+  if (analyzed.length === 0) {
+    return {
+      messageCount: messages.length,
+      analyzedCount: 0,
+      averageScore: null,
+      worstMessage: null,
+      bestMessage: null,
+      platforms: [],
+      mostFlaggedPlatforms: [],
+      recurringMissingKeywords: []
+    };
+  }
+
+  const scored = analyzed.map(m => ({ message: m.message, score: m.result.overallConsistencyScore }));
+  const byScore = [...scored].sort((a, b) => a.score - b.score);
+  const platforms = summarizePlatforms(analyzed);
+
+  return {
+    messageCount: messages.length,
+    analyzedCount: analyzed.length,
+    averageScore: Math.round(scored.reduce((sum, m) => sum + m.score, 0) / scored.length),
+    worstMessage: byScore[0],
+    bestMessage: byScore[byScore.length - 1],
+    platforms,
+    mostFlaggedPlatforms: platforms.filter(p => p.flagged > 0).map(p => p.platform),
+    recurringMissingKeywords: findRecurringMissingKeywords(analyzed)
+  };
+}
+
+/**
+ * Collects each platform's scores and outlier flags across messages
+ *
+ * @param {Array} analyzed - Analyzed messages
+ * @returns {Array} { platform, messages, averageScore, flagged, flaggedIn }, most often flagged first
+ */
+function summarizePlatforms(analyzed) {
+  const platforms = {};
+
+  analyzed.forEach(({ message, result }) => {
+    const scores = result.platformScores.platforms;
+
+    for (const platform in scores) {
+      if (!platforms[platform]) {
+        platforms[platform] = { platform, messages: 0, totalScore: 0, flagged: 0, flaggedIn: [] };
+      }
+
+      const entry = platforms[platform];
+      entry.messages++;
+      entry.totalScore += scores[platform].score;
+
+      if (scores[platform].outlier) {
+        entry.flagged++;
+        entry.flaggedIn.push(message);
+      }
+    }
+  });
+
+  return Object.values(platforms)
+    .map(({ totalScore, ...entry }) => ({
+      ...entry,
+      averageScore: Math.round(totalScore / entry.messages)
+    }))
+    .sort((a, b) => b.flagged - a.flagged || a.averageScore - b.averageScore);
+}
+
+/**
+ * Finds keywords that other platforms in the same language use but the same
+ * platform leaves out, in more than one message
+ *
+ * @param {Array} analyzed - Analyzed messages
+ * @returns {Array} { keyword, platform, messages }, most frequent first
+ */
+function findRecurringMissingKeywords(analyzed) {
+  const missing = {};
+
+  analyzed.forEach(({ message, result }) => {
+    const { platformKeywords, keywordPresence } = result.keywordAnalysis;
+    const languages = result.languageAnalysis.platformLanguages;
+
+    for (const platform in platformKeywords) {
+      // Missing keywords are only those of platforms in the same language
+      platformKeywords[platform].missingKeywords.forEach(keyword => {
+        const sharedBy = keywordPresence[keyword].platforms
+          .filter(other => languages[other].language === languages[platform].language);
+
+        // A keyword on only one platform is not a shared message to miss
+        if (sharedBy.length < 2) return;
+
+        const key = `${keyword}|${platform}`;
+        if (!missing[key]) missing[key] = { keyword, platform, messages: [] };
+        missing[key].messages.push(message);
+      });
+    }
+  });
+
+  return Object.values(missing)
+    .filter(entry => entry.messages.length > 1)
+    .sort((a, b) => b.messages.length - a.messages.length)
+    .slice(0, 20);
+}
+
+module.exports = {
+  summarizeCampaign
+};
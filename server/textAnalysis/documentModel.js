@@ -0,0 +1,231 @@
+/**
+ * Document Model Module for Content Consistency Grader
+ *
+ * Tokenizes, stems and splits each platform's content into sentences once,
+ * so every analysis stage works from the same document instead of parsing the
+ * text again. Each document is processed with the resources of its own
+ * language (see languages.js). Part-of-speech tagging with compromise is by
+ * far the slowest step, so it only happens on demand, one sentence at a time,
+ * and a sentence that appears on several platforms is tagged once.
+ */
+
+const nlp = require('compromise');
+const { LANGUAGES, detectLanguage } = require('./languages');
+
+const URL_PATTERN = /https?:\/\/\S+|www\.\S+/gi;
+
+// Words as the sentiment library splits them: on whitespace and these punctuation marks
+const SENTIMENT_WORD_PATTERN = /[^\s.,\/#!?$%^&*;:{}=_`"~()]+/g;
+
+const { splitSentences } = nlp.methods().one.tokenize;
+const { lexicon, tagSet } = nlp.model().one;
+
+/**
+ * Builds the document model of every platform
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [languages] - Language codes by platform name; the language of other platforms is detected
+ * @returns {Object} Documents with the same keys as platformContent
+ */
+function buildDocuments(platformContent, languages = {}) {
+  // Shared by all platforms, so repeated words and sentences are processed once
+  const cache = {
+    stems: new Map(),
+    parses: new Map()
+  };
+
+  const documents = {};
+
+  for (const platform in platformContent) {
+    const content = platformContent[platform];
+    const detected = languages[platform]
+      ? { language: languages[platform], confidence: 1 }
+      : detectLanguage(content);
+
+    documents[platform] = createDocument(content, detected, cache);
+  }
+
+  return documents;
+}
+
+/**
+ * Tokenizes, stems and splits one piece of content
+ *
+ * @param {String} content - Content
+ * @param {Object} detected - { language, confidence } of the content
+ * @param {Object} cache - Stems by language and sentence parses shared between documents
+ * @returns {Object} Document with its language, tokens, stems, sentences and a parseSentence method
+ */
+function createDocument(content, { language, confidence }, cache) {
+  const { stemmer, stopwords, wordPattern, toneWordPattern } = LANGUAGES[language];
+
+  if (!cache.stems.has(language)) cache.stems.set(language, new Map());
+  const stems = cache.stems.get(language);
+
+  const stem = word => {
+    let stemmed = stems.get(word);
+
+    if (stemmed === undefined) {
+      stemmed = stemmer.stem(word);
+      stems.set(word, stemmed);
+    }
+
+    return stemmed;
+  };
+
+  // Lowercased words with their character offsets in the content
+  const tokens = [];
+  const tokenOffsets = [];
+
+  for (const match of content.matchAll(wordPattern)) {
+    tokens.push(match[0].toLowerCase());
+    tokenOffsets.push(match.index);
+  }
+
+  // Stem of every token, stop words included, and whether the token is a content word
+  const tokenStems = tokens.map(stem);
+  const isContentToken = tokens.map(word => !stopwords.has(word));
+  const contentTokens = tokens.filter((word, index) => isContentToken[index]);
+
+  // Words as the tone taxonomy sees them, with their character offsets
+  const lowercased = content.toLowerCase();
+  const toneWords = [];
+  const toneOffsets = [];
+
+  for (const match of lowercased.matchAll(toneWordPattern)) {
+    toneWords.push(match[0]);
+    toneOffsets.push(match.index);
+  }
+
+  const toneStems = toneWords.map(word => stem(word.replace('’', "'")));
+
+  // Words as the sentiment library sees them, with their character offsets
+  const sentimentWords = [];
+  const sentimentOffsets = [];
+
+  for (const match of lowercased.matchAll(SENTIMENT_WORD_PATTERN)) {
+    sentimentWords.push(match[0]);
+    sentimentOffsets.push(match.index);
+  }
+
+  // Sentences with their offsets, tokens and content word stems
+  const sentences = [];
+  let position = 0;
+  let tokenIndex = 0;
+
+  splitSentences(content, nlp.world()).forEach(chunk => {
+    const text = chunk.trim();
+    const start = position + chunk.indexOf(text);
+    const end = start + text.length;
+    position += chunk.length;
+
+    if (!text) return;
+
+    while (tokenIndex < tokens.length && tokenOffsets[tokenIndex] < start) tokenIndex++;
+    const firstToken = tokenIndex;
+    while (tokenIndex < tokens.length && tokenOffsets[tokenIndex] < end) tokenIndex++;
+
+    sentences.push({
+      text,
+      start,
+      end,
+      tokens: tokens.slice(firstToken, tokenIndex),
+      stems: tokenStems.slice(firstToken, tokenIndex).filter((stemmed, index) => isContentToken[firstToken + index])
+    });
+  });
+
+  return {
+    content,
+    language,
+    languageConfidence: confidence,
+    tokens,
+    tokenOffsets,
+    tokenStems,
+    contentTokens,
+    stems: tokenStems.filter((stemmed, index) => isContentToken[index]),
+    toneWords,
+    toneOffsets,
+    toneStems,
+    sentimentWords,
+    sentimentOffsets,
+    sentences,
+    urlRanges: [...content.matchAll(URL_PATTERN)].map(match => [match.index, match.index + match[0].length]),
+
+    /**
+     * Tags a sentence with compromise, reusing the parse of an identical sentence.
+     * compromise only knows English, so stages check the language's
+     * partOfSpeech flag before tagging.
+     *
+     * @param {Object} sentence - One of this document's sentences
+     * @returns {Object} compromise document of the sentence
+     */
+    parseSentence(sentence) {
+      let parsed = cache.parses.get(sentence.text);
+
+      if (!parsed) {
+        parsed = nlp(sentence.text);
+        cache.parses.set(sentence.text, parsed);
+      }
+
+      return parsed;
+    }
+  };
+}
+
+/**
+ * Lists a document's tokens that are not part of a URL
+ *
+ * @param {Object} document - Document from buildDocuments
+ * @returns {Array} Lowercased tokens in order of appearance
+ */
+function tokensOutsideUrls(document) {
+  const ranges = document.urlRanges;
+  if (ranges.length === 0) return document.tokens;
+
+  // Tokens and URLs are both in text order, so one pass over each is enough
+  let range = 0;
+
+  return document.tokens.filter((token, index) => {
+    const offset = document.tokenOffsets[index];
+    while (range < ranges.length && ranges[range][1] <= offset) range++;
+    return range === ranges.length || offset < ranges[range][0];
+  });
+}
+
+/**
+ * Checks whether compromise's lexicon knows a word as a proper noun
+ * ("paris", "microsoft"), which tells without tagging a whole sentence
+ *
+ * @param {String} word - Lowercased word
+ * @returns {Boolean} True if the word is a known proper noun
+ */
+function isProperNoun(word) {
+  if (!Object.prototype.hasOwnProperty.call(lexicon, word)) return false;
+
+  // An entry is one tag or a list of tags
+  return [].concat(lexicon[word]).some(tag =>
+    tag === 'ProperNoun' || Boolean(tagSet[tag] && tagSet[tag].parents.includes('ProperNoun'))
+  );
+}
+
+/**
+ * Checks whether compromise's lexicon knows a word as an adjective, such as
+ * participles that describe a state ("thrilled", "limited") rather than an action
+ *
+ * @param {String} word - Lowercased word
+ * @returns {Boolean} True if the word is a known adjective
+ */
+function isAdjective(word) {
+  if (!Object.prototype.hasOwnProperty.call(lexicon, word)) return false;
+
+  return [].concat(lexicon[word]).some(tag =>
+    tag === 'Adjective' || Boolean(tagSet[tag] && tagSet[tag].parents.includes('Adjective'))
+  );
+}
+
+module.exports = {
+  buildDocuments,
+  tokensOutsideUrls,
+  isProperNoun,
+  isAdjective
+};
@@ -0,0 +1,523 @@
+/**
+ * Fact Extraction Module for Content Consistency Grader
+ *
+ * Pulls factual claims (prices, percentages, dates, URLs, emails, hashtags,
+ * product names and other numbers) out of each platform's content, lines up
+ * comparable facts across platforms and reports conflicts such as "20% off"
+ * on one platform and "25% off" on another. Facts are only compared between
+ * platforms written in the same language, since a translation may rightly
+ * state a price in another currency or a date in another format.
+ */
+
+const { buildDocuments, isProperNoun } = require('./documentModel');
+const { LANGUAGES, groupByLanguage } = require('./languages');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const MONTH_NAME = new RegExp(`^${MONTH_PATTERN}$`);
+
+// A word after the first one that starts with a capital letter
+const INNER_CAPITAL = /\s[^\sA-Za-z0-9]*[A-Z]/;
+
+// The first word of a sentence, without the punctuation around it
+const FIRST_WORD = /^[^A-Za-z0-9]*([A-Za-z0-9]+(?:['’][A-Za-z]+)?)/;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Patterns are applied in this order; a later match overlapping an earlier one is ignored
+const FACT_PATTERNS = [
+  { type: 'url', regex: /\bhttps?:\/\/[^\s<>"')]+|\bwww\.[^\s<>"')]+/gi },
+  { type: 'email', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'date', regex: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi') },
+  { type: 'date', regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4})\\b)?`, 'gi') },
+  { type: 'date', regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g },
+  { type: 'date', regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/g },
+  { type: 'currency', regex: /[$€£¥]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|bn|million|billion)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:usd|eur|gbp|dollars|euros|pounds)\b/gi },
+  { type: 'percentage', regex: /\b\d+(?:\.\d+)?\s?(?:%|percent\b)/gi },
+  { type: 'hashtag', regex: /#\w+/g },
+  { type: 'number', regex: /\b\d[\d,]*(?:\.\d+)?\b/g }
+];
+
+// Readable names for fact types in recommendations
+const TYPE_LABELS = {
+  url: 'URL',
+  email: 'email address',
+  date: 'date',
+  currency: 'price',
+  percentage: 'percentage',
+  hashtag: 'hashtag',
+  number: 'number',
+  product: 'product name'
+};
+
+// Fact types that are only comparable when they describe the same thing
+const CONTEXT_TYPES = ['currency', 'percentage', 'number'];
+
+// Fact types that are still compared by type alone when no other platform shares their key
+const FALLBACK_TYPES = ['currency', 'percentage', 'url'];
+
+/**
+ * Extracts facts from each platform and detects conflicting facts across platforms
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Facts for each platform and the conflicts between them
+ */
+function analyzeFacts(platformContent, documents = buildDocuments(platformContent)) {
+  const platformFacts = {};
+
+  for (const platform in platformContent) {
+    platformFacts[platform] = extractFacts(documents[platform]);
+  }
+
+  const conflicts = [];
+  Object.values(groupByLanguage(documents)).forEach(group => {
+    const groupFacts = {};
+    group.forEach(platform => {
+      groupFacts[platform] = platformFacts[platform];
+    });
+    conflicts.push(...findConflicts(groupFacts));
+  });
+
+  return {
+    platformFacts,
+    conflicts,
+    consistent: conflicts.length === 0
+  };
+}
+
+/**
+ * Extracts facts with their exact text spans from a piece of content
+ *
+ * @param {Object} document - Document model of the content
+ * @returns {Array} Facts with type, normalized value, text, start/end offsets and context
+ */
+function extractFacts(document) {
+  const content = document.content;
+  const facts = [];
+
+  const overlaps = (start, end) => facts.some(f => start < f.end && end > f.start);
+
+  FACT_PATTERNS.forEach(({ type, regex }) => {
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(content)) !== null) {
+      // Trailing sentence punctuation is not part of a URL
+      const text = type === 'url' ? match[0].replace(/[.,;:!?]+$/, '') : match[0];
+      const start = match.index;
+      const end = start + text.length;
+
+      if (overlaps(start, end)) continue;
+
+      const value = normalizeValue(type, match);
+      if (value === null) continue;
+
+      facts.push({ type, value, text, start, end });
+    }
+  });
+
+  // Named products: runs of capitalized nouns not already covered by another fact.
+  // Finding nouns takes compromise, which only knows English.
+  if (LANGUAGES[document.language].partOfSpeech) {
+    extractProductNames(document).forEach(({ text, start, end }) => {
+      if (!overlaps(start, end)) {
+        facts.push({ type: 'product', value: text.toLowerCase(), text, start, end });
+      }
+    });
+  }
+
+  const { stopwords } = LANGUAGES[document.language];
+
+  facts.forEach(fact => {
+    fact.context = CONTEXT_TYPES.includes(fact.type) ? findContext(content, fact, stopwords) : '';
+  });
+
+  return facts.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds product names: runs of capitalized nouns, ignoring a lone common noun
+ * that is only capitalized because it starts a sentence
+ *
+ * @param {Object} document - Document model of the content to search
+ * @returns {Array} Product names with text and start/end offsets
+ */
+function extractProductNames(document) {
+  const products = [];
+
+  document.sentences.forEach(sentence => {
+    // Tagging is slow, so a sentence is only tagged if it has capitalized words
+    // after the first one; otherwise only a known proper noun at its start counts
+    if (!INNER_CAPITAL.test(sentence.text)) {
+      const firstWord = sentence.text.match(FIRST_WORD);
+      const normal = firstWord ? firstWord[1].toLowerCase() : '';
+
+      if (firstWord && /^[A-Z]/.test(firstWord[1]) && !isDateWord(normal) && isProperNoun(normal)) {
+        const start = sentence.start + firstWord[0].length - firstWord[1].length;
+        products.push({ text: firstWord[1], start, end: start + firstWord[1].length });
+      }
+      return;
+    }
+
+    document.parseSentence(sentence).json({ offset: true }).forEach(({ terms }) => {
+      let run = [];
+
+      const flush = () => {
+        const isSentenceStart = run.length > 0 && run[0] === terms[0];
+        const isNamed = run.length > 1 || !isSentenceStart || run[0].tags.includes('ProperNoun');
+        const firstWord = run.length > 0 ? run[0].normal : '';
+
+        if (run.length > 0 && isNamed && !isDateWord(firstWord)) {
+          const start = sentence.start + run[0].offset.start;
+          const last = run[run.length - 1];
+          const end = sentence.start + last.offset.start + last.text.length;
+          products.push({ text: document.content.slice(start, end), start, end });
+        }
+        run = [];
+      };
+
+      terms.forEach(term => {
+        const isCapitalizedNoun = /^[A-Z]/.test(term.text) &&
+          term.tags.includes('Noun') &&
+          !term.tags.includes('Pronoun') &&
+          !term.tags.includes('HashTag');
+
+        if (isCapitalizedNoun) {
+          run.push(term);
+          if (term.post.trim()) flush();
+        } else {
+          flush();
+        }
+      });
+
+      flush();
+    });
+  });
+
+  return products;
+}
+
+/**
+ * Checks whether a word names a weekday or month, which is not a product
+ *
+ * @param {String} word - Lowercased word
+ * @returns {Boolean} True for weekdays and months
+ */
+function isDateWord(word) {
+  return WEEKDAYS.includes(word) || MONTH_NAME.test(word);
+}
+
+/**
+ * Lines up comparable facts across platforms and reports disagreements
+ *
+ * @param {Object} platformFacts - Facts for each platform
+ * @returns {Array} Conflicts, each listing the differing values and their text spans
+ */
+function findConflicts(platformFacts) {
+  const conflicts = [];
+  const groups = groupFacts(platformFacts, fact => comparisonKey(fact));
+
+  // Facts whose key appears on only one platform fall back to matching by type,
+  // so "20% off" and "save 25% today" are still compared
+  const unmatched = {};
+  for (const key in groups) {
+    const platforms = Object.keys(groups[key].platforms);
+    if (platforms.length > 1) {
+      const conflict = compareGroup(groups[key]);
+      if (conflict) conflicts.push(conflict);
+    } else if (FALLBACK_TYPES.includes(groups[key].type)) {
+      const platform = platforms[0];
+      if (!unmatched[platform]) unmatched[platform] = [];
+      unmatched[platform].push(...groups[key].platforms[platform]);
+    }
+  }
+
+  // Compare the unmatched facts with everything other platforms say of the same type
+  const fallback = {};
+  for (const platform in platformFacts) {
+    const unmatchedTypes = new Set((unmatched[platform] || []).map(f => f.type));
+    fallback[platform] = platformFacts[platform].filter(fact =>
+      unmatchedTypes.has(fact.type)
+        ? unmatched[platform].includes(fact)
+        : Object.values(unmatched).some(facts => facts.some(f => f.type === fact.type))
+    );
+  }
+
+  const fallbackGroups = groupFacts(fallback, fact => fact.type);
+  for (const key in fallbackGroups) {
+    const platforms = Object.keys(fallbackGroups[key].platforms);
+    const hasUnmatched = platforms.some(p => (unmatched[p] || []).some(f => f.type === key));
+    if (platforms.length > 1 && hasUnmatched) {
+      const conflict = compareGroup({ ...fallbackGroups[key], context: '' });
+      if (conflict && !isReported(conflict, conflicts)) conflicts.push(conflict);
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Checks whether every disagreement of a fallback conflict is already part of
+ * a conflict found by key, so "20% off" against "25% off" is not reported a
+ * second time just because another platform says "save 20%"
+ *
+ * @param {Object} conflict - Conflict from compareGroup
+ * @param {Array} conflicts - Conflicts found so far
+ * @returns {Boolean} True if each pair of its values already conflicts
+ */
+function isReported(conflict, conflicts) {
+  const states = (reported, value) => reported.values.some(v => sameValue(conflict.type, v.value, value));
+  const values = conflict.values.map(v => v.value);
+
+  return values.every((value, i) => values.slice(i + 1).every(other =>
+    conflicts.some(reported => reported.type === conflict.type && states(reported, value) && states(reported, other))
+  ));
+}
+
+/**
+ * Groups facts from every platform by a key
+ *
+ * @param {Object} platformFacts - Facts for each platform
+ * @param {Function} getKey - Returns the group key for a fact
+ * @returns {Object} Groups with type, context and facts for each platform
+ */
+function groupFacts(platformFacts, getKey) {
+  const groups = {};
+
+  for (const platform in platformFacts) {
+    platformFacts[platform].forEach(fact => {
+      const key = getKey(fact);
+      if (!groups[key]) {
+        groups[key] = { type: fact.type, context: fact.context, platforms: {} };
+      }
+      if (!groups[key].platforms[platform]) groups[key].platforms[platform] = [];
+      groups[key].platforms[platform].push(fact);
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Compares one group of comparable facts across platforms
+ *
+ * @param {Object} group - Group of facts from groupFacts
+ * @returns {Object|null} The conflict, or null if the platforms agree
+ */
+function compareGroup(group) {
+  const platforms = Object.keys(group.platforms);
+
+  // Platforms conflict when they share no value at all for the same fact
+  let disagree = false;
+  for (let i = 0; i < platforms.length && !disagree; i++) {
+    for (let j = i + 1; j < platforms.length && !disagree; j++) {
+      const facts1 = group.platforms[platforms[i]];
+      const facts2 = group.platforms[platforms[j]];
+      disagree = !facts1.some(f1 => facts2.some(f2 => sameValue(group.type, f1.value, f2.value)));
+    }
+  }
+
+  if (!disagree) return null;
+
+  // Collect each distinct value with the platforms and spans that state it
+  const values = [];
+  platforms.forEach(platform => {
+    group.platforms[platform].forEach(fact => {
+      let entry = values.find(v => sameValue(group.type, v.value, fact.value));
+      if (!entry) {
+        entry = { value: fact.value, platforms: [], spans: [] };
+        values.push(entry);
+      }
+      if (!entry.platforms.includes(platform)) entry.platforms.push(platform);
+      entry.spans.push({ platform, text: fact.text, start: fact.start, end: fact.end });
+    });
+  });
+
+  return {
+    type: group.type,
+    context: group.context || null,
+    values
+  };
+}
+
+/**
+ * Generates high-priority recommendations for conflicting facts
+ *
+ * @param {Object} factResults - Results from analyzeFacts
+ * @returns {Array} List of recommendations
+ */
+function generateFactRecommendations(factResults) {
+  return factResults.conflicts.map(conflict => {
+    const typeLabel = TYPE_LABELS[conflict.type];
+    const label = conflict.context ? `${typeLabel} (${conflict.context})` : typeLabel;
+    const statements = conflict.values
+      .map(v => `"${v.spans[0].text}" on ${v.platforms.join(', ')}`)
+      .join(' vs. ');
+
+    return {
+      category: 'facts',
+      priority: 'high',
+      title: `Resolve conflicting ${label}`,
+      description: `Your platforms state different facts: ${statements}. Make sure every platform states the same ${typeLabel}.`
+    };
+  });
+}
+
+/**
+ * Builds the key used to line up comparable facts across platforms
+ *
+ * @param {Object} fact - Extracted fact
+ * @returns {String} Comparison key
+ */
+function comparisonKey(fact) {
+  if (fact.type === 'url') return `url:${urlHost(fact.value)}`;
+  if (fact.type === 'product') return `product:${fact.value.split(/\s+/)[0]}`;
+  if (CONTEXT_TYPES.includes(fact.type)) return `${fact.type}:${fact.context}`;
+  return fact.type;
+}
+
+/**
+ * Finds the word a numeric fact refers to ("20% off" -> "off"), looking after the fact first
+ *
+ * @param {String} content - Original content
+ * @param {Object} fact - Extracted fact
+ * @param {Set} stopwords - Stop words of the content's language, which are never the context
+ * @returns {String} Context word, or an empty string if none was found
+ */
+function findContext(content, fact, stopwords) {
+  const next = wordsNear(content, fact.end, 3, 'after').find(word => !stopwords.has(word));
+  if (next) return next;
+
+  const previous = wordsNear(content, fact.start, 3, 'before').reverse().find(word => !stopwords.has(word));
+  return previous || '';
+}
+
+/**
+ * Lists the lowercased words right after or right before an offset
+ *
+ * Only a small window around the offset is read, growing until it holds
+ * enough words, so finding the context of every fact stays linear.
+ *
+ * @param {String} content - Original content
+ * @param {Number} offset - Character offset
+ * @param {Number} count - Number of words
+ * @param {String} direction - "after" or "before"
+ * @returns {Array} Up to `count` words in text order
+ */
+function wordsNear(content, offset, count, direction) {
+  for (let size = 64; ; size *= 2) {
+    const start = direction === 'after' ? offset : Math.max(0, offset - size);
+    const end = direction === 'after' ? Math.min(content.length, offset + size) : offset;
+    const words = content.slice(start, end).toLowerCase().match(/\p{L}+/gu) || [];
+    const complete = direction === 'after' ? end === content.length : start === 0;
+
+    // Unless the window reaches the edge of the content, its far word may be cut off
+    if (complete || words.length > count) {
+      return direction === 'after' ? words.slice(0, count) : words.slice(-count);
+    }
+  }
+}
+
+/**
+ * Normalizes a matched fact so equivalent spellings compare equal
+ *
+ * @param {String} type - Fact type
+ * @param {Array} match - Regex match
+ * @returns {String|null} Normalized value, or null if the match is not a valid fact
+ */
+function normalizeValue(type, match) {
+  const text = match[0];
+
+  switch (type) {
+    case 'url':
+      return text.toLowerCase()
+        .replace(/[.,;:!?]+$/, '')
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/$/, '');
+    case 'email':
+    case 'hashtag':
+      return text.toLowerCase();
+    case 'date':
+      return normalizeDate(match);
+    case 'currency':
+    case 'percentage':
+    case 'number':
+      return text.toLowerCase().replace(/\s+/g, '').replace(/,/g, '').replace('percent', '%');
+    default:
+      return text;
+  }
+}
+
+/**
+ * Normalizes a date match to YYYY-MM-DD, or MM-DD when no year is given
+ *
+ * @param {Array} match - Regex match from one of the date patterns
+ * @returns {String|null} Normalized date, or null if it is not a valid date
+ */
+function normalizeDate(match) {
+  let year;
+  let month;
+  let day;
+
+  if (/^\d{4}-/.test(match[0])) {
+    [year, month, day] = [match[1], Number(match[2]), Number(match[3])];
+  } else if (match[0].includes('/')) {
+    // Numeric dates are read as month/day/year
+    [month, day, year] = [Number(match[1]), Number(match[2]), match[3]];
+    if (year.length === 2) year = `20${year}`;
+  } else if (/^\d/.test(match[0])) {
+    [day, month, year] = [Number(match[1]), monthIndex(match[2]) + 1, match[3]];
+  } else {
+    [month, day, year] = [monthIndex(match[1]) + 1, Number(match[2]), match[3]];
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return year ? `${year}-${monthDay}` : monthDay;
+}
+
+/**
+ * Returns the 0-based month index for a month name or abbreviation
+ *
+ * @param {String} name - Month name
+ * @returns {Number} Month index, or -1 if the name is not a month
+ */
+function monthIndex(name) {
+  const prefix = name.toLowerCase().replace('.', '').slice(0, 3);
+  return MONTHS.indexOf(prefix);
+}
+
+/**
+ * Checks whether two normalized values of the same fact type are equivalent
+ *
+ * @param {String} type - Fact type
+ * @param {String} a - First value
+ * @param {String} b - Second value
+ * @returns {Boolean} True if the values agree
+ */
+function sameValue(type, a, b) {
+  if (a === b) return true;
+
+  // A date without a year agrees with the same day in any year
+  if (type === 'date') return a.endsWith(b) || b.endsWith(a);
+
+  return false;
+}
+
+/**
+ * Returns the host part of a normalized URL
+ *
+ * @param {String} url - Normalized URL (no scheme or www.)
+ * @returns {String} Host name
+ */
+function urlHost(url) {
+  return url.split(/[/?#]/)[0];
+}
+
+module.exports = {
+  analyzeFacts,
+  extractFacts,
+  generateFactRecommendations
+};
@@ -0,0 +1,319 @@
+/**
+ * Glossary Module for Content Consistency Grader
+ *
+ * A glossary groups terms that mean the same thing ("buy" and "purchase") and
+ * may name the preferred form of a term ("Acme Cloud", not "AcmeCloud").
+ * Keywords are compared as concepts: every glossary term stands for its
+ * group, and other words for their stem, so "launches" and "launched" are one
+ * keyword and a platform using a non-preferred form can be pointed to the
+ * preferred one. Terms are stemmed in the language of the content they are
+ * matched against.
+ */
+
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('./languages');
+
+// Equivalent terms every analysis knows; entries sent with a request come first
+const DEFAULT_GLOSSARY = [
+  { terms: ['buy', 'purchase'] },
+  { terms: ['app', 'application'] },
+  { terms: ['start', 'begin'] },
+  { terms: ['help', 'assist'] },
+  { terms: ['customer', 'client'] }
+];
+
+/**
+ * Validates a glossary sent with a request or stored in a brand profile
+ *
+ * @param {Array} glossary - Entries as { preferred, terms }
+ * @returns {Array} Validation errors (empty if the glossary is valid)
+ */
+function validateGlossary(glossary) {
+  if (!Array.isArray(glossary)) {
+    return ['Glossary must be a list of entries like { "preferred": "Acme Cloud", "terms": ["AcmeCloud"] }'];
+  }
+
+  const errors = [];
+  const entryByTerm = new Map();
+
+  glossary.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`Glossary entry ${index + 1} must be an object`);
+      return;
+    }
+
+    if (entry.preferred !== undefined && (typeof entry.preferred !== 'string' || splitWords(entry.preferred).length === 0)) {
+      errors.push(`The preferred form of glossary entry ${index + 1} must be a word or phrase`);
+    }
+
+    if (entry.terms !== undefined && !Array.isArray(entry.terms)) {
+      errors.push(`The terms of glossary entry ${index + 1} must be a list`);
+      return;
+    }
+
+    const terms = entryTerms(entry);
+
+    if (terms.length === 0) {
+      errors.push(`Glossary entry ${index + 1} must have a preferred form or terms`);
+    }
+
+    terms.forEach(term => {
+      if (typeof term !== 'string' || splitWords(term).length === 0) {
+        errors.push(`Glossary entry ${index + 1} has a term that is not a word or phrase`);
+        return;
+      }
+
+      const key = stemWords(splitWords(term)).join(' ');
+      const other = entryByTerm.get(key);
+
+      if (other !== undefined && other !== index) {
+        errors.push(`"${term}" appears in glossary entries ${other + 1} and ${index + 1}`);
+      }
+      entryByTerm.set(key, index);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Indexes a glossary, together with the default glossary, by the stem of
+ * each term's first word so content can be matched against it in one pass
+ *
+ * @param {Array} [glossary] - Validated entries; a default entry sharing a term with one of these is left out
+ * @param {String} [language] - Language of the content the glossary is matched against
+ * @returns {Object} { concepts, formsByFirstStem } - Concepts with their label and preferred form, and forms to match
+ */
+function compileGlossary(glossary = [], language = DEFAULT_LANGUAGE) {
+  const userStems = new Set(glossary.flatMap(entry => entryTerms(entry).map(term => stemWords(splitWords(term)).join(' '))));
+  const defaults = DEFAULT_GLOSSARY.filter(entry =>
+    !entryTerms(entry).some(term => userStems.has(stemWords(splitWords(term)).join(' ')))
+  );
+
+  const concepts = [];
+  const formsByFirstStem = new Map();
+
+  const addForm = (concept, stems) => {
+    if (!formsByFirstStem.has(stems[0])) formsByFirstStem.set(stems[0], []);
+    formsByFirstStem.get(stems[0]).push({ concept, stems });
+  };
+
+  glossary.concat(defaults).forEach(entry => {
+    const terms = entryTerms(entry);
+    const concept = {
+      label: entry.preferred || terms[0],
+      preferred: entry.preferred || null
+    };
+    concepts.push(concept);
+
+    terms.forEach(term => {
+      const words = splitWords(term, language);
+      if (words.length === 0) return;
+
+      addForm(concept, stemWords(words, language));
+
+      // A multi-word term is also recognized written as one word ("AcmeCloud")
+      if (words.length > 1) addForm(concept, stemWords([words.join('')], language));
+    });
+  });
+
+  // Longer forms first, so "Acme Cloud Pro" wins over "Acme Cloud"
+  formsByFirstStem.forEach(forms => forms.sort((a, b) => b.stems.length - a.stems.length));
+
+  return { concepts, formsByFirstStem };
+}
+
+/**
+ * Turns a document's words into keyword concepts
+ *
+ * Words that are part of a glossary term become that term's concept; other
+ * words of three or more letters that are not stop words become their stem.
+ *
+ * @param {Object} document - Document model of the content (see documentModel.js)
+ * @param {Object} compiledGlossary - Result of compileGlossary
+ * @returns {Array} { key, concept, surface, start } in order of appearance; concept is null for plain words
+ */
+function extractConcepts(document, { formsByFirstStem }) {
+  const { content, tokens, tokenOffsets, tokenStems: stems } = document;
+  const { stopwords } = LANGUAGES[document.language];
+  const concepts = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    const forms = formsByFirstStem.get(stems[index]) || [];
+    const form = forms.find(candidate =>
+      candidate.stems.every((stem, offset) => stems[index + offset] === stem)
+    );
+
+    if (form) {
+      const last = index + form.stems.length - 1;
+      concepts.push({
+        key: `glossary:${form.concept.label}`,
+        concept: form.concept,
+        surface: content.slice(tokenOffsets[index], tokenOffsets[last] + tokens[last].length),
+        start: tokenOffsets[index]
+      });
+      index = last + 1;
+      continue;
+    }
+
+    if (tokens[index].length > 2 && !stopwords.has(tokens[index])) {
+      concepts.push({ key: `stem:${stems[index]}`, concept: null, surface: tokens[index], start: tokenOffsets[index] });
+    }
+    index++;
+  }
+
+  return concepts;
+}
+
+/**
+ * Names every concept: a glossary concept by its label, a plain word by the
+ * form written most often ("launch" for "launch", "launches", "launched")
+ *
+ * @param {Array} conceptLists - Results of extractConcepts, one per platform
+ * @returns {Map} Label by concept key
+ */
+function labelConcepts(conceptLists) {
+  const surfaceCounts = new Map();
+  const labels = new Map();
+
+  conceptLists.forEach(concepts => {
+    concepts.forEach(({ key, concept, surface }) => {
+      if (concept) {
+        labels.set(key, concept.label);
+        return;
+      }
+
+      if (!surfaceCounts.has(key)) surfaceCounts.set(key, new Map());
+      const counts = surfaceCounts.get(key);
+      counts.set(surface, (counts.get(surface) || 0) + 1);
+    });
+  });
+
+  // On a tie the form seen first wins
+  surfaceCounts.forEach((counts, key) => {
+    let label = null;
+
+    counts.forEach((count, surface) => {
+      if (label === null || count > counts.get(label)) label = surface;
+    });
+
+    labels.set(key, label);
+  });
+
+  return labels;
+}
+
+/**
+ * Finds glossary terms a platform writes in a form other than the preferred one
+ *
+ * @param {Object} platformConcepts - Results of extractConcepts by platform
+ * @returns {Array} { preferred, platform, forms } with a count per form used
+ */
+function findNonPreferredForms(platformConcepts) {
+  const findings = [];
+
+  for (const platform in platformConcepts) {
+    const byPreferred = new Map();
+
+    platformConcepts[platform].forEach(({ concept, surface }) => {
+      if (!concept || !concept.preferred || isPreferredForm(surface, concept.preferred)) return;
+
+      if (!byPreferred.has(concept.preferred)) byPreferred.set(concept.preferred, {});
+      const forms = byPreferred.get(concept.preferred);
+      forms[surface] = (forms[surface] || 0) + 1;
+    });
+
+    byPreferred.forEach((forms, preferred) => findings.push({ preferred, platform, forms }));
+  }
+
+  return findings;
+}
+
+/**
+ * Checks whether a glossary term was written in its preferred form. Case only
+ * matters when the preferred form has capitals ("Acme Cloud"), so "Sign up"
+ * at the start of a sentence still counts as the preferred "sign up".
+ *
+ * @param {String} surface - Text as written in the content
+ * @param {String} preferred - Preferred form
+ * @returns {Boolean} True if the text uses the preferred form
+ */
+function isPreferredForm(surface, preferred) {
+  const normalized = surface.replace(/\s+/g, ' ');
+  return preferred === preferred.toLowerCase()
+    ? normalized.toLowerCase() === preferred
+    : normalized === preferred;
+}
+
+/**
+ * Generates recommendations for platforms that write a glossary term in a
+ * form other than the preferred one
+ *
+ * @param {Object} keywordResults - Results from keyword extraction
+ * @returns {Array} List of recommendations
+ */
+function generateGlossaryRecommendations(keywordResults) {
+  const recommendations = [];
+
+  keywordResults.nonPreferredForms.forEach(({ preferred, platform, forms }) => {
+    const used = Object.entries(forms)
+      .map(([form, count]) => `"${form}"${count > 1 ? ` (${count} times)` : ''}`)
+      .join(', ');
+
+    recommendations.push({
+      category: 'keywords',
+      platform,
+      title: `Use the preferred form "${preferred}" on ${platform}`,
+      description: `${platform} writes ${used}. Your glossary prefers "${preferred}", so use that form on every platform.`
+    });
+  });
+
+  return recommendations;
+}
+
+/**
+ * Lists an entry's terms, its preferred form included
+ *
+ * @param {Object} entry - Glossary entry
+ * @returns {Array} Terms, preferred form first
+ */
+function entryTerms(entry) {
+  const terms = Array.isArray(entry.terms) ? entry.terms : [];
+  return entry.preferred !== undefined ? [entry.preferred, ...terms.filter(term => term !== entry.preferred)] : terms;
+}
+
+/**
+ * Splits a term into lowercased words the way documents of a language are tokenized
+ *
+ * @param {String} term - Word or phrase
+ * @param {String} [language] - Language code
+ * @returns {Array} Words
+ */
+function splitWords(term, language = DEFAULT_LANGUAGE) {
+  return typeof term === 'string' ? (term.toLowerCase().match(LANGUAGES[language].wordPattern) || []) : [];
+}
+
+/**
+ * Stems a list of words
+ *
+ * @param {Array} words - Lowercased words
+ * @param {String} [language] - Language code
+ * @returns {Array} Stems
+ */
+function stemWords(words, language = DEFAULT_LANGUAGE) {
+  const { stemmer } = LANGUAGES[language];
+  return words.map(word => stemmer.stem(word));
+}
+
+module.exports = {
+  DEFAULT_GLOSSARY,
+  validateGlossary,
+  compileGlossary,
+  extractConcepts,
+  labelConcepts,
+  findNonPreferredForms,
+  isPreferredForm,
+  generateGlossaryRecommendations,
+  splitWords,
+  stemWords
+};
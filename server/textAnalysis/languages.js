@@ -0,0 +1,293 @@
+/**
+ * Languages Module for Content Consistency Grader
+ *
+ * Detects the language each platform is written in and holds what analyzing
+ * a language takes: how its words are split, stemmed and filtered, which
+ * words carry sentiment and whether compromise can tag its parts of speech.
+ * Wording in two languages cannot be compared word for word, so the stages
+ * that compare wording only compare platforms written in the same language.
+ */
+
+const natural = require('natural');
+// Word lists natural only ships as internal files (see wordLists/README.md)
+const spanishWords = require('./wordLists/es.json');
+const germanWords = require('./wordLists/de.json');
+const frenchWords = require('./wordLists/fr.json');
+
+// Language assumed when the content gives too little to go on
+const DEFAULT_LANGUAGE = 'en';
+
+// Words of any alphabet, for the languages added after English
+const LETTER_PATTERN = /[\p{L}\p{N}_]+/gu;
+const TONE_LETTER_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// natural has no German stop words
+const GERMAN_STOPWORDS = [
+  'aber', 'alle', 'allem', 'allen', 'aller', 'alles', 'als', 'also', 'am', 'an', 'andere', 'anderen',
+  'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da', 'damit', 'dann', 'das', 'dass', 'dein',
+  'deine', 'dem', 'den', 'denn', 'der', 'des', 'dich', 'die', 'dies', 'diese', 'diesem', 'diesen',
+  'dieser', 'dieses', 'dir', 'doch', 'dort', 'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer',
+  'eines', 'er', 'es', 'euch', 'euer', 'eure', 'für', 'hab', 'habe', 'haben', 'hat', 'hatte', 'hatten',
+  'hier', 'ich', 'ihm', 'ihn', 'ihnen', 'ihr', 'ihre', 'ihrem', 'ihren', 'ihrer', 'im', 'in', 'ins',
+  'ist', 'jede', 'jedem', 'jeden', 'jeder', 'jedes', 'kann', 'können', 'man', 'mein', 'meine', 'meinem',
+  'meinen', 'meiner', 'mich', 'mir', 'mit', 'muss', 'nach', 'nicht', 'noch', 'nun', 'nur', 'ob', 'oder',
+  'ohne', 'sehr', 'sein', 'seine', 'seinem', 'seinen', 'seiner', 'sich', 'sie', 'sind', 'so', 'soll',
+  'sollte', 'sondern', 'über', 'um', 'und', 'uns', 'unser', 'unsere', 'unserem', 'unseren', 'unter',
+  'vom', 'von', 'vor', 'war', 'waren', 'was', 'weil', 'welche', 'wenn', 'werden', 'wie', 'wieder',
+  'will', 'wir', 'wird', 'wo', 'wollen', 'würde', 'zu', 'zum', 'zur', 'zwischen'
+];
+
+// Supported languages by ISO 639-1 code. detectionWords are frequent words
+// that hardly occur in the other languages; English wins every tie.
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    stemmer: natural.PorterStemmer,
+    stopwords: new Set(natural.stopwords),
+    // Same word characters as natural's WordTokenizer, which the stages used before
+    wordPattern: /[A-Za-zА-Яа-я0-9_]+/g,
+    // Apostrophes kept inside words ("don't")
+    toneWordPattern: /[a-z0-9]+(?:['’][a-z0-9]+)*/g,
+    partOfSpeech: true,
+    detectionWords: [
+      'the', 'and', 'of', 'to', 'is', 'are', 'you', 'your', 'with', 'for', 'this', 'that', 'it',
+      'our', 'we', 'be', 'will', 'at', 'have', 'from', 'was', 'by', 'not', 'can', 'get', 'now'
+    ]
+  },
+  es: {
+    name: 'Spanish',
+    stemmer: natural.PorterStemmerEs,
+    stopwords: new Set(spanishWords.stopwords),
+    wordPattern: LETTER_PATTERN,
+    toneWordPattern: TONE_LETTER_PATTERN,
+    partOfSpeech: false,
+    detectionWords: [
+      'el', 'los', 'las', 'del', 'y', 'por', 'para', 'con', 'una', 'su', 'al', 'más', 'pero', 'este',
+      'esta', 'muy', 'tu', 'tus', 'nuestro', 'nuestra', 'ahora', 'también', 'sin', 'hoy', 'es', 'lo'
+    ],
+    sentiment: {
+      labels: spanishWords.sentiment,
+      negators: ['no', 'nunca', 'jamás', 'ni', 'tampoco', 'sin']
+    }
+  },
+  de: {
+    name: 'German',
+    stemmer: natural.PorterStemmerDe,
+    stopwords: new Set(GERMAN_STOPWORDS),
+    wordPattern: LETTER_PATTERN,
+    toneWordPattern: TONE_LETTER_PATTERN,
+    partOfSpeech: false,
+    detectionWords: [
+      'der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'auf', 'ein', 'eine', 'den', 'dem',
+      'zu', 'sie', 'wir', 'ihr', 'ihre', 'unser', 'unsere', 'auch', 'jetzt', 'noch', 'von', 'bei', 'sich'
+    ],
+    sentiment: {
+      labels: germanWords.sentiment,
+      negators: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'nie', 'niemals']
+    }
+  },
+  fr: {
+    name: 'French',
+    stemmer: natural.PorterStemmerFr,
+    stopwords: new Set(frenchWords.stopwords),
+    wordPattern: LETTER_PATTERN,
+    toneWordPattern: TONE_LETTER_PATTERN,
+    partOfSpeech: false,
+    detectionWords: [
+      'le', 'les', 'des', 'du', 'et', 'est', 'une', 'pour', 'dans', 'avec', 'vous', 'votre', 'vos',
+      'nous', 'notre', 'sur', 'pas', 'qui', 'ce', 'cette', 'au', 'aux', 'sont', 'mais', 'très', 'chez'
+    ],
+    sentiment: {
+      labels: frenchWords.sentiment,
+      negators: ['pas', 'jamais', 'aucun', 'aucune', 'sans', 'ni', 'non']
+    }
+  }
+};
+
+const detectionWords = new Map(
+  Object.keys(LANGUAGES).map(code => [code, new Set(LANGUAGES[code].detectionWords)])
+);
+
+/**
+ * Builds the language module the sentiment library takes for a language
+ * other than English, which the library has built in
+ *
+ * @param {String} code - Language code
+ * @returns {Object} { labels, scoringStrategy }; a word right after a negator counts with the opposite sign
+ */
+function sentimentLanguage(code) {
+  const { labels, negators } = LANGUAGES[code].sentiment;
+  const negatorSet = new Set(negators);
+
+  return {
+    labels: { ...labels },
+    scoringStrategy: {
+      apply: (tokens, cursor, tokenScore) =>
+        (cursor > 0 && negatorSet.has(tokens[cursor - 1]) ? -tokenScore : tokenScore)
+    }
+  };
+}
+
+/**
+ * Detects the language of a piece of content by counting the frequent words
+ * of each supported language
+ *
+ * @param {String} content - Content
+ * @returns {Object} { language, confidence }; confidence is the language's share of all matched words (0-1), 0 without any
+ */
+function detectLanguage(content) {
+  const counts = new Map([...detectionWords.keys()].map(code => [code, 0]));
+  let total = 0;
+
+  for (const match of content.toLowerCase().matchAll(TONE_LETTER_PATTERN)) {
+    for (const [code, words] of detectionWords) {
+      if (words.has(match[0])) {
+        counts.set(code, counts.get(code) + 1);
+        total++;
+      }
+    }
+  }
+
+  let language = DEFAULT_LANGUAGE;
+  counts.forEach((count, code) => {
+    if (count > counts.get(language)) language = code;
+  });
+
+  return {
+    language,
+    confidence: total > 0 ? counts.get(language) / total : 0
+  };
+}
+
+/**
+ * Checks whether a value is the code of a supported language
+ *
+ * @param {*} code - Value to check
+ * @returns {Boolean} True for a supported language code such as "es"
+ */
+function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Validates the languages a request names for some of its platforms
+ *
+ * @param {Object} languages - Language codes by platform name
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @returns {Array} Validation errors (empty if the languages are valid)
+ */
+function validateLanguages(languages, platformContent) {
+  if (!languages || typeof languages !== 'object' || Array.isArray(languages)) {
+    return ['Languages must be an object mapping platform names to language codes like "es"'];
+  }
+
+  const errors = [];
+
+  for (const platform in languages) {
+    if (!Object.prototype.hasOwnProperty.call(platformContent, platform)) {
+      errors.push(`${platform} has no content`);
+    } else if (!isSupportedLanguage(languages[platform])) {
+      errors.push(`${platform}: unsupported language ${JSON.stringify(languages[platform])}. Use one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Groups platforms by the language of their documents
+ *
+ * @param {Object} documents - Document model of each platform (see documentModel.js)
+ * @returns {Object} Platform names by language code, in platform order
+ */
+function groupByLanguage(documents) {
+  const groups = {};
+
+  for (const platform in documents) {
+    const language = documents[platform].language;
+    (groups[language] = groups[language] || []).push(platform);
+  }
+
+  return groups;
+}
+
+/**
+ * Lists, for each platform, the other platforms written in its language
+ *
+ * @param {Object} groups - Platform names by language code (see groupByLanguage)
+ * @returns {Object} Same-language platforms by platform name
+ */
+function languagePeers(groups) {
+  const peers = {};
+
+  for (const language in groups) {
+    groups[language].forEach(platform => {
+      peers[platform] = groups[language].filter(other => other !== platform);
+    });
+  }
+
+  return peers;
+}
+
+/**
+ * Reports the language of each platform and which comparisons were skipped
+ * because platforms are written in different languages
+ *
+ * @param {Object} documents - Document model of each platform (see documentModel.js)
+ * @returns {Object} Language per platform, platforms by language and notices for the reader
+ */
+function analyzeLanguages(documents) {
+  const platformLanguages = {};
+  const groups = groupByLanguage(documents);
+  const notices = [];
+
+  for (const platform in documents) {
+    const { language, languageConfidence } = documents[platform];
+    platformLanguages[platform] = {
+      language,
+      name: LANGUAGES[language].name,
+      confidence: languageConfidence
+    };
+
+    if (languageConfidence === 0) {
+      notices.push(`The language of ${platform} could not be detected, so it was analyzed as ${LANGUAGES[language].name}.`);
+    }
+  }
+
+  const languages = Object.keys(groups);
+  const mixed = languages.length > 1;
+
+  if (mixed) {
+    const usage = languages.map(language => `${LANGUAGES[language].name} (${groups[language].join(', ')})`).join(', ');
+    notices.unshift(
+      `Your platforms are written in ${languages.length} languages: ${usage}. Keywords, similarity, readability, facts, ` +
+      'sentence alignment and calls to action are only compared between platforms in the same language. Sentiment and ' +
+      "tone are compared across languages, each scored with its own language's word lists."
+    );
+
+    languages
+      .filter(language => groups[language].length === 1)
+      .forEach(language => {
+        notices.push(`${groups[language][0]} is the only platform in ${LANGUAGES[language].name}, so its wording was not compared with any other platform.`);
+      });
+  }
+
+  return {
+    platformLanguages,
+    groups,
+    mixed,
+    notices
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  sentimentLanguage,
+  detectLanguage,
+  isSupportedLanguage,
+  validateLanguages,
+  groupByLanguage,
+  languagePeers,
+  analyzeLanguages
+};
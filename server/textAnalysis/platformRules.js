@@ -0,0 +1,336 @@
+/**
+ * Platform Rules Module for Content Consistency Grader
+ *
+ * A rule pack describes what content on one channel should look like:
+ * length limits, how many hashtags and emoji are normal, whether links and a
+ * call to action are expected and which boilerplate (such as a disclaimer)
+ * must be present. Each platform is checked against its own pack; violations
+ * are reported separately and do not count towards the consistency score.
+ */
+
+const { buildDocuments, tokensOutsideUrls } = require('./documentModel');
+const { analyzeSocialSignals } = require('./socialSignals');
+
+// Packs for the platforms the frontend offers; stored and request packs are merged over these
+const DEFAULT_RULE_PACKS = {
+  twitter: {
+    label: 'Twitter',
+    description: 'Short posts; one or two hashtags',
+    maxCharacters: 280,
+    hashtags: { max: 2 },
+    emoji: { max: 3 }
+  },
+  instagram: {
+    label: 'Instagram',
+    description: 'Captions with hashtags; links in captions are not clickable',
+    maxCharacters: 2200,
+    hashtags: { min: 1, max: 30 },
+    links: 'avoid'
+  },
+  facebook: {
+    label: 'Facebook',
+    description: 'Short posts with few hashtags',
+    maxCharacters: 500,
+    hashtags: { max: 3 }
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    description: 'Professional posts; a few hashtags and little emoji',
+    maxCharacters: 3000,
+    hashtags: { max: 5 },
+    emoji: { max: 3 }
+  },
+  youtube: {
+    label: 'YouTube',
+    description: 'Video descriptions; YouTube ignores every hashtag when there are more than 15',
+    maxCharacters: 5000,
+    hashtags: { max: 15 }
+  },
+  tiktok: {
+    label: 'TikTok',
+    description: 'Captions with a few hashtags',
+    maxCharacters: 2200,
+    hashtags: { min: 1, max: 5 }
+  },
+  blog: {
+    label: 'Blog',
+    description: 'Long-form articles without hashtags',
+    minWords: 300,
+    hashtags: { max: 0 }
+  },
+  email: {
+    label: 'Email',
+    description: 'Emails need a link and a call to action',
+    hashtags: { max: 0 },
+    links: 'required',
+    callToAction: 'required'
+  },
+  'press-release': {
+    label: 'Press Release',
+    description: 'Formal releases ending with media contact or boilerplate, without hashtags or emoji',
+    minWords: 300,
+    maxWords: 800,
+    hashtags: { max: 0 },
+    emoji: { max: 0 },
+    boilerplate: ['###', '-30-', 'media contact', 'press contact', 'for more information']
+  },
+  website: {
+    label: 'Website',
+    description: 'Pages should tell visitors what to do next',
+    callToAction: 'required'
+  }
+};
+
+const RULE_KEYS = [
+  'label', 'description', 'maxCharacters', 'minWords', 'maxWords', 'hashtags', 'emoji', 'links', 'callToAction', 'boilerplate'
+];
+const RANGE_KEYS = ['min', 'max'];
+const LINK_RULES = ['required', 'optional', 'avoid'];
+const CALL_TO_ACTION_RULES = ['required', 'optional'];
+
+/**
+ * Validates a rule pack sent with a request or saved by a team
+ *
+ * Every rule is optional, and a rule set to null is switched off, so a pack
+ * merged over a default can remove a rule it does not want.
+ *
+ * @param {Object} pack - Rule pack
+ * @returns {Array} Validation errors (empty if the pack is valid)
+ */
+function validateRulePack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['A rule pack must be an object like { "maxCharacters": 280, "hashtags": { "max": 2 } }'];
+  }
+
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  const isSet = value => value !== undefined && value !== null;
+
+  // A misspelled rule would otherwise be ignored without a word
+  Object.keys(pack)
+    .filter(key => !RULE_KEYS.includes(key))
+    .forEach(key => errors.push(`Unknown rule: ${key}. Use one of: ${RULE_KEYS.join(', ')}`));
+
+  ['label', 'description'].forEach(field => {
+    if (isSet(pack[field]) && typeof pack[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  });
+
+  ['maxCharacters', 'minWords', 'maxWords'].forEach(field => {
+    if (isSet(pack[field]) && !isCount(pack[field])) {
+      errors.push(`${field} must be a whole number of at least 0`);
+    }
+  });
+
+  if (isCount(pack.minWords) && isCount(pack.maxWords) && pack.minWords > pack.maxWords) {
+    errors.push('minWords must not be greater than maxWords');
+  }
+
+  ['hashtags', 'emoji'].forEach(field => {
+    if (!isSet(pack[field])) return;
+
+    const range = pack[field];
+    if (typeof range !== 'object' || Array.isArray(range)) {
+      errors.push(`${field} must be a range like { "min": 1, "max": 3 }`);
+      return;
+    }
+
+    Object.keys(range)
+      .filter(key => !RANGE_KEYS.includes(key))
+      .forEach(key => errors.push(`Unknown rule: ${field}.${key}. Use min or max`));
+
+    RANGE_KEYS.forEach(bound => {
+      if (isSet(range[bound]) && !isCount(range[bound])) {
+        errors.push(`${field}.${bound} must be a whole number of at least 0`);
+      }
+    });
+
+    if (isCount(range.min) && isCount(range.max) && range.min > range.max) {
+      errors.push(`${field}.min must not be greater than ${field}.max`);
+    }
+  });
+
+  if (isSet(pack.links) && !LINK_RULES.includes(pack.links)) {
+    errors.push(`links must be one of: ${LINK_RULES.join(', ')}`);
+  }
+
+  if (isSet(pack.callToAction) && !CALL_TO_ACTION_RULES.includes(pack.callToAction)) {
+    errors.push(`callToAction must be one of: ${CALL_TO_ACTION_RULES.join(', ')}`);
+  }
+
+  if (isSet(pack.boilerplate) && (
+    !Array.isArray(pack.boilerplate) ||
+    pack.boilerplate.length === 0 ||
+    pack.boilerplate.some(phrase => typeof phrase !== 'string' || !phrase.trim())
+  )) {
+    errors.push('boilerplate must be a list of phrases, one of which must appear');
+  }
+
+  return errors;
+}
+
+/**
+ * Merges rule packs: later packs override the rules of earlier packs with the same name
+ *
+ * @param {...Object} packSets - Rule packs by name, lowest precedence first
+ * @returns {Object} Merged rule packs by name
+ */
+function mergeRulePacks(...packSets) {
+  const merged = {};
+
+  packSets.forEach(packs => {
+    for (const name in packs || {}) {
+      merged[name] = { ...merged[name], ...packs[name] };
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Finds the rule pack of a platform: the pack with the platform's name, or
+ * else the pack named by a word of it ("twitter-us" uses "twitter")
+ *
+ * @param {String} platform - Platform name
+ * @param {Object} rulePacks - Rule packs by name
+ * @returns {String|null} Pack name, or null if no pack applies
+ */
+function findRulePack(platform, rulePacks) {
+  // Only the packs themselves count, not what every object inherits ("constructor")
+  const isPack = name => Object.prototype.hasOwnProperty.call(rulePacks, name) && Boolean(rulePacks[name]);
+  const name = platform.toLowerCase().replace(/\s+/g, '-');
+  if (isPack(name)) return name;
+
+  return name.split(/[^a-z0-9]+/).find(part => part && isPack(part)) || null;
+}
+
+/**
+ * Checks each platform's content against its platform's rule pack
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [rulePacks] - Rule packs by name
+ * @param {Object} [socialResults] - Results from analyzeSocialSignals, for hashtag, emoji, link and call to action counts
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Measurements and violations per platform, and the total number of violations
+ */
+function checkPlatformRules(
+  platformContent,
+  rulePacks = DEFAULT_RULE_PACKS,
+  socialResults,
+  documents = buildDocuments(platformContent)
+) {
+  const signals = (socialResults || analyzeSocialSignals(platformContent, documents)).platformSignals;
+  const platformRules = {};
+  let violationCount = 0;
+
+  for (const platform in platformContent) {
+    const pack = findRulePack(platform, rulePacks);
+    const content = platformContent[platform].trim();
+
+    const measurements = {
+      characters: [...content].length,
+      words: tokensOutsideUrls(documents[platform]).length,
+      hashtags: signals[platform].hashtags.reduce((sum, hashtag) => sum + hashtag.count, 0),
+      emoji: signals[platform].emojiCount,
+      links: signals[platform].links.length,
+      callsToAction: signals[platform].ctas.reduce((sum, cta) => sum + cta.count, 0)
+    };
+
+    const violations = pack ? findViolations(content, measurements, rulePacks[pack]) : [];
+    violationCount += violations.length;
+
+    platformRules[platform] = {
+      pack,
+      label: pack ? rulePacks[pack].label || pack : null,
+      measurements,
+      violations,
+      passed: violations.length === 0
+    };
+  }
+
+  return {
+    platformRules,
+    violationCount
+  };
+}
+
+/**
+ * Lists the rules of a pack that a piece of content breaks
+ *
+ * @param {String} content - Trimmed content
+ * @param {Object} measurements - Character, word, hashtag, emoji, link and call to action counts
+ * @param {Object} rules - Rule pack
+ * @returns {Array} { rule, message, expected, actual } per broken rule
+ */
+function findViolations(content, measurements, rules) {
+  const violations = [];
+  const add = (rule, message, expected, actual) => violations.push({ rule, message, expected, actual });
+
+  if (isLimit(rules.maxCharacters) && measurements.characters > rules.maxCharacters) {
+    add('maxCharacters', `${measurements.characters} characters, over the limit of ${rules.maxCharacters}`, rules.maxCharacters, measurements.characters);
+  }
+
+  if (isLimit(rules.minWords) && measurements.words < rules.minWords) {
+    add('minWords', `${measurements.words} words, fewer than the ${rules.minWords} expected`, rules.minWords, measurements.words);
+  }
+
+  if (isLimit(rules.maxWords) && measurements.words > rules.maxWords) {
+    add('maxWords', `${measurements.words} words, more than the ${rules.maxWords} expected`, rules.maxWords, measurements.words);
+  }
+
+  [['hashtags', 'hashtag'], ['emoji', 'emoji']].forEach(([rule, noun]) => {
+    const range = rules[rule];
+    if (!range) return;
+
+    const count = measurements[rule];
+    const plural = count === 1 || noun === 'emoji' ? noun : `${noun}s`;
+
+    if (isLimit(range.min) && count < range.min) {
+      add(rule, `${count} ${plural}, at least ${range.min} expected`, range, count);
+    } else if (range.max === 0 && count > 0) {
+      add(rule, `${count} ${plural}, none expected`, range, count);
+    } else if (isLimit(range.max) && count > range.max) {
+      add(rule, `${count} ${plural}, at most ${range.max} expected`, range, count);
+    }
+  });
+
+  if (rules.links === 'required' && measurements.links === 0) {
+    add('links', 'No link, one expected', 'required', 0);
+  } else if (rules.links === 'avoid' && measurements.links > 0) {
+    add('links', `${measurements.links} link${measurements.links === 1 ? '' : 's'}, none expected`, 'avoid', measurements.links);
+  }
+
+  if (rules.callToAction === 'required' && measurements.callsToAction === 0) {
+    add('callToAction', 'No call to action, one expected', 'required', 0);
+  }
+
+  if (Array.isArray(rules.boilerplate)) {
+    const lowercased = content.toLowerCase();
+    const found = rules.boilerplate.some(phrase => lowercased.includes(phrase.toLowerCase()));
+
+    if (!found) {
+      add('boilerplate', `Missing required boilerplate (one of: ${rules.boilerplate.map(phrase => `"${phrase}"`).join(', ')})`, rules.boilerplate, null);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Checks whether a limit is set
+ *
+ * @param {*} value - Rule value
+ * @returns {Boolean} True for a whole number
+ */
+function isLimit(value) {
+  return Number.isInteger(value);
+}
+
+module.exports = {
+  DEFAULT_RULE_PACKS,
+  validateRulePack,
+  mergeRulePacks,
+  findRulePack,
+  checkPlatformRules
+};
@@ -0,0 +1,324 @@
+/**
+ * Readability Module for Content Consistency Grader
+ *
+ * Measures how hard each platform's content is to read (Flesch reading ease,
+ * Flesch-Kincaid grade level, sentence length, passive voice and long words)
+ * and how much that varies across platforms. Two channels can share every
+ * keyword and still read at grade 14 on one and grade 6 on the other.
+ *
+ * Syllables, reading ease and the passive voice are measured the way each
+ * language needs. The grade level uses the English Flesch-Kincaid formula for
+ * every language, so readability is only compared between platforms written
+ * in the same language.
+ */
+
+const { buildDocuments, isAdjective } = require('./documentModel');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringConfig');
+const { groupByLanguage } = require('./languages');
+const { calculateVariance } = require('./statistics');
+
+// Metrics compared across platforms, with the standard deviation at which a
+// metric no longer counts as consistent at all
+const READABILITY_TOLERANCES = {
+  gradeLevel: 4,
+  averageSentenceLength: 8,
+  passiveVoiceRatio: 0.25,
+  longWordShare: 0.15
+};
+
+// Words with more letters than this count as long (as in the LIX formula)
+const LONG_WORD_LETTERS = 6;
+
+// Forms of "to be" that start a passive construction ("is sold", "were made")
+const BE_FORMS = new Set(['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being']);
+
+// Common past participles that do not end in -ed
+const IRREGULAR_PARTICIPLES = new Set([
+  'known', 'given', 'taken', 'made', 'done', 'seen', 'written', 'built', 'sent',
+  'paid', 'sold', 'held', 'told', 'found', 'shown', 'chosen', 'driven', 'brought',
+  'bought', 'caught', 'taught', 'kept', 'left', 'lost', 'met', 'put', 'set',
+  'won', 'begun', 'broken', 'spoken', 'stolen', 'worn', 'born', 'drawn', 'grown',
+  'thrown', 'hidden', 'forgotten', 'gotten', 'eaten', 'fallen', 'led', 'said',
+  'understood'
+]);
+
+// What measuring each language takes: its letters and vowels, a reading ease
+// formula on the Flesch scale (0-100, higher is easier) and how to spot the
+// passive voice. A participle "later" may come anywhere after the auxiliary,
+// as in German ("wird morgen geliefert").
+const READABILITY_LANGUAGES = {
+  en: {
+    nonLetters: /[^a-z]/g,
+    vowelGroups: /[aeiouy]+/g,
+    // A silent final "e" ("make"), "es" or "ed" ("makes", "baked") is not a syllable,
+    // unlike "le" ("table"), "es" after a hissing sound ("boxes") and "ted" or "ded" ("wanted")
+    silentEnding: /(?:[^laeiouyscxzgh]es|[^laeiouydt]ed|[^laeiouy]e)$/,
+    // Flesch
+    readingEase: (wordsPerSentence, syllablesPerWord) => 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+    auxiliaries: BE_FORMS,
+    adverbEnding: 'ly',
+    isParticiple: word => (word.length > 3 && word.endsWith('ed')) || IRREGULAR_PARTICIPLES.has(word),
+    isAdjective,
+    agentMarker: 'by'
+  },
+  es: {
+    nonLetters: /[^\p{L}]/gu,
+    vowelGroups: /[aeiouáéíóúü]+/g,
+    // Fernández Huerta
+    readingEase: (wordsPerSentence, syllablesPerWord) => 206.84 - 60 * syllablesPerWord - 1.02 * wordsPerSentence,
+    auxiliaries: new Set(['es', 'son', 'fue', 'fueron', 'era', 'eran', 'ser', 'sido', 'será', 'serán', 'sea', 'sean']),
+    adverbEnding: 'mente',
+    isParticiple: word => /^\p{L}{2,}(?:ad|id)[oa]s?$/u.test(word) ||
+      ['hecho', 'hecha', 'dicho', 'dicha', 'escrito', 'escrita', 'visto', 'vista', 'puesto', 'puesta', 'abierto', 'abierta']
+        .includes(word)
+  },
+  de: {
+    nonLetters: /[^\p{L}]/gu,
+    vowelGroups: /[aeiouyäöü]+/g,
+    // Amstad
+    readingEase: (wordsPerSentence, syllablesPerWord) => 180 - wordsPerSentence - 58.5 * syllablesPerWord,
+    auxiliaries: new Set(['wird', 'werden', 'wurde', 'wurden', 'worden', 'werde', 'wirst']),
+    participleLater: true,
+    isParticiple: word => /^ge\p{L}{2,}(?:t|en)$/u.test(word) || /^\p{L}{2,}iert$/u.test(word)
+  },
+  fr: {
+    nonLetters: /[^\p{L}]/gu,
+    vowelGroups: /[aeiouyàâäéèêëîïôöùûüœæ]+/g,
+    // A final silent "e" or "es" ("livre", "livres") is not a syllable
+    silentEnding: /[^aeiouyàâäéèêëîïôöùûü]es?$/,
+    // Kandel and Moles
+    readingEase: (wordsPerSentence, syllablesPerWord) => 207 - 1.015 * wordsPerSentence - 73.6 * syllablesPerWord,
+    auxiliaries: new Set(['est', 'sont', 'était', 'étaient', 'été', 'être', 'sera', 'seront', 'fut', 'furent', 'soit', 'soient']),
+    adverbEnding: 'ment',
+    isParticiple: word => /^\p{L}{2,}é(?:e|s|es)?$/u.test(word) ||
+      ['fait', 'faite', 'pris', 'prise', 'mis', 'mise', 'écrit', 'écrite', 'offert', 'offerte', 'fini', 'finie',
+        'choisi', 'choisie', 'vendu', 'vendue', 'conçu', 'conçue', 'prévu', 'prévue', 'reçu', 'reçue'].includes(word)
+  }
+};
+
+/**
+ * Measures the readability of each platform and how much it varies among
+ * the platforms written in the same language
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Readability metrics per platform, their spread and a consistency score
+ *   (null when no two platforms share a language)
+ */
+function analyzeReadability(
+  platformContent,
+  scoringConfig = DEFAULT_SCORING_CONFIG,
+  documents = buildDocuments(platformContent)
+) {
+  const results = {};
+
+  for (const platform in platformContent) {
+    results[platform] = measureReadability(documents[platform]);
+  }
+
+  // Only languages with at least two platforms can be compared
+  const groups = Object.values(groupByLanguage(documents)).filter(group => group.length > 1);
+
+  if (groups.length === 0) {
+    return {
+      platformReadability: results,
+      variation: {},
+      consistencyScore: null,
+      consistent: true
+    };
+  }
+
+  // Spread of each compared metric around the mean of each language
+  const variation = {};
+  const metricScores = [];
+
+  for (const metric in READABILITY_TOLERANCES) {
+    const groupValues = groups.map(group => group.map(platform => results[platform][metric]));
+    const values = groupValues.flat();
+    const squaredDeviations = groupValues.reduce((sum, group) => sum + calculateVariance(group) * group.length, 0);
+    const standardDeviation = Math.sqrt(squaredDeviations / values.length);
+
+    variation[metric] = {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      standardDeviation
+    };
+    metricScores.push(Math.max(0, 1 - standardDeviation / READABILITY_TOLERANCES[metric]));
+  }
+
+  const consistencyScore = metricScores.reduce((sum, score) => sum + score, 0) / metricScores.length;
+
+  return {
+    platformReadability: results,
+    variation,
+    consistencyScore,
+    consistent: consistencyScore > scoringConfig.thresholds.readabilityConsistency
+  };
+}
+
+/**
+ * Calculates the readability metrics of one document
+ *
+ * @param {Object} document - Document model of the content
+ * @returns {Object} Language, reading ease, grade level, sentence length, passive voice ratio and long word share
+ */
+function measureReadability(document) {
+  const language = READABILITY_LANGUAGES[document.language];
+  const sentences = document.sentences
+    .map(sentence => sentence.tokens.filter(token => token.replace(language.nonLetters, '').length > 0))
+    .filter(words => words.length > 0);
+  const words = sentences.flat();
+
+  if (words.length === 0) {
+    return {
+      language: document.language,
+      sentenceCount: 0,
+      wordCount: 0,
+      fleschReadingEase: 0,
+      gradeLevel: 0,
+      averageSentenceLength: 0,
+      passiveVoiceRatio: 0,
+      longWordShare: 0
+    };
+  }
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word, language), 0);
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    language: document.language,
+    sentenceCount: sentences.length,
+    wordCount: words.length,
+    fleschReadingEase: language.readingEase(wordsPerSentence, syllablesPerWord),
+    gradeLevel: Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    averageSentenceLength: wordsPerSentence,
+    passiveVoiceRatio: sentences.filter(sentence => isPassive(sentence, language)).length / sentences.length,
+    longWordShare: words.filter(word => word.length > LONG_WORD_LETTERS).length / words.length
+  };
+}
+
+/**
+ * Estimates the number of syllables in a word from its vowel groups
+ *
+ * @param {String} word - Lowercased word
+ * @param {Object} language - Readability resources of the word's language
+ * @returns {Number} Syllable count (at least 1)
+ */
+function countSyllables(word, language) {
+  const letters = word.replace(language.nonLetters, '');
+  if (letters.length <= 3) return 1;
+
+  const trimmed = language.silentEnding
+    ? letters.replace(language.silentEnding, match => match[0])
+    : letters;
+  const groups = trimmed.match(language.vowelGroups);
+
+  return groups ? groups.length : 1;
+}
+
+/**
+ * Checks whether a sentence contains a passive construction: a passive
+ * auxiliary ("is", "fue", "wird", "est"), optionally followed by an adverb,
+ * then a past participle. Participles the language knows as adjectives
+ * need the agent after them ("by"), so "we are thrilled" is not passive
+ *
+ * @param {Array} words - Lowercased words of the sentence
+ * @param {Object} language - Readability resources of the sentence's language
+ * @returns {Boolean} True if the sentence looks passive
+ */
+function isPassive(words, language) {
+  return words.some((word, index) => {
+    if (!language.auxiliaries.has(word)) return false;
+    if (language.participleLater) return words.slice(index + 1).some(language.isParticiple);
+
+    let next = index + 1;
+    if (words[next] && words[next].endsWith(language.adverbEnding)) next++;
+
+    if (!words[next] || !language.isParticiple(words[next])) return false;
+    if (language.isAdjective && language.isAdjective(words[next])) return words[next + 1] === language.agentMarker;
+
+    return true;
+  });
+}
+
+/**
+ * Scores how close one platform's readability is to the mean of the other
+ * platforms in its language
+ *
+ * @param {Object} readabilityResults - Results from analyzeReadability
+ * @param {String} platform - Platform to score
+ * @returns {Number|null} Score (0-1), or null if no other platform is in its language
+ */
+function platformReadabilityScore(readabilityResults, platform) {
+  const readability = readabilityResults.platformReadability;
+  const others = Object.keys(readability)
+    .filter(p => p !== platform && readability[p].language === readability[platform].language);
+  const metrics = Object.keys(READABILITY_TOLERANCES);
+
+  if (others.length === 0) return null;
+
+  const total = metrics.reduce((sum, metric) => {
+    const mean = others.reduce((otherSum, p) => otherSum + readability[p][metric], 0) / others.length;
+    const distance = Math.abs(readability[platform][metric] - mean);
+    return sum + Math.max(0, 1 - distance / (2 * READABILITY_TOLERANCES[metric]));
+  }, 0);
+
+  return total / metrics.length;
+}
+
+/**
+ * Generates recommendations for platforms that read very differently
+ *
+ * @param {Object} readabilityResults - Results from analyzeReadability
+ * @param {Object} [scoringConfig] - Scoring weights and thresholds
+ * @returns {Array} List of recommendations
+ */
+function generateReadabilityRecommendations(readabilityResults, scoringConfig = DEFAULT_SCORING_CONFIG) {
+  const recommendations = [];
+  const readability = readabilityResults.platformReadability;
+  const platforms = Object.keys(readability);
+
+  // 1. Reading level gap between the hardest and the easiest platform of each language
+  const languages = [...new Set(platforms.map(platform => readability[platform].language))];
+
+  languages.forEach(language => {
+    const group = platforms.filter(platform => readability[platform].language === language);
+    if (group.length < 2) return;
+
+    const hardest = group.reduce((a, b) => readability[a].gradeLevel >= readability[b].gradeLevel ? a : b);
+    const easiest = group.reduce((a, b) => readability[a].gradeLevel <= readability[b].gradeLevel ? a : b);
+    const gap = readability[hardest].gradeLevel - readability[easiest].gradeLevel;
+
+    if (gap < scoringConfig.maxGradeLevelGap) return;
+
+    recommendations.push({
+      category: 'readability',
+      platform: hardest,
+      title: 'Even out the reading level across platforms',
+      description: `Your content on ${hardest} reads at grade ${readability[hardest].gradeLevel.toFixed(0)}, while ${easiest} reads at grade ${readability[easiest].gradeLevel.toFixed(0)}. Use shorter sentences (${readability[hardest].averageSentenceLength.toFixed(0)} words on average now) and simpler words on ${hardest}, or add detail to ${easiest}.`
+    });
+  });
+
+  // 2. Platforms that lean on the passive voice
+  platforms
+    .filter(platform => readability[platform].passiveVoiceRatio > scoringConfig.thresholds.passiveVoice)
+    .forEach(platform => {
+      recommendations.push({
+        category: 'readability',
+        platform,
+        title: `Use the active voice on ${platform}`,
+        description: `${(readability[platform].passiveVoiceRatio * 100).toFixed(0)}% of the sentences on ${platform} are in the passive voice. Say who does what ("We ship it today" rather than "It is shipped today").`
+      });
+    });
+
+  return recommendations;
+}
+
+module.exports = {
+  READABILITY_TOLERANCES,
+  analyzeReadability,
+  platformReadabilityScore,
+  generateReadabilityRecommendations
+};
@@ -0,0 +1,220 @@
+/**
+ * Reference Comparison Module for Content Consistency Grader
+ *
+ * Grades every platform against one designated source of truth (for example
+ * the website or a press release). Unlike the cross-platform stages, these
+ * metrics are directional: they measure how faithfully each derived copy
+ * reflects the source, not how similar two platforms are to each other.
+ * Platforms written in another language than the source are skipped, since
+ * a translation shares none of the source's words.
+ */
+
+const { buildDocuments, tokensOutsideUrls } = require('./documentModel');
+const { LANGUAGES } = require('./languages');
+
+// Number of most frequent source terms treated as its key terms
+const KEY_TERM_COUNT = 15;
+
+/**
+ * Compares every platform with the reference platform
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {String} referencePlatform - Name of the platform holding the approved source copy
+ * @param {Object} sentimentResults - Results from sentiment analysis
+ * @param {Object} toneResults - Results from tone analysis
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Per-platform scores and recommendations relative to the source, and the platforms skipped
+ */
+function compareToReference(
+  platformContent,
+  referencePlatform,
+  sentimentResults,
+  toneResults,
+  documents = buildDocuments(platformContent)
+) {
+  const sourceTokens = contentTokens(documents[referencePlatform]);
+  const sourceTokenSet = new Set(sourceTokens);
+  const keyTerms = topTerms(sourceTokens, KEY_TERM_COUNT);
+
+  const sourceSentiment = sentimentResults.platformSentiments[referencePlatform].comparative;
+  const sourceTone = toneResults.platformTones[referencePlatform];
+
+  const sourceLanguage = documents[referencePlatform].language;
+  const platformScores = {};
+  const skippedPlatforms = [];
+
+  for (const platform in platformContent) {
+    if (platform === referencePlatform) continue;
+
+    if (documents[platform].language !== sourceLanguage) {
+      skippedPlatforms.push(platform);
+      continue;
+    }
+
+    const tokens = contentTokens(documents[platform]);
+    const tokenSet = new Set(tokens);
+
+    // Coverage: share of the source's key terms carried over into this copy
+    const coveredTerms = keyTerms.filter(term => tokenSet.has(term));
+    const missingTerms = keyTerms.filter(term => !tokenSet.has(term));
+    const coverage = keyTerms.length > 0 ? coveredTerms.length / keyTerms.length : 1;
+
+    // Fidelity: share of this copy's terms that come from the source
+    const derivedTerms = [...tokenSet].filter(term => sourceTokenSet.has(term));
+    const fidelity = tokenSet.size > 0 ? derivedTerms.length / tokenSet.size : 0;
+
+    const sentimentDeviation = sentimentResults.platformSentiments[platform].comparative - sourceSentiment;
+
+    const tone = toneResults.platformTones[platform];
+    const toneSimilarity = cosineSimilarity(tone.scores, sourceTone.scores);
+
+    const score = Math.round((
+      0.35 * coverage +
+      0.25 * fidelity +
+      0.2 * Math.max(0, 1 - Math.abs(sentimentDeviation)) +
+      0.2 * toneSimilarity
+    ) * 100);
+
+    platformScores[platform] = {
+      score,
+      coverage,
+      coveredTerms,
+      missingTerms,
+      fidelity,
+      sentimentDeviation,
+      toneSimilarity,
+      dominantTone: tone.dominantTone,
+      toneMatches: tone.dominantTone === sourceTone.dominantTone
+    };
+
+    platformScores[platform].recommendations = generateReferenceRecommendations(
+      platform,
+      referencePlatform,
+      platformScores[platform],
+      sourceTone.dominantTone
+    );
+  }
+
+  const scores = Object.values(platformScores).map(p => p.score);
+  const averageScore = scores.length > 0 ?
+    scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+
+  return {
+    referencePlatform,
+    keyTerms,
+    platformScores,
+    skippedPlatforms,
+    averageScore: Math.round(averageScore)
+  };
+}
+
+/**
+ * Generates recommendations for bringing one derived copy in line with the source
+ *
+ * @param {String} platform - Derived platform
+ * @param {String} referencePlatform - Source platform
+ * @param {Object} comparison - The platform's comparison with the source
+ * @param {String} sourceTone - Dominant tone of the source
+ * @returns {Array} List of recommendations
+ */
+function generateReferenceRecommendations(platform, referencePlatform, comparison, sourceTone) {
+  const recommendations = [];
+
+  if (comparison.coverage < 0.5 && comparison.missingTerms.length > 0) {
+    recommendations.push({
+      category: 'reference',
+      platform,
+      title: `Carry the key terms from ${referencePlatform} into ${platform}`,
+      description: `${platform} covers ${Math.round(comparison.coverage * 100)}% of the source's key terms. Consider adding: ${comparison.missingTerms.slice(0, 5).join(', ')}.`
+    });
+  }
+
+  if (comparison.fidelity < 0.5) {
+    recommendations.push({
+      category: 'reference',
+      platform,
+      title: `Keep ${platform} closer to the source copy`,
+      description: `Only ${Math.round(comparison.fidelity * 100)}% of the terms on ${platform} come from ${referencePlatform}. Derive the copy from the approved source rather than rewriting it.`
+    });
+  }
+
+  if (Math.abs(comparison.sentimentDeviation) > 0.2) {
+    const direction = comparison.sentimentDeviation > 0 ? 'more positive' : 'more negative';
+    recommendations.push({
+      category: 'reference',
+      platform,
+      title: `Match the sentiment of ${referencePlatform} on ${platform}`,
+      description: `${platform} is noticeably ${direction} than the source on ${referencePlatform}.`
+    });
+  }
+
+  if (!comparison.toneMatches) {
+    recommendations.push({
+      category: 'reference',
+      platform,
+      title: `Use the source's tone on ${platform}`,
+      description: `${platform} reads as ${comparison.dominantTone} while ${referencePlatform} is ${sourceTone}.`
+    });
+  }
+
+  return recommendations;
+}
+
+/**
+ * Lists a document's lowercased terms without URLs, numbers, stop words or very short words
+ *
+ * @param {Object} document - Document model of the content
+ * @returns {Array} Terms in order of appearance
+ */
+function contentTokens(document) {
+  const { stopwords } = LANGUAGES[document.language];
+
+  // URLs would otherwise become key terms like "https" and "com"
+  return tokensOutsideUrls(document)
+    .filter(word => word.length > 2 && !/^\d+$/.test(word) && !stopwords.has(word));
+}
+
+/**
+ * Returns the most frequent terms, breaking ties by first appearance
+ *
+ * @param {Array} tokens - Terms in order of appearance
+ * @param {Number} count - Number of terms to return
+ * @returns {Array} Most frequent terms
+ */
+function topTerms(tokens, count) {
+  const frequencies = new Map();
+  tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([term]) => term);
+}
+
+/**
+ * Calculates the cosine similarity of two score vectors keyed by the same names
+ *
+ * @param {Object} scores1 - First score vector
+ * @param {Object} scores2 - Second score vector
+ * @returns {Number} Similarity (0-1); two empty vectors count as identical
+ */
+function cosineSimilarity(scores1, scores2) {
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+
+  for (const key in scores1) {
+    dot += scores1[key] * (scores2[key] || 0);
+    norm1 += scores1[key] * scores1[key];
+    norm2 += (scores2[key] || 0) * (scores2[key] || 0);
+  }
+
+  if (norm1 === 0 && norm2 === 0) return 1;
+  if (norm1 === 0 || norm2 === 0) return 0;
+
+  return dot / (Math.sqrt(norm1) * Math.sqrt(norm2));
+}
+
+module.exports = {
+  compareToReference
+};
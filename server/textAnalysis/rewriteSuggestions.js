@@ -0,0 +1,492 @@
+/**
+ * Rewrite Suggestions Module for Content Consistency Grader
+ *
+ * Turns what the analysis found into concrete edits instead of general
+ * advice: write a glossary term in its preferred form, insert a shared
+ * keyword into the sentence that matches where another platform uses it, or
+ * swap a tone marker for its equivalent in the tone the other platforms use.
+ * Every edit replaces one range of the original content and comes with a
+ * unified diff, so it can be reviewed and accepted on its own. Keywords are
+ * only carried between platforms written in the same language.
+ */
+
+const { buildDocuments } = require('./documentModel');
+const { NEUTRAL_TONE } = require('./toneTaxonomy');
+const { LANGUAGES } = require('./languages');
+const { compileGlossary, extractConcepts, isPreferredForm, splitWords, stemWords } = require('./glossary');
+
+// English words and phrases that say the same thing in different tones. A
+// platform's word is only swapped when it counted as a marker of the platform's tone.
+const TONE_EQUIVALENTS_LANGUAGE = 'en';
+const TONE_EQUIVALENTS = [
+  { casual: 'awesome', promotional: 'amazing', professional: 'excellent', formal: 'excellent' },
+  { casual: 'cool', promotional: 'incredible', professional: 'impressive', formal: 'remarkable' },
+  { casual: 'super', professional: 'very', formal: 'highly' },
+  { casual: 'totally', professional: 'completely', formal: 'entirely' },
+  { casual: 'yeah', professional: 'yes', formal: 'yes' },
+  { casual: 'hey', professional: 'hello', formal: 'hello' },
+  { casual: 'gonna', professional: 'going to', formal: 'going to' },
+  { casual: 'wanna', professional: 'want to', formal: 'wish to' },
+  { casual: 'stuff', professional: 'materials', formal: 'materials' },
+  { casual: 'pretty much', professional: 'largely', formal: 'substantially' },
+  { casual: 'btw', professional: 'additionally', formal: 'furthermore' },
+  { casual: 'no worries', professional: 'happy to help', formal: 'you are welcome' },
+  { casual: 'check it out', promotional: 'shop now', professional: 'learn more', formal: 'please see the details' },
+  { promotional: "don't miss", professional: 'consider', formal: 'consider' },
+  { promotional: 'act now', professional: 'get started', formal: 'get started' },
+  { promotional: 'deal', professional: 'offer', formal: 'offer' },
+  { formal: 'therefore', professional: 'accordingly', casual: 'so' },
+  { formal: 'thus', professional: 'as a result', casual: 'so' },
+  { formal: 'hence', professional: 'as a result', casual: 'so' },
+  { formal: 'consequently', professional: 'as a result', casual: 'so' },
+  { formal: 'regarding', professional: 'about', casual: 'about' },
+  { formal: 'we are pleased to', professional: 'we are happy to', casual: "we're excited to" },
+  { formal: 'please note', professional: 'note', casual: 'heads up' }
+];
+
+// Shared keywords to suggest inserting, most widely used first
+const MAX_KEYWORDS = 5;
+
+// Words a keyword may replace between the words it sits between on the other platform
+const MAX_REPLACED_WORDS = 3;
+
+// Edits suggested per platform, so a long document does not bury the rest
+const MAX_SUGGESTIONS_PER_PLATFORM = 10;
+
+/**
+ * Suggests edits that bring each platform in line with the others
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} keywordResults - Results from keyword extraction
+ * @param {Object} toneResults - Results from tone analysis
+ * @param {Object} alignmentResults - Results from alignSentences
+ * @param {Object} [options] - Suggestion options
+ * @param {Array} [options.glossary] - Validated glossary of equivalent terms and preferred forms
+ * @param {String} [options.referencePlatform] - Platform whose keywords and tone the others should follow
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} The tone edits aim for and the suggested edits, in content order per platform
+ */
+function suggestRewrites(
+  platformContent,
+  keywordResults,
+  toneResults,
+  alignmentResults,
+  options = {},
+  documents = buildDocuments(platformContent)
+) {
+  const targetTone = findTargetTone(toneResults, options.referencePlatform);
+  const compiledGlossaries = new Map();
+  const keywordEdits = suggestKeywordEdits(keywordResults, alignmentResults, documents, options.referencePlatform);
+  const suggestions = [];
+
+  // Only platforms that wrote a glossary term in another form need to be searched for it
+  const nonPreferredPlatforms = new Set(keywordResults.nonPreferredForms.map(finding => finding.platform));
+
+  for (const platform in platformContent) {
+    const document = documents[platform];
+
+    if (!compiledGlossaries.has(document.language)) {
+      compiledGlossaries.set(document.language, compileGlossary(options.glossary, document.language));
+    }
+
+    // Earlier kinds of edit win when two edits touch the same words
+    const candidates = keywordEdits[platform].concat(
+      nonPreferredPlatforms.has(platform)
+        ? suggestGlossaryEdits(platform, document, compiledGlossaries.get(document.language))
+        : [],
+      suggestToneEdits(platform, document, toneResults.platformTones[platform], targetTone)
+    );
+
+    const kept = [];
+    candidates.forEach(candidate => {
+      const overlaps = kept.some(edit =>
+        (candidate.start < edit.end && edit.start < candidate.end) || candidate.start === edit.start
+      );
+
+      if (!overlaps && kept.length < MAX_SUGGESTIONS_PER_PLATFORM) kept.push(candidate);
+    });
+
+    kept
+      .sort((a, b) => a.start - b.start)
+      .forEach((edit, index) => {
+        suggestions.push({
+          id: `${platform}-${index + 1}`,
+          platform,
+          category: edit.category,
+          title: edit.title,
+          description: edit.description,
+          edit: {
+            start: edit.start,
+            end: edit.end,
+            original: document.content.slice(edit.start, edit.end),
+            replacement: edit.replacement
+          },
+          changes: inlineChanges(document, edit),
+          diff: unifiedDiff(platform, document.content, edit)
+        });
+      });
+  }
+
+  return {
+    targetTone,
+    suggestions
+  };
+}
+
+/**
+ * Picks the tone the other platforms should move towards: the reference
+ * platform's tone, or else the tone most platforms share
+ *
+ * @param {Object} toneResults - Results from tone analysis
+ * @param {String} [referencePlatform] - Platform holding the source of truth
+ * @returns {String|null} Tone name, or null without a clear majority
+ */
+function findTargetTone(toneResults, referencePlatform) {
+  const platformTones = toneResults.platformTones;
+
+  if (referencePlatform && platformTones[referencePlatform]) {
+    const tone = platformTones[referencePlatform].dominantTone;
+    return tone === NEUTRAL_TONE ? null : tone;
+  }
+
+  const counts = {};
+  for (const platform in platformTones) {
+    const tone = platformTones[platform].dominantTone;
+    if (tone !== NEUTRAL_TONE) counts[tone] = (counts[tone] || 0) + 1;
+  }
+
+  const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  if (ranked.length === 0 || counts[ranked[0]] < 2 || counts[ranked[0]] === counts[ranked[1]]) return null;
+
+  return ranked[0];
+}
+
+/**
+ * Suggests replacing every non-preferred form of a glossary term with the preferred form
+ *
+ * @param {String} platform - Platform name
+ * @param {Object} document - Document model of the platform
+ * @param {Object} compiledGlossary - Result of compileGlossary
+ * @returns {Array} Edits as { category, title, description, start, end, replacement }
+ */
+function suggestGlossaryEdits(platform, document, compiledGlossary) {
+  return extractConcepts(document, compiledGlossary)
+    .filter(({ concept, surface }) => concept && concept.preferred && !isPreferredForm(surface, concept.preferred))
+    .map(({ concept, surface, start }) => ({
+      category: 'glossary',
+      title: `Use "${concept.preferred}" instead of "${surface}" on ${platform}`,
+      description: `Your glossary prefers "${concept.preferred}", so every platform should write it that way.`,
+      start,
+      end: start + surface.length,
+      replacement: matchCase(concept.preferred, surface)
+    }));
+}
+
+/**
+ * Suggests swapping the markers of a platform's tone for their equivalents in the target tone
+ *
+ * @param {String} platform - Platform name
+ * @param {Object} document - Document model of the platform
+ * @param {Object} platformTone - The platform's tone analysis
+ * @param {String|null} targetTone - Tone to move towards
+ * @returns {Array} Edits as { category, title, description, start, end, replacement }
+ */
+function suggestToneEdits(platform, document, platformTone, targetTone) {
+  const tone = platformTone.dominantTone;
+  if (!targetTone || tone === NEUTRAL_TONE || tone === targetTone) return [];
+  if (document.language !== TONE_EQUIVALENTS_LANGUAGE) return [];
+
+  const equivalents = new Map(TONE_EQUIVALENTS
+    .filter(group => group[tone] && group[targetTone])
+    .map(group => [group[tone], group[targetTone]]));
+  const edits = [];
+
+  platformTone.markerMatches
+    .filter(match => match.tone === tone && equivalents.has(match.term))
+    .forEach(({ term, start, end }) => {
+      const written = document.content.slice(start, end);
+
+      // Only the marker as listed, not an inflection of it, and not part of a link
+      if (written.toLowerCase().replace(/\s+/g, ' ').replace(/’/g, "'") !== term) return;
+      if (document.urlRanges.some(([urlStart, urlEnd]) => start >= urlStart && start < urlEnd)) return;
+
+      const replacement = matchCase(equivalents.get(term), written);
+
+      edits.push({
+        category: 'tone',
+        title: `Replace "${written}" with "${replacement}" on ${platform}`,
+        description: `"${written}" reads as ${tone}, while your other platforms are ${targetTone}.`,
+        start,
+        end,
+        replacement
+      });
+    });
+
+  return edits;
+}
+
+/**
+ * Suggests inserting keywords shared by other platforms in the same language
+ * into each platform that lacks them
+ *
+ * A keyword goes into the sentence aligned with a sentence that uses it on
+ * another platform, between the same neighbouring words, replacing at most
+ * MAX_REPLACED_WORDS words that sit there instead.
+ *
+ * @param {Object} keywordResults - Results from keyword extraction
+ * @param {Object} alignmentResults - Results from alignSentences
+ * @param {Object} documents - Document model of each platform
+ * @param {String} [referencePlatform] - Only suggest the keywords of this platform
+ * @returns {Object} Edits per platform
+ */
+function suggestKeywordEdits(keywordResults, alignmentResults, documents, referencePlatform) {
+  const platforms = Object.keys(documents);
+  const edits = {};
+  platforms.forEach(platform => { edits[platform] = []; });
+
+  // Keyword analysis only reports a keyword missing when a platform in the same language has it
+  const missingFrom = new Map();
+  platforms.forEach(platform => {
+    keywordResults.platformKeywords[platform].missingKeywords.forEach(keyword => {
+      if (!missingFrom.has(keyword)) missingFrom.set(keyword, []);
+      missingFrom.get(keyword).push(platform);
+    });
+  });
+  const platformsMissing = keyword => missingFrom.get(keyword) || [];
+
+  const keywords = Object.entries(keywordResults.keywordPresence)
+    .filter(([keyword, presence]) => platformsMissing(keyword).length > 0 &&
+      (!referencePlatform || presence.platforms.includes(referencePlatform)))
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, MAX_KEYWORDS);
+
+  keywords.forEach(([keyword, presence]) => {
+    const sources = referencePlatform ? [referencePlatform] : presence.platforms;
+
+    // The keyword is written in its sources' language, and stemmed that way
+    const stemsByLanguage = new Map();
+    const keywordStems = language => {
+      if (!stemsByLanguage.has(language)) stemsByLanguage.set(language, stemWords(splitWords(keyword, language), language));
+      return stemsByLanguage.get(language);
+    };
+
+    // Where each source platform uses the keyword: sentence index and first token
+    const uses = sources.map(source => {
+      const document = documents[source];
+      const stems = keywordStems(document.language);
+
+      return {
+        source,
+        sentences: stems.length === 0 ? [] : document.sentences
+          .map((sentence, index) => ({ index, token: findStems(document, stems, tokenRange(document, sentence)) }))
+          .filter(use => use.token >= 0)
+      };
+    });
+
+    platformsMissing(keyword).forEach(platform => {
+      // The keyword may be on the platform without being one of its top keywords
+      const stems = keywordStems(documents[platform].language);
+      if (stems.length === 0) return;
+      if (findStems(documents[platform], stems, [0, documents[platform].tokens.length]) >= 0) return;
+
+      const sameLanguage = presence.platforms.filter(p => documents[p].language === documents[platform].language);
+
+      // Only sources in the platform's language have sentences aligned with it
+      for (const { source, sentences } of uses) {
+        for (const use of sentences) {
+          const match = alignmentResults.platformSentences[source][use.index].matches[platform];
+          if (!match || match.index < 0 || match.status === 'unique') continue;
+
+          const edit = keywordInsertion(documents[source], use, stems.length, documents[platform], match.index);
+          if (!edit) continue;
+
+          edits[platform].push({
+            category: 'keywords',
+            title: `Add "${edit.keyword}" to ${platform}`,
+            description: `"${edit.keyword}" is a key term on ${sameLanguage.join(', ')} but not on ${platform}. This sentence matches one on ${source}: "${documents[source].sentences[use.index].text}"`,
+            start: edit.start,
+            end: edit.end,
+            replacement: edit.replacement
+          });
+          return;
+        }
+      }
+    });
+  });
+
+  return edits;
+}
+
+/**
+ * Works out where a keyword goes in the aligned sentence of another platform
+ *
+ * @param {Object} sourceDocument - Document that uses the keyword
+ * @param {Object} use - { index, token } of the sentence and the keyword's first token
+ * @param {Number} length - Number of words in the keyword
+ * @param {Object} document - Document of the platform that lacks the keyword
+ * @param {Number} sentenceIndex - Index of the aligned sentence in that document
+ * @returns {Object|null} { keyword, start, end, replacement }, or null without a clear place
+ */
+function keywordInsertion(sourceDocument, use, length, document, sentenceIndex) {
+  const [sourceFirst, sourceEnd] = tokenRange(sourceDocument, sourceDocument.sentences[use.index]);
+  const sentence = document.sentences[sentenceIndex];
+  const [first, end] = tokenRange(document, sentence);
+
+  // The words before and after the keyword on the source platform, or null at the sentence's edges
+  const before = use.token > sourceFirst ? sourceDocument.tokenStems[use.token - 1] : null;
+  const after = use.token + length < sourceEnd ? sourceDocument.tokenStems[use.token + length] : null;
+  if (before === null && after === null) return null;
+
+  // The same neighbours in the aligned sentence; first - 1 and end stand for its edges
+  const find = (stem, from) => {
+    const index = document.tokenStems.indexOf(stem, from);
+    return index >= 0 && index < end ? index : null;
+  };
+
+  let left = before === null ? first - 1 : find(before, first);
+  let right = after === null ? end : find(after, left === null ? first : left + 1);
+
+  // With one neighbour missing, the keyword takes the place of the content word next to the other
+  const { stopwords } = LANGUAGES[document.language];
+  const isContentWord = index => index >= first && index < end && !stopwords.has(document.tokens[index]);
+
+  if (left === null && right !== null && right < end && isContentWord(right - 1)) left = right - 2;
+  if (right === null && left !== null && left >= first && isContentWord(left + 1)) right = left + 2;
+
+  if (left === null || right === null || right - left - 1 > MAX_REPLACED_WORDS) return null;
+
+  const tokenEnd = index => document.tokenOffsets[index] + document.tokens[index].length;
+  const start = left < first ? sentence.start : tokenEnd(left);
+  const stop = right >= end ? (end > first ? tokenEnd(end - 1) : sentence.end) : document.tokenOffsets[right];
+
+  // Inserting at the start of a sentence would leave its old first word capitalized
+  if (left < first && start === stop) return null;
+
+  let keyword = sourceDocument.content.slice(
+    sourceDocument.tokenOffsets[use.token],
+    sourceDocument.tokenOffsets[use.token + length - 1] + sourceDocument.tokens[use.token + length - 1].length
+  );
+
+  if (left < first) {
+    keyword = keyword.charAt(0).toUpperCase() + keyword.slice(1);
+  } else if (use.token === sourceFirst && /^[A-Z][a-z]*$/.test(keyword.split(/\s/)[0])) {
+    // Capitalized only because it opened the source sentence
+    keyword = keyword.charAt(0).toLowerCase() + keyword.slice(1);
+  }
+
+  return {
+    keyword,
+    start,
+    end: stop,
+    replacement: `${left < first ? '' : ' '}${keyword}${right >= end ? '' : ' '}`
+  };
+}
+
+/**
+ * Finds the tokens of a document that fall inside a sentence
+ *
+ * @param {Object} document - Document model
+ * @param {Object} sentence - One of the document's sentences
+ * @returns {Array} [first, end) token indexes
+ */
+function tokenRange(document, sentence) {
+  const offsets = document.tokenOffsets;
+  const firstAt = offset => {
+    let low = 0;
+    let high = offsets.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle] < offset) low = middle + 1;
+      else high = middle;
+    }
+
+    return low;
+  };
+
+  return [firstAt(sentence.start), firstAt(sentence.end)];
+}
+
+/**
+ * Finds a sequence of stems among a range of a document's tokens
+ *
+ * @param {Object} document - Document model
+ * @param {Array} stems - Stems to find, in order
+ * @param {Array} range - [first, end) token indexes to search
+ * @returns {Number} Index of the first matching token, or -1
+ */
+function findStems(document, stems, [first, end]) {
+  for (let index = first; index + stems.length <= end; index++) {
+    if (stems.every((stem, offset) => document.tokenStems[index + offset] === stem)) return index;
+  }
+
+  return -1;
+}
+
+/**
+ * Writes a replacement with the capitalization of the text it replaces
+ *
+ * @param {String} replacement - Replacement as written in the glossary or tone table
+ * @param {String} written - Text as written in the content
+ * @returns {String} Replacement in upper case, capitalized or unchanged
+ */
+function matchCase(replacement, written) {
+  if (replacement !== replacement.toLowerCase()) return replacement;
+  if (written.length > 1 && written === written.toUpperCase() && written !== written.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (/^[A-Z]/.test(written)) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+
+  return replacement;
+}
+
+/**
+ * Shows an edit within its sentence as unchanged, deleted and inserted text
+ *
+ * @param {Object} document - Document model
+ * @param {Object} edit - { start, end, replacement }
+ * @returns {Array} { type: 'equal' | 'delete' | 'insert', text } in reading order
+ */
+function inlineChanges(document, edit) {
+  const sentence = document.sentences.find(s => s.start <= edit.start && edit.end <= s.end) ||
+    { start: edit.start, end: edit.end };
+  const content = document.content;
+
+  return [
+    { type: 'equal', text: content.slice(sentence.start, edit.start) },
+    { type: 'delete', text: content.slice(edit.start, edit.end) },
+    { type: 'insert', text: edit.replacement },
+    { type: 'equal', text: content.slice(edit.end, sentence.end) }
+  ].filter(change => change.text);
+}
+
+/**
+ * Writes an edit as a unified diff of the lines it touches
+ *
+ * @param {String} platform - Platform name, used as the file name
+ * @param {String} content - Original content
+ * @param {Object} edit - { start, end, replacement }
+ * @returns {String} Diff with one hunk
+ */
+function unifiedDiff(platform, content, edit) {
+  const lineStart = content.lastIndexOf('\n', edit.start - 1) + 1;
+  const newline = content.indexOf('\n', edit.end);
+  const lineEnd = newline < 0 ? content.length : newline;
+  const lineNumber = content.slice(0, lineStart).split('\n').length;
+
+  const before = content.slice(lineStart, lineEnd).split('\n');
+  const after = (content.slice(lineStart, edit.start) + edit.replacement + content.slice(edit.end, lineEnd)).split('\n');
+
+  return [
+    `--- a/${platform}`,
+    `+++ b/${platform}`,
+    `@@ -${lineNumber},${before.length} +${lineNumber},${after.length} @@`,
+    ...before.map(line => `-${line}`),
+    ...after.map(line => `+${line}`)
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  TONE_EQUIVALENTS,
+  suggestRewrites
+};
@@ -0,0 +1,163 @@
+/**
+ * Run Comparison Module for Content Consistency Grader
+ *
+ * Compares two analysis results of the same campaign (for example before and
+ * after writers revised their copy) to show what the revision changed.
+ */
+
+// Similarity changes smaller than this are not reported
+const SIMILARITY_CHANGE_THRESHOLD = 0.05;
+
+/**
+ * Compares two analysis results
+ *
+ * @param {Object} before - Results of the earlier analysis
+ * @param {Object} after - Results of the later analysis
+ * @returns {Object} Score, keyword, tone, similarity and recommendation changes
+ */
+function compareAnalyses(before, after) {
+  const beforePlatforms = Object.keys(before.similarityMatrix.matrix);
+  const afterPlatforms = Object.keys(after.similarityMatrix.matrix);
+  const commonPlatforms = beforePlatforms.filter(p => afterPlatforms.includes(p));
+
+  return {
+    overallScore: scoreChange(before.overallConsistencyScore, after.overallConsistencyScore),
+    dimensions: compareDimensions(before, after),
+    platforms: {
+      common: commonPlatforms,
+      added: afterPlatforms.filter(p => !beforePlatforms.includes(p)),
+      removed: beforePlatforms.filter(p => !afterPlatforms.includes(p))
+    },
+    keywords: compareKeywords(before.keywordAnalysis, after.keywordAnalysis),
+    toneShifts: compareTones(before.toneAnalysis, after.toneAnalysis, commonPlatforms),
+    similarityChanges: compareSimilarity(before.similarityMatrix, after.similarityMatrix, commonPlatforms),
+    recommendations: compareRecommendations(before.recommendations, after.recommendations)
+  };
+}
+
+/**
+ * Compares the score of each consistency dimension
+ *
+ * @param {Object} before - Results of the earlier analysis
+ * @param {Object} after - Results of the later analysis
+ * @returns {Object} Before, after and change for each dimension
+ */
+function compareDimensions(before, after) {
+  const dimensionScores = results => ({
+    sentiment: Math.max(0, 1 - results.sentimentAnalysis.variance),
+    keywords: results.keywordAnalysis.consistencyScore,
+    tone: results.toneAnalysis.consistencyScore,
+    similarity: results.similarityMatrix.averageSimilarity,
+    // Runs saved before readability was measured have no readability score
+    readability: results.readabilityAnalysis ? results.readabilityAnalysis.consistencyScore : null,
+    factConflicts: results.factAnalysis ? results.factAnalysis.conflicts.length : 0
+  });
+
+  const beforeScores = dimensionScores(before);
+  const afterScores = dimensionScores(after);
+  const dimensions = {};
+
+  // Keywords, similarity and readability have no score when no two platforms share a language
+  for (const dimension in beforeScores) {
+    if (beforeScores[dimension] === null || afterScores[dimension] === null) continue;
+    dimensions[dimension] = scoreChange(beforeScores[dimension], afterScores[dimension]);
+  }
+
+  return dimensions;
+}
+
+/**
+ * Finds keywords that became shared by every platform or stopped being shared
+ *
+ * @param {Object} before - Keyword analysis of the earlier run
+ * @param {Object} after - Keyword analysis of the later run
+ * @returns {Object} Newly shared and no longer shared keywords
+ */
+function compareKeywords(before, after) {
+  return {
+    nowShared: after.consistentKeywords.filter(k => !before.consistentKeywords.includes(k)),
+    noLongerShared: before.consistentKeywords.filter(k => !after.consistentKeywords.includes(k))
+  };
+}
+
+/**
+ * Lists platforms whose dominant tone changed
+ *
+ * @param {Object} before - Tone analysis of the earlier run
+ * @param {Object} after - Tone analysis of the later run
+ * @param {Array} platforms - Platforms present in both runs
+ * @returns {Array} Tone shifts with the platform and the tone before and after
+ */
+function compareTones(before, after, platforms) {
+  return platforms
+    .map(platform => ({
+      platform,
+      before: before.platformTones[platform].dominantTone,
+      after: after.platformTones[platform].dominantTone
+    }))
+    .filter(shift => shift.before !== shift.after);
+}
+
+/**
+ * Lists platform pairs whose similarity changed noticeably
+ *
+ * @param {Object} before - Similarity results of the earlier run
+ * @param {Object} after - Similarity results of the later run
+ * @param {Array} platforms - Platforms present in both runs
+ * @returns {Array} Pair changes, largest change first
+ */
+function compareSimilarity(before, after, platforms) {
+  const changes = [];
+
+  for (let i = 0; i < platforms.length; i++) {
+    for (let j = i + 1; j < platforms.length; j++) {
+      const beforeSimilarity = before.matrix[platforms[i]][platforms[j]];
+      const afterSimilarity = after.matrix[platforms[i]][platforms[j]];
+
+      // Platforms in different languages are not compared
+      if (beforeSimilarity === null || afterSimilarity === null) continue;
+
+      const change = scoreChange(beforeSimilarity, afterSimilarity);
+
+      if (Math.abs(change.change) >= SIMILARITY_CHANGE_THRESHOLD) {
+        changes.push({ platforms: [platforms[i], platforms[j]], ...change });
+      }
+    }
+  }
+
+  return changes.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+/**
+ * Splits recommendations into resolved, new and remaining ones
+ *
+ * @param {Array} before - Recommendations of the earlier run
+ * @param {Array} after - Recommendations of the later run
+ * @returns {Object} Resolved, new and remaining recommendations
+ */
+function compareRecommendations(before, after) {
+  const key = rec => `${rec.category}|${rec.title}`;
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+
+  return {
+    resolved: before.filter(rec => !afterKeys.has(key(rec))),
+    new: after.filter(rec => !beforeKeys.has(key(rec))),
+    remaining: after.filter(rec => beforeKeys.has(key(rec)))
+  };
+}
+
+/**
+ * Describes the change between two values
+ *
+ * @param {Number} before - Earlier value
+ * @param {Number} after - Later value
+ * @returns {Object} Before, after and the difference
+ */
+function scoreChange(before, after) {
+  return { before, after, change: after - before };
+}
+
+module.exports = {
+  compareAnalyses
+};
@@ -0,0 +1,170 @@
+/**
+ * Scoring Configuration for Content Consistency Grader
+ *
+ * Holds the weights and thresholds used by the analyzer and the frontend,
+ * and validates the overrides a request or a saved preset may supply.
+ */
+
+const DEFAULT_SCORING_CONFIG = {
+  // Weight of each component in the overall and per-platform scores
+  weights: {
+    sentiment: 0.15,
+    keywords: 0.25,
+    tone: 0.2,
+    similarity: 0.25,
+    readability: 0.15
+  },
+  thresholds: {
+    // Sentiment variance below this counts as consistent
+    sentimentVariance: 0.2,
+    // A platform pair below this similarity triggers a recommendation
+    lowSimilarity: 0.5,
+    // Scores above these count as consistent in the result summaries
+    keywordConsistency: 0.7,
+    toneConsistency: 0.7,
+    similarityConsistency: 0.6,
+    readabilityConsistency: 0.7,
+    // A platform with a larger share of passive sentences gets a recommendation
+    passiveVoice: 0.25
+  },
+  // Points deducted from the overall score per conflicting fact, and the most that can be deducted
+  factConflictPenalty: 10,
+  maxFactConflictPenalty: 40,
+  // How far (in points) a platform must fall below the others to be flagged as an outlier
+  outlierMargin: 10,
+  // Weighted tone marker matches needed before a platform gets a dominant tone instead of "neutral"
+  minToneEvidence: 1,
+  // Grade levels between the hardest and the easiest platform that trigger a readability recommendation
+  maxGradeLevelGap: 4
+};
+
+/**
+ * Merges configuration overrides onto a base configuration and validates the result
+ *
+ * @param {...Object} overrides - Partial configurations, applied in order onto the defaults
+ * @returns {Object} { config, errors } - The merged configuration and any validation errors
+ */
+function resolveScoringConfig(...overrides) {
+  const errors = [];
+  let config = cloneConfig(DEFAULT_SCORING_CONFIG);
+
+  overrides.filter(Boolean).forEach(override => {
+    if (typeof override !== 'object' || Array.isArray(override)) {
+      errors.push('Scoring configuration must be an object');
+      return;
+    }
+    config = mergeConfig(config, override, '', errors);
+  });
+
+  validateConfig(config, errors);
+
+  if (errors.length === 0) {
+    config.weights = normalizeWeights(config.weights);
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Recursively merges an override onto a configuration, rejecting unknown keys
+ *
+ * @param {Object} base - Configuration to merge onto
+ * @param {Object} override - Partial configuration
+ * @param {String} prefix - Path of the current level, for error messages
+ * @param {Array} errors - Collected validation errors
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(base, override, prefix, errors) {
+  const merged = { ...base };
+
+  for (const key in override) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (!Object.prototype.hasOwnProperty.call(base, key)) {
+      errors.push(`Unknown scoring setting "${path}"`);
+    } else if (typeof base[key] === 'object') {
+      if (override[key] && typeof override[key] === 'object' && !Array.isArray(override[key])) {
+        merged[key] = mergeConfig(base[key], override[key], path, errors);
+      } else {
+        errors.push(`"${path}" must be an object`);
+      }
+    } else {
+      merged[key] = override[key];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Checks that every setting has a usable value
+ *
+ * @param {Object} config - Merged configuration
+ * @param {Array} errors - Collected validation errors
+ */
+function validateConfig(config, errors) {
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  for (const key in config.weights) {
+    if (!isNumber(config.weights[key]) || config.weights[key] < 0) {
+      errors.push(`"weights.${key}" must be a non-negative number`);
+    }
+  }
+
+  const weightTotal = Object.values(config.weights)
+    .reduce((sum, weight) => sum + (isNumber(weight) ? weight : 0), 0);
+  if (weightTotal <= 0) {
+    errors.push('At least one weight must be greater than zero');
+  }
+
+  for (const key in config.thresholds) {
+    const value = config.thresholds[key];
+    if (!isNumber(value) || value < 0 || value > 1) {
+      errors.push(`"thresholds.${key}" must be a number between 0 and 1`);
+    }
+  }
+
+  ['factConflictPenalty', 'maxFactConflictPenalty', 'outlierMargin'].forEach(key => {
+    if (!isNumber(config[key]) || config[key] < 0 || config[key] > 100) {
+      errors.push(`"${key}" must be a number of points between 0 and 100`);
+    }
+  });
+
+  ['minToneEvidence', 'maxGradeLevelGap'].forEach(key => {
+    if (!isNumber(config[key]) || config[key] < 0) {
+      errors.push(`"${key}" must be a non-negative number`);
+    }
+  });
+}
+
+/**
+ * Scales weights so they add up to 1
+ *
+ * @param {Object} weights - Weights keyed by component
+ * @returns {Object} Normalized weights
+ */
+function normalizeWeights(weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const normalized = {};
+
+  for (const key in weights) {
+    normalized[key] = weights[key] / total;
+  }
+
+  return normalized;
+}
+
+/**
+ * Deep-copies a configuration
+ *
+ * @param {Object} config - Configuration to copy
+ * @returns {Object} Copy
+ */
+function cloneConfig(config) {
+  return JSON.parse(JSON.stringify(config));
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  resolveScoringConfig
+};
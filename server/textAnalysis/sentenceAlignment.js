@@ -0,0 +1,318 @@
+/**
+ * Sentence Alignment Module for Content Consistency Grader
+ *
+ * Splits each platform's content into sentences and pairs every sentence
+ * with its closest match on every other platform, so writers can see which
+ * messages were carried over, reworded, changed or left out. Sentences are
+ * only matched with platforms written in the same language.
+ */
+
+const { buildDocuments } = require('./documentModel');
+const { groupByLanguage, languagePeers } = require('./languages');
+
+// Minimum similarity for each alignment status; anything lower is "unique"
+const STATUS_THRESHOLDS = {
+  shared: 0.85,
+  paraphrased: 0.5,
+  changed: 0.2
+};
+
+// Statuses from the closest to the weakest match
+const STATUS_ORDER = ['shared', 'paraphrased', 'changed', 'unique'];
+
+/**
+ * Aligns the sentences of every platform with those of every other platform
+ * in the same language
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Sentences per platform with their best match and status on each compared platform;
+ *   a platform alone in its language has sentences without a status
+ */
+function alignSentences(platformContent, documents = buildDocuments(platformContent)) {
+  const platforms = Object.keys(platformContent);
+  const comparedWith = languagePeers(groupByLanguage(documents));
+  const sentences = {};
+  const matchers = {};
+
+  platforms.forEach(platform => {
+    sentences[platform] = prepareSentences(documents[platform]);
+    matchers[platform] = createMatcher(sentences[platform]);
+  });
+
+  const platformSentences = {};
+  const statusCounts = {};
+
+  platforms.forEach(platform => {
+    statusCounts[platform] = { shared: 0, paraphrased: 0, changed: 0, unique: 0 };
+
+    platformSentences[platform] = sentences[platform].map(sentence => {
+      const matches = {};
+
+      comparedWith[platform].forEach(other => {
+        matches[other] = matchers[other](sentence);
+      });
+
+      // A sentence's overall status is its closest match on any other platform
+      let status = null;
+
+      if (comparedWith[platform].length > 0) {
+        status = Object.values(matches)
+          .map(match => match.status)
+          .reduce((best, current) => (
+            STATUS_ORDER.indexOf(current) < STATUS_ORDER.indexOf(best) ? current : best
+          ), 'unique');
+
+        statusCounts[platform][status]++;
+      }
+
+      return {
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        status,
+        matches
+      };
+    });
+  });
+
+  return {
+    platformSentences,
+    statusCounts,
+    comparedWith,
+    missingMessages: findMissingMessages(platformSentences)
+  };
+}
+
+/**
+ * Lists, for each platform, the sentences from other platforms that have no match on it
+ *
+ * @param {Object} platformSentences - Aligned sentences per platform
+ * @returns {Object} Missing sentences per platform, with the platform they come from
+ */
+function findMissingMessages(platformSentences) {
+  const missing = {};
+
+  for (const platform in platformSentences) {
+    missing[platform] = [];
+  }
+
+  for (const platform in platformSentences) {
+    platformSentences[platform].forEach(sentence => {
+      for (const other in sentence.matches) {
+        if (sentence.matches[other].status === 'unique') {
+          missing[other].push({ from: platform, text: sentence.text });
+        }
+      }
+    });
+  }
+
+  return missing;
+}
+
+/**
+ * Generates recommendations for core messages missing from a platform
+ *
+ * @param {Object} alignmentResults - Results from alignSentences
+ * @returns {Array} List of recommendations
+ */
+function generateAlignmentRecommendations(alignmentResults) {
+  const recommendations = [];
+
+  // The same sentence is usually missing from several platforms
+  const lowercased = new Map();
+  const lowercase = text => {
+    if (!lowercased.has(text)) lowercased.set(text, text.toLowerCase());
+    return lowercased.get(text);
+  };
+
+  for (const platform in alignmentResults.missingMessages) {
+    // A message counts as core when every other platform in the same language carries it
+    const otherPlatforms = alignmentResults.comparedWith[platform];
+    const counts = {};
+
+    alignmentResults.missingMessages[platform].forEach(message => {
+      const key = lowercase(message.text);
+      if (!counts[key]) counts[key] = { text: message.text, sources: new Set() };
+      counts[key].sources.add(message.from);
+    });
+
+    const coreMessages = Object.values(counts)
+      .filter(entry => otherPlatforms.length > 1 && entry.sources.size === otherPlatforms.length);
+
+    if (coreMessages.length > 0) {
+      recommendations.push({
+        category: 'alignment',
+        platform,
+        title: `Add missing core messages to ${platform}`,
+        description: `Every other platform says this, but ${platform} does not: ${coreMessages.slice(0, 3).map(m => `"${m.text}"`).join(' ')}`
+      });
+    }
+  }
+
+  return recommendations;
+}
+
+/**
+ * Prepares a document's sentences for matching
+ *
+ * @param {Object} document - Document model of the content
+ * @returns {Array} Sentences with text, offsets, stems, word pairs and numbers
+ */
+function prepareSentences(document) {
+  return document.sentences.map(({ text, start, end, tokens, stems }) => ({
+    text,
+    start,
+    end,
+    stems: new Set(stems),
+    shingles: new Set(tokens.slice(1).map((word, i) => `${tokens[i]} ${word}`)),
+    numbers: new Set(text.match(/\d+(?:[.,]\d+)*/g) || [])
+  }));
+}
+
+/**
+ * Creates a function that finds a sentence's closest match among one
+ * platform's sentences
+ *
+ * The candidates are indexed by stem, so a sentence is only compared with the
+ * sentences it shares a stem with, and identical sentences are matched once.
+ *
+ * @param {Array} candidates - Prepared sentences of the platform
+ * @returns {Function} Takes a prepared sentence and returns its best match (see findBestMatch)
+ */
+function createMatcher(candidates) {
+  const index = {
+    sentencesByStem: new Map(),
+    stemCounts: new Int32Array(candidates.map(candidate => candidate.stems.size)),
+    // Scratch space reused between calls instead of allocated per sentence
+    sharedStems: new Int32Array(candidates.length),
+    touched: new Int32Array(candidates.length)
+  };
+
+  candidates.forEach((candidate, candidateIndex) => {
+    candidate.stems.forEach(stem => {
+      if (!index.sentencesByStem.has(stem)) index.sentencesByStem.set(stem, []);
+      index.sentencesByStem.get(stem).push(candidateIndex);
+    });
+  });
+
+  const matchesByText = new Map();
+
+  return sentence => {
+    if (!matchesByText.has(sentence.text)) {
+      matchesByText.set(sentence.text, findBestMatch(sentence, candidates, index));
+    }
+
+    return { ...matchesByText.get(sentence.text) };
+  };
+}
+
+/**
+ * Finds the closest sentence on another platform and labels the match
+ *
+ * @param {Object} sentence - Sentence to match
+ * @param {Array} candidates - Sentences of the other platform
+ * @param {Object} index - Candidates by stem, their stem counts and zeroed scratch arrays (see createMatcher)
+ * @returns {Object} Best match index, text, similarity and status
+ */
+function findBestMatch(sentence, candidates, { sentencesByStem, stemCounts, sharedStems, touched }) {
+  const stemCount = sentence.stems.size;
+  let touchedCount = 0;
+
+  // Count the stems each candidate shares with the sentence; this is the hot loop
+  for (const stem of sentence.stems) {
+    const indexes = sentencesByStem.get(stem);
+    if (!indexes) continue;
+
+    for (let i = 0; i < indexes.length; i++) {
+      if (sharedStems[indexes[i]] === 0) touched[touchedCount++] = indexes[i];
+      sharedStems[indexes[i]]++;
+    }
+  }
+
+  let bestIndex = -1;
+  let bestSimilarity = 0;
+
+  for (let i = 0; i < touchedCount; i++) {
+    const index = touched[i];
+    const similarity = (2 * sharedStems[index]) / (stemCount + stemCounts[index]);
+    sharedStems[index] = 0;
+
+    // On a tie the earlier sentence wins, as candidates are not visited in order
+    if (similarity > bestSimilarity || (similarity === bestSimilarity && index < bestIndex)) {
+      bestIndex = index;
+      bestSimilarity = similarity;
+    }
+  }
+
+  const best = {
+    index: bestIndex,
+    text: bestIndex >= 0 ? candidates[bestIndex].text : null,
+    similarity: bestSimilarity
+  };
+
+  const candidate = best.index >= 0 ? candidates[best.index] : null;
+  let status = 'unique';
+
+  if (best.similarity >= STATUS_THRESHOLDS.paraphrased && !sameNumbers(sentence, candidate)) {
+    // A close match that states different numbers is a changed message, not a rewording
+    status = 'changed';
+  } else if (best.similarity >= STATUS_THRESHOLDS.shared && sameWording(sentence, candidate)) {
+    status = 'shared';
+  } else if (best.similarity >= STATUS_THRESHOLDS.paraphrased) {
+    status = 'paraphrased';
+  } else if (best.similarity >= STATUS_THRESHOLDS.changed) {
+    status = 'changed';
+  }
+
+  return {
+    index: best.index,
+    text: status === 'unique' ? null : best.text,
+    similarity: best.similarity,
+    status
+  };
+}
+
+/**
+ * Dice coefficient between two sets
+ *
+ * @param {Set} set1 - First set
+ * @param {Set} set2 - Second set
+ * @returns {Number} Similarity (0-1)
+ */
+function diceSimilarity(set1, set2) {
+  if (set1.size + set2.size === 0) return 0;
+
+  const intersection = [...set1].filter(x => set2.has(x)).length;
+  return (2 * intersection) / (set1.size + set2.size);
+}
+
+/**
+ * Checks whether two sentences use largely the same wording in the same order,
+ * which separates a shared sentence from a reworded one with the same words
+ *
+ * @param {Object} sentence1 - First sentence
+ * @param {Object} sentence2 - Second sentence
+ * @returns {Boolean} True if most word pairs are shared
+ */
+function sameWording(sentence1, sentence2) {
+  if (sentence1.shingles.size === 0 || sentence2.shingles.size === 0) return true;
+  return diceSimilarity(sentence1.shingles, sentence2.shingles) >= STATUS_THRESHOLDS.shared;
+}
+
+/**
+ * Checks whether two sentences state the same numbers
+ *
+ * @param {Object} sentence1 - First sentence
+ * @param {Object} sentence2 - Second sentence
+ * @returns {Boolean} True if both mention exactly the same numbers
+ */
+function sameNumbers(sentence1, sentence2) {
+  if (sentence1.numbers.size !== sentence2.numbers.size) return false;
+  return [...sentence1.numbers].every(n => sentence2.numbers.has(n));
+}
+
+module.exports = {
+  alignSentences,
+  generateAlignmentRecommendations
+};
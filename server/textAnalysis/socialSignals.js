@@ -0,0 +1,357 @@
+/**
+ * Social Signals Module for Content Consistency Grader
+ *
+ * Extracts what word tokenizers drop but social copy relies on: hashtags,
+ * @mentions, emoji (and the sentiment they carry), links and calls to action
+ * ("shop now", "sign up"). Checks whether the campaign hashtag and the main
+ * call to action are the same on every channel. Calls to action are matched
+ * in each platform's language and only compared within that language.
+ */
+
+const sentiment = require('sentiment');
+const { buildDocuments } = require('./documentModel');
+const { LANGUAGES, groupByLanguage } = require('./languages');
+
+// The sentiment library's English word list includes scores for emoji
+const sentimentAnalyzer = new sentiment();
+
+const HASHTAG_PATTERN = /(?<![\w#&])#([A-Za-z0-9_]*[A-Za-z][A-Za-z0-9_]*)/g;
+
+// Not preceded by a word character, so email addresses are not mentions
+const MENTION_PATTERN = /(?<![\w.@])@([A-Za-z0-9_]{1,30})\b/g;
+
+// An emoji with its skin tone, variation selector and zero-width-joined parts
+// (©, ® and ™ are pictographic too, but not emoji in running text)
+const EMOJI_PATTERN = /(?![\u00A9\u00AE\u2122])\p{Extended_Pictographic}(?:\uFE0F|[\u{1F3FB}-\u{1F3FF}]|\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+
+// Calls to action by language, matched as whole phrases with spaces or hyphens between words
+const CTA_PHRASES = {
+  en: [
+    'shop now', 'buy now', 'order now', 'pre-order', 'add to cart', 'learn more',
+    'find out more', 'read more', 'sign up', 'register', 'subscribe', 'join',
+    'get started', 'start your free trial', 'try it free', 'try for free',
+    'download', 'book now', 'reserve', 'contact us', 'get in touch', 'apply now',
+    'donate', 'watch now', 'listen now', 'call us', 'claim your'
+  ],
+  es: [
+    'compra ahora', 'cómpralo ya', 'pide ahora', 'reserva ahora', 'añadir al carrito', 'más información',
+    'descubre más', 'leer más', 'regístrate', 'suscríbete', 'únete', 'empieza ahora', 'pruébalo gratis',
+    'prueba gratis', 'descarga', 'descárgalo', 'contáctanos', 'llámanos', 'solicita ahora', 'mira ahora'
+  ],
+  de: [
+    'jetzt kaufen', 'jetzt bestellen', 'jetzt shoppen', 'in den warenkorb', 'mehr erfahren', 'mehr lesen',
+    'weiterlesen', 'jetzt anmelden', 'registrieren', 'abonnieren', 'jetzt starten', 'kostenlos testen',
+    'herunterladen', 'jetzt buchen', 'kontaktieren sie uns', 'jetzt bewerben', 'jetzt spenden',
+    'jetzt ansehen', 'rufen sie uns an', 'mitmachen'
+  ],
+  fr: [
+    'achetez maintenant', 'acheter maintenant', 'commandez maintenant', 'ajouter au panier', 'en savoir plus',
+    'lire la suite', 'découvrez', 'inscrivez-vous', "s'inscrire", 'abonnez-vous', 'rejoignez-nous',
+    'essayez gratuitement', 'essai gratuit', 'télécharger', 'téléchargez', 'réservez', 'contactez-nous',
+    'appelez-nous', 'faites un don'
+  ]
+};
+
+// Letters of any alphabet count as word characters around a phrase ("únete", "découvrez")
+const CTA_PATTERNS = {};
+for (const language in CTA_PHRASES) {
+  CTA_PATTERNS[language] = new RegExp(
+    `(?<![\\p{L}\\p{N}_])(${CTA_PHRASES[language].map(phrase => phrase.split(/[\s-]+/).join('[\\s-]+')).join('|')})(?![\\p{L}\\p{N}_])`,
+    'giu'
+  );
+}
+
+// Platforms where hashtags are part of the voice; elsewhere a missing hashtag is only reported
+const HASHTAG_PLATFORMS = [
+  'twitter', 'x', 'instagram', 'tiktok', 'facebook', 'linkedin', 'threads',
+  'youtube', 'pinterest', 'mastodon', 'bluesky'
+];
+
+/**
+ * Extracts the social signals of each platform and compares the campaign
+ * hashtag and the main call to action across platforms
+ *
+ * @param {Object} platformContent - Object with platform names as keys and content strings as values
+ * @param {Object} [documents] - Document model of each platform (see documentModel.js)
+ * @returns {Object} Signals per platform, the campaign hashtag and the call to action comparison
+ */
+function analyzeSocialSignals(platformContent, documents = buildDocuments(platformContent)) {
+  const platformSignals = {};
+
+  for (const platform in platformContent) {
+    platformSignals[platform] = extractSignals(documents[platform]);
+  }
+
+  const campaignHashtag = findCampaignHashtag(platformSignals);
+  const callToAction = compareCallsToAction(platformSignals, groupByLanguage(documents));
+
+  return {
+    platformSignals,
+    campaignHashtag,
+    callToAction,
+    consistent: (!campaignHashtag || campaignHashtag.missingFrom.length === 0) && callToAction.consistent
+  };
+}
+
+/**
+ * Extracts hashtags, mentions, emoji, links and calls to action from one document
+ *
+ * @param {Object} document - Document model of the content
+ * @returns {Object} Signals of the content
+ */
+function extractSignals(document) {
+  const { content } = document;
+
+  const hashtags = countMatches(content, HASHTAG_PATTERN, match => `#${match[1]}`, tag => tag.toLowerCase());
+  const mentions = countMatches(content, MENTION_PATTERN, match => `@${match[1]}`, handle => handle.toLowerCase());
+  // Skin tones and variation selectors do not change an emoji's meaning
+  const emoji = countMatches(content, EMOJI_PATTERN, match => match[0], symbol => symbol.replace(/\uFE0F|[\u{1F3FB}-\u{1F3FF}]/gu, ''));
+  const ctas = countMatches(content, CTA_PATTERNS[document.language], match => match[1].toLowerCase().replace(/[\s-]+/g, ' '), cta => cta);
+
+  // Emoji sentiment uses the same AFINN-style scores as the text sentiment
+  const emojiCount = emoji.reduce((sum, entry) => sum + entry.count, 0);
+  const emojiScore = emoji.reduce((sum, entry) => sum + sentimentAnalyzer.analyze(entry.key).score * entry.count, 0);
+
+  const links = document.urlRanges.map(([start, end]) => content.slice(start, end).replace(/[.,;:!?)]+$/, ''));
+
+  return {
+    hashtags: hashtags.map(({ text, key, count }) => ({ tag: text, normalized: key, count })),
+    mentions: mentions.map(({ text, count }) => ({ handle: text, count })),
+    emoji: emoji.map(({ text, count }) => ({ emoji: text, count })),
+    emojiCount,
+    emojiSentiment: {
+      score: emojiScore,
+      comparative: emojiCount > 0 ? emojiScore / emojiCount : 0
+    },
+    links: [...new Set(links)],
+    ctas: ctas.map(({ text, count }) => ({ cta: text, count })),
+    mainCta: mainCallToAction(ctas)
+  };
+}
+
+/**
+ * Counts the matches of a pattern, grouping matches with the same key
+ *
+ * @param {String} content - Content
+ * @param {RegExp} pattern - Global pattern
+ * @param {Function} toText - Turns a match into the text to report
+ * @param {Function} toKey - Turns that text into the key matches are grouped by
+ * @returns {Array} { text, key, count } in order of first appearance; text is the first form seen
+ */
+function countMatches(content, pattern, toText, toKey) {
+  const entries = new Map();
+
+  for (const match of content.matchAll(pattern)) {
+    const text = toText(match);
+    const key = toKey(text);
+
+    if (!entries.has(key)) entries.set(key, { text, key, count: 0 });
+    entries.get(key).count++;
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Picks the main call to action: the one used most often, or on a tie the
+ * one used first ("Shop now ... Questions? Contact us")
+ *
+ * @param {Array} ctas - Calls to action with counts, in order of first appearance
+ * @returns {String|null} Main call to action, or null if there is none
+ */
+function mainCallToAction(ctas) {
+  if (ctas.length === 0) return null;
+
+  return ctas.reduce((best, cta) => (cta.count > best.count ? cta : best)).text;
+}
+
+/**
+ * Finds the campaign hashtag: the hashtag used on the most platforms. A
+ * hashtag on a single platform only counts when it is the campaign's only one.
+ *
+ * @param {Object} platformSignals - Signals by platform
+ * @returns {Object|null} { tag, platforms, missingFrom }, or null if there is no campaign hashtag
+ */
+function findCampaignHashtag(platformSignals) {
+  const usage = new Map();
+
+  for (const platform in platformSignals) {
+    platformSignals[platform].hashtags.forEach(({ tag, normalized, count }) => {
+      if (!usage.has(normalized)) usage.set(normalized, { tag, platforms: [], count: 0 });
+
+      const entry = usage.get(normalized);
+      entry.platforms.push(platform);
+      entry.count += count;
+    });
+  }
+
+  if (usage.size === 0) return null;
+
+  const best = [...usage.values()].reduce((a, b) =>
+    b.platforms.length > a.platforms.length || (b.platforms.length === a.platforms.length && b.count > a.count) ? b : a
+  );
+
+  if (best.platforms.length < 2 && usage.size > 1) return null;
+
+  return {
+    tag: best.tag,
+    platforms: best.platforms,
+    missingFrom: Object.keys(platformSignals).filter(platform => !best.platforms.includes(platform))
+  };
+}
+
+/**
+ * Compares the main call to action of every platform with the platforms in
+ * the same language
+ *
+ * @param {Object} platformSignals - Signals by platform
+ * @param {Object} languageGroups - Platform names by language code (see languages.js)
+ * @returns {Object} { consistent, mostCommon, mainCtas, platformsWithout, groups }; groups holds the
+ *   comparison of each language with two or more platforms
+ */
+function compareCallsToAction(platformSignals, languageGroups) {
+  const mainCtas = {};
+
+  for (const platform in platformSignals) {
+    mainCtas[platform] = platformSignals[platform].mainCta;
+  }
+
+  const groups = {};
+
+  for (const language in languageGroups) {
+    const platforms = languageGroups[language];
+    if (platforms.length < 2) continue;
+
+    const counts = countCallsToAction(platforms, mainCtas);
+    const platformsWithout = platforms.filter(platform => !mainCtas[platform]);
+
+    groups[language] = {
+      platforms,
+      consistent: counts.size <= 1 && (counts.size === 0 || platformsWithout.length === 0),
+      mostCommon: mostCommonCallToAction(counts),
+      platformsWithout
+    };
+  }
+
+  return {
+    consistent: Object.values(groups).every(group => group.consistent),
+    mostCommon: mostCommonCallToAction(countCallsToAction(Object.keys(mainCtas), mainCtas)),
+    mainCtas,
+    platformsWithout: [].concat(...Object.values(groups).map(group => group.platformsWithout)),
+    groups
+  };
+}
+
+/**
+ * Counts how many platforms use each main call to action
+ *
+ * @param {Array} platforms - Platform names
+ * @param {Object} mainCtas - Main call to action by platform (null without one)
+ * @returns {Map} Platform count by call to action, in order of first appearance
+ */
+function countCallsToAction(platforms, mainCtas) {
+  const counts = new Map();
+
+  platforms.forEach(platform => {
+    const cta = mainCtas[platform];
+    if (cta) counts.set(cta, (counts.get(cta) || 0) + 1);
+  });
+
+  return counts;
+}
+
+/**
+ * Picks the call to action used by the most platforms; on a tie the one seen first wins
+ *
+ * @param {Map} counts - Platform count by call to action (see countCallsToAction)
+ * @returns {String|null} Call to action, or null if there is none
+ */
+function mostCommonCallToAction(counts) {
+  let mostCommon = null;
+  counts.forEach((count, cta) => {
+    if (mostCommon === null || count > counts.get(mostCommon)) mostCommon = cta;
+  });
+
+  return mostCommon;
+}
+
+/**
+ * Checks whether hashtags are part of a platform's voice, judging by its name
+ *
+ * @param {String} platform - Platform name ("instagram", "twitter-us", ...)
+ * @returns {Boolean} True for social networks that use hashtags
+ */
+function usesHashtags(platform) {
+  return platform.toLowerCase().split(/[^a-z]+/).some(part => HASHTAG_PLATFORMS.includes(part));
+}
+
+/**
+ * Generates recommendations for a missing campaign hashtag and differing calls to action
+ *
+ * @param {Object} socialResults - Results from analyzeSocialSignals
+ * @returns {Array} List of recommendations
+ */
+function generateSocialRecommendations(socialResults) {
+  const recommendations = [];
+  const { campaignHashtag, callToAction } = socialResults;
+
+  // 1. Campaign hashtag missing on a social network
+  if (campaignHashtag) {
+    campaignHashtag.missingFrom.filter(usesHashtags).forEach(platform => {
+      recommendations.push({
+        category: 'social',
+        platform,
+        title: `Add the campaign hashtag ${campaignHashtag.tag} to ${platform}`,
+        description: `${campaignHashtag.tag} appears on ${campaignHashtag.platforms.join(', ')} but not on ${platform}. Use it on every social channel so the campaign can be followed in one place.`
+      });
+    });
+  }
+
+  // Calls to action are compared per language; the language is named when there are several
+  const groups = Object.entries(callToAction.groups);
+  const languagePrefix = language => (groups.length > 1 ? `${LANGUAGES[language].name} ` : '');
+
+  // 2. Different main calls to action
+  groups.forEach(([language, group]) => {
+    const platformsByCta = {};
+
+    group.platforms.forEach(platform => {
+      const cta = callToAction.mainCtas[platform];
+      if (cta) (platformsByCta[cta] = platformsByCta[cta] || []).push(platform);
+    });
+
+    if (Object.keys(platformsByCta).length > 1) {
+      const usage = Object.entries(platformsByCta)
+        .map(([cta, platforms]) => `"${cta}" on ${platforms.join(', ')}`)
+        .join('; ');
+
+      recommendations.push({
+        category: 'social',
+        title: `Use the same call to action on every ${languagePrefix(language)}platform`,
+        description: `Your ${languagePrefix(language)}platforms ask readers to do different things: ${usage}. Pick one main call to action, such as "${group.mostCommon}", and repeat it everywhere.`
+      });
+    }
+  });
+
+  // 3. Platforms without any call to action while others in their language have one
+  groups.forEach(([, group]) => {
+    if (!group.mostCommon) return;
+
+    group.platformsWithout.forEach(platform => {
+      recommendations.push({
+        category: 'social',
+        platform,
+        title: `Add a call to action to ${platform}`,
+        description: `${platform} does not tell readers what to do next. The other platforms mostly say "${group.mostCommon}".`
+      });
+    });
+  });
+
+  return recommendations;
+}
+
+module.exports = {
+  CTA_PHRASES,
+  analyzeSocialSignals,
+  generateSocialRecommendations
+};
@@ -0,0 +1,25 @@
+/**
+ * Statistics Module for Content Consistency Grader
+ *
+ * Small numeric helpers shared by the analyses.
+ */
+
+/**
+ * Calculates the variance of an array of numbers
+ *
+ * @param {Array} values - Array of numerical values
+ * @returns {Number} Variance
+ */
+function calculateVariance(values) {
+  const n = values.length;
+  if (n === 0) return 0;
+
+  const mean = values.reduce((sum, val) => sum + val, 0) / n;
+  const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
+
+  return squaredDiffs.reduce((sum, val) => sum + val, 0) / n;
+}
+
+module.exports = {
+  calculateVariance
+};
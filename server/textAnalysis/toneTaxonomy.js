@@ -0,0 +1,227 @@
+/**
+ * Tone Taxonomy for Content Consistency Grader
+ *
+ * A tone taxonomy maps tone categories to weighted marker words and
+ * multi-word phrases. Markers are stemmed so "launching" matches "launch",
+ * and teams can send their own categories ("playful", "empathetic", ...)
+ * instead of the defaults below. Every supported language has default
+ * markers for the same categories, so tones can be compared across
+ * languages; a team's own taxonomy is used for every language.
+ */
+
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('./languages');
+
+// Dominant tone reported when there is too little evidence for any category
+const NEUTRAL_TONE = 'neutral';
+
+const DEFAULT_TONE_TAXONOMY = {
+  formal: [
+    'therefore', 'consequently', 'furthermore', 'thus', 'hence', 'regarding',
+    'moreover', 'whereas', 'pursuant', 'herein', 'in accordance with',
+    'we are pleased to', 'please note'
+  ],
+  casual: [
+    'awesome', 'cool', 'yeah', 'super', 'totally', 'btw', 'lol', 'hey',
+    'gonna', 'wanna', 'stuff', 'pretty much', 'check it out', 'no worries'
+  ],
+  professional: [
+    'accordingly', 'additionally', 'significantly', 'importantly', 'notably',
+    'solution', 'expertise', 'deliver', 'efficiency', 'industry-leading',
+    'best practices', 'proven results'
+  ],
+  promotional: [
+    'amazing', 'incredible', 'exclusive', 'limited', 'opportunity', 'best',
+    'free', 'save', 'discount', 'deal',
+    { term: "don't miss", weight: 2 },
+    { term: 'limited time', weight: 2 },
+    { term: 'shop now', weight: 2 },
+    { term: 'act now', weight: 2 }
+  ]
+};
+
+// Default markers of every supported language, in the same categories
+const DEFAULT_TONE_TAXONOMIES = {
+  en: DEFAULT_TONE_TAXONOMY,
+  es: {
+    formal: [
+      'por lo tanto', 'por consiguiente', 'asimismo', 'no obstante', 'en consecuencia',
+      'conforme a', 'en virtud de', 'cabe destacar', 'nos complace', 'le informamos', 'atentamente'
+    ],
+    casual: [
+      'genial', 'guay', 'súper', 'mola', 'oye', 'flipante', 'totalmente', 'cosas', 'pues nada',
+      'échale un vistazo', 'sin problema'
+    ],
+    professional: [
+      'adicionalmente', 'significativamente', 'especialmente', 'solución', 'experiencia',
+      'eficiencia', 'ofrecer', 'líder del sector', 'mejores prácticas', 'resultados probados'
+    ],
+    promotional: [
+      'increíble', 'exclusivo', 'limitado', 'oportunidad', 'mejor', 'gratis', 'ahorra',
+      'descuento', 'oferta',
+      { term: 'no te lo pierdas', weight: 2 },
+      { term: 'por tiempo limitado', weight: 2 },
+      { term: 'compra ahora', weight: 2 },
+      { term: 'solo hoy', weight: 2 }
+    ]
+  },
+  de: {
+    formal: [
+      'daher', 'folglich', 'somit', 'demnach', 'gemäß', 'bezüglich', 'hinsichtlich',
+      'darüber hinaus', 'wir freuen uns', 'bitte beachten sie', 'mit freundlichen grüßen'
+    ],
+    casual: [
+      'super', 'cool', 'krass', 'hey', 'total', 'echt', 'mega', 'zeug', 'schau mal',
+      'kein problem'
+    ],
+    professional: [
+      'zusätzlich', 'insbesondere', 'maßgeblich', 'lösung', 'expertise', 'effizienz',
+      'kompetenz', 'liefern', 'branchenführend', 'bewährte ergebnisse'
+    ],
+    promotional: [
+      'unglaublich', 'exklusiv', 'limitiert', 'chance', 'beste', 'gratis', 'kostenlos',
+      'sparen', 'rabatt', 'angebot',
+      { term: 'nicht verpassen', weight: 2 },
+      { term: 'nur für kurze zeit', weight: 2 },
+      { term: 'jetzt kaufen', weight: 2 },
+      { term: 'jetzt zugreifen', weight: 2 }
+    ]
+  },
+  fr: {
+    formal: [
+      'par conséquent', 'en outre', 'néanmoins', 'toutefois', 'conformément à', 'concernant',
+      'nous avons le plaisir de', 'veuillez noter', 'veuillez agréer'
+    ],
+    casual: [
+      'génial', 'cool', 'super', 'salut', 'coucou', 'sympa', 'truc', 'ouais',
+      'jetez un œil', 'pas de souci'
+    ],
+    professional: [
+      'également', 'en particulier', 'significativement', 'solution', 'expertise', 'efficacité',
+      'fiable', 'livrer', 'leader du secteur', 'bonnes pratiques', 'résultats prouvés'
+    ],
+    promotional: [
+      'incroyable', 'exclusif', 'limité', 'opportunité', 'meilleur', 'gratuit', 'économisez',
+      'remise', 'offre',
+      { term: 'ne manquez pas', weight: 2 },
+      { term: 'durée limitée', weight: 2 },
+      { term: 'achetez maintenant', weight: 2 },
+      { term: 'profitez-en', weight: 2 }
+    ]
+  }
+};
+
+/**
+ * Validates a tone taxonomy sent with a request
+ *
+ * @param {Object} taxonomy - Tone categories mapped to marker lists
+ * @returns {Array} Validation errors (empty if the taxonomy is valid)
+ */
+function validateToneTaxonomy(taxonomy) {
+  const errors = [];
+
+  if (!taxonomy || typeof taxonomy !== 'object' || Array.isArray(taxonomy)) {
+    return ['Tone taxonomy must be an object mapping tone names to markers'];
+  }
+
+  if (Object.keys(taxonomy).length === 0) {
+    errors.push('Tone taxonomy must define at least one tone');
+  }
+
+  for (const tone in taxonomy) {
+    if (tone === NEUTRAL_TONE) {
+      errors.push(`"${NEUTRAL_TONE}" is reserved for content without enough tone evidence`);
+    }
+
+    const markers = Array.isArray(taxonomy[tone]) ? taxonomy[tone] : null;
+
+    if (!markers || markers.length === 0) {
+      errors.push(`Tone "${tone}" must have a non-empty list of markers`);
+      continue;
+    }
+
+    markers.forEach((marker, index) => {
+      const term = typeof marker === 'string' ? marker : marker && marker.term;
+      const weight = typeof marker === 'string' ? 1 : marker && marker.weight;
+
+      // A marker only has to be a word in one of the supported languages
+      if (typeof term !== 'string' || Object.keys(LANGUAGES).every(language => stemTokens(term, language).length === 0)) {
+        errors.push(`Marker ${index + 1} of tone "${tone}" must be a word or phrase`);
+      }
+      if (weight !== undefined && (typeof weight !== 'number' || !(weight > 0))) {
+        errors.push(`Marker "${term}" of tone "${tone}" must have a positive weight`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Stems every marker so content can be matched against it in one pass
+ *
+ * @param {Object} taxonomy - Tone categories mapped to marker lists
+ * @param {String} [language] - Language whose stemmer the content was stemmed with
+ * @returns {Object} { tones, markersByFirstStem } - Tone names and markers indexed by their first stem
+ */
+function compileToneTaxonomy(taxonomy, language = DEFAULT_LANGUAGE) {
+  const markersByFirstStem = new Map();
+
+  for (const tone in taxonomy) {
+    taxonomy[tone].forEach(marker => {
+      const term = typeof marker === 'string' ? marker : marker.term;
+      const weight = typeof marker === 'string' || marker.weight === undefined ? 1 : marker.weight;
+      const stems = stemTokens(term, language);
+
+      // Not a word in this language ("über" would match "ber" in English)
+      if (stems.length === 0 || !isWrittenIn(term, language)) return;
+
+      if (!markersByFirstStem.has(stems[0])) markersByFirstStem.set(stems[0], []);
+      markersByFirstStem.get(stems[0]).push({ tone, term, weight, stems });
+    });
+  }
+
+  return {
+    tones: Object.keys(taxonomy),
+    markersByFirstStem
+  };
+}
+
+/**
+ * Tokenizes and stems text the way documents of a language are, splitting
+ * hyphenated words so "limited-time" matches "limited time"; English keeps
+ * apostrophes inside words ("don't")
+ *
+ * @param {String} text - Text to stem
+ * @param {String} [language] - Language code
+ * @returns {Array} Stems in order of appearance
+ */
+function stemTokens(text, language = DEFAULT_LANGUAGE) {
+  const { stemmer, toneWordPattern } = LANGUAGES[language];
+
+  return (text.toLowerCase().match(toneWordPattern) || [])
+    .map(token => stemmer.stem(token.replace('’', "'")));
+}
+
+/**
+ * Checks whether the words of a language cover every letter of a marker
+ *
+ * @param {String} term - Marker word or phrase
+ * @param {String} language - Language code
+ * @returns {Boolean} True if no letter falls outside the language's words
+ */
+function isWrittenIn(term, language) {
+  const lowercased = term.toLowerCase();
+  const letters = text => (text.match(/[\p{L}\p{N}]/gu) || []).join('');
+  const words = lowercased.match(LANGUAGES[language].toneWordPattern) || [];
+
+  return letters(words.join('')) === letters(lowercased);
+}
+
+module.exports = {
+  NEUTRAL_TONE,
+  DEFAULT_TONE_TAXONOMY,
+  DEFAULT_TONE_TAXONOMIES,
+  validateToneTaxonomy,
+  compileToneTaxonomy,
+  stemTokens
+};
@@ -0,0 +1,84 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Saved rule packs and presets are read from an empty directory, so only the shipped ones apply
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-options-'));
+process.env.RULE_PACKS_DIR = path.join(dataDir, 'rule-packs');
+process.env.SCORING_PRESETS_DIR = path.join(dataDir, 'scoring-presets');
+
+const { buildAnalysisOptions } = require('../server/analysisOptions');
+
+const platformContent = {
+  website: 'The EcoBottle keeps your drinks cold for 24 hours.',
+  twitter: 'Meet the EcoBottle: cold drinks for 24 hours!'
+};
+
+describe('buildAnalysisOptions', () => {
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('builds the default options when no settings are given', () => {
+    const { options, error } = buildAnalysisOptions({ platformContent });
+
+    assert.equal(error, undefined);
+    assert.equal(options.brandProfile, null);
+    assert.equal(options.referencePlatform, undefined);
+    assert.deepEqual(options.glossary, []);
+    assert.ok(options.rulePacks.twitter);
+  });
+
+  it('applies a named preset and the request\'s scoring overrides over it', () => {
+    const { options } = buildAnalysisOptions({
+      platformContent,
+      scoringPreset: 'legal',
+      scoringConfig: { thresholds: { passiveVoice: 0.5 } }
+    });
+
+    assert.equal(options.scoringConfig.thresholds.passiveVoice, 0.5);
+  });
+
+  it('accepts a reference platform that has content', () => {
+    assert.equal(buildAnalysisOptions({ platformContent, referencePlatform: 'website' }).options.referencePlatform, 'website');
+  });
+
+  it('rejects a reference platform that is not one of the platforms', () => {
+    for (const referencePlatform of ['blog', 'constructor', 'toString', ['twitter'], { twitter: true }]) {
+      assert.match(buildAnalysisOptions({ platformContent, referencePlatform }).error, /^Reference platform has no content/);
+    }
+  });
+
+  it('rejects an unknown similarity metric, brand profile or preset', () => {
+    assert.match(buildAnalysisOptions({ platformContent, similarityMetric: 'euclid' }).error, /^Unknown similarity metric: euclid/);
+    assert.equal(buildAnalysisOptions({ platformContent, brandProfile: 'missing' }).error, 'Unknown brand profile: missing');
+    assert.equal(buildAnalysisOptions({ platformContent, scoringPreset: 'missing' }).error, 'Unknown scoring preset: missing');
+  });
+
+  it('lists what is wrong with invalid settings', () => {
+    const cases = [
+      [{ brandProfile: { bannedWords: 'cheap' } }, 'Invalid brand profile'],
+      [{ scoringConfig: { weights: { sentiment: 'high' } } }, 'Invalid scoring configuration'],
+      [{ toneTaxonomy: [] }, 'Invalid tone taxonomy'],
+      [{ glossary: {} }, 'Invalid glossary'],
+      [{ rulePacks: { twitter: { maxCharacters: -1 } } }, 'Invalid rule packs'],
+      [{ languages: { twitter: 'constructor' } }, 'Invalid languages']
+    ];
+
+    for (const [settings, error] of cases) {
+      const result = buildAnalysisOptions({ platformContent, ...settings });
+
+      assert.equal(result.error, error);
+      assert.ok(result.details.length > 0);
+    }
+  });
+
+  it('rejects rule packs that are not an object', () => {
+    assert.equal(
+      buildAnalysisOptions({ platformContent, rulePacks: ['twitter'] }).error,
+      'Rule packs must be an object mapping platform names to rules'
+    );
+  });
+});
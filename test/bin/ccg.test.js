@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CCG = path.join(__dirname, '../../bin/ccg.js');
+
+/**
+ * Runs the command-line grader
+ *
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} { status, stdout, stderr }
+ */
+function ccg(args) {
+  return spawnSync(process.execPath, [CCG, ...args], { encoding: 'utf8' });
+}
+
+describe('ccg', () => {
+  let campaignDir;
+  let emptyDir;
+  let emojiDir;
+
+  before(() => {
+    campaignDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-campaign-'));
+    emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-empty-'));
+    emojiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-emoji-'));
+
+    fs.writeFileSync(path.join(campaignDir, 'website.md'),
+      '# Meet the EcoBottle\n\nThe EcoBottle keeps your drinks cold for 24 hours. Order yours today.\n');
+    fs.writeFileSync(path.join(campaignDir, 'twitter.txt'),
+      'Meet the EcoBottle: cold drinks for 24 hours. Order yours today!\n');
+    fs.writeFileSync(path.join(emojiDir, 'website.txt'), '🎉🎉 🚀\n');
+    fs.writeFileSync(path.join(emojiDir, 'twitter.txt'), '🔥 🔥\n');
+  });
+
+  after(() => {
+    fs.rmSync(campaignDir, { recursive: true, force: true });
+    fs.rmSync(emptyDir, { recursive: true, force: true });
+    fs.rmSync(emojiDir, { recursive: true, force: true });
+  });
+
+  it('exits with 0 when the campaign meets its minimums', () => {
+    const { status, stdout } = ccg(['analyze', campaignDir, '--min-score', '0', '--json']);
+
+    assert.equal(status, 0);
+    assert.equal(JSON.parse(stdout).passed, true);
+  });
+
+  it('exits with 1 when the campaign falls short of a minimum', () => {
+    const { status, stdout } = ccg(['analyze', campaignDir, '--min-score', '100', '--json']);
+
+    assert.equal(status, 1);
+    assert.equal(JSON.parse(stdout).passed, false);
+  });
+
+  it('exits with 1 when content without words falls short of a minimum', () => {
+    const { status, stdout } = ccg(['analyze', emojiDir, '--min-score', '90']);
+
+    assert.equal(status, 1);
+    assert.doesNotMatch(stdout, /NaN/);
+  });
+
+  it('exits with 0 for --help', () => {
+    assert.equal(ccg(['--help']).status, 0);
+  });
+
+  it('exits with 2 for an unknown command or option', () => {
+    assert.equal(ccg(['grade', campaignDir]).status, 2);
+    assert.equal(ccg(['analyze', campaignDir, '--min-scor', '70']).status, 2);
+  });
+
+  it('exits with 2 for an invalid minimum', () => {
+    const { status, stderr } = ccg(['analyze', campaignDir, '--min-score', '120']);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /--min-score must be a number between 0 and 100/);
+  });
+
+  it('exits with 2 when the directory has no content files', () => {
+    const { status, stderr } = ccg(['analyze', emptyDir]);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /No content files found/);
+  });
+});
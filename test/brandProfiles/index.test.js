@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBrandProfile } = require('../../server/brandProfiles');
+const example = require('../../server/brandProfiles/example.json');
+
+describe('validateBrandProfile', () => {
+  it('accepts the example profile', () => {
+    assert.deepEqual(validateBrandProfile(example), { valid: true, errors: [] });
+  });
+
+  it('accepts pillars written as plain names and a single target tone', () => {
+    assert.equal(validateBrandProfile({ pillars: ['Simplicity'], targetTone: 'professional' }).valid, true);
+  });
+
+  it('rejects a profile that is not an object', () => {
+    assert.equal(validateBrandProfile(['cheap']).valid, false);
+    assert.equal(validateBrandProfile(null).valid, false);
+  });
+
+  it('rejects fields of the wrong type', () => {
+    assert.deepEqual(validateBrandProfile({ pillars: 'x', bannedWords: 'cheap' }).errors, [
+      'pillars must be a list of pillar names or { "name", "terms" } objects',
+      'bannedWords must be a list of words or phrases'
+    ]);
+  });
+
+  it('rejects a pillar without a name and a terminology entry without a preferred term', () => {
+    assert.deepEqual(validateBrandProfile({
+      pillars: [{ terms: ['simple'] }],
+      terminology: [{ avoid: ['register'] }]
+    }).errors, ['pillars[0] needs a name', 'terminology[0] needs a preferred term']);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.deepEqual(validateBrandProfile({ bannedWord: ['cheap'] }).errors, ['Unknown brand profile field: bannedWord']);
+  });
+
+  it('rejects an inverted sentiment range', () => {
+    assert.deepEqual(validateBrandProfile({ sentimentRange: { min: 1, max: 0 } }).errors, [
+      'sentimentRange.min must not be greater than sentimentRange.max'
+    ]);
+  });
+});
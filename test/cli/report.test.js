@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkMinimums, dimensionScores } = require('../../server/cli/report');
+
+/**
+ * Builds the parts of analysis results the CLI report reads
+ *
+ * @param {Object} scores - Overall score and dimension scores (0-1)
+ * @returns {Object} Analysis results
+ */
+function results({ overall, keywords = 0.8, conflicts = 0 }) {
+  return {
+    overallConsistencyScore: overall,
+    sentimentAnalysis: { variance: 0.1 },
+    keywordAnalysis: { consistencyScore: keywords },
+    toneAnalysis: { consistencyScore: 0.9 },
+    similarityMatrix: { averageSimilarity: 0.7 },
+    readabilityAnalysis: { consistencyScore: null },
+    factAnalysis: { conflicts: new Array(conflicts).fill({}) }
+  };
+}
+
+describe('dimensionScores', () => {
+  it('scores each dimension from 0 to 100, keeping dimensions without a score as null', () => {
+    assert.deepEqual(dimensionScores(results({ overall: 80 })), {
+      sentiment: 90,
+      keywords: 80,
+      tone: 90,
+      similarity: 70,
+      readability: null
+    });
+  });
+});
+
+describe('checkMinimums', () => {
+  it('passes results that meet every minimum', () => {
+    assert.deepEqual(checkMinimums(results({ overall: 80 }), {
+      score: 70,
+      dimensions: { keywords: 80, readability: 90 },
+      maxFactConflicts: 0
+    }), []);
+  });
+
+  it('lists every minimum the results fall short of', () => {
+    assert.deepEqual(checkMinimums(results({ overall: 60, conflicts: 2 }), {
+      score: 70,
+      dimensions: { tone: 95 },
+      maxFactConflicts: 1
+    }), [
+      'Overall score 60 is below the minimum of 70',
+      'Tone score 90 is below the minimum of 95',
+      '2 fact conflict(s) found, at most 1 allowed'
+    ]);
+  });
+
+  it('fails scores that could not be calculated', () => {
+    assert.deepEqual(checkMinimums(results({ overall: NaN, keywords: NaN }), {
+      score: 0,
+      dimensions: { keywords: 0 }
+    }), [
+      'Overall score could not be calculated, so it does not meet the minimum of 0',
+      'Keywords score could not be calculated, so it does not meet the minimum of 0'
+    ]);
+  });
+});
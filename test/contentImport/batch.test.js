@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_BATCH_MESSAGES, parseBatchFile, normalizeBatch } = require('../../server/contentImport/batch');
+
+describe('normalizeBatch', () => {
+  it('reads flat rows and rows with platform content, leaving out empty platforms', () => {
+    assert.deepEqual(normalizeBatch([
+      { Name: 'Teaser', Website: 'Coming soon.', 'Press Release': ' Acme announces ', twitter: '' },
+      { message: 'Launch', platformContent: { website: 'Out now.', twitter: 5 } },
+      { website: 'Follow-up.' }
+    ]), [
+      { message: 'Teaser', platformContent: { website: 'Coming soon.', 'press-release': 'Acme announces' } },
+      { message: 'Launch', platformContent: { website: 'Out now.' } },
+      { message: 'Message 3', platformContent: { website: 'Follow-up.' } }
+    ]);
+  });
+
+  it('rejects empty and oversized batches', () => {
+    assert.throws(() => normalizeBatch([]), { message: 'A batch must contain at least one message' });
+    assert.throws(() => normalizeBatch({ message: 'Launch' }), { message: 'A batch must contain at least one message' });
+    assert.throws(
+      () => normalizeBatch(Array.from({ length: MAX_BATCH_MESSAGES + 1 }, () => ({ website: 'Hi' }))),
+      { message: `A batch may contain at most ${MAX_BATCH_MESSAGES} messages` }
+    );
+  });
+
+  it('rejects messages that are not objects', () => {
+    assert.throws(() => normalizeBatch([{ website: 'Hi' }, 'Launch']), { message: 'Message 2 must be an object' });
+    assert.throws(
+      () => normalizeBatch([{ message: 'Launch', platformContent: 'Out now.' }]),
+      { message: 'The platform content of "Launch" must be an object' }
+    );
+  });
+});
+
+describe('parseBatchFile', () => {
+  it('reads a CSV file with one column per platform', () => {
+    const csv = '\uFEFFMessage,Website,Press Release,Twitter\n' +
+      'Teaser,Coming soon.,"Acme, Inc. announces",\n' +
+      'Launch,Out now.,,Out now!\n';
+
+    assert.deepEqual(parseBatchFile('launch.CSV', Buffer.from(csv)), [
+      { message: 'Teaser', platformContent: { website: 'Coming soon.', 'press-release': 'Acme, Inc. announces' } },
+      { message: 'Launch', platformContent: { website: 'Out now.', twitter: 'Out now!' } }
+    ]);
+  });
+
+  it('reads a JSON list or an object with a messages list', () => {
+    const messages = [{ message: 'Launch', website: 'Out now.' }];
+    const expected = [{ message: 'Launch', platformContent: { website: 'Out now.' } }];
+
+    assert.deepEqual(parseBatchFile('launch.json', Buffer.from(JSON.stringify(messages))), expected);
+    assert.deepEqual(parseBatchFile('launch.json', Buffer.from(JSON.stringify({ messages }))), expected);
+  });
+
+  it('rejects invalid JSON and other file types', () => {
+    assert.throws(() => parseBatchFile('launch.json', Buffer.from('{')), /^Error: launch\.json is not valid JSON/);
+    assert.throws(
+      () => parseBatchFile('launch.xlsx', Buffer.from('')),
+      { message: 'Unsupported batch file: launch.xlsx. Use a .csv or .json file' }
+    );
+  });
+});
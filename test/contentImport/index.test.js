@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { importFile, detectFormat, guessPlatform } = require('../../server/contentImport');
+
+/**
+ * Imports a file from its text
+ *
+ * @param {String} fileName - File name
+ * @param {String} contents - File contents
+ * @returns {Object} Imported file
+ */
+function importText(fileName, contents) {
+  return importFile(fileName, Buffer.from(contents));
+}
+
+describe('importFile', () => {
+  it('reads Markdown front matter and strips the Markdown syntax', async () => {
+    const imported = await importText('launch.md', [
+      '---',
+      'title: "Spring Launch"',
+      'platform: LinkedIn',
+      '---',
+      '# Meet the EcoBottle',
+      '',
+      'It keeps drinks **cold** for [24 hours](https://example.com).',
+      '',
+      '```js',
+      'console.log(1)',
+      '```',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual(imported, {
+      fileName: 'launch.md',
+      format: 'markdown',
+      platform: 'linkedin',
+      title: 'Spring Launch',
+      text: 'Meet the EcoBottle\n\nIt keeps drinks cold for 24 hours (https://example.com).'
+    });
+  });
+
+  it('keeps only the main content of an HTML page', async () => {
+    const imported = await importText('homepage.html',
+      '<html><head><title>EcoBottle &amp; more</title></head><body>' +
+      '<nav>Home | Shop</nav>' +
+      '<main><h1>Meet the EcoBottle</h1><p>Cold for&nbsp;24 hours.</p></main>' +
+      '<footer>© 2024 Acme. All rights reserved.</footer>' +
+      '</body></html>');
+
+    assert.equal(imported.platform, 'website');
+    assert.equal(imported.title, 'EcoBottle & more');
+    assert.equal(imported.text, 'Meet the EcoBottle\nCold for 24 hours.');
+  });
+
+  it('drops boilerplate lines from plain text', async () => {
+    const imported = await importText('tweets.txt', '\uFEFFCold drinks all day.\n\nUnsubscribe here\n\n\n\nOrder now.');
+
+    assert.equal(imported.platform, 'twitter');
+    assert.equal(imported.text, 'Cold drinks all day.\n\nOrder now.');
+  });
+
+  it('decodes an email and leaves out the quoted reply', async () => {
+    const imported = await importText('newsletter.eml', [
+      'From: Acme <news@acme.test>',
+      'Subject: =?UTF-8?Q?Spring_=E2=80=93_launch?=',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Meet the EcoBottle =E2=80=93 cold for 24 hours.',
+      '',
+      'On Mon, Jan 1, 2024 at 10:00 Bob wrote:',
+      '> old text',
+      ''
+    ].join('\r\n'));
+
+    assert.equal(imported.platform, 'email');
+    assert.equal(imported.title, 'Spring – launch');
+    assert.equal(imported.text, 'Meet the EcoBottle – cold for 24 hours.');
+  });
+
+  it('rejects unsupported file types', async () => {
+    await assert.rejects(importText('deck.pdf', 'x'), {
+      message: 'Unsupported file type: deck.pdf. Use one of: .md, .markdown, .html, .htm, .docx, .txt, .eml'
+    });
+  });
+});
+
+describe('detectFormat', () => {
+  it('detects the format from the extension, ignoring case', () => {
+    assert.equal(detectFormat('Brief.DOCX'), 'docx');
+    assert.equal(detectFormat('notes.pdf'), null);
+  });
+});
+
+describe('guessPlatform', () => {
+  it('guesses the platform from whole words of the file name', () => {
+    assert.equal(guessPlatform('spring-fb-post.md'), 'facebook');
+    assert.equal(guessPlatform('press_release.docx'), 'press-release');
+    assert.equal(guessPlatform('summary.txt'), null);
+  });
+});
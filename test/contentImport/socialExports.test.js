@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  importSocialExport,
+  filterPosts,
+  postsToPlatformContent
+} = require('../../server/contentImport/socialExports');
+
+/**
+ * Imports an export file from its text
+ *
+ * @param {String} fileName - File name
+ * @param {String} contents - File contents
+ * @returns {Object} Imported export
+ */
+function importText(fileName, contents) {
+  return importSocialExport(fileName, Buffer.from(contents));
+}
+
+describe('importSocialExport', () => {
+  it('reads a Twitter archive without retweets, expanding short links', () => {
+    const tweets = [
+      {
+        tweet: {
+          created_at: 'Tue Mar 05 10:00:00 +0000 2024',
+          full_text: 'Meet the EcoBottle &amp; stay cold https://t.co/abc #EcoBottle',
+          entities: {
+            urls: [{ url: 'https://t.co/abc', expanded_url: 'https://acme.test/eco' }],
+            hashtags: [{ text: 'EcoBottle' }]
+          }
+        }
+      },
+      { tweet: { created_at: 'Mon Mar 04 10:00:00 +0000 2024', full_text: 'RT @acme: old news', entities: {} } },
+      { tweet: { created_at: 'Mon Mar 04 09:00:00 +0000 2024', full_text: 'Launching tomorrow', entities: {} } }
+    ];
+
+    assert.deepEqual(importText('tweets.js', `window.YTD.tweets.part0 = ${JSON.stringify(tweets)};`), {
+      fileName: 'tweets.js',
+      platform: 'twitter',
+      posts: [
+        { date: '2024-03-04T09:00:00.000Z', text: 'Launching tomorrow', hashtags: [] },
+        {
+          date: '2024-03-05T10:00:00.000Z',
+          text: 'Meet the EcoBottle & stay cold https://acme.test/eco #EcoBottle',
+          hashtags: ['ecobottle']
+        }
+      ]
+    });
+  });
+
+  it('rejects a broken Twitter archive', () => {
+    assert.throws(() => importText('tweets.js', 'window.YTD.tweets.part0 = {'), {
+      message: 'tweets.js is not a valid Twitter archive file'
+    });
+  });
+
+  it('tells LinkedIn and Facebook CSV exports apart by their columns', () => {
+    const linkedin = importText('Shares.csv', [
+      'Date,ShareLink,ShareCommentary',
+      '2024-03-05T10:00:00Z,https://acme.test/a,"Meet the EcoBottle, #launch"',
+      '2024-03-01T10:00:00Z,https://acme.test/b,Coming soon'
+    ].join('\n'));
+    const facebook = importText('page-posts.csv', 'Post ID,Publish time,Message\n1,2024-03-02T10:00:00Z,Hello fans\n');
+
+    assert.equal(linkedin.platform, 'linkedin');
+    assert.deepEqual(linkedin.posts, [
+      { date: '2024-03-01T10:00:00.000Z', text: 'Coming soon', hashtags: [] },
+      { date: '2024-03-05T10:00:00.000Z', text: 'Meet the EcoBottle, #launch', hashtags: ['launch'] }
+    ]);
+    assert.equal(facebook.platform, 'facebook');
+    assert.equal(facebook.posts[0].text, 'Hello fans');
+  });
+
+  it('rejects a CSV file without a post text column', () => {
+    assert.throws(() => importText('stats.csv', 'Likes,Shares\n1,2\n'), /^Error: stats\.csv has no post text column/);
+  });
+
+  it('reads RSS items and Atom entries, using categories as hashtags', () => {
+    const rss = importText('feed.xml',
+      '<rss><channel><item><title>Spring &amp; launch</title>' +
+      '<pubDate>Tue, 05 Mar 2024 10:00:00 GMT</pubDate><category>Product News</category>' +
+      '<description>&lt;p&gt;Meet the &lt;b&gt;EcoBottle&lt;/b&gt;&lt;/p&gt;</description>' +
+      '</item></channel></rss>');
+    const atom = importText('feed.atom',
+      '<feed><entry><title>Hi</title><published>2024-03-01T00:00:00Z</published><category term="News"/>' +
+      '<content type="html"><![CDATA[<p>Atom #Eco</p>]]></content></entry></feed>');
+
+    assert.deepEqual(rss.posts, [
+      { date: '2024-03-05T10:00:00.000Z', text: 'Spring & launch\nMeet the EcoBottle', hashtags: ['productnews'] }
+    ]);
+    assert.deepEqual(atom.posts, [
+      { date: '2024-03-01T00:00:00.000Z', text: 'Hi\nAtom #Eco', hashtags: ['news', 'eco'] }
+    ]);
+  });
+
+  it('rejects other file types', () => {
+    assert.throws(() => importText('notes.pdf', 'x'), {
+      message: 'Unsupported export file: notes.pdf. Use tweets.js, a .csv export or an RSS/Atom .xml feed'
+    });
+  });
+});
+
+describe('filterPosts', () => {
+  const posts = [
+    { date: '2024-03-01T10:00:00.000Z', text: 'a', hashtags: ['eco'] },
+    { date: '2024-03-05T10:00:00.000Z', text: 'b', hashtags: ['launch'] },
+    { date: null, text: 'c', hashtags: ['eco'] }
+  ];
+
+  it('includes the whole day of a date-only end date and drops undated posts', () => {
+    assert.deepEqual(filterPosts(posts, { to: '2024-03-01' }).map(post => post.text), ['a']);
+  });
+
+  it('matches hashtags with or without the # sign, ignoring case', () => {
+    assert.deepEqual(filterPosts(posts, { hashtags: ['#Eco'] }).map(post => post.text), ['a', 'c']);
+  });
+});
+
+describe('postsToPlatformContent', () => {
+  const exports = [
+    { platform: 'twitter', posts: [{ date: '2024-03-02', text: 'b' }, { date: '2024-03-01', text: 'a' }] },
+    { platform: 'blog', posts: [] }
+  ];
+
+  it('joins each platform\'s posts in date order and skips platforms without posts', () => {
+    assert.deepEqual(postsToPlatformContent(exports), { twitter: 'a\n\nb' });
+  });
+
+  it('keeps every post as its own platform in separate mode', () => {
+    assert.deepEqual(postsToPlatformContent(exports, 'separate'), { 'twitter-1': 'a', 'twitter-2': 'b' });
+  });
+});
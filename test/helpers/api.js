@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Starts the API server on a free port, with saved analyses, rule packs and
+ * scoring presets kept in a temporary directory
+ *
+ * @returns {Promise<Object>} { request, upload, close, dataDir } - request(method, path, body) and
+ *   upload(path, files, fields, fileField) resolve to { status, body }; files are { name, contents }, sent
+ *   as the "files" field unless fileField names another, and a field given as an array is sent once per value
+ */
+async function startServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-api-'));
+  process.env.ANALYSES_DIR = path.join(dataDir, 'analyses');
+  process.env.RULE_PACKS_DIR = path.join(dataDir, 'rule-packs');
+  process.env.SCORING_PRESETS_DIR = path.join(dataDir, 'scoring-presets');
+
+  const app = require('../../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, body) {
+    const response = await fetch(base + urlPath, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+
+    return {
+      status: response.status,
+      body: type.includes('application/json') ? await response.json() : await response.text()
+    };
+  }
+
+  async function upload(urlPath, files, fields = {}, fileField = 'files') {
+    const form = new FormData();
+
+    files.forEach(({ name, contents }) => form.append(fileField, new Blob([contents]), name));
+    for (const field in fields) {
+      [].concat(fields[field]).forEach(value => form.append(field, value));
+    }
+
+    const response = await fetch(base + urlPath, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { request, upload, close, dataDir };
+}
+
+module.exports = {
+  startServer
+};
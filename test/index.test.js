@@ -0,0 +1,379 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/api');
+
+const platformContent = {
+  website: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today.',
+  twitter: 'Meet the EcoBottle: cold drinks for 24 hours. Order yours today!'
+};
+
+describe('API', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  describe('POST /api/analyze', () => {
+    it('rejects languages that are not supported language codes', async () => {
+      for (const language of ['constructor', 'toString', ['es']]) {
+        const { status, body } = await api.request('POST', '/api/analyze', {
+          platformContent,
+          languages: { twitter: language },
+          save: false
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid languages');
+      }
+    });
+  });
+
+  describe('brand profiles', () => {
+    it('lists the stored profiles and returns one by name', async () => {
+      const listed = await api.request('GET', '/api/brand-profiles');
+      const profile = await api.request('GET', '/api/brand-profiles/example');
+
+      assert.ok(listed.body.profiles.includes('example'));
+      assert.equal(profile.status, 200);
+      assert.deepEqual(profile.body.bannedWords, ['cheap', 'guarantee', 'revolutionary']);
+      assert.equal((await api.request('GET', '/api/brand-profiles/missing')).status, 404);
+    });
+
+    it('checks an analysis against a profile and rejects unknown or invalid ones', async () => {
+      const checked = await api.request('POST', '/api/analyze', { platformContent, brandProfile: 'example', save: false });
+      const unknown = await api.request('POST', '/api/analyze', { platformContent, brandProfile: 'missing', save: false });
+      const invalid = await api.request('POST', '/api/analyze', {
+        platformContent,
+        brandProfile: { bannedWords: 'cheap' },
+        save: false
+      });
+
+      assert.equal(checked.status, 200);
+      assert.equal(checked.body.brandCompliance.profile, 'example');
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.error, 'Unknown brand profile: missing');
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error, 'Invalid brand profile');
+    });
+  });
+
+  describe('source of truth mode', () => {
+    it('rejects a reference platform that is not one of the platforms', async () => {
+      for (const referencePlatform of ['constructor', ['twitter']]) {
+        const { status, body } = await api.request('POST', '/api/analyze', { platformContent, referencePlatform, save: false });
+
+        assert.equal(status, 400);
+        assert.match(body.error, /^Reference platform has no content/);
+      }
+    });
+  });
+
+  describe('analysis history', () => {
+    it('saves an analysis under its campaign and lists it', async () => {
+      const saved = await api.request('POST', '/api/analyze', { platformContent, campaign: 'Spring Launch' });
+      const listed = await api.request('GET', '/api/analyses?campaign=spring');
+
+      assert.equal(saved.status, 200);
+      assert.equal(listed.status, 200);
+      assert.deepEqual(listed.body.analyses.map(analysis => analysis.id), [saved.body.analysisId]);
+    });
+
+    it('rejects a campaign that is not a name', async () => {
+      const { status, body } = await api.request('POST', '/api/analyze', { platformContent, campaign: 5 });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Campaign must be a name (text)');
+      assert.equal((await api.request('GET', '/api/analyses?campaign=5')).status, 200);
+    });
+
+    it('exports a saved analysis as a report', async () => {
+      const saved = await api.request('POST', '/api/analyze', { platformContent, campaign: 'Report' });
+      const { status, body } = await api.request('GET', `/api/analyses/${saved.body.analysisId}/report?format=markdown`);
+
+      assert.equal(status, 200);
+      assert.match(body, /^# Content Consistency Report: Report/);
+
+      for (const format of ['pdf', 'constructor', 'toString', '__proto__']) {
+        const rejected = await api.request('GET', `/api/analyses/${saved.body.analysisId}/report?format=${format}`);
+        assert.equal(rejected.status, 400);
+      }
+    });
+
+    it('rejects a filter given more than once', async () => {
+      const { status } = await api.request('GET', '/api/analyses?campaign=a&campaign=b');
+      assert.equal(status, 400);
+    });
+
+    it('rejects a date filter that is not a date', async () => {
+      const { status, body } = await api.request('GET', '/api/analyses?from=yesterday');
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid date: yesterday');
+    });
+
+    it('returns a saved analysis and deletes it', async () => {
+      const saved = await api.request('POST', '/api/analyze', { platformContent, campaign: 'Delete' });
+      const loaded = await api.request('GET', `/api/analyses/${saved.body.analysisId}`);
+
+      assert.equal(loaded.status, 200);
+      assert.equal(loaded.body.campaign, 'Delete');
+      assert.deepEqual(loaded.body.inputs.platformContent, platformContent);
+      assert.equal((await api.request('DELETE', `/api/analyses/${saved.body.analysisId}`)).status, 204);
+      assert.equal((await api.request('GET', `/api/analyses/${saved.body.analysisId}`)).status, 404);
+      assert.equal((await api.request('DELETE', `/api/analyses/${saved.body.analysisId}`)).status, 404);
+    });
+  });
+
+  describe('POST /api/analyze/batch', () => {
+    it('analyzes every message of a batch and summarizes the campaign', async () => {
+      const { status, body } = await api.request('POST', '/api/analyze/batch', {
+        campaign: 'Spring',
+        save: false,
+        messages: [
+          { message: 'Teaser', platformContent },
+          { message: 'Launch', website: 'Out now.' },
+          { message: 'Empty', website: '' }
+        ]
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.campaign, 'Spring');
+      assert.deepEqual(body.messages.map(entry => entry.message), ['Teaser', 'Launch', 'Empty']);
+      assert.equal(typeof body.messages[0].result.overallConsistencyScore, 'number');
+      assert.match(body.messages[1].error, /^At least two content samples/);
+      assert.equal(body.messages[2].error, 'No content provided for analysis');
+      assert.ok(body.summary);
+    });
+
+    it('analyzes an uploaded CSV batch and saves each message under the campaign', async () => {
+      const csv = 'message,website,twitter\n' +
+        `Launch,${platformContent.website},${platformContent.twitter}\n`;
+      const uploaded = await api.upload('/api/analyze/batch', [{ name: 'launch.csv', contents: csv }], { campaign: 'Upload' }, 'file');
+      const listed = await api.request('GET', '/api/analyses?campaign=upload');
+
+      assert.equal(uploaded.status, 200);
+      assert.ok(uploaded.body.messages[0].result.analysisId);
+      assert.deepEqual(listed.body.analyses.map(analysis => analysis.campaign), ['Upload: Launch']);
+    });
+
+    it('rejects invalid batches, campaigns and settings', async () => {
+      const messages = [{ message: 'Teaser', platformContent }];
+      const empty = await api.request('POST', '/api/analyze/batch', { messages: [] });
+      const noFile = await api.upload('/api/analyze/batch', [], { campaign: 'Upload' });
+      const campaign = await api.request('POST', '/api/analyze/batch', { messages, campaign: ['Spring'] });
+      const settings = await api.request('POST', '/api/analyze/batch', { messages, similarityMetric: 'euclid' });
+
+      assert.equal(empty.status, 400);
+      assert.equal(noFile.status, 400);
+      assert.equal(noFile.body.error, 'A batch must contain at least one message');
+      assert.equal(campaign.status, 400);
+      assert.equal(campaign.body.error, 'Campaign must be a name (text)');
+      assert.equal(settings.status, 400);
+      assert.match(settings.body.error, /^Unknown similarity metric/);
+    });
+  });
+
+  describe('POST /api/analyses/compare', () => {
+    it('compares a saved analysis with new content', async () => {
+      const saved = await api.request('POST', '/api/analyze', { platformContent, campaign: 'Compare' });
+      const { status, body } = await api.request('POST', '/api/analyses/compare', {
+        before: saved.body.analysisId,
+        after: { platformContent: { ...platformContent, twitter: 'Summer party tonight, come dance with us!' }, campaign: 'Other' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.before.id, saved.body.analysisId);
+      assert.equal(body.after.id, null);
+      assert.deepEqual(body.warnings, ['Comparing different campaigns: "Compare" and "Other"']);
+      assert.ok(body.comparison.overallScore.change < 0);
+    });
+
+    it('rejects missing, unknown and invalid runs', async () => {
+      const missing = await api.request('POST', '/api/analyses/compare', { before: { platformContent } });
+      const unknown = await api.request('POST', '/api/analyses/compare', { before: 'missing', after: { platformContent } });
+      const campaign = await api.request('POST', '/api/analyses/compare', {
+        before: { platformContent, campaign: 5 },
+        after: { platformContent }
+      });
+
+      assert.equal(missing.status, 400);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.error, 'Invalid "before" analysis: Analysis not found: missing');
+      assert.equal(campaign.status, 400);
+      assert.equal(campaign.body.error, 'Invalid "before" analysis: Campaign must be a name (text)');
+    });
+  });
+
+  describe('analysis jobs', () => {
+    async function waitForJob(id) {
+      for (;;) {
+        const { body } = await api.request('GET', `/api/jobs/${id}`);
+        if (['completed', 'failed', 'cancelled'].includes(body.status)) return body;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+
+    it('runs an analysis as a job and saves its result', async () => {
+      const { status, body } = await api.request('POST', '/api/jobs', { platformContent, campaign: 'Job' });
+
+      assert.equal(status, 202);
+      assert.equal(body.kind, 'analysis');
+
+      const job = await waitForJob(body.id);
+
+      assert.equal(job.status, 'completed');
+      assert.equal((await api.request('GET', `/api/analyses/${job.result.analysisId}`)).status, 200);
+      assert.equal((await api.request('DELETE', `/api/jobs/${body.id}`)).status, 409);
+    });
+
+    it('streams a finished job\'s final state as an event', async () => {
+      const { body } = await api.request('POST', '/api/jobs', { platformContent, save: false });
+      await waitForJob(body.id);
+
+      const events = await api.request('GET', `/api/jobs/${body.id}/events`);
+
+      assert.match(events.body, /^event: completed\ndata: \{/);
+    });
+
+    it('rejects jobs without content or with a campaign that is not a name', async () => {
+      const missing = await api.request('POST', '/api/jobs', { platformContent: {} });
+      const campaign = await api.request('POST', '/api/jobs', { platformContent, campaign: ['Job'] });
+
+      assert.equal(missing.status, 400);
+      assert.equal(campaign.status, 400);
+      assert.equal(campaign.body.error, 'Campaign must be a name (text)');
+    });
+
+    it('returns 404 for jobs that do not exist', async () => {
+      assert.equal((await api.request('GET', '/api/jobs/missing')).status, 404);
+      assert.equal((await api.request('GET', '/api/jobs/missing/events')).status, 404);
+      assert.equal((await api.request('DELETE', '/api/jobs/missing')).status, 404);
+    });
+  });
+
+  describe('scoring presets', () => {
+    it('lists the built-in presets and returns one by name', async () => {
+      const listed = await api.request('GET', '/api/scoring-presets');
+      const legal = await api.request('GET', '/api/scoring-presets/legal');
+
+      assert.deepEqual(listed.body.presets.slice(0, 2), ['legal', 'social']);
+      assert.equal(legal.body.name, 'legal');
+      assert.equal(typeof legal.body.config, 'object');
+      assert.equal((await api.request('GET', '/api/scoring-presets/missing')).status, 404);
+    });
+
+    it('saves a preset that analyses can then use', async () => {
+      const saved = await api.request('PUT', '/api/scoring-presets/launch', {
+        description: 'Launch week',
+        weights: { similarity: 0.5 }
+      });
+      const analyzed = await api.request('POST', '/api/analyze', { platformContent, scoringPreset: 'launch', save: false });
+
+      assert.equal(saved.status, 200);
+      assert.deepEqual(saved.body, { name: 'launch', description: 'Launch week', config: { weights: { similarity: 0.5 } } });
+      assert.ok((await api.request('GET', '/api/scoring-presets')).body.presets.includes('launch'));
+      assert.equal(analyzed.status, 200);
+      assert.ok(analyzed.body.scoringConfig.weights.similarity > analyzed.body.scoringConfig.weights.tone);
+    });
+
+    it('rejects built-in names, invalid names, descriptions and settings', async () => {
+      const builtIn = await api.request('PUT', '/api/scoring-presets/legal', { weights: { tone: 1 } });
+      const name = await api.request('PUT', '/api/scoring-presets/launch%20week', { weights: { tone: 1 } });
+      const description = await api.request('PUT', '/api/scoring-presets/launch', { description: { text: 'Launch' } });
+      const settings = await api.request('PUT', '/api/scoring-presets/launch', { weights: { tone: 'high' } });
+
+      assert.equal(builtIn.status, 409);
+      assert.equal(name.status, 400);
+      assert.equal(description.status, 400);
+      assert.equal(description.body.error, 'Preset description must be text');
+      assert.equal(settings.status, 400);
+      assert.equal(settings.body.error, 'Invalid scoring configuration');
+    });
+  });
+
+  describe('rule packs', () => {
+    it('lists the built-in and shipped packs and returns one by name', async () => {
+      const defaults = await api.request('GET', '/api/rule-packs/defaults');
+      const listed = await api.request('GET', '/api/rule-packs');
+      const newsletter = await api.request('GET', '/api/rule-packs/internal-newsletter');
+
+      assert.ok(defaults.body.twitter);
+      assert.ok(listed.body.packs.twitter && listed.body.packs['internal-newsletter']);
+      assert.equal(newsletter.body.label, 'Internal Newsletter');
+      assert.equal((await api.request('GET', '/api/rule-packs/missing')).status, 404);
+      assert.equal((await api.request('GET', '/api/rule-packs/constructor')).status, 404);
+    });
+
+    it('saves a pack merged over the built-in pack of the same name', async () => {
+      const { status, body } = await api.request('PUT', '/api/rule-packs/twitter', { hashtags: { max: 5 } });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.hashtags, { max: 5 });
+      assert.equal(body.label, 'Twitter');
+      assert.deepEqual((await api.request('GET', '/api/rule-packs/twitter')).body, body);
+    });
+
+    it('rejects invalid names and rules', async () => {
+      const name = await api.request('PUT', '/api/rule-packs/Twitter', { hashtags: { max: 5 } });
+      const rules = await api.request('PUT', '/api/rule-packs/press', { maxWords: -1 });
+      const merged = await api.request('PUT', '/api/rule-packs/twitter', { minCharacters: 500 });
+
+      assert.equal(name.status, 400);
+      assert.equal(rules.status, 400);
+      assert.equal(rules.body.error, 'Invalid rule pack');
+      assert.equal(merged.status, 400);
+    });
+  });
+
+  describe('POST /api/import/social', () => {
+    const shares = {
+      name: 'Shares.csv',
+      contents: 'Date,ShareLink,ShareCommentary\n' +
+        '2024-03-05T10:00:00Z,https://acme.test/a,Meet the EcoBottle #launch\n' +
+        '2024-03-01T10:00:00Z,https://acme.test/b,Coming soon #teaser\n'
+    };
+
+    it('imports the posts that match the hashtag filter', async () => {
+      const { status, body } = await api.upload('/api/import/social', [shares], { hashtags: '#launch' });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.platformContent, { linkedin: 'Meet the EcoBottle #launch' });
+    });
+
+    it('rejects a filter given more than once', async () => {
+      const repeated = {
+        hashtags: ['#launch', '#teaser'],
+        from: ['2024-03-01', '2024-03-02'],
+        mode: ['combine', 'separate']
+      };
+
+      for (const field in repeated) {
+        const { status, body } = await api.upload('/api/import/social', [shares], { [field]: repeated[field] });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, `The ${field} field must be given once, as text`);
+      }
+    });
+  });
+
+  describe('GET /api/tone-taxonomy/defaults', () => {
+    it('returns the tone taxonomy of a language', async () => {
+      const { status, body } = await api.request('GET', '/api/tone-taxonomy/defaults?language=es');
+
+      assert.equal(status, 200);
+      assert.equal(typeof body, 'object');
+    });
+
+    it('rejects unknown and inherited language names', async () => {
+      for (const language of ['it', 'constructor', '__proto__']) {
+        const { status } = await api.request('GET', `/api/tone-taxonomy/defaults?language=${language}`);
+        assert.equal(status, 400);
+      }
+    });
+  });
+});
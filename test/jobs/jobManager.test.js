@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// One worker slot, so a second job has to wait in the queue
+process.env.JOB_CONCURRENCY = '1';
+
+const jobManager = require('../../server/jobs/jobManager');
+
+const platformContent = {
+  website: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today.',
+  twitter: 'Meet the EcoBottle: cold drinks for 24 hours. Order yours today!'
+};
+
+function analysisTasks() {
+  return [{ message: null, platformContent, options: {} }];
+}
+
+/**
+ * Resolves with the job's final snapshot and every snapshot published before it
+ */
+function waitForJob(id) {
+  return new Promise(resolve => {
+    const updates = [];
+    const unsubscribe = jobManager.subscribe(id, snapshot => {
+      updates.push(snapshot);
+      if (jobManager.isFinished(snapshot.status)) {
+        unsubscribe();
+        resolve({ job: snapshot, updates });
+      }
+    });
+  });
+}
+
+describe('jobManager', () => {
+  it('runs a job in a worker and reports its progress and result', async () => {
+    const created = jobManager.createJob({
+      kind: 'analysis',
+      tasks: analysisTasks(),
+      finish: ([analyzed]) => ({ score: analyzed.result.overallConsistencyScore })
+    });
+
+    assert.equal(created.kind, 'analysis');
+    assert.equal(created.status, 'running');
+
+    const { job, updates } = await waitForJob(created.id);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.progress.percent, 100);
+    assert.equal(typeof job.result.score, 'number');
+    assert.ok(updates.some(update => update.status === 'running' && update.progress.stage));
+    assert.deepEqual(jobManager.getJob(created.id), job);
+  });
+
+  it('fails a job whose results cannot be finished', async () => {
+    const created = jobManager.createJob({
+      kind: 'analysis',
+      tasks: analysisTasks(),
+      finish: async () => {
+        throw new Error('Disk full');
+      }
+    });
+    const { job } = await waitForJob(created.id);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Disk full');
+    assert.equal(job.result, null);
+  });
+
+  it('reports a message that failed validation without analyzing it', async () => {
+    const created = jobManager.createJob({
+      kind: 'batch',
+      tasks: [{ message: 'Launch', error: 'No content provided for analysis' }],
+      finish: analyzed => analyzed
+    });
+    const { job } = await waitForJob(created.id);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result[0].error, 'No content provided for analysis');
+  });
+
+  it('queues jobs beyond the concurrency limit and cancels them', async () => {
+    const running = jobManager.createJob({ kind: 'analysis', tasks: analysisTasks(), finish: () => 'first' });
+    const queued = jobManager.createJob({ kind: 'analysis', tasks: analysisTasks(), finish: () => 'second' });
+
+    assert.equal(running.status, 'running');
+    assert.equal(queued.status, 'queued');
+
+    const cancelled = jobManager.cancelJob(queued.id);
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.startedAt, null);
+    assert.equal((await waitForJob(running.id)).job.result, 'first');
+    assert.equal(jobManager.getJob(queued.id).status, 'cancelled');
+  });
+
+  it('cancels a running job and starts the next one', async () => {
+    const running = jobManager.createJob({ kind: 'analysis', tasks: analysisTasks(), finish: () => 'first' });
+    const queued = jobManager.createJob({ kind: 'analysis', tasks: analysisTasks(), finish: () => 'second' });
+
+    const cancelled = jobManager.cancelJob(running.id);
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(jobManager.getJob(queued.id).status, 'running');
+    assert.equal((await waitForJob(queued.id)).job.result, 'second');
+  });
+
+  it('leaves finished jobs as they are when cancelled', async () => {
+    const created = jobManager.createJob({ kind: 'analysis', tasks: analysisTasks(), finish: () => 'done' });
+    const { job } = await waitForJob(created.id);
+
+    assert.deepEqual(jobManager.cancelJob(created.id), job);
+  });
+
+  it('returns null for jobs that do not exist', () => {
+    assert.equal(jobManager.getJob('missing'), null);
+    assert.equal(jobManager.cancelJob('missing'), null);
+    assert.equal(jobManager.subscribe('missing', () => {}), null);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+const { REPORT_FORMATS, isReportFormat, exportReport } = require('../../server/reports');
+
+describe('exportReport', () => {
+  let entry;
+
+  before(async () => {
+    const platformContent = {
+      website: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today for $24.99.',
+      twitter: 'Meet the EcoBottle: cold drinks for 24 hours. Only $29.99!'
+    };
+
+    entry = {
+      id: '00000000-0000-4000-8000-000000000000',
+      campaign: 'Spring Launch',
+      createdAt: '2024-03-01T10:00:00.000Z',
+      inputs: { platformContent },
+      results: await analyzeConsistency(platformContent)
+    };
+  });
+
+  it('names the file after the campaign and date', () => {
+    for (const format in REPORT_FORMATS) {
+      const report = exportReport(entry, format);
+
+      assert.equal(report.fileName, `spring-launch-2024-03-01.${REPORT_FORMATS[format].extension}`);
+      assert.equal(report.contentType, REPORT_FORMATS[format].contentType);
+    }
+  });
+
+  it('renders Markdown and HTML with the campaign, score and fact conflicts', () => {
+    const markdown = exportReport(entry, 'markdown').body;
+    const html = exportReport(entry, 'html').body;
+
+    assert.match(markdown, /^# Content Consistency Report: Spring Launch/);
+    assert.match(markdown, new RegExp(`${entry.results.overallConsistencyScore}`));
+    assert.match(markdown, /\$24\.99/);
+    assert.match(html, /<title>Content Consistency Report: Spring Launch<\/title>/);
+  });
+
+  it('renders one metric per CSV row under a header', () => {
+    const lines = exportReport(entry, 'csv').body.trim().split(/\r?\n/);
+
+    assert.equal(lines[0], 'section,platform,compared_with,metric,value');
+    assert.equal(lines[1], `overall,,,score,${entry.results.overallConsistencyScore}`);
+  });
+
+  it('exports the saved analysis itself as JSON', () => {
+    assert.deepEqual(JSON.parse(exportReport(entry, 'json').body), JSON.parse(JSON.stringify(entry)));
+  });
+
+  it('names the file after the date alone without a campaign', () => {
+    assert.equal(exportReport({ ...entry, campaign: '' }, 'json').fileName, 'consistency-report-2024-03-01.json');
+  });
+
+  it('rejects unknown and inherited format names', () => {
+    for (const format of ['pdf', 'constructor', 'toString', '__proto__']) {
+      assert.throws(() => exportReport(entry, format), /^Error: Unknown report format/);
+    }
+  });
+});
+
+describe('isReportFormat', () => {
+  it('accepts only the report formats', () => {
+    assert.equal(isReportFormat('csv'), true);
+    assert.equal(isReportFormat('hasOwnProperty'), false);
+    assert.equal(isReportFormat(['csv']), false);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ANALYSES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ccg-analyses-'));
+process.env.ANALYSES_DIR = ANALYSES_DIR;
+const analysisStore = require('../../server/storage/analysisStore');
+
+/**
+ * Saves a minimal analysis for a campaign
+ *
+ * @param {String} campaign - Campaign name
+ * @returns {Object} The stored entry
+ */
+function save(campaign) {
+  return analysisStore.saveAnalysis({
+    campaign,
+    inputs: { platformContent: { website: 'Hello', twitter: 'Hi' } },
+    results: { overallConsistencyScore: 80, scoringConfig: {} }
+  });
+}
+
+describe('analysisStore', () => {
+  let spring;
+  let summer;
+
+  before(async () => {
+    spring = await save('Spring Launch');
+    summer = await save('Summer Sale');
+  });
+
+  after(() => {
+    fs.rmSync(ANALYSES_DIR, { recursive: true, force: true });
+  });
+
+  it('lists summaries newest first', async () => {
+    assert.deepEqual(await analysisStore.listAnalyses(), [
+      {
+        id: summer.id,
+        campaign: 'Summer Sale',
+        createdAt: summer.createdAt,
+        overallConsistencyScore: 80,
+        platforms: ['website', 'twitter']
+      },
+      {
+        id: spring.id,
+        campaign: 'Spring Launch',
+        createdAt: spring.createdAt,
+        overallConsistencyScore: 80,
+        platforms: ['website', 'twitter']
+      }
+    ]);
+  });
+
+  it('filters by campaign name regardless of case', async () => {
+    const analyses = await analysisStore.listAnalyses({ campaign: 'spring' });
+    assert.deepEqual(analyses.map(analysis => analysis.id), [spring.id]);
+  });
+
+  it('lists from the index without reading the stored results', async () => {
+    const file = path.join(ANALYSES_DIR, `${spring.id}.json`);
+    const stored = fs.readFileSync(file, 'utf8');
+    fs.writeFileSync(file, 'not json');
+
+    try {
+      assert.equal((await analysisStore.listAnalyses()).length, 2);
+    } finally {
+      fs.writeFileSync(file, stored);
+    }
+  });
+
+  it('rebuilds a missing index from the stored analyses', async () => {
+    fs.unlinkSync(path.join(ANALYSES_DIR, 'index.json'));
+
+    const analyses = await analysisStore.listAnalyses();
+    assert.deepEqual(analyses.map(analysis => analysis.id), [summer.id, spring.id]);
+    assert.ok(fs.existsSync(path.join(ANALYSES_DIR, 'index.json')));
+  });
+
+  it('rejects a campaign name that is not a string', async () => {
+    await assert.rejects(save(5), { name: 'TypeError', message: 'Campaign must be a string' });
+  });
+
+  it('lists and filters analyses stored with a campaign that is not a string', async () => {
+    const legacy = JSON.parse(fs.readFileSync(path.join(ANALYSES_DIR, `${spring.id}.json`), 'utf8'));
+    const id = legacy.id.replace(/^.{8}/, '00000000');
+    fs.writeFileSync(path.join(ANALYSES_DIR, `${id}.json`), JSON.stringify({ ...legacy, id, campaign: 5 }));
+
+    try {
+      const analyses = await analysisStore.listAnalyses({ campaign: '5' });
+      assert.deepEqual(analyses.map(analysis => [analysis.id, analysis.campaign]), [[id, '5']]);
+    } finally {
+      await analysisStore.deleteAnalysis(id);
+    }
+  });
+
+  it('drops deleted analyses from the list', async () => {
+    assert.equal(await analysisStore.deleteAnalysis(summer.id), true);
+
+    const analyses = await analysisStore.listAnalyses();
+    assert.deepEqual(analyses.map(analysis => analysis.id), [spring.id]);
+  });
+});
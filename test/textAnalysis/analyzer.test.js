@@ -0,0 +1,214 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  analyzeConsistency,
+  performSentimentAnalysis,
+  calculateConsistencyScore,
+  calculateSimilarityMatrix,
+  SIMILARITY_METRICS
+} = require('../../server/textAnalysis/analyzer');
+const { buildDocuments } = require('../../server/textAnalysis/documentModel');
+
+describe('analyzeConsistency', () => {
+  it('leaves out the keyword score when the content has no keywords', async () => {
+    const results = await analyzeConsistency({ website: '🎉🎉 🚀', twitter: 'the and of' });
+
+    assert.equal(results.keywordAnalysis.consistencyScore, null);
+    assert.ok(Number.isFinite(results.overallConsistencyScore));
+    assert.equal(results.scoreBreakdown.components.keywords, undefined);
+  });
+});
+
+describe('performSentimentAnalysis', () => {
+  const platformContent = {
+    website: 'This is not bad. We love it!',
+    spain: 'Es excelente y muy bueno.'
+  };
+  const { platformSentiments } = performSentimentAnalysis(
+    platformContent,
+    undefined,
+    buildDocuments(platformContent, { spain: 'es' })
+  );
+
+  it('scores negated words with the opposite sign and locates each scored word', () => {
+    const { score, scoredWords } = platformSentiments.website;
+
+    assert.equal(score, 6);
+    assert.deepEqual(scoredWords, [
+      { word: 'bad', score: 3, start: 12, end: 15 },
+      { word: 'love', score: 3, start: 20, end: 24 }
+    ]);
+  });
+
+  it('scores each platform with the word list of its language', () => {
+    assert.deepEqual(platformSentiments.spain.positive.sort(), ['bueno', 'excelente']);
+  });
+});
+
+describe('calculateConsistencyScore', () => {
+  it('skips component scores that are not finite', () => {
+    const score = calculateConsistencyScore(
+      { variance: 0 },
+      { consistencyScore: NaN },
+      { consistencyScore: 1 },
+      { averageSimilarity: 1 }
+    );
+
+    assert.equal(score, 100);
+  });
+});
+
+describe('platform scores', () => {
+  const platformContent = {
+    website: 'The EcoBottle keeps your drinks cold for 24 hours. Order the EcoBottle online today and save.',
+    linkedin: 'The EcoBottle keeps drinks cold for 24 hours. Order online today.',
+    twitter: 'Summer party tonight, come dance with us lol'
+  };
+
+  it('scores each platform against the others and flags the one that trails clearly', async () => {
+    const { platformScores } = await analyzeConsistency(platformContent);
+
+    assert.equal(platformScores.outlier, 'twitter');
+    assert.equal(platformScores.platforms.twitter.outlier, true);
+    assert.equal(platformScores.platforms.website.outlier, false);
+    assert.deepEqual(
+      Object.keys(platformScores.platforms.website.components),
+      ['sentiment', 'keywords', 'tone', 'similarity', 'readability']
+    );
+    assert.ok(platformScores.platforms.twitter.score < platformScores.platforms.linkedin.score);
+  });
+
+  it('does not flag an outlier among two platforms', async () => {
+    const { platformScores } = await analyzeConsistency({ website: platformContent.website, twitter: platformContent.twitter });
+    assert.equal(platformScores.outlier, null);
+  });
+
+  it('scores a platform alone in its language on sentiment and tone only, and never flags it', async () => {
+    const { platformScores } = await analyzeConsistency({
+      website: platformContent.linkedin,
+      linkedin: platformContent.linkedin,
+      twitter: platformContent.linkedin,
+      spain: 'Oye, la fiesta mola. ¡Genial, totalmente genial!'
+    }, { languages: { spain: 'es' } });
+
+    assert.deepEqual(Object.keys(platformScores.platforms.spain.components), ['sentiment', 'tone']);
+    assert.ok(platformScores.platforms.spain.score < platformScores.platforms.website.score);
+    assert.equal(platformScores.outlier, null);
+  });
+});
+
+describe('calculateSimilarityMatrix', () => {
+  const platformContent = {
+    website: 'The EcoBottle keeps drinks cold for 24 hours. It is made from recycled steel and ships free to every country in Europe.',
+    twitter: 'The EcoBottle keeps drinks cold for 24 hours.',
+    spain: 'La EcoBottle mantiene las bebidas frías.'
+  };
+  const documents = buildDocuments(platformContent, { spain: 'es' });
+
+  it('does not penalise a short post that the long page contains, except with Jaccard', () => {
+    const { metrics } = calculateSimilarityMatrix(platformContent, { documents });
+
+    assert.deepEqual(Object.keys(metrics), SIMILARITY_METRICS);
+    assert.ok(metrics.jaccard.matrix.website.twitter < 0.5);
+    assert.equal(metrics.containment.matrix.website.twitter, 1);
+    assert.equal(metrics.stemmed.matrix.website.twitter, 1);
+    assert.equal(metrics.shingle.matrix.website.twitter, 1);
+  });
+
+  it('scores with the chosen metric and lists the terms it found on both platforms', () => {
+    const defaults = calculateSimilarityMatrix(platformContent, { documents });
+    const containment = calculateSimilarityMatrix(platformContent, { metric: 'containment', documents });
+
+    assert.equal(defaults.metric, 'jaccard');
+    assert.equal(containment.metric, 'containment');
+    assert.deepEqual(containment.matrix, containment.metrics.containment.matrix);
+    assert.equal(containment.averageSimilarity, 1);
+    assert.deepEqual(containment.overlap.website.twitter, {
+      count: 8,
+      terms: ['the', 'ecobottle', 'keeps', 'drinks', 'cold', 'for', '24', 'hours']
+    });
+  });
+
+  it('leaves pairs in different languages out of the matrix and the averages', () => {
+    const { matrix, overlap } = calculateSimilarityMatrix(platformContent, { documents });
+
+    assert.equal(matrix.website.spain, null);
+    assert.equal(overlap.website.spain, null);
+  });
+
+  it('rejects unknown metrics', async () => {
+    await assert.rejects(
+      analyzeConsistency(platformContent, { similarityMetric: 'euclid' }),
+      { message: 'Unknown similarity metric "euclid"' }
+    );
+  });
+});
+
+describe('score evidence', () => {
+  const platformContent = {
+    website: 'The EcoBottle costs $49. We love it, love it, and hate waste.',
+    twitter: 'The EcoBottle costs $59. Great bottle.'
+  };
+
+  it('breaks the overall score down into weighted contributions and the fact conflict penalty', async () => {
+    const { overallConsistencyScore, scoreBreakdown } = await analyzeConsistency(platformContent);
+    const { components, factPenalty } = scoreBreakdown;
+    const contributions = Object.values(components).reduce((sum, component) => sum + component.contribution, 0);
+
+    assert.deepEqual(Object.keys(components), ['sentiment', 'keywords', 'tone', 'similarity', 'readability']);
+    assert.deepEqual(components.tone, { score: 1, weight: 0.2, contribution: 20 });
+    assert.deepEqual(factPenalty, { conflicts: 1, points: 10 });
+    assert.equal(overallConsistencyScore, Math.round(contributions - factPenalty.points));
+  });
+
+  it('lists the words that drove each platform\'s sentiment, strongest first', async () => {
+    const { sentimentAnalysis } = await analyzeConsistency(platformContent);
+
+    assert.deepEqual(sentimentAnalysis.platformSentiments.website.drivers, [
+      { word: 'love', score: 6, count: 2 },
+      { word: 'hate', score: -3, count: 1 },
+      { word: 'waste', score: -1, count: 1 }
+    ]);
+  });
+
+  it('lists the keywords other platforms use that a platform lacks', async () => {
+    const { keywordAnalysis } = await analyzeConsistency(platformContent);
+    assert.deepEqual(keywordAnalysis.platformKeywords.twitter.missingKeywords, ['love', 'hate', 'waste']);
+  });
+});
+
+describe('annotations', () => {
+  const platformContent = {
+    website: 'Hey! The EcoBottle keeps drinks cold, which we love. Check it out today.',
+    twitter: 'The EcoBottle keeps drinks cold. Awesome stuff, check it out!'
+  };
+
+  it('locates each platform\'s top keywords in its content', async () => {
+    const { keywordAnalysis } = await analyzeConsistency(platformContent);
+    const { keywords, keywordMatches } = keywordAnalysis.platformKeywords.website;
+
+    assert.deepEqual(keywordMatches.slice(0, 2), [
+      { keyword: 'hey', start: 0, end: 3 },
+      { keyword: 'ecobottle', start: 9, end: 18 }
+    ]);
+    keywordMatches.forEach(({ keyword, start, end }) => {
+      assert.ok(keywords.includes(keyword));
+      assert.equal(platformContent.website.slice(start, end).toLowerCase(), keyword);
+    });
+  });
+
+  it('locates tone markers and sentiment words in the content', async () => {
+    const { toneAnalysis, sentimentAnalysis } = await analyzeConsistency(platformContent);
+    const markers = toneAnalysis.platformTones.twitter.markerMatches;
+    const words = sentimentAnalysis.platformSentiments.website.scoredWords;
+
+    assert.deepEqual(
+      markers.map(({ start, end }) => platformContent.twitter.slice(start, end)),
+      ['Awesome', 'stuff', 'check it out']
+    );
+    words.forEach(({ word, start, end }) => {
+      assert.equal(platformContent.website.slice(start, end).toLowerCase(), word);
+    });
+    assert.ok(words.some(({ word }) => word === 'love'));
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+const { resolveProfile } = require('../../server/brandProfiles');
+
+describe('brand compliance', () => {
+  let results;
+
+  before(async () => {
+    results = await analyzeConsistency({
+      website: 'Acme Cloud keeps your data secure and encrypted. Therefore, sign up today; it is simple.',
+      twitter: 'Cheap plans for all users!! Register now, awesome stuff.'
+    }, { brandProfile: resolveProfile('example') });
+  });
+
+  it('passes a platform that covers every pillar in the brand voice', () => {
+    const { website } = results.brandCompliance.platformCompliance;
+
+    assert.equal(website.compliant, true);
+    assert.equal(website.score, 1);
+    assert.deepEqual(website.pillarsCovered, ['Simplicity', 'Security']);
+  });
+
+  it('lists missing pillars, unapproved terms, banned words and the wrong tone', () => {
+    const { twitter } = results.brandCompliance.platformCompliance;
+
+    assert.equal(twitter.compliant, false);
+    assert.deepEqual(twitter.pillarsMissing, ['Simplicity', 'Security']);
+    assert.deepEqual(
+      twitter.violations.map(violation => [violation.type, violation.term]),
+      [
+        ['pillar', 'Simplicity'],
+        ['pillar', 'Security'],
+        ['terminology', 'register'],
+        ['terminology', 'users'],
+        ['banned', 'cheap'],
+        ['tone', 'casual']
+      ]
+    );
+    assert.equal(results.brandCompliance.compliant, false);
+    assert.equal(results.brandCompliance.score, Math.round((1 + twitter.score) / 2 * 100));
+  });
+
+  it('recommends one fix per kind of violation', () => {
+    const titles = results.recommendations
+      .filter(recommendation => recommendation.category === 'brand')
+      .map(recommendation => recommendation.title);
+
+    assert.deepEqual(titles, ['Remove banned words', 'Cover every messaging pillar', 'Use approved terminology', 'Match the brand voice']);
+  });
+
+  it('flags sentiment outside the profile\'s range', async () => {
+    const { brandCompliance } = await analyzeConsistency({
+      website: 'We love it. Amazing, wonderful, fantastic!',
+      twitter: 'The bottle holds one litre.'
+    }, { brandProfile: resolveProfile({ sentimentRange: { min: -0.5, max: 0.5 } }) });
+
+    assert.equal(brandCompliance.profile, 'inline');
+    assert.equal(brandCompliance.platformCompliance.website.sentimentInRange, false);
+    assert.equal(brandCompliance.platformCompliance.twitter.compliant, true);
+  });
+
+  it('only resolves stored profiles by a plain name', () => {
+    assert.equal(resolveProfile('example').name, 'example');
+    assert.equal(resolveProfile('missing'), null);
+    assert.equal(resolveProfile('../brandProfiles/example'), null);
+    assert.equal(resolveProfile(['example']), null);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+const { summarizeCampaign } = require('../../server/textAnalysis/campaignSummary');
+
+/**
+ * Analyzes each message of a campaign and summarizes the campaign
+ *
+ * @param {Array} messages - Platform content of each message
+ * @returns {Object} Campaign summary
+ */
+async function summarize(messages) {
+  const analyzed = await Promise.all(messages.map(async (platformContent, index) => ({
+    message: `message-${index + 1}`,
+    result: await analyzeConsistency(platformContent)
+  })));
+
+  return summarizeCampaign(analyzed);
+}
+
+describe('summarizeCampaign', () => {
+  it('reports a keyword one platform leaves out in more than one message', async () => {
+    const summary = await summarize([
+      {
+        website: 'Our EcoBottle keeps drinks cold for 24 hours. Order the EcoBottle today.',
+        twitter: 'The EcoBottle keeps drinks cold all day. Get yours.',
+        facebook: 'Our bottle keeps drinks cold. Order today.'
+      },
+      {
+        website: 'The EcoBottle is made from recycled steel. Order the EcoBottle now.',
+        twitter: 'EcoBottle: recycled steel, cold drinks. Order now.',
+        facebook: 'Made from recycled steel. Order now.'
+      }
+    ]);
+
+    assert.deepEqual(summary.recurringMissingKeywords, [
+      { keyword: 'ecobottle', platform: 'facebook', messages: ['message-1', 'message-2'] }
+    ]);
+  });
+
+  it('does not count keywords of another language as missing', async () => {
+    const summary = await summarize([
+      {
+        website: 'Our EcoBottle keeps drinks cold for 24 hours. Order the EcoBottle today.',
+        twitter: 'The EcoBottle keeps drinks cold all day. Get yours.',
+        germany: 'Unsere Trinkflasche hält Getränke den ganzen Tag kalt. Jetzt bestellen und sparen.'
+      },
+      {
+        website: 'The EcoBottle is made from recycled steel. Order the EcoBottle now.',
+        twitter: 'EcoBottle: recycled steel, cold drinks. Order now.',
+        germany: 'Die Trinkflasche besteht aus recyceltem Stahl. Jetzt bestellen.'
+      }
+    ]);
+
+    assert.deepEqual(summary.recurringMissingKeywords, []);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFacts } = require('../../server/textAnalysis/factExtraction');
+
+/**
+ * Lists the conflicts of an analysis as { type, context, values }, each value with its platforms
+ *
+ * @param {Object} platformContent - Content by platform
+ * @returns {Array} Conflicts
+ */
+function conflicts(platformContent) {
+  return analyzeFacts(platformContent).conflicts.map(conflict => ({
+    type: conflict.type,
+    context: conflict.context,
+    values: conflict.values.map(value => `${value.value}@${value.platforms.join(',')}`)
+  }));
+}
+
+describe('findConflicts', () => {
+  it('reports facts with the same context that disagree', () => {
+    assert.deepEqual(conflicts({
+      website: 'The EcoBottle costs $24.99.',
+      twitter: 'The EcoBottle costs $29.99.'
+    }), [{ type: 'currency', context: 'costs', values: ['$24.99@website', '$29.99@twitter'] }]);
+  });
+
+  it('finds no conflict when the platforms agree', () => {
+    assert.deepEqual(conflicts({
+      website: 'Get 20% off today.',
+      twitter: 'Get 20% off today.'
+    }), []);
+  });
+
+  it('compares facts of the same type when their contexts differ', () => {
+    assert.deepEqual(conflicts({
+      twitter: 'Get 20% off today.',
+      website: 'Save 25% on your order.'
+    }), [{ type: 'percentage', context: null, values: ['20%@twitter', '25%@website'] }]);
+  });
+
+  it('reports a disagreement once when another platform states a matching value in other words', () => {
+    assert.deepEqual(conflicts({
+      twitter: 'Get 20% off today.',
+      website: 'Get 25% off today.',
+      email: 'Save 20% on your order.'
+    }), [{ type: 'percentage', context: 'off', values: ['20%@twitter', '25%@website'] }]);
+  });
+
+  it('still reports a fact in other words that disagrees with platforms that agree', () => {
+    assert.deepEqual(conflicts({
+      twitter: 'Get 20% off today.',
+      website: 'Get 20% off today.',
+      email: 'Save 25% on your order.'
+    }), [{ type: 'percentage', context: null, values: ['20%@twitter,website', '25%@email'] }]);
+  });
+
+  it('treats a date without a year as the same day in any year', () => {
+    assert.deepEqual(conflicts({
+      website: 'The sale ends March 31, 2025.',
+      twitter: 'The sale ends March 31.'
+    }), []);
+  });
+
+  it('only compares platforms written in the same language', () => {
+    assert.deepEqual(conflicts({
+      website: 'Get 20% off your first order today and shop with us.',
+      germany: 'Jetzt 25% Rabatt auf die erste Bestellung sichern, nur für kurze Zeit und nur bei uns.'
+    }), []);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateGlossary,
+  compileGlossary,
+  isPreferredForm
+} = require('../../server/textAnalysis/glossary');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+
+const glossary = [{ preferred: 'Acme Cloud', terms: ['AcmeCloud'] }];
+
+describe('validateGlossary', () => {
+  it('accepts entries with a preferred form, terms or both', () => {
+    assert.deepEqual(validateGlossary([...glossary, { terms: ['sign up', 'register'] }, { preferred: 'e-mail' }]), []);
+  });
+
+  it('lists what is wrong with each entry', () => {
+    assert.deepEqual(validateGlossary([
+      ...glossary,
+      { terms: ['acmecloud'] },
+      'AcmeCloud',
+      { terms: 'AcmeCloud' },
+      {},
+      { preferred: 5 },
+      { terms: ['!!'] }
+    ]), [
+      '"acmecloud" appears in glossary entries 1 and 2',
+      'Glossary entry 3 must be an object',
+      'The terms of glossary entry 4 must be a list',
+      'Glossary entry 5 must have a preferred form or terms',
+      'The preferred form of glossary entry 6 must be a word or phrase',
+      'Glossary entry 6 has a term that is not a word or phrase',
+      'Glossary entry 7 has a term that is not a word or phrase'
+    ]);
+  });
+
+  it('rejects a glossary that is not a list', () => {
+    assert.equal(validateGlossary({ preferred: 'Acme Cloud' }).length, 1);
+  });
+});
+
+describe('compileGlossary', () => {
+  it('recognizes a multi-word term written as one word', () => {
+    const { concepts, formsByFirstStem } = compileGlossary(glossary);
+
+    assert.deepEqual(concepts[0], { label: 'Acme Cloud', preferred: 'Acme Cloud' });
+    assert.deepEqual(formsByFirstStem.get('acmecloud').map(form => form.concept.label), ['Acme Cloud', 'Acme Cloud']);
+    assert.deepEqual(formsByFirstStem.get('acm')[0].stems, ['acm', 'cloud']);
+  });
+
+  it('leaves out default entries that share a term with the request\'s entries', () => {
+    const labels = entries => compileGlossary(entries).concepts.map(concept => concept.label);
+
+    assert.ok(labels([]).includes('buy'));
+    assert.ok(!labels([{ terms: ['purchase', 'order'] }]).includes('buy'));
+  });
+});
+
+describe('isPreferredForm', () => {
+  it('only minds the case when the preferred form has capitals', () => {
+    assert.equal(isPreferredForm('Sign up', 'sign up'), true);
+    assert.equal(isPreferredForm('Acme  Cloud', 'Acme Cloud'), true);
+    assert.equal(isPreferredForm('acme cloud', 'Acme Cloud'), false);
+  });
+});
+
+describe('keyword concepts', () => {
+  it('counts equivalent terms, stemmed words and run-together forms as one keyword', async () => {
+    const { keywordAnalysis, recommendations } = await analyzeConsistency({
+      website: 'Purchase Acme Cloud today. Acme Cloud launches tomorrow.',
+      twitter: 'Buy AcmeCloud now! AcmeCloud launched.'
+    }, { glossary });
+
+    assert.deepEqual(keywordAnalysis.consistentKeywords, ['buy', 'Acme Cloud', 'launches']);
+    assert.deepEqual(keywordAnalysis.nonPreferredForms, [
+      { preferred: 'Acme Cloud', platform: 'twitter', forms: { AcmeCloud: 2 } }
+    ]);
+    assert.ok(recommendations.some(recommendation =>
+      recommendation.title === 'Use the preferred form "Acme Cloud" on twitter' &&
+      recommendation.description.startsWith('twitter writes "AcmeCloud" (2 times).')
+    ));
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectLanguage,
+  isSupportedLanguage,
+  validateLanguages,
+  languagePeers
+} = require('../../server/textAnalysis/languages');
+
+describe('detectLanguage', () => {
+  it('detects the language from its frequent words', () => {
+    assert.equal(detectLanguage('La botella mantiene las bebidas frías durante todo el día.').language, 'es');
+    assert.equal(detectLanguage('Die Flasche hält Getränke den ganzen Tag kalt und ist für dich.').language, 'de');
+  });
+
+  it('falls back to English with no confidence when no word is known', () => {
+    assert.deepEqual(detectLanguage('🎉🎉 🚀'), { language: 'en', confidence: 0 });
+  });
+});
+
+describe('isSupportedLanguage', () => {
+  it('accepts only the codes of supported languages', () => {
+    assert.equal(isSupportedLanguage('es'), true);
+    assert.equal(isSupportedLanguage('it'), false);
+    assert.equal(isSupportedLanguage('constructor'), false);
+    assert.equal(isSupportedLanguage('toString'), false);
+    assert.equal(isSupportedLanguage(['es']), false);
+  });
+});
+
+describe('validateLanguages', () => {
+  const platformContent = { website: 'Hello', twitter: 'Hola' };
+
+  it('accepts supported languages for platforms with content', () => {
+    assert.deepEqual(validateLanguages({ twitter: 'es' }, platformContent), []);
+  });
+
+  it('rejects platforms without content and unsupported or inherited language names', () => {
+    assert.deepEqual(validateLanguages({ blog: 'en', twitter: 'constructor', website: ['es'] }, platformContent), [
+      'blog has no content',
+      'twitter: unsupported language "constructor". Use one of: en, es, de, fr',
+      'website: unsupported language ["es"]. Use one of: en, es, de, fr'
+    ]);
+  });
+
+  it('rejects a value that is not an object', () => {
+    assert.equal(validateLanguages(['es'], platformContent).length, 1);
+  });
+});
+
+describe('languagePeers', () => {
+  it('lists the other platforms in each platform\'s language', () => {
+    assert.deepEqual(languagePeers({ en: ['website', 'twitter'], es: ['mexico'] }), {
+      website: ['twitter'],
+      twitter: ['website'],
+      mexico: []
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RULE_PACKS,
+  validateRulePack,
+  mergeRulePacks,
+  findRulePack,
+  checkPlatformRules
+} = require('../../server/textAnalysis/platformRules');
+const newsletter = require('../../server/rulePacks/internal-newsletter.json');
+
+describe('validateRulePack', () => {
+  it('accepts the built-in packs and the example pack', () => {
+    Object.values(DEFAULT_RULE_PACKS).concat(newsletter).forEach(pack => {
+      assert.deepEqual(validateRulePack(pack), []);
+    });
+  });
+
+  it('accepts null to switch a rule off', () => {
+    assert.deepEqual(validateRulePack({ links: null, hashtags: null }), []);
+  });
+
+  it('rejects a pack that is not an object', () => {
+    assert.equal(validateRulePack([]).length, 1);
+    assert.equal(validateRulePack('twitter').length, 1);
+  });
+
+  it('rejects unknown rules', () => {
+    assert.deepEqual(validateRulePack({ maxChars: 280 }), [
+      'Unknown rule: maxChars. Use one of: label, description, maxCharacters, minWords, maxWords, hashtags, emoji, links, callToAction, boilerplate'
+    ]);
+    assert.deepEqual(validateRulePack({ hashtags: { maximum: 2 } }), ['Unknown rule: hashtags.maximum. Use min or max']);
+  });
+
+  it('rejects values of the wrong kind', () => {
+    assert.deepEqual(validateRulePack({ maxCharacters: 'x', links: 'never', boilerplate: [] }), [
+      'maxCharacters must be a whole number of at least 0',
+      'links must be one of: required, optional, avoid',
+      'boilerplate must be a list of phrases, one of which must appear'
+    ]);
+  });
+
+  it('rejects inverted ranges', () => {
+    assert.deepEqual(validateRulePack({ minWords: 500, maxWords: 100, emoji: { min: 3, max: 1 } }), [
+      'minWords must not be greater than maxWords',
+      'emoji.min must not be greater than emoji.max'
+    ]);
+  });
+});
+
+describe('findRulePack', () => {
+  it('finds the pack with the platform name, or one named by a word of it', () => {
+    assert.equal(findRulePack('Press Release', DEFAULT_RULE_PACKS), 'press-release');
+    assert.equal(findRulePack('twitter-us', DEFAULT_RULE_PACKS), 'twitter');
+    assert.equal(findRulePack('podcast', DEFAULT_RULE_PACKS), null);
+  });
+
+  it('does not take inherited object members for packs', () => {
+    assert.equal(findRulePack('constructor', DEFAULT_RULE_PACKS), null);
+    assert.equal(findRulePack('to-string', DEFAULT_RULE_PACKS), null);
+  });
+});
+
+describe('checkPlatformRules', () => {
+  const platformContent = {
+    website: 'The EcoBottle keeps drinks cold for 24 hours.',
+    twitter: 'The EcoBottle keeps drinks cold for 24 hours. #eco #bottle #summer',
+    'company-blog': 'The EcoBottle keeps drinks cold for 24 hours.'
+  };
+
+  it('measures each platform and lists the rules of its pack that it breaks', () => {
+    const { platformRules, violationCount } = checkPlatformRules(platformContent);
+
+    assert.deepEqual(platformRules.twitter.measurements, {
+      characters: 66,
+      words: 11,
+      hashtags: 3,
+      emoji: 0,
+      links: 0,
+      callsToAction: 0
+    });
+    assert.deepEqual(platformRules.twitter.violations, [
+      { rule: 'hashtags', message: '3 hashtags, at most 2 expected', expected: { max: 2 }, actual: 3 }
+    ]);
+    assert.equal(platformRules.website.label, 'Website');
+    assert.deepEqual(platformRules.website.violations.map(violation => violation.rule), ['callToAction']);
+    assert.deepEqual(platformRules['company-blog'].violations.map(violation => violation.rule), ['minWords']);
+    assert.equal(violationCount, 3);
+  });
+
+  it('uses merged packs and passes platforms without a pack', () => {
+    const rulePacks = mergeRulePacks(DEFAULT_RULE_PACKS, { twitter: { hashtags: null } });
+    const { platformRules } = checkPlatformRules(platformContent, rulePacks);
+
+    assert.equal(platformRules.twitter.passed, true);
+    assert.equal(platformRules['company-blog'].pack, 'blog');
+    assert.equal(checkPlatformRules({ intranet: 'Hello' }).platformRules.intranet.pack, null);
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeReadability } = require('../../server/textAnalysis/readability');
+
+/**
+ * Measures the passive voice ratio of one piece of English content
+ *
+ * @param {String} content - Content to measure
+ * @returns {Number} Share of passive sentences
+ */
+function passiveVoiceRatio(content) {
+  return analyzeReadability({ website: content }).platformReadability.website.passiveVoiceRatio;
+}
+
+describe('analyzeReadability', () => {
+  it('counts sentences built on a past participle as passive', () => {
+    assert.equal(passiveVoiceRatio('Every order is shipped today. The bottle was made in Oslo.'), 1);
+  });
+
+  it('does not count participles used as adjectives', () => {
+    assert.equal(passiveVoiceRatio('We are thrilled to announce it. Our team is excited. You will be pleased.'), 0);
+  });
+
+  it('counts an adjectival participle followed by its agent', () => {
+    assert.equal(passiveVoiceRatio('The design was inspired by the sea. We love it.'), 0.5);
+  });
+
+  it('only compares platforms written in the same language', () => {
+    const results = analyzeReadability({
+      website: 'Our bottle keeps drinks cold all day long.',
+      germany: 'Unsere Flasche hält Getränke den ganzen Tag kalt.'
+    });
+
+    assert.equal(results.consistencyScore, null);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+
+describe('source of truth mode', () => {
+  let results;
+
+  before(async () => {
+    results = await analyzeConsistency({
+      website: 'The EcoBottle keeps drinks cold for 24 hours. Order the EcoBottle online.',
+      linkedin: 'The EcoBottle keeps drinks cold for 24 hours.',
+      twitter: 'Awesome summer party tonight, come dance lol',
+      spain: 'La EcoBottle mantiene las bebidas frías durante 24 horas.'
+    }, { referencePlatform: 'website', languages: { spain: 'es' } });
+  });
+
+  it('takes the most frequent terms of the source as its key terms', () => {
+    const { referencePlatform, keyTerms } = results.referenceAnalysis;
+
+    assert.equal(referencePlatform, 'website');
+    assert.deepEqual(keyTerms, ['ecobottle', 'keeps', 'drinks', 'cold', 'hours', 'order', 'online']);
+  });
+
+  it('grades how much of the source each platform covers and how faithfully', () => {
+    const { linkedin } = results.referenceAnalysis.platformScores;
+
+    assert.deepEqual(linkedin.coveredTerms, ['ecobottle', 'keeps', 'drinks', 'cold', 'hours']);
+    assert.deepEqual(linkedin.missingTerms, ['order', 'online']);
+    assert.equal(linkedin.coverage, 5 / 7);
+    assert.equal(linkedin.fidelity, 1);
+    assert.equal(linkedin.toneMatches, true);
+    assert.deepEqual(linkedin.recommendations, []);
+  });
+
+  it('recommends carrying the source\'s terms, sentiment and tone into a copy that drifted', () => {
+    const { twitter } = results.referenceAnalysis.platformScores;
+
+    assert.equal(twitter.score, 0);
+    assert.deepEqual(twitter.recommendations.map(recommendation => recommendation.title), [
+      'Carry the key terms from website into twitter',
+      'Keep twitter closer to the source copy',
+      'Match the sentiment of website on twitter',
+      'Use the source\'s tone on twitter'
+    ]);
+    assert.ok(results.recommendations.some(recommendation => recommendation.title === 'Keep twitter closer to the source copy'));
+  });
+
+  it('skips platforms written in another language and averages the rest', () => {
+    const { platformScores, skippedPlatforms, averageScore } = results.referenceAnalysis;
+
+    assert.deepEqual(Object.keys(platformScores), ['linkedin', 'twitter']);
+    assert.deepEqual(skippedPlatforms, ['spain']);
+    assert.equal(averageScore, Math.round((platformScores.linkedin.score + platformScores.twitter.score) / 2));
+  });
+
+  it('leaves out the reference analysis when no source is named', async () => {
+    const plain = await analyzeConsistency({ website: 'The EcoBottle keeps drinks cold.', twitter: 'The EcoBottle keeps drinks cold!' });
+    assert.equal(plain.referenceAnalysis, undefined);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+
+async function suggest(platformContent, options) {
+  return (await analyzeConsistency(platformContent, options)).rewriteSuggestions;
+}
+
+describe('rewrite suggestions', () => {
+  it('suggests writing a glossary term in its preferred form, with the edit, its changes and a diff', async () => {
+    const { suggestions } = await suggest({
+      website: 'The AcmeCloud dashboard keeps every team in sync.',
+      linkedin: 'The Acme Cloud dashboard keeps every team in sync.'
+    }, { glossary: [{ preferred: 'Acme Cloud', terms: ['AcmeCloud'] }] });
+
+    assert.deepEqual(suggestions, [{
+      id: 'website-1',
+      platform: 'website',
+      category: 'glossary',
+      title: 'Use "Acme Cloud" instead of "AcmeCloud" on website',
+      description: suggestions[0].description,
+      edit: { start: 4, end: 13, original: 'AcmeCloud', replacement: 'Acme Cloud' },
+      changes: [
+        { type: 'equal', text: 'The ' },
+        { type: 'delete', text: 'AcmeCloud' },
+        { type: 'insert', text: 'Acme Cloud' },
+        { type: 'equal', text: ' dashboard keeps every team in sync.' }
+      ],
+      diff: '--- a/website\n+++ b/website\n@@ -1,1 +1,1 @@\n' +
+        '-The AcmeCloud dashboard keeps every team in sync.\n' +
+        '+The Acme Cloud dashboard keeps every team in sync.\n'
+    }]);
+  });
+
+  it('inserts the reference platform\'s keyword where the matching sentence has another word', async () => {
+    const { suggestions } = await suggest({
+      website: 'The EcoBottle keeps drinks cold for 24 hours.',
+      linkedin: 'The EcoBottle keeps drinks cold for 24 hours.',
+      twitter: 'Our bottle keeps drinks cold for 24 hours.'
+    }, { referencePlatform: 'website' });
+
+    assert.deepEqual(suggestions.map(suggestion => [suggestion.id, suggestion.title, suggestion.edit]), [[
+      'twitter-1',
+      'Add "EcoBottle" to twitter',
+      { start: 3, end: 11, original: ' bottle ', replacement: ' EcoBottle ' }
+    ]]);
+  });
+
+  it('swaps tone markers for their equivalents in the target tone, keeping the case', async () => {
+    const { targetTone, suggestions } = await suggest({
+      website: 'We are pleased to announce the EcoBottle. Therefore, order today.',
+      linkedin: 'We are pleased to announce the EcoBottle. Please note, order today.',
+      twitter: 'Hey, we are pleased to announce the awesome EcoBottle. Order today.'
+    }, { referencePlatform: 'twitter' });
+    const website = suggestions.filter(suggestion => suggestion.platform === 'website');
+
+    assert.equal(targetTone, 'casual');
+    assert.deepEqual(website.map(suggestion => suggestion.id), ['website-1', 'website-2', 'website-3']);
+    assert.deepEqual(
+      website.filter(suggestion => suggestion.category === 'tone').map(suggestion => suggestion.edit),
+      [
+        { start: 0, end: 17, original: 'We are pleased to', replacement: "We're excited to" },
+        { start: 42, end: 51, original: 'Therefore', replacement: 'So' }
+      ]
+    );
+    assert.ok(suggestions.every(suggestion => suggestion.platform !== 'twitter'));
+  });
+
+  it('does not carry keywords between platforms written in different languages', async () => {
+    const { suggestions } = await suggest({
+      website: 'The EcoBottle keeps drinks cold for 24 hours.',
+      spain: 'La botella mantiene las bebidas frías durante 24 horas.'
+    }, { languages: { spain: 'es' }, referencePlatform: 'website' });
+
+    assert.deepEqual(suggestions, []);
+  });
+});
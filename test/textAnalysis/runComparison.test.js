@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+const { compareAnalyses } = require('../../server/textAnalysis/runComparison');
+
+describe('compareAnalyses', () => {
+  let draft;
+  let revision;
+
+  before(async () => {
+    draft = await analyzeConsistency({
+      website: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today.',
+      twitter: 'OMG our crazy summer party is here!!! Come dance with us lol',
+      linkedin: 'We are pleased to announce the EcoBottle, which keeps drinks cold for 24 hours.'
+    });
+    revision = await analyzeConsistency({
+      website: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today.',
+      twitter: 'The EcoBottle keeps your drinks cold for 24 hours. Order yours today!',
+      facebook: 'The EcoBottle keeps drinks cold for 24 hours. Order yours today.'
+    });
+  });
+
+  it('reports the score change overall and per dimension', () => {
+    const comparison = compareAnalyses(draft, revision);
+
+    assert.deepEqual(comparison.overallScore, {
+      before: draft.overallConsistencyScore,
+      after: revision.overallConsistencyScore,
+      change: revision.overallConsistencyScore - draft.overallConsistencyScore
+    });
+    assert.ok(comparison.overallScore.change > 0);
+    assert.deepEqual(
+      Object.keys(comparison.dimensions),
+      ['sentiment', 'keywords', 'tone', 'similarity', 'readability', 'factConflicts']
+    );
+    assert.ok(comparison.dimensions.similarity.change > 0);
+  });
+
+  it('lists common, added and removed platforms and compares only the common ones', () => {
+    const comparison = compareAnalyses(draft, revision);
+
+    assert.deepEqual(comparison.platforms, { common: ['website', 'twitter'], added: ['facebook'], removed: ['linkedin'] });
+    assert.deepEqual(comparison.toneShifts, [{ platform: 'twitter', before: 'casual', after: 'neutral' }]);
+    assert.deepEqual(comparison.similarityChanges.map(change => change.platforms), [['website', 'twitter']]);
+  });
+
+  it('reports newly shared keywords and resolved recommendations', () => {
+    const comparison = compareAnalyses(draft, revision);
+
+    assert.ok(comparison.keywords.nowShared.includes('ecobottle'));
+    assert.deepEqual(comparison.keywords.noLongerShared, []);
+    assert.equal(comparison.recommendations.resolved.length, draft.recommendations.length);
+    assert.deepEqual(comparison.recommendations.new, []);
+  });
+
+  it('reports no changes when a run is compared with itself', () => {
+    const comparison = compareAnalyses(revision, revision);
+
+    assert.equal(comparison.overallScore.change, 0);
+    assert.deepEqual(comparison.toneShifts, []);
+    assert.deepEqual(comparison.similarityChanges, []);
+    assert.deepEqual(comparison.keywords, { nowShared: [], noLongerShared: [] });
+    assert.deepEqual(comparison.recommendations.remaining, revision.recommendations);
+  });
+
+  it('leaves out dimensions that one of the runs has no score for', async () => {
+    const noKeywords = await analyzeConsistency({ website: '🎉🎉 🚀', twitter: 'the and of' });
+    const comparison = compareAnalyses(noKeywords, revision);
+
+    assert.equal(comparison.dimensions.keywords, undefined);
+    assert.ok(comparison.dimensions.tone);
+  });
+});
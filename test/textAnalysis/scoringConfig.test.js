@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SCORING_CONFIG, resolveScoringConfig } = require('../../server/textAnalysis/scoringConfig');
+const legal = require('../../server/scoringPresets/legal.json');
+const social = require('../../server/scoringPresets/social.json');
+
+describe('resolveScoringConfig', () => {
+  it('returns the defaults without overrides', () => {
+    const { config, errors } = resolveScoringConfig();
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.thresholds, DEFAULT_SCORING_CONFIG.thresholds);
+  });
+
+  it('accepts the built-in presets', () => {
+    [legal, social].forEach(({ description, ...preset }) => {
+      assert.deepEqual(resolveScoringConfig(preset).errors, []);
+    });
+  });
+
+  it('applies later overrides over earlier ones and rescales the weights to add up to 1', () => {
+    const { config, errors } = resolveScoringConfig(
+      { weights: { keywords: 1 }, factConflictPenalty: 20 },
+      { factConflictPenalty: 5 }
+    );
+    assert.deepEqual(errors, []);
+    assert.equal(config.factConflictPenalty, 5);
+    assert.ok(Math.abs(Object.values(config.weights).reduce((sum, weight) => sum + weight, 0) - 1) < 1e-9);
+  });
+
+  it('rejects unknown settings, inherited names included', () => {
+    assert.deepEqual(resolveScoringConfig({ weight: {}, constructor: 1 }).errors, [
+      'Unknown scoring setting "weight"',
+      'Unknown scoring setting "constructor"'
+    ]);
+    assert.deepEqual(resolveScoringConfig({ thresholds: { lowSimilarityy: 0.5 } }).errors, [
+      'Unknown scoring setting "thresholds.lowSimilarityy"'
+    ]);
+  });
+
+  it('rejects values out of range', () => {
+    assert.deepEqual(resolveScoringConfig({
+      weights: { sentiment: 'high' },
+      thresholds: { lowSimilarity: 2 },
+      outlierMargin: 200
+    }).errors, [
+      '"weights.sentiment" must be a non-negative number',
+      '"thresholds.lowSimilarity" must be a number between 0 and 1',
+      '"outlierMargin" must be a number of points between 0 and 100'
+    ]);
+  });
+
+  it('rejects all weights set to zero', () => {
+    const weights = Object.fromEntries(Object.keys(DEFAULT_SCORING_CONFIG.weights).map(key => [key, 0]));
+    assert.deepEqual(resolveScoringConfig({ weights }).errors, ['At least one weight must be greater than zero']);
+  });
+
+  it('rejects a configuration that is not an object', () => {
+    assert.deepEqual(resolveScoringConfig([1]).errors, ['Scoring configuration must be an object']);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { alignSentences, generateAlignmentRecommendations } = require('../../server/textAnalysis/sentenceAlignment');
+const { buildDocuments } = require('../../server/textAnalysis/documentModel');
+
+describe('alignSentences', () => {
+  const platformContent = {
+    website: 'The EcoBottle keeps drinks cold for 24 hours. It is made from recycled steel. Free shipping on all orders.',
+    twitter: 'The EcoBottle keeps drinks cold for 24 hours. Made from recycled steel, it lasts for years.',
+    spain: 'La EcoBottle mantiene las bebidas frías durante 24 horas.'
+  };
+  const results = alignSentences(platformContent, buildDocuments(platformContent, { spain: 'es' }));
+
+  it('pairs each sentence with its closest match and locates it in the content', () => {
+    const [first, second] = results.platformSentences.website;
+
+    assert.deepEqual(first, {
+      text: 'The EcoBottle keeps drinks cold for 24 hours.',
+      start: 0,
+      end: 45,
+      status: 'shared',
+      matches: {
+        twitter: { index: 0, text: 'The EcoBottle keeps drinks cold for 24 hours.', similarity: 1, status: 'shared' }
+      }
+    });
+    assert.equal(second.status, 'paraphrased');
+    assert.equal(second.matches.twitter.text, 'Made from recycled steel, it lasts for years.');
+  });
+
+  it('counts statuses and lists sentences missing from each platform', () => {
+    assert.deepEqual(results.statusCounts.website, { shared: 1, paraphrased: 1, changed: 0, unique: 1 });
+    assert.deepEqual(results.missingMessages.twitter, [{ from: 'website', text: 'Free shipping on all orders.' }]);
+    assert.deepEqual(results.missingMessages.website, []);
+  });
+
+  it('does not compare platforms written in another language', () => {
+    assert.deepEqual(results.comparedWith.spain, []);
+    assert.deepEqual(results.comparedWith.website, ['twitter']);
+    assert.equal(results.platformSentences.spain[0].status, null);
+    assert.deepEqual(results.platformSentences.spain[0].matches, {});
+  });
+
+  it('marks a sentence whose numbers differ as changed', () => {
+    const changed = alignSentences({
+      website: 'The EcoBottle keeps drinks cold for 24 hours.',
+      facebook: 'The EcoBottle keeps drinks cold for 12 hours.'
+    });
+
+    assert.equal(changed.platformSentences.facebook[0].status, 'changed');
+  });
+});
+
+describe('generateAlignmentRecommendations', () => {
+  it('recommends adding a message that every other platform carries', () => {
+    const results = alignSentences({
+      website: 'The EcoBottle keeps drinks cold for 24 hours. Free shipping on all orders.',
+      facebook: 'The EcoBottle keeps drinks cold for 12 hours. Free shipping on all orders.',
+      twitter: 'Our new bottle is here.'
+    });
+
+    assert.deepEqual(generateAlignmentRecommendations(results), [{
+      category: 'alignment',
+      platform: 'twitter',
+      title: 'Add missing core messages to twitter',
+      description: 'Every other platform says this, but twitter does not: "Free shipping on all orders."'
+    }]);
+  });
+
+  it('does not call a message core when only one other platform carries it', () => {
+    const results = alignSentences({
+      website: 'The EcoBottle keeps drinks cold for 24 hours. Free shipping on all orders.',
+      twitter: 'The EcoBottle keeps drinks cold for 24 hours.'
+    });
+
+    assert.deepEqual(generateAlignmentRecommendations(results), []);
+  });
+});
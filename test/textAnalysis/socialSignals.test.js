@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSocialSignals } = require('../../server/textAnalysis/socialSignals');
+
+describe('analyzeSocialSignals', () => {
+  const signals = analyzeSocialSignals({
+    twitter: 'Meet the EcoBottle 🎉🎉 #EcoBottle @acme Shop now https://acme.test/eco.',
+    instagram: 'Cold drinks all day 😍 #ecobottle. Shop now!',
+    facebook: 'Cold drinks, all day long. Learn more on our site.'
+  });
+
+  it('extracts hashtags, mentions, emoji and links', () => {
+    const { hashtags, mentions, emoji, links } = signals.platformSignals.twitter;
+
+    assert.deepEqual(hashtags, [{ tag: '#EcoBottle', normalized: '#ecobottle', count: 1 }]);
+    assert.deepEqual(mentions, [{ handle: '@acme', count: 1 }]);
+    assert.deepEqual(emoji, [{ emoji: '🎉', count: 2 }]);
+    assert.deepEqual(links, ['https://acme.test/eco']);
+  });
+
+  it('scores emoji with the sentiment library\'s emoji scores', () => {
+    assert.deepEqual(signals.platformSignals.twitter.emojiSentiment, { score: 6, comparative: 3 });
+    assert.deepEqual(signals.platformSignals.facebook.emojiSentiment, { score: 0, comparative: 0 });
+  });
+
+  it('reports the platforms that leave out the campaign hashtag', () => {
+    assert.deepEqual(signals.campaignHashtag, {
+      tag: '#EcoBottle',
+      platforms: ['twitter', 'instagram'],
+      missingFrom: ['facebook']
+    });
+  });
+
+  it('flags platforms whose main call to action differs', () => {
+    assert.equal(signals.callToAction.consistent, false);
+    assert.equal(signals.callToAction.mostCommon, 'shop now');
+    assert.equal(signals.callToAction.mainCtas.facebook, 'learn more');
+    assert.equal(signals.consistent, false);
+  });
+});
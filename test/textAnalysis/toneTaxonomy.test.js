@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TONE_TAXONOMIES,
+  validateToneTaxonomy,
+  compileToneTaxonomy,
+  stemTokens
+} = require('../../server/textAnalysis/toneTaxonomy');
+const { analyzeConsistency } = require('../../server/textAnalysis/analyzer');
+
+const taxonomy = {
+  empathetic: ['sorry', 'we understand', 'frustrating'],
+  playful: ['fun', { term: 'launch', weight: 2 }]
+};
+
+describe('validateToneTaxonomy', () => {
+  it('accepts tones with words, phrases and weighted markers', () => {
+    assert.deepEqual(validateToneTaxonomy(taxonomy), []);
+    assert.deepEqual(validateToneTaxonomy({ formal: ['gemäß'] }), []);
+  });
+
+  it('rejects taxonomies that are not objects of marker lists', () => {
+    for (const invalid of [null, [], 'formal']) {
+      assert.deepEqual(validateToneTaxonomy(invalid), ['Tone taxonomy must be an object mapping tone names to markers']);
+    }
+    assert.deepEqual(validateToneTaxonomy({}), ['Tone taxonomy must define at least one tone']);
+    assert.deepEqual(validateToneTaxonomy({ warm: [] }), ['Tone "warm" must have a non-empty list of markers']);
+  });
+
+  it('rejects the reserved neutral tone, markers without words and weights that are not positive', () => {
+    assert.deepEqual(validateToneTaxonomy({ neutral: ['fine'], warm: ['!!', 5, { term: 'hug', weight: 0 }] }), [
+      '"neutral" is reserved for content without enough tone evidence',
+      'Marker 1 of tone "warm" must be a word or phrase',
+      'Marker 2 of tone "warm" must be a word or phrase',
+      'Marker "hug" of tone "warm" must have a positive weight'
+    ]);
+  });
+});
+
+describe('compileToneTaxonomy', () => {
+  it('indexes stemmed markers by their first stem with their weight', () => {
+    const { tones, markersByFirstStem } = compileToneTaxonomy(taxonomy);
+
+    assert.deepEqual(tones, ['empathetic', 'playful']);
+    assert.deepEqual(markersByFirstStem.get('we'), [{ tone: 'empathetic', term: 'we understand', weight: 1, stems: ['we', 'understand'] }]);
+    assert.equal(markersByFirstStem.get('launch')[0].weight, 2);
+  });
+
+  it('leaves out markers that are not written in the language', () => {
+    const { markersByFirstStem } = compileToneTaxonomy({ formal: ['über', 'größer', 'gemäß'] }, 'en');
+
+    assert.equal(markersByFirstStem.size, 0);
+    assert.equal(compileToneTaxonomy({ formal: ['über'] }, 'de').markersByFirstStem.size, 1);
+  });
+
+  it('has default markers for the same tones in every language', () => {
+    for (const language in DEFAULT_TONE_TAXONOMIES) {
+      assert.deepEqual(Object.keys(DEFAULT_TONE_TAXONOMIES[language]), ['formal', 'casual', 'professional', 'promotional']);
+    }
+  });
+});
+
+describe('stemTokens', () => {
+  it('stems words, splits hyphenated words and keeps English apostrophes', () => {
+    assert.deepEqual(stemTokens('Launching limited-time deals'), ['launch', 'limit', 'time', 'deal']);
+    assert.deepEqual(stemTokens("Don’t miss"), ["don't", 'miss']);
+  });
+});
+
+describe('tone analysis with a custom taxonomy', () => {
+  it('matches stemmed markers, counts their weights and picks the dominant tone', async () => {
+    const { toneAnalysis } = await analyzeConsistency({
+      website: 'We are so sorry for the trouble. We understand how frustrating delays are.',
+      twitter: 'Launching today! Shop now, launches are fun.'
+    }, { toneTaxonomy: taxonomy });
+
+    assert.deepEqual(toneAnalysis.categories, ['empathetic', 'playful']);
+    assert.equal(toneAnalysis.platformTones.website.dominantTone, 'empathetic');
+    assert.equal(toneAnalysis.platformTones.twitter.dominantTone, 'playful');
+    assert.deepEqual(toneAnalysis.platformTones.twitter.matchedMarkers.playful, { launch: 2, fun: 1 });
+    assert.equal(toneAnalysis.platformTones.twitter.evidence.playful, 5);
+    assert.deepEqual(toneAnalysis.platformTones.website.markerMatches[1], {
+      tone: 'empathetic',
+      term: 'we understand',
+      start: 33,
+      end: 46
+    });
+  });
+});